@@ -278,10 +278,10 @@ const Dashboard: React.FC = () => {
                   Model Version: {aiStatus.version || 'N/A'}
                 </Typography>
                 <Typography variant="body2" color="textSecondary">
-                  Accuracy: {aiStatus.performance?.accuracy || 'N/A'}
+                  Outcome AUC: {aiStatus.performance?.auc ?? 'N/A'}
                 </Typography>
                 <Typography variant="body2" color="textSecondary">
-                  Processing Time: {aiStatus.performance?.averageProcessingTime || 'N/A'}
+                  Loans with Outcomes: {aiStatus.performance?.outcomeSampleCount ?? 'N/A'}
                 </Typography>
               </Box>
               <LinearProgress 
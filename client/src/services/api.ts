@@ -1,5 +1,5 @@
 import axios, { AxiosInstance, AxiosResponse } from 'axios';
-import { ApiResponse } from '../types';
+import { ApiResponse, BackgroundJob } from '../types';
 
 class ApiService {
   private api: AxiosInstance;
@@ -129,11 +129,36 @@ class ApiService {
     return response.data;
   }
 
-  async batchAnalyze(data: { applicationIds?: string[]; filters?: any }): Promise<ApiResponse<any>> {
+  async batchAnalyze(data: {
+    applicationIds?: string[];
+    filters?: any;
+    concurrency?: number;
+    maxAttempts?: number;
+  }): Promise<ApiResponse<any>> {
     const response = await this.api.post('/ai/batch-analyze', data);
     return response.data;
   }
 
+  async getJobs(params?: { type?: string; status?: string; page?: number; limit?: number }): Promise<ApiResponse<any>> {
+    const response = await this.api.get('/ai/jobs', { params });
+    return response.data;
+  }
+
+  async getJob(jobId: string): Promise<ApiResponse<{ job: BackgroundJob }>> {
+    const response = await this.api.get(`/ai/jobs/${jobId}`);
+    return response.data;
+  }
+
+  async cancelJob(jobId: string): Promise<ApiResponse<{ job: BackgroundJob }>> {
+    const response = await this.api.post(`/ai/jobs/${jobId}/cancel`);
+    return response.data;
+  }
+
+  async getJobResults(jobId: string, params?: { status?: string; page?: number; limit?: number }): Promise<ApiResponse<any>> {
+    const response = await this.api.get(`/ai/jobs/${jobId}/results`, { params });
+    return response.data;
+  }
+
   async getAIMetrics(): Promise<ApiResponse<any>> {
     const response = await this.api.get('/ai/metrics');
     return response.data;
@@ -17,6 +17,8 @@ export interface Permission {
   actions: string[];
 }
 
+export type LoanOutcomeStatus = 'current' | 'dpd30' | 'dpd60' | 'dpd90' | 'default' | 'paid_off';
+
 export interface CreditApplication {
   id: string;
   applicationId: string;
@@ -36,6 +38,10 @@ export interface CreditApplication {
       country: string;
       timeAtAddress: number;
     };
+    bankAccount?: {
+      routingNumber?: string;
+      accountNumber?: string;
+    };
     employment: {
       status: 'employed' | 'self-employed' | 'unemployed' | 'retired' | 'student';
       employer?: string;
@@ -85,6 +91,9 @@ export interface CreditApplication {
     paymentHistoryScore?: number;
     numberOfAccounts: number;
     recentInquiries: number;
+    oldestAccountOpened?: Date;
+    oldestPrimaryAccountOpened?: Date;
+    authorizedUserAccounts?: number;
   };
   status: 'draft' | 'submitted' | 'under_review' | 'pending_documents' | 'approved' | 'denied' | 'withdrawn';
   aiAssessment?: {
@@ -93,9 +102,30 @@ export interface CreditApplication {
     probability: number;
     factors: {
       factor: string;
+      feature: string;
       impact: 'POSITIVE' | 'NEGATIVE' | 'NEUTRAL';
+      contribution: number;
+      value: number;
       description: string;
     }[];
+    reasonCodes: {
+      rank: number;
+      code: string;
+      feature: string;
+      statement: string;
+      contribution: number;
+    }[];
+    referenceScore: number;
+    riskMetrics?: {
+      pd: number;
+      pdCalibrated: boolean;
+      calibrationMethod: 'platt' | 'isotonic' | null;
+      lgd: number;
+      ead: number;
+      expectedLoss: number;
+      expectedLossRate: number;
+    };
+    offer?: LoanOffer;
     recommendations: {
       type: 'APPROVAL' | 'IMPROVEMENT' | 'RISK_MITIGATION';
       priority: 'LOW' | 'MEDIUM' | 'HIGH';
@@ -107,9 +137,43 @@ export interface CreditApplication {
       riskLevel: 'LOW' | 'MEDIUM' | 'HIGH';
       riskFactors: string[];
       recommendation: 'AUTOMATED_PROCESSING' | 'MANUAL_REVIEW';
+      triggeredRules?: {
+        code: string;
+        name: string;
+        weight: number;
+      }[];
+      ruleSetVersion?: number;
+      velocityMatches?: {
+        code: string;
+        identifier: 'ssn' | 'email' | 'phone' | 'address' | 'bankAccount' | 'ipAddress' | 'device';
+        windowDays: number;
+        count: number;
+        applicationIds: string[];
+      }[];
+      relatedApplications?: {
+        application: string;
+        applicationId: string;
+        status: string;
+        createdAt: Date;
+        sharedIdentifiers: string[];
+      }[];
+      identityRisk?: {
+        identityRiskScore: number;
+        riskLevel: 'LOW' | 'MEDIUM' | 'HIGH';
+        ssnChecked: boolean;
+        ssnValid: boolean | null;
+        ssnIssue?: string;
+        signals: {
+          code: string;
+          weight: number;
+          description: string;
+        }[];
+      };
     };
     processedAt: Date;
     modelVersion: string;
+    missingFeatures?: string[];
+    imputedInputs?: string[];
   };
   manualReview?: {
     assignedTo?: User;
@@ -123,13 +187,34 @@ export interface CreditApplication {
     decision?: {
       outcome: 'approved' | 'denied' | 'conditional';
       reason?: string;
+      reasonCodes?: string[];
       conditions: string[];
       decidedBy: User;
       decidedAt: Date;
     };
   };
+  compliance?: {
+    sanctions: {
+      status: 'not_screened' | 'clear' | 'potential_match' | 'cleared' | 'confirmed_match' | 'unavailable';
+      lastScreening?: string;
+      lastScreenedAt?: Date;
+      reviewTask?: string;
+    };
+  };
+  performance?: {
+    status?: LoanOutcomeStatus;
+    asOf?: Date;
+    worstStatus?: LoanOutcomeStatus;
+    history: {
+      status: LoanOutcomeStatus;
+      asOf: Date;
+      source: 'api' | 'import';
+      recordedBy?: string;
+      recordedAt: Date;
+    }[];
+  };
   documents: {
-    type: 'pay_stub' | 'tax_return' | 'bank_statement' | 'employment_verification' | 'id_copy' | 'utility_bill' | 'other';
+    type: 'pay_stub' | 'tax_return' | 'bank_statement' | 'employment_verification' | 'id_copy' | 'utility_bill' | 'adverse_action_notice' | 'other';
     filename: string;
     originalName: string;
     mimeType: string;
@@ -145,6 +230,38 @@ export interface CreditApplication {
   completedAt?: Date;
 }
 
+export interface LoanOffer {
+  eligible: boolean;
+  reason?: string;
+  interestRate?: number;
+  apr?: number;
+  monthlyPayment?: number;
+  term?: number;
+  amountFinanced?: number;
+  originationFee?: number;
+  totalOfPayments?: number;
+  totalInterest?: number;
+  totalCostOfCredit?: number;
+  components?: {
+    baseRate: number;
+    riskSpread: number;
+    pdSpread: number;
+    termAdjustment: number;
+    purposeAdjustment: number;
+    collateralAdjustment: number;
+  };
+  rateCardVersion: number;
+}
+
+export interface PortfolioRiskSegment {
+  count: number;
+  totalExposure: number;
+  totalExpectedLoss: number;
+  expectedLossRate: number;
+  avgPD: number | null;
+  avgLGD: number | null;
+}
+
 export interface DashboardStats {
   summary: {
     totalApplications: number;
@@ -163,6 +280,7 @@ export interface DashboardStats {
     count: number;
     avgCreditScore: number;
   }[];
+  portfolioRisk: Record<'booked' | 'pipeline', PortfolioRiskSegment>;
   recentApplications: {
     id: string;
     applicationId: string;
@@ -234,34 +352,136 @@ export interface NotificationContextType {
 export interface AIModelStatus {
   modelLoaded: boolean;
   version: string;
+  challengerVersion: string | null;
   features: string[];
-  lastUpdated: string;
+  lastUpdated: string | null;
   performance: {
-    averageProcessingTime: string;
-    accuracy: string;
-    throughput: string;
+    outcomeSampleCount: number;
+    sufficientData: boolean;
+    auc: number | null;
+    gini: number | null;
+    ks: number | null;
   };
   health: 'healthy' | 'degraded' | 'down';
 }
 
+export type DriftStatus = 'stable' | 'warning' | 'alert' | 'insufficient_data';
+
+export interface DriftAlert {
+  metric: 'psi' | 'csi';
+  feature?: string;
+  value: number;
+  threshold: number;
+  severity: 'warning' | 'alert';
+}
+
+export interface DriftSnapshotSummary {
+  date: string;
+  sampleCount: number;
+  status: DriftStatus;
+  score?: {
+    psi: number;
+    status: DriftStatus;
+  };
+  features: {
+    feature: string;
+    csi: number;
+    status: DriftStatus;
+  }[];
+}
+
+export interface OutcomePerformance {
+  modelVersion: string;
+  outcomes: Record<LoanOutcomeStatus, number>;
+  sampleCount: number;
+  defaultCount: number;
+  defaultRate: number | null;
+  meanPredictedPD: number | null;
+  sufficientData: boolean;
+  auc: number | null;
+  gini: number | null;
+  ks: number | null;
+  brierScore: number | null;
+  calibrationCurve: {
+    bin: number;
+    count: number;
+    minPD: number;
+    maxPD: number;
+    meanPredictedPD: number;
+    observedDefaultRate: number;
+  }[];
+}
+
 export interface AIMetrics {
-  accuracy: number;
-  precision: number;
-  recall: number;
-  f1Score: number;
-  auc: number;
+  modelVersion: string;
+  accuracy: number | null;
+  precision: number | null;
+  recall: number | null;
+  f1Score: number | null;
+  auc: number | null;
   processedApplications: number;
-  averageProcessingTime: number;
-  lastTrainingDate: string;
+  lastTrainingDate: string | null;
   modelDrift: {
     detected: boolean;
-    score: number;
+    status: DriftStatus;
+    score: number | null;
     threshold: number;
+    warningThreshold: number;
+    sampleCount: number;
+    window: { from: string; to: string };
+    baseline?: {
+      source: 'training' | 'reference_period';
+      sampleCount: number;
+      createdAt: string;
+    };
+    computedAt: string;
+    alerts: DriftAlert[];
   };
+  featureDrift: {
+    feature: string;
+    csi: number;
+    status: DriftStatus;
+  }[];
   featureImportance: {
     feature: string;
     importance: number;
   }[];
+  driftHistory: DriftSnapshotSummary[];
+  outcomePerformance: {
+    defaultDefinition: LoanOutcomeStatus[];
+    current: OutcomePerformance | null;
+    byModelVersion: OutcomePerformance[];
+  };
+}
+
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled';
+
+export interface BackgroundJob {
+  jobId: string;
+  type: 'batch_analysis' | 'model_training';
+  status: JobStatus;
+  stage?: string;
+  params: Record<string, any>;
+  progress: {
+    total: number;
+    processed: number;
+    succeeded: number;
+    failed: number;
+    retried: number;
+  };
+  percentComplete: number;
+  result?: Record<string, any>;
+  error?: string;
+  logs?: {
+    at: string;
+    level: 'info' | 'warn' | 'error';
+    message: string;
+  }[];
+  attempts: number;
+  cancelRequested: boolean;
+  createdAt: string;
+  startedAt?: string;
+  completedAt?: string;
 }
 
 export interface TeamPerformance {
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+// Default adverse action notice template. Placeholders use {{name}} syntax and
+// are filled from the application, its AI assessment and the manual decision.
+// Override any field with a JSON file at ADVERSE_ACTION_TEMPLATE_PATH.
+const defaultTemplate = {
+  creditor: {
+    name: process.env.CREDITOR_NAME || 'HBUS Credit Services',
+    address: process.env.CREDITOR_ADDRESS || '452 Fifth Avenue, New York, NY 10018',
+    phone: process.env.CREDITOR_PHONE || '1-800-975-4722'
+  },
+  consumerReportingAgency: {
+    name: process.env.CRA_NAME || 'Equifax Information Services LLC',
+    address: process.env.CRA_ADDRESS || 'P.O. Box 740241, Atlanta, GA 30374',
+    phone: process.env.CRA_PHONE || '1-800-685-1111',
+    website: process.env.CRA_WEBSITE || 'www.equifax.com'
+  },
+  federalAgency: {
+    name: process.env.ECOA_AGENCY_NAME || 'Consumer Financial Protection Bureau',
+    address: process.env.ECOA_AGENCY_ADDRESS || '1700 G Street NW, Washington, DC 20552'
+  },
+  subject: 'Notice of Action Taken on Your Credit Application',
+  greeting: 'Dear {{applicantName}},',
+  opening: 'Thank you for your recent application for a {{loanPurpose}} loan of {{loanAmount}} ' +
+    '(application {{applicationId}}). After careful review, we regret that we are unable to approve ' +
+    'your request at this time.',
+  reasonsHeading: 'Principal reason(s) for our decision:',
+  // The principal reasons are this creditor's reasons, not the bureau score's key factors
+  creditScoreDisclosure: 'Your credit score from the consumer reporting agency listed below: ' +
+    '{{creditScore}}. Scores range from a low of 300 to a high of 850. Date: {{creditScoreDate}}. ' +
+    'The principal reasons listed above are the reasons for our decision; they are not the key ' +
+    'factors that affected this score, which you may obtain from the consumer reporting agency.',
+  bureauDisclosure: 'Our credit decision was based in whole or in part on information obtained in a ' +
+    'report from the consumer reporting agency listed below. You have a right under the Fair Credit ' +
+    'Reporting Act to know the information contained in your credit file at the consumer reporting ' +
+    'agency. The reporting agency played no part in our decision and is unable to supply specific ' +
+    'reasons why we have denied credit to you. You also have a right to a free copy of your report ' +
+    'from the reporting agency, if you request it no later than 60 days after you receive this ' +
+    'notice. In addition, if you find that any information contained in the report you receive is ' +
+    'inaccurate or incomplete, you have the right to dispute the matter with the reporting agency.',
+  ecoaNotice: 'The Federal Equal Credit Opportunity Act prohibits creditors from discriminating against ' +
+    'credit applicants on the basis of race, color, religion, national origin, sex, marital status, ' +
+    'age (provided the applicant has the capacity to enter into a binding contract); because all or ' +
+    'part of the applicant\'s income derives from any public assistance program; or because the ' +
+    'applicant has in good faith exercised any right under the Consumer Credit Protection Act. The ' +
+    'Federal agency that administers compliance with this law concerning this creditor is the ' +
+    '{{federalAgencyName}}, {{federalAgencyAddress}}.',
+  closing: 'If you have any questions regarding this notice, please contact us at {{creditorPhone}}.',
+  signature: 'Sincerely,\n{{creditorName}}'
+};
+
+const loadAdverseActionTemplate = () => {
+  const templatePath = process.env.ADVERSE_ACTION_TEMPLATE_PATH;
+  if (!templatePath) return defaultTemplate;
+
+  try {
+    const overrides = JSON.parse(fs.readFileSync(path.resolve(templatePath), 'utf8'));
+    return {
+      ...defaultTemplate,
+      ...overrides,
+      creditor: { ...defaultTemplate.creditor, ...overrides.creditor },
+      consumerReportingAgency: { ...defaultTemplate.consumerReportingAgency, ...overrides.consumerReportingAgency },
+      federalAgency: { ...defaultTemplate.federalAgency, ...overrides.federalAgency }
+    };
+  } catch (error) {
+    logger.error('Failed to load adverse action template, using default', {
+      templatePath,
+      error: error.message
+    });
+    return defaultTemplate;
+  }
+};
+
+module.exports = {
+  defaultTemplate,
+  loadAdverseActionTemplate
+};
@@ -0,0 +1,105 @@
+// Loss given default assumptions by collateral type. Haircut is the expected
+// discount on the collateral's stated value when it is liquidated after default.
+const lgdParameters = {
+  // Loss rate on the part of the exposure not covered by collateral
+  unsecuredLGD: parseFloat(process.env.UNSECURED_LGD) || 0.75,
+  // Workout and legal costs on the part covered by collateral
+  securedLossRate: 0.1,
+  // Regulatory-style floor so no exposure is treated as loss-free
+  lgdFloor: 0.05,
+  collateralHaircuts: {
+    real_estate: 0.3,
+    vehicle: 0.5,
+    investment: 0.2,
+    none: 1
+  }
+};
+
+// Performance statuses that count as a default event (90+ days past due)
+const DEFAULT_STATUSES = ['dpd90', 'default'];
+
+// Risk levels an automated decision can approve (given a priceable offer)
+const APPROVABLE_RISK_LEVELS = ['LOW', 'MEDIUM'];
+
+// Limits an alternative loan structure has to meet to be offered as a counteroffer
+const counterofferLimits = {
+  // Back-end DTI, including the payment on the proposed loan
+  maxDebtToIncome: parseFloat(process.env.MAX_DEBT_TO_INCOME) || 0.43,
+  approvableRiskLevels: APPROVABLE_RISK_LEVELS,
+  minLoanAmount: 1000,
+  termOptions: [12, 24, 36, 48, 60, 72, 84, 120, 180, 240, 360],
+  // Loan amounts are searched in steps of this fraction of the requested amount
+  amountStepFraction: 0.01
+};
+
+// Where cross-application velocity checks look for device and IP evidence
+const velocityParameters = {
+  // Audit actions taken on behalf of the applicant; staff activity is ignored
+  intakeAuditActions: ['application_created', 'application_submitted', 'application_updated', 'documents_uploaded'],
+  // Shared addresses (branch offices, proxies) that must not link applications
+  ignoredIpAddresses: (process.env.VELOCITY_IGNORED_IPS || '')
+    .split(',')
+    .map(ip => ip.trim())
+    .filter(Boolean),
+  maxRelatedApplications: 50,
+  // HMAC key for bank account identity keys; bank account velocity is off without it
+  identityKeySecret: process.env.IDENTITY_KEY_SECRET || ''
+};
+
+// Fair lending (disparate impact) review. Segments smaller than minGroupSize
+// are reported but never flagged; their rates are too noisy to act on.
+const fairLendingParameters = {
+  // Four-fifths rule: a segment's approval rate below 80% of the reference segment's
+  adverseImpactRatio: 0.8,
+  // Standardized mean score difference (Cohen's d) against the reference segment
+  scoreDifference: 0.25,
+  // Drop in approval probability, holding credit factors fixed
+  marginalEffect: 0.05,
+  significanceLevel: 0.05,
+  minGroupSize: 30,
+  ageBands: [
+    { label: '18-24', min: 18, max: 24 },
+    { label: '25-34', min: 25, max: 34 },
+    { label: '35-44', min: 35, max: 44 },
+    { label: '45-54', min: 45, max: 54 },
+    { label: '55-61', min: 55, max: 61 },
+    { label: '62+', min: 62, max: Infinity }
+  ]
+};
+
+// Population stability monitoring. PSI (on the score) and CSI (on each model
+// feature) compare recent applications with the model's training baseline;
+// below 0.1 is stable, 0.1-0.25 a moderate shift, above 0.25 a significant one.
+const driftParameters = {
+  windowDays: parseInt(process.env.DRIFT_WINDOW_DAYS) || 30,
+  bins: 10,
+  warningThreshold: 0.1,
+  alertThreshold: 0.25,
+  minSampleSize: 50,
+  maxSampleSize: 5000,
+  historyDays: 90
+};
+
+// Non-negative integer from the environment, or the default when unset or
+// not a whole number (0 is a valid setting, so `||` will not do)
+const wholeNumberFromEnv = (name, fallback) => {
+  const value = (process.env[name] || '').trim();
+  return /^\d+$/.test(value) ? parseInt(value, 10) : fallback;
+};
+
+// Applicant data missing more model inputs than this is refused instead of
+// being scored on imputed defaults
+const dataQualityParameters = {
+  maxMissingFeatures: wholeNumberFromEnv('MAX_MISSING_FEATURES', 3)
+};
+
+module.exports = {
+  lgdParameters,
+  DEFAULT_STATUSES,
+  APPROVABLE_RISK_LEVELS,
+  counterofferLimits,
+  velocityParameters,
+  fairLendingParameters,
+  driftParameters,
+  dataQualityParameters
+};
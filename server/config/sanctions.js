@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+// Fuzzy match thresholds for sanctions screening. Scores are 0-1. A watchlist
+// entry is a potential match when the name alone clears nameThreshold and the
+// weighted name / date of birth / address score clears matchThreshold.
+const screeningThresholds = {
+  nameThreshold: parseFloat(process.env.SANCTIONS_NAME_THRESHOLD) || 0.88,
+  matchThreshold: parseFloat(process.env.SANCTIONS_MATCH_THRESHOLD) || 0.85,
+  weights: {
+    name: 0.7,
+    dateOfBirth: 0.2,
+    address: 0.1
+  }
+};
+
+// Watchlist files imported on a schedule. WATCHLIST_SOURCES_PATH points to a
+// JSON array of { "name", "format": "csv" | "xml", "location" } where
+// location is a file path or an http(s) URL.
+const loadWatchlistSources = () => {
+  const sourcesPath = process.env.WATCHLIST_SOURCES_PATH;
+  if (!sourcesPath) return [];
+
+  try {
+    const sources = JSON.parse(fs.readFileSync(path.resolve(sourcesPath), 'utf8'));
+    return Array.isArray(sources) ? sources : [];
+  } catch (error) {
+    logger.error('Failed to load watchlist sources', {
+      sourcesPath,
+      error: error.message
+    });
+    return [];
+  }
+};
+
+const importIntervalHours = parseFloat(process.env.WATCHLIST_IMPORT_INTERVAL_HOURS) || 24;
+
+module.exports = {
+  screeningThresholds,
+  loadWatchlistSources,
+  importIntervalHours
+};
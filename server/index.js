@@ -11,6 +11,14 @@ const authRoutes = require('./routes/auth');
 const creditRoutes = require('./routes/credit');
 const aiRoutes = require('./routes/ai');
 const dashboardRoutes = require('./routes/dashboard');
+const policyRoutes = require('./routes/policy');
+const fraudRoutes = require('./routes/fraud');
+const complianceRoutes = require('./routes/compliance');
+const { scheduleWatchlistImports } = require('./services/watchlistImport');
+const { scheduleDriftMonitoring } = require('./services/driftMonitoring');
+const { startJobWorker } = require('./services/jobQueue');
+const { backfillIdentityKeys } = require('./services/fraudVelocity');
+const { aiEngine } = require('./services/scoringEngine');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -39,6 +47,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/credit', creditRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/policy', policyRoutes);
+app.use('/api/fraud', fraudRoutes);
+app.use('/api/compliance', complianceRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -76,6 +87,11 @@ app.listen(PORT, () => {
   logger.info(`🚀 HBUS AI Credit Manager Server running on port ${PORT}`);
   logger.info(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`📊 Health check: http://localhost:${PORT}/api/health`);
+
+  scheduleWatchlistImports();
+  scheduleDriftMonitoring(aiEngine);
+  startJobWorker();
+  backfillIdentityKeys().catch(error => logger.error('Identity key backfill failed', { error: error.message }));
 });
 
 module.exports = app;
\ No newline at end of file
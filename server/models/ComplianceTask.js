@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+const complianceTaskSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['sanctions_review'],
+    required: true
+  },
+  application: { type: ObjectId, ref: 'CreditApplication', required: true },
+  applicationId: String,
+  screening: { type: ObjectId, ref: 'SanctionsScreening' },
+  status: {
+    type: String,
+    enum: ['open', 'cleared', 'confirmed_match'],
+    default: 'open'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'high'
+  },
+  summary: String,
+  assignedTo: { type: ObjectId, ref: 'User' },
+  resolution: {
+    notes: String,
+    resolvedBy: { type: ObjectId, ref: 'User' },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+complianceTaskSchema.index({ status: 1, createdAt: -1 });
+complianceTaskSchema.index({ application: 1, status: 1 });
+
+module.exports = mongoose.model('ComplianceTask', complianceTaskSchema);
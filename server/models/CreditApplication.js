@@ -0,0 +1,460 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const { identityKeysFor } = require('../services/identityKeys');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+const LOAN_PURPOSES = [
+  'home_purchase',
+  'home_improvement',
+  'debt_consolidation',
+  'auto_loan',
+  'business',
+  'education',
+  'medical',
+  'vacation',
+  'other'
+];
+
+const APPLICATION_STATUSES = [
+  'draft',
+  'submitted',
+  'under_review',
+  'pending_documents',
+  'approved',
+  'denied',
+  'withdrawn'
+];
+
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'VERY_HIGH'];
+
+const PERFORMANCE_STATUSES = ['current', 'dpd30', 'dpd60', 'dpd90', 'default', 'paid_off'];
+
+const addressSchema = new mongoose.Schema({
+  street: { type: String, trim: true },
+  city: { type: String, trim: true },
+  state: { type: String, trim: true },
+  zipCode: { type: String, trim: true },
+  country: { type: String, trim: true, default: 'US' },
+  timeAtAddress: { type: Number, min: 0 } // months
+}, { _id: false });
+
+const employmentSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['employed', 'self-employed', 'unemployed', 'retired', 'student']
+  },
+  employer: { type: String, trim: true },
+  jobTitle: { type: String, trim: true },
+  industry: { type: String, trim: true },
+  employmentLength: { type: Number, min: 0 }, // years
+  annualIncome: {
+    type: Number,
+    required: [true, 'Annual income is required'],
+    min: [0, 'Annual income cannot be negative']
+  },
+  monthlyIncome: { type: Number, min: 0 },
+  otherIncome: { type: Number, min: 0, default: 0 }
+}, { _id: false });
+
+const existingDebtSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['credit_card', 'mortgage', 'auto_loan', 'student_loan', 'personal_loan', 'other'],
+    default: 'other'
+  },
+  balance: { type: Number, min: 0, default: 0 },
+  monthlyPayment: { type: Number, min: 0, default: 0 },
+  creditor: { type: String, trim: true }
+}, { _id: false });
+
+const factorSchema = new mongoose.Schema({
+  factor: String,
+  feature: String,
+  impact: { type: String, enum: ['POSITIVE', 'NEGATIVE', 'NEUTRAL'] },
+  contribution: Number, // score points relative to the reference applicant
+  value: Number,
+  description: String
+}, { _id: false });
+
+const reasonCodeSchema = new mongoose.Schema({
+  rank: Number,
+  code: String,
+  feature: String,
+  statement: String,
+  contribution: Number
+}, { _id: false });
+
+const recommendationSchema = new mongoose.Schema({
+  type: { type: String, enum: ['APPROVAL', 'IMPROVEMENT', 'RISK_MITIGATION'] },
+  priority: { type: String, enum: ['LOW', 'MEDIUM', 'HIGH'] },
+  description: String,
+  action: String
+}, { _id: false });
+
+const triggeredRuleSchema = new mongoose.Schema({
+  code: String,
+  name: String,
+  weight: Number
+}, { _id: false });
+
+const velocityMatchSchema = new mongoose.Schema({
+  code: String,
+  identifier: String,
+  windowDays: Number,
+  count: Number,
+  applicationIds: [String]
+}, { _id: false });
+
+const relatedApplicationSchema = new mongoose.Schema({
+  application: { type: ObjectId, ref: 'CreditApplication' },
+  applicationId: String,
+  status: String,
+  createdAt: Date,
+  sharedIdentifiers: [String]
+}, { _id: false });
+
+const identitySignalSchema = new mongoose.Schema({
+  code: String,
+  weight: Number,
+  description: String
+}, { _id: false });
+
+const identityRiskSchema = new mongoose.Schema({
+  identityRiskScore: Number,
+  riskLevel: { type: String, enum: ['LOW', 'MEDIUM', 'HIGH'] },
+  ssnChecked: Boolean,
+  ssnValid: Boolean,
+  ssnIssue: String,
+  signals: [identitySignalSchema]
+}, { _id: false });
+
+const fraudAssessmentSchema = new mongoose.Schema({
+  fraudScore: Number,
+  riskLevel: { type: String, enum: ['LOW', 'MEDIUM', 'HIGH'] },
+  riskFactors: [String],
+  recommendation: { type: String, enum: ['AUTOMATED_PROCESSING', 'MANUAL_REVIEW'] },
+  triggeredRules: [triggeredRuleSchema],
+  ruleSetVersion: Number,
+  velocityMatches: [velocityMatchSchema],
+  relatedApplications: [relatedApplicationSchema],
+  identityRisk: identityRiskSchema
+}, { _id: false });
+
+const riskMetricsSchema = new mongoose.Schema({
+  pd: Number, // probability of default
+  pdCalibrated: Boolean,
+  calibrationMethod: String,
+  calibrationFittedAt: Date,
+  lgd: Number, // loss given default
+  ead: Number, // exposure at default
+  expectedLoss: Number,
+  expectedLossRate: Number
+}, { _id: false });
+
+const offerSchema = new mongoose.Schema({
+  eligible: Boolean,
+  reason: String,
+  interestRate: Number,
+  apr: Number,
+  monthlyPayment: Number,
+  term: Number,
+  amountFinanced: Number,
+  originationFee: Number,
+  totalOfPayments: Number,
+  totalInterest: Number,
+  totalCostOfCredit: Number,
+  components: {
+    baseRate: Number,
+    riskSpread: Number,
+    pdSpread: Number,
+    termAdjustment: Number,
+    purposeAdjustment: Number,
+    collateralAdjustment: Number
+  },
+  rateCardVersion: Number
+}, { _id: false });
+
+const aiAssessmentSchema = new mongoose.Schema({
+  creditScore: { type: Number, min: 300, max: 850 },
+  riskLevel: { type: String, enum: RISK_LEVELS },
+  probability: Number,
+  factors: [factorSchema],
+  reasonCodes: [reasonCodeSchema],
+  referenceScore: Number,
+  riskMetrics: riskMetricsSchema,
+  offer: offerSchema,
+  recommendations: [recommendationSchema],
+  fraudAssessment: fraudAssessmentSchema,
+  processedAt: Date,
+  processedBy: { type: ObjectId, ref: 'User' },
+  modelVersion: String,
+  scorecardVersion: Number,
+  featureVector: [Number],
+  featureHash: String,
+  // Model features scored on an imputed value, and every input that was imputed
+  missingFeatures: [String],
+  imputedInputs: [String]
+}, { _id: false });
+
+const reviewNoteSchema = new mongoose.Schema({
+  note: { type: String, required: true, trim: true },
+  createdBy: { type: ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  category: {
+    type: String,
+    enum: ['general', 'income', 'credit', 'collateral', 'risk'],
+    default: 'general'
+  }
+});
+
+const documentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['pay_stub', 'tax_return', 'bank_statement', 'employment_verification', 'id_copy', 'utility_bill', 'adverse_action_notice', 'other'],
+    default: 'other'
+  },
+  filename: { type: String, required: true },
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  uploadDate: { type: Date, default: Date.now },
+  verified: { type: Boolean, default: false },
+  verifiedBy: { type: ObjectId, ref: 'User' },
+  verifiedAt: Date
+});
+
+const auditEntrySchema = new mongoose.Schema({
+  action: { type: String, required: true },
+  performedBy: { type: ObjectId, ref: 'User' },
+  timestamp: { type: Date, default: Date.now },
+  details: mongoose.Schema.Types.Mixed,
+  ipAddress: String,
+  userAgent: String
+});
+
+const performanceEventSchema = new mongoose.Schema({
+  status: { type: String, enum: PERFORMANCE_STATUSES, required: true },
+  asOf: { type: Date, required: true },
+  source: { type: String, enum: ['api', 'import'], default: 'api' },
+  recordedBy: { type: ObjectId, ref: 'User' },
+  recordedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const creditApplicationSchema = new mongoose.Schema({
+  applicationId: {
+    type: String,
+    unique: true
+  },
+  applicant: {
+    firstName: { type: String, required: [true, 'Applicant first name is required'], trim: true },
+    lastName: { type: String, required: [true, 'Applicant last name is required'], trim: true },
+    middleName: { type: String, trim: true },
+    dateOfBirth: { type: Date, required: [true, 'Applicant date of birth is required'] },
+    ssn: { type: String, required: [true, 'Applicant SSN is required'], trim: true },
+    email: {
+      type: String,
+      required: [true, 'Applicant email is required'],
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid applicant email address']
+    },
+    phone: { type: String, trim: true },
+    address: { type: addressSchema, default: () => ({}) },
+    // Account disbursements are paid into
+    bankAccount: {
+      routingNumber: { type: String, trim: true },
+      accountNumber: { type: String, trim: true }
+    },
+    employment: { type: employmentSchema, required: true }
+  },
+  // Normalized identifiers for velocity checks; derived on save
+  identityKeys: {
+    phone: String,
+    address: String,
+    bankAccount: String,
+    secretId: String // fingerprint of the secret bankAccount was derived with
+  },
+  loan: {
+    amount: {
+      type: Number,
+      required: [true, 'Loan amount is required'],
+      min: [1, 'Loan amount must be positive']
+    },
+    purpose: {
+      type: String,
+      enum: LOAN_PURPOSES,
+      required: [true, 'Loan purpose is required']
+    },
+    term: {
+      type: Number,
+      required: [true, 'Loan term is required'],
+      min: [1, 'Loan term must be at least 1 month']
+    }, // months
+    requestedRate: { type: Number, min: 0 },
+    downPayment: { type: Number, min: 0, default: 0 },
+    collateral: {
+      type: {
+        type: String,
+        enum: ['real_estate', 'vehicle', 'investment', 'none'],
+        default: 'none'
+      },
+      value: { type: Number, min: 0, default: 0 },
+      description: { type: String, trim: true }
+    }
+  },
+  financial: {
+    creditScore: { type: Number, min: 300, max: 850 },
+    bankAccount: {
+      checking: { type: Number, default: 0 },
+      savings: { type: Number, default: 0 },
+      investment: { type: Number, default: 0 }
+    },
+    monthlyExpenses: {
+      housing: { type: Number, default: 0 },
+      utilities: { type: Number, default: 0 },
+      transportation: { type: Number, default: 0 },
+      insurance: { type: Number, default: 0 },
+      food: { type: Number, default: 0 },
+      other: { type: Number, default: 0 }
+    },
+    existingDebts: [existingDebtSchema],
+    debtToIncomeRatio: { type: Number, min: 0 },
+    creditUtilization: { type: Number, min: 0 },
+    paymentHistoryScore: { type: Number, min: 0, max: 100 },
+    numberOfAccounts: { type: Number, min: 0, default: 0 },
+    recentInquiries: { type: Number, min: 0, default: 0 },
+    // Credit file depth, from the bureau report
+    oldestAccountOpened: Date,
+    oldestPrimaryAccountOpened: Date, // oldest account the applicant holds in their own name
+    authorizedUserAccounts: { type: Number, min: 0, default: 0 }
+  },
+  status: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    default: 'draft'
+  },
+  aiAssessment: aiAssessmentSchema,
+  manualReview: {
+    assignedTo: { type: ObjectId, ref: 'User' },
+    assignedAt: Date,
+    reviewNotes: [reviewNoteSchema],
+    decision: {
+      outcome: { type: String, enum: ['approved', 'denied', 'conditional'] },
+      // Internal note; the adverse action notice prints only reasonCodes
+      reason: String,
+      reasonCodes: [String],
+      conditions: [String],
+      decidedBy: { type: ObjectId, ref: 'User' },
+      decidedAt: Date
+    }
+  },
+  // Repayment performance of a booked loan
+  performance: {
+    // Status as of the latest reported date
+    status: {
+      type: String,
+      enum: PERFORMANCE_STATUSES
+    },
+    asOf: Date,
+    // Most severe status ever reported; a cured default still counts as a default
+    worstStatus: {
+      type: String,
+      enum: PERFORMANCE_STATUSES
+    },
+    history: [performanceEventSchema]
+  },
+  compliance: {
+    sanctions: {
+      status: {
+        type: String,
+        enum: ['not_screened', 'clear', 'potential_match', 'cleared', 'confirmed_match', 'unavailable'],
+        default: 'not_screened'
+      },
+      lastScreening: { type: ObjectId, ref: 'SanctionsScreening' },
+      lastScreenedAt: Date,
+      reviewTask: { type: ObjectId, ref: 'ComplianceTask' }
+    }
+  },
+  documents: [documentSchema],
+  auditTrail: [auditEntrySchema],
+  submittedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for the application list filters and dashboard aggregations
+creditApplicationSchema.index({ status: 1, createdAt: -1 });
+creditApplicationSchema.index({ createdAt: -1 });
+creditApplicationSchema.index({ submittedAt: -1 });
+creditApplicationSchema.index({ 'aiAssessment.riskLevel': 1, status: 1 });
+creditApplicationSchema.index({ 'aiAssessment.fraudAssessment.riskLevel': 1, status: 1 });
+creditApplicationSchema.index({ 'manualReview.assignedTo': 1, status: 1 });
+creditApplicationSchema.index({ 'manualReview.assignedAt': 1 });
+creditApplicationSchema.index({ 'auditTrail.performedBy': 1 });
+creditApplicationSchema.index({ 'loan.purpose': 1 });
+creditApplicationSchema.index({ 'performance.status': 1 });
+creditApplicationSchema.index({ 'compliance.sanctions.status': 1 });
+creditApplicationSchema.index({ 'applicant.lastName': 1, 'applicant.firstName': 1 });
+creditApplicationSchema.index({ 'applicant.email': 1 });
+creditApplicationSchema.index({ 'applicant.ssn': 1, createdAt: -1 });
+creditApplicationSchema.index({ 'applicant.address.zipCode': 1, createdAt: -1 });
+creditApplicationSchema.index({ 'auditTrail.ipAddress': 1 });
+creditApplicationSchema.index({ 'identityKeys.phone': 1, createdAt: -1 });
+creditApplicationSchema.index({ 'identityKeys.address': 1, createdAt: -1 });
+creditApplicationSchema.index({ 'identityKeys.bankAccount': 1, createdAt: -1 });
+
+// Virtuals
+creditApplicationSchema.virtual('applicantFullName').get(function() {
+  if (!this.applicant) return undefined;
+
+  return [this.applicant.firstName, this.applicant.middleName, this.applicant.lastName]
+    .filter(Boolean)
+    .join(' ');
+});
+
+// Generate a human-readable application ID, e.g. HBUS-20240115-3F9A2C
+creditApplicationSchema.pre('validate', function(next) {
+  if (!this.applicationId) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+    this.applicationId = `HBUS-${date}-${suffix}`;
+  }
+  next();
+});
+
+// Keep the velocity check keys in step with the applicant's identifiers
+creditApplicationSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('applicant')) {
+    this.identityKeys = identityKeysFor(this.applicant);
+  }
+  next();
+});
+
+// Stamp completion time when the application reaches a final decision
+creditApplicationSchema.pre('save', function(next) {
+  if (this.isModified('status') && ['approved', 'denied'].includes(this.status) && !this.completedAt) {
+    this.completedAt = new Date();
+  }
+  next();
+});
+
+// Append an entry to the audit trail (caller is responsible for saving)
+creditApplicationSchema.methods.addAuditEntry = function(action, user, details = {}, req) {
+  this.auditTrail.push({
+    action,
+    performedBy: user ? user._id : undefined,
+    timestamp: new Date(),
+    details,
+    ipAddress: req ? req.ip : undefined,
+    userAgent: req && req.get ? req.get('User-Agent') : undefined
+  });
+
+  return this;
+};
+
+module.exports = mongoose.model('CreditApplication', creditApplicationSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const DRIFT_STATUSES = ['stable', 'warning', 'alert', 'insufficient_data'];
+
+const featureDriftSchema = new mongoose.Schema({
+  feature: String,
+  csi: Number,
+  status: { type: String, enum: DRIFT_STATUSES },
+  // Share of score variation driven by the feature in the window (|weight| x std dev)
+  importance: Number
+}, { _id: false });
+
+const driftAlertSchema = new mongoose.Schema({
+  metric: { type: String, enum: ['psi', 'csi'] },
+  feature: String,
+  value: Number,
+  threshold: Number,
+  severity: { type: String, enum: ['warning', 'alert'] }
+}, { _id: false });
+
+// Daily population stability result for one model version
+const driftSnapshotSchema = new mongoose.Schema({
+  date: { type: Date, required: true }, // UTC day the snapshot covers
+  modelVersion: { type: String, required: true },
+  scorecardVersion: Number,
+  window: {
+    from: Date,
+    to: Date
+  },
+  sampleCount: Number,
+  baseline: {
+    source: String,
+    sampleCount: Number,
+    createdAt: Date
+  },
+  score: {
+    psi: Number,
+    status: { type: String, enum: DRIFT_STATUSES },
+    edges: [Number],
+    expected: [Number],
+    actual: [Number]
+  },
+  features: [featureDriftSchema],
+  status: { type: String, enum: DRIFT_STATUSES, required: true },
+  alerts: [driftAlertSchema],
+  computedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+driftSnapshotSchema.index({ modelVersion: 1, date: -1 }, { unique: true });
+driftSnapshotSchema.index({ date: -1 });
+
+module.exports = mongoose.model('DriftSnapshot', driftSnapshotSchema);
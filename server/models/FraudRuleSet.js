@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { RULE_OPERATORS, RULE_MATCH_MODES, VELOCITY_IDENTIFIERS } = require('../services/fraudRules');
+
+const conditionSchema = new mongoose.Schema({
+  field: { type: String, required: true, trim: true },
+  operator: { type: String, enum: RULE_OPERATORS, required: true },
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const ruleSchema = new mongoose.Schema({
+  code: { type: String, required: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  description: String,
+  riskFactor: String, // shown to underwriters when the rule fires
+  enabled: { type: Boolean, default: true },
+  match: { type: String, enum: RULE_MATCH_MODES, default: 'all' },
+  conditions: [conditionSchema],
+  weight: { type: Number, required: true }
+}, { _id: false });
+
+const velocityCheckSchema = new mongoose.Schema({
+  code: { type: String, required: true, trim: true },
+  identifier: { type: String, enum: VELOCITY_IDENTIFIERS, required: true },
+  windowDays: { type: Number, required: true, min: 1 },
+  threshold: { type: Number, required: true, min: 1 }, // matching applications needed to fire
+  weight: { type: Number, required: true },
+  enabled: { type: Boolean, default: true }
+}, { _id: false });
+
+const fraudRuleSetSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule set name is required'],
+    trim: true
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'retired'],
+    default: 'draft'
+  },
+  rules: [ruleSchema],
+  velocityChecks: [velocityCheckSchema],
+  thresholds: {
+    medium: { type: Number, required: true },
+    high: { type: Number, required: true }
+  },
+  manualReviewThreshold: { type: Number, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  publishedAt: Date,
+  retiredAt: Date
+}, {
+  timestamps: true
+});
+
+fraudRuleSetSchema.index({ status: 1 });
+
+module.exports = mongoose.model('FraudRuleSet', fraudRuleSetSchema);
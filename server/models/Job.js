@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const JOB_TYPES = ['batch_analysis', 'model_training'];
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+const jobLogSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  level: { type: String, enum: ['info', 'warn', 'error'], default: 'info' },
+  message: { type: String, required: true }
+}, { _id: false });
+
+const jobProgressSchema = new mongoose.Schema({
+  total: { type: Number, default: 0 },
+  processed: { type: Number, default: 0 },
+  succeeded: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  retried: { type: Number, default: 0 }
+}, { _id: false });
+
+// Background work run by the job worker (services/jobQueue). A running job
+// holds a lease that its worker renews; a job whose lease has expired is
+// picked up again by the next worker.
+const jobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: JOB_TYPES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  stage: String, // handler-defined step within a running job
+  params: { type: mongoose.Schema.Types.Mixed, default: {} },
+  progress: { type: jobProgressSchema, default: () => ({}) },
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  logs: [jobLogSchema],
+  attempts: { type: Number, default: 0 },
+  cancelRequested: { type: Boolean, default: false },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  lockedBy: String,
+  leaseExpiresAt: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, createdAt: 1 });
+jobSchema.index({ type: 1, createdAt: -1 });
+jobSchema.index({ createdBy: 1, createdAt: -1 });
+
+jobSchema.pre('save', function(next) {
+  if (!this.jobId) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+    this.jobId = `JOB-${date}-${suffix}`;
+  }
+  next();
+});
+
+jobSchema.virtual('percentComplete').get(function() {
+  const { total, processed } = this.progress || {};
+  return total > 0 ? Math.round((processed / total) * 1000) / 10 : 0;
+});
+
+jobSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One unit of work of a job (e.g. one application of a batch analysis), kept
+// outside the job document so a job can have any number of items
+const jobItemSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  key: { type: String, required: true }, // e.g. the applicationId
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'succeeded', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  retryAt: Date, // earliest time a failed item is tried again
+  result: mongoose.Schema.Types.Mixed,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+jobItemSchema.index({ job: 1, key: 1 }, { unique: true });
+jobItemSchema.index({ job: 1, status: 1 });
+
+module.exports = mongoose.model('JobItem', jobItemSchema);
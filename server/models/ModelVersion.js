@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+const metricsSchema = new mongoose.Schema({
+  sampleCount: Number,
+  accuracy: Number,
+  precision: Number,
+  recall: Number,
+  f1Score: Number,
+  auc: Number,
+  logLoss: Number
+}, { _id: false });
+
+// Quantile bins of one variable over the training data
+const distributionSchema = new mongoose.Schema({
+  edges: [Number], // upper bounds of every bin but the last
+  proportions: [Number]
+}, { _id: false });
+
+const featureDistributionSchema = new mongoose.Schema({
+  feature: String,
+  edges: [Number],
+  proportions: [Number]
+}, { _id: false });
+
+// Persisted credit scoring model artifact: everything needed to rebuild the
+// scorer plus the data, hyperparameters and holdout metrics that produced it
+const modelVersionSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  algorithm: {
+    type: String,
+    enum: ['logistic_regression'],
+    default: 'logistic_regression'
+  },
+  featureNames: [String],
+  parameters: {
+    weights: [Number],
+    intercept: Number,
+    // Mean training feature vector; score contributions are measured against it
+    referenceFeatures: [Number]
+  },
+  hyperparameters: mongoose.Schema.Types.Mixed,
+  trainingData: {
+    source: String,
+    scorecardVersion: Number,
+    sampleCount: Number,
+    positiveCount: Number,
+    negativeCount: Number,
+    trainingCount: Number,
+    holdoutCount: Number,
+    dateRange: {
+      from: Date,
+      to: Date
+    },
+    datasetHash: String
+  },
+  metrics: {
+    training: metricsSchema,
+    holdout: metricsSchema
+  },
+  // Score and feature distributions that drift monitoring compares against
+  baseline: {
+    source: { type: String, enum: ['training', 'reference_period'] },
+    sampleCount: Number,
+    createdAt: Date,
+    score: distributionSchema,
+    features: [featureDistributionSchema]
+  },
+  // Probability-of-default calibration fitted on loan outcomes
+  calibration: {
+    method: { type: String, enum: ['platt', 'isotonic'] },
+    parameters: mongoose.Schema.Types.Mixed,
+    fittedAt: Date,
+    fittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    sampleCount: Number,
+    defaultRate: Number,
+    brierScore: Number,
+    uncalibratedBrierScore: Number
+  },
+  trainedAt: {
+    type: Date,
+    default: Date.now
+  },
+  trainedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  trainingJob: String, // jobId of the training job that produced this version
+  // Registry lifecycle: trained models start as candidates and only score
+  // live traffic once an admin promotes them to champion. A challenger
+  // shadow-scores live traffic without affecting decisions.
+  status: {
+    type: String,
+    enum: ['candidate', 'challenger', 'champion', 'retired'],
+    default: 'candidate'
+  },
+  challengerSince: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  approvalNotes: String,
+  promotedAt: Date,
+  demotedAt: Date,
+  // Champion this version replaced when it was promoted (null: the built-in
+  // baseline model); rollback follows this chain
+  previousChampion: String
+}, {
+  timestamps: true
+});
+
+modelVersionSchema.index({ trainedAt: -1 });
+modelVersionSchema.index({ status: 1, demotedAt: -1 });
+
+// Shape consumed by AICreditscoringEngine.loadModel()
+modelVersionSchema.methods.toArtifact = function() {
+  return {
+    version: this.version,
+    algorithm: this.algorithm,
+    featureNames: this.featureNames,
+    weights: this.parameters.weights,
+    intercept: this.parameters.intercept,
+    referenceFeatures: this.parameters.referenceFeatures,
+    calibration: this.calibration && this.calibration.method ? this.toObject().calibration : null
+  };
+};
+
+module.exports = mongoose.model('ModelVersion', modelVersionSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const termAdjustmentSchema = new mongoose.Schema({
+  minTerm: Number, // months, inclusive, open-ended when omitted
+  maxTerm: Number, // months, exclusive, open-ended when omitted
+  adjustment: { type: Number, required: true }
+}, { _id: false });
+
+const rateCardSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rate card name is required'],
+    trim: true
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'retired'],
+    default: 'draft'
+  },
+  // All rates and adjustments are annual percentages
+  baseRate: { type: Number, required: true },
+  riskSpreads: { type: Map, of: Number }, // tiers left out are not offered
+  pdSpreadPerPoint: { type: Number, default: 0 },
+  termAdjustments: [termAdjustmentSchema],
+  purposeAdjustments: { type: Map, of: Number },
+  collateralAdjustments: { type: Map, of: Number },
+  originationFeeRate: { type: Number, default: 0, min: 0 },
+  minRate: { type: Number, required: true, min: 0 },
+  maxRate: { type: Number, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  activatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  activatedAt: Date,
+  retiredAt: Date
+}, {
+  timestamps: true
+});
+
+rateCardSchema.index({ status: 1 });
+
+module.exports = mongoose.model('RateCard', rateCardSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+const screeningMatchSchema = new mongoose.Schema({
+  entry: { type: ObjectId, ref: 'WatchlistEntry' },
+  listName: String,
+  sourceUid: String,
+  entryType: String,
+  matchedName: String,
+  programs: [String],
+  score: Number,
+  nameScore: Number,
+  dateOfBirthScore: Number, // null when the list has no date of birth
+  addressScore: Number // null when the list has no comparable address
+}, { _id: false });
+
+const screenedListSchema = new mongoose.Schema({
+  listName: String,
+  import: { type: ObjectId, ref: 'WatchlistImport' },
+  importedAt: Date,
+  entryCount: Number
+}, { _id: false });
+
+// Audit record of one screening run
+const sanctionsScreeningSchema = new mongoose.Schema({
+  application: { type: ObjectId, ref: 'CreditApplication', required: true },
+  applicationId: String,
+  trigger: {
+    type: String,
+    enum: ['submission', 'analysis', 'batch_analysis', 'decision', 'manual'],
+    required: true
+  },
+  screenedBy: { type: ObjectId, ref: 'User' },
+  screenedAt: { type: Date, default: Date.now },
+  subject: {
+    name: String,
+    dateOfBirth: Date,
+    country: String
+  },
+  thresholds: {
+    nameThreshold: Number,
+    matchThreshold: Number
+  },
+  lists: [screenedListSchema],
+  candidatesEvaluated: Number,
+  result: {
+    type: String,
+    enum: ['clear', 'potential_match'],
+    required: true
+  },
+  matches: [screeningMatchSchema],
+  reviewTask: { type: ObjectId, ref: 'ComplianceTask' }
+}, {
+  timestamps: true
+});
+
+sanctionsScreeningSchema.index({ application: 1, screenedAt: -1 });
+sanctionsScreeningSchema.index({ result: 1, screenedAt: -1 });
+
+module.exports = mongoose.model('SanctionsScreening', sanctionsScreeningSchema);
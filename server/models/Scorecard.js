@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { SCORECARD_METHODS } = require('../services/scorecard');
+
+const binSchema = new mongoose.Schema({
+  min: Number, // inclusive, open-ended when omitted
+  max: Number, // exclusive, open-ended when omitted
+  points: { type: Number, required: true },
+  label: String
+}, { _id: false });
+
+const attributeSchema = new mongoose.Schema({
+  feature: { type: String, required: true },
+  method: { type: String, enum: SCORECARD_METHODS, required: true },
+  divisor: { type: Number, default: 1 },
+  defaultValue: mongoose.Schema.Types.Mixed,
+  bins: [binSchema],
+  lookup: { type: Map, of: Number },
+  defaultPoints: Number
+}, { _id: false });
+
+const scorecardSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Scorecard name is required'],
+    trim: true
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'retired'],
+    default: 'draft'
+  },
+  attributes: [attributeSchema],
+  effectiveFrom: Date,
+  effectiveTo: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  activatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  activatedAt: Date,
+  retiredAt: Date
+}, {
+  timestamps: true
+});
+
+scorecardSchema.index({ status: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('Scorecard', scorecardSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'VERY_HIGH'];
+const DECISIONS = ['approve', 'decline'];
+
+const shadowResultSchema = new mongoose.Schema({
+  modelVersion: String,
+  creditScore: Number,
+  riskLevel: { type: String, enum: RISK_LEVELS },
+  probability: Number,
+  pd: Number,
+  offerEligible: Boolean,
+  decision: { type: String, enum: DECISIONS }
+}, { _id: false });
+
+// Champion and challenger results for one scoring of the same inputs. Kept
+// apart from the application's aiAssessment so a challenger can never be
+// mistaken for (or replace) the decision.
+const shadowScoreSchema = new mongoose.Schema({
+  application: { type: mongoose.Schema.Types.ObjectId, ref: 'CreditApplication' },
+  applicationId: String, // absent for ad-hoc applicant data
+  scorecardVersion: Number,
+  featureHash: String, // of the champion assessment
+  champion: shadowResultSchema,
+  challenger: shadowResultSchema,
+  source: { type: String, enum: ['analysis', 'batch_analysis'], default: 'analysis' },
+  scoredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  scoredAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+shadowScoreSchema.index({ 'challenger.modelVersion': 1, scoredAt: -1 });
+shadowScoreSchema.index({ applicationId: 1, scoredAt: -1 });
+
+module.exports = mongoose.model('ShadowScore', shadowScoreSchema);
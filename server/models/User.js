@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOCK_TIME = 2 * 60 * 60 * 1000; // 2 hours
+
+const permissionSchema = new mongoose.Schema({
+  resource: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  actions: [{
+    type: String,
+    enum: ['create', 'read', 'update', 'delete', 'approve']
+  }]
+}, { _id: false });
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    minlength: [3, 'Username must be at least 3 characters'],
+    maxlength: [50, 'Username cannot exceed 50 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'underwriter', 'analyst', 'viewer'],
+    default: 'analyst'
+  },
+  department: {
+    type: String,
+    enum: ['credit', 'risk', 'compliance', 'operations'],
+    required: [true, 'Department is required']
+  },
+  permissions: [permissionSchema],
+  lastLogin: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  loginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.password;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+userSchema.index({ role: 1, isActive: 1 });
+
+// Virtuals
+userSchema.virtual('fullName').get(function() {
+  return `${this.firstName} ${this.lastName}`;
+});
+
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Hash password before saving
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
+    this.password = await bcrypt.hash(this.password, saltRounds);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare candidate password with stored hash
+userSchema.methods.comparePassword = async function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Increment failed login attempts and lock the account once the limit is reached
+userSchema.methods.incLoginAttempts = function() {
+  // Previous lock has expired - restart the count
+  if (this.lockUntil && this.lockUntil < Date.now()) {
+    return this.updateOne({
+      $set: { loginAttempts: 1 },
+      $unset: { lockUntil: 1 }
+    });
+  }
+
+  const updates = { $inc: { loginAttempts: 1 } };
+
+  if (this.loginAttempts + 1 >= MAX_LOGIN_ATTEMPTS && !this.isLocked) {
+    updates.$set = { lockUntil: new Date(Date.now() + LOCK_TIME) };
+  }
+
+  return this.updateOne(updates);
+};
+
+userSchema.methods.resetLoginAttempts = function() {
+  this.loginAttempts = 0;
+  this.lockUntil = undefined;
+
+  return this.updateOne({
+    $set: { loginAttempts: 0 },
+    $unset: { lockUntil: 1 }
+  });
+};
+
+// Check whether the user may perform an action on a resource
+userSchema.methods.hasPermission = function(resource, action) {
+  if (this.role === 'admin') return true;
+
+  const permission = (this.permissions || []).find(p => p.resource === resource);
+  return !!(permission && permission.actions.includes(action));
+};
+
+module.exports = mongoose.model('User', userSchema);
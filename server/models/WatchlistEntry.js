@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const dateOfBirthSchema = new mongoose.Schema({
+  year: Number,
+  month: Number, // 1-12, missing when only the year is listed
+  day: Number
+}, { _id: false });
+
+const watchlistAddressSchema = new mongoose.Schema({
+  street: String,
+  city: String,
+  state: String,
+  postalCode: String,
+  country: String
+}, { _id: false });
+
+const watchlistEntrySchema = new mongoose.Schema({
+  listName: { type: String, required: true, trim: true },
+  sourceUid: String, // identifier on the published list
+  entryType: {
+    type: String,
+    enum: ['individual', 'entity', 'vessel', 'aircraft', 'other'],
+    default: 'other'
+  },
+  name: { type: String, required: true, trim: true },
+  aliases: [String],
+  // Normalized tokens and 3-letter prefixes of every name, for candidate lookup
+  nameTokens: [String],
+  namePrefixes: [String],
+  datesOfBirth: [dateOfBirthSchema],
+  addresses: [watchlistAddressSchema],
+  programs: [String],
+  remarks: String,
+  import: { type: mongoose.Schema.Types.ObjectId, ref: 'WatchlistImport' }
+}, {
+  timestamps: true
+});
+
+watchlistEntrySchema.index({ listName: 1, import: 1 });
+watchlistEntrySchema.index({ namePrefixes: 1 });
+
+module.exports = mongoose.model('WatchlistEntry', watchlistEntrySchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const watchlistImportSchema = new mongoose.Schema({
+  listName: { type: String, required: true, trim: true },
+  format: { type: String, enum: ['csv', 'xml'], required: true },
+  source: String, // file path, URL or uploaded file name
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'manual'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  entryCount: { type: Number, default: 0 },
+  skippedCount: { type: Number, default: 0 },
+  error: String,
+  sourceHash: String,
+  startedAt: { type: Date, default: Date.now },
+  completedAt: Date,
+  importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+watchlistImportSchema.index({ listName: 1, startedAt: -1 });
+
+module.exports = mongoose.model('WatchlistImport', watchlistImportSchema);
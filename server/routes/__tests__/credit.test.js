@@ -0,0 +1,110 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = { _id: '507f1f77bcf86cd799439011', role: 'underwriter' };
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+  checkPermission: () => (req, res, next) => next()
+}));
+
+jest.mock('../../services/sanctionsScreening', () => ({
+  ...jest.requireActual('../../services/sanctionsScreening'),
+  screenApplication: jest.fn()
+}));
+
+const CreditApplication = require('../../models/CreditApplication');
+const { screenApplication } = require('../../services/sanctionsScreening');
+const creditRoutes = require('../credit');
+
+const app = express();
+app.use(express.json());
+app.use('/api/credit', creditRoutes);
+
+function submittedApplication(sanctionsStatus) {
+  const application = new CreditApplication({
+    applicationId: 'APP-TEST-1',
+    status: 'submitted',
+    applicant: { firstName: 'Ana', lastName: 'Lopez' },
+    compliance: { sanctions: { status: sanctionsStatus } }
+  });
+  application.save = jest.fn().mockResolvedValue(application);
+  jest.spyOn(CreditApplication, 'findOne').mockResolvedValue(application);
+  return application;
+}
+
+const screensAs = status => async (application) => {
+  application.set('compliance.sanctions.status', status);
+  return { status };
+};
+
+describe('POST /api/credit/applications/:id/decision sanctions hold', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('refuses approval when screening runs with no watchlists loaded', async () => {
+    const application = submittedApplication('not_screened');
+    screenApplication.mockImplementation(screensAs('unavailable'));
+
+    const res = await request(app)
+      .post('/api/credit/applications/APP-TEST-1/decision')
+      .send({ outcome: 'approved' });
+
+    expect(screenApplication).toHaveBeenCalled();
+    expect(res.status).toBe(503);
+    expect(res.body.message).toMatch(/no watchlists are loaded/);
+    expect(res.body.data.sanctionsStatus).toBe('unavailable');
+    expect(application.status).toBe('submitted');
+  });
+
+  it('refuses approval on a potential watchlist match', async () => {
+    submittedApplication('potential_match');
+
+    const res = await request(app)
+      .post('/api/credit/applications/APP-TEST-1/decision')
+      .send({ outcome: 'conditional' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.data.sanctionsStatus).toBe('potential_match');
+  });
+
+  it('approves once the re-screen comes back clear', async () => {
+    const application = submittedApplication('unavailable');
+    screenApplication.mockImplementation(screensAs('clear'));
+
+    const res = await request(app)
+      .post('/api/credit/applications/APP-TEST-1/decision')
+      .send({ outcome: 'approved' });
+
+    expect(res.status).toBe(200);
+    expect(application.status).toBe('approved');
+  });
+});
+
+describe('POST /api/credit/applications/:id/decision denial reasons', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('needs a reason code, not just free text, to deny without an AI assessment', async () => {
+    submittedApplication('clear');
+
+    const res = await request(app)
+      .post('/api/credit/applications/APP-TEST-1/decision')
+      .send({ outcome: 'denied', reason: 'Does not fit our appetite' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/reason code is required/);
+  });
+
+  it('rejects reason codes that have no notice statement', async () => {
+    submittedApplication('clear');
+
+    const res = await request(app)
+      .post('/api/credit/applications/APP-TEST-1/decision')
+      .send({ outcome: 'denied', reasonCodes: ['D01', 'X99'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Unknown reason codes: X99');
+    expect(res.body.data.allowedReasonCodes).toMatchObject({ R03: 'Excessive obligations in relation to income' });
+  });
+});
@@ -1,38 +1,86 @@
 const express = require('express');
+const multer = require('multer');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
 const CreditApplication = require('../models/CreditApplication');
-const AICreditscoringEngine = require('../services/aiCreditScoring');
+const ModelVersion = require('../models/ModelVersion');
+const Job = require('../models/Job');
+const JobItem = require('../models/JobItem');
+const { aiEngine, initializeEngine } = require('../services/scoringEngine');
+const { BASELINE_MODEL } = require('../services/aiCreditScoring');
+const { calibrateModelVersion } = require('../services/modelTraining');
+const { toApplicantData, assertScorable } = require('../services/applicantFeatures');
+const { validateApplicantData } = require('../services/applicantValidation');
+const { generateCounteroffers } = require('../services/counteroffers');
+const { simulateApplication } = require('../services/whatIfSimulation');
+const { scorePortfolio } = require('../services/portfolioScoring');
+const { createBatchAnalysisJob, summarizeBatchJob, JOB_TYPE: BATCH_JOB_TYPE } = require('../services/batchAnalysis');
+const { createTrainingJob } = require('../services/trainingJob');
+const { cancelJob } = require('../services/jobQueue');
+const { findRelatedApplications } = require('../services/fraudVelocity');
+const { recordShadowScore, compareChallenger } = require('../services/championChallenger');
+const { runBacktest } = require('../services/backtest');
+const { screenApplication, BLOCKING_STATUSES, UNSCREENED_STATUSES } = require('../services/sanctionsScreening');
+const { ensureDailySnapshot, recordDriftSnapshot, getDriftHistory } = require('../services/driftMonitoring');
+const { outcomePerformanceByModel } = require('../services/modelPerformance');
+const { driftParameters, DEFAULT_STATUSES } = require('../config/riskParameters');
+const modelRegistry = require('../services/modelRegistry');
+const { CALIBRATION_METHODS } = require('../services/calibration');
 const { aiLogger } = require('../utils/logger');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { protect, authorize, checkPermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Initialize AI engine
-const aiEngine = new AICreditscoringEngine();
-
-// Initialize the AI model when the module loads
-(async () => {
-  try {
-    await aiEngine.initializeModel();
-    aiLogger.info('AI Credit Scoring Engine initialized successfully');
-  } catch (error) {
-    aiLogger.error('Failed to initialize AI engine:', error);
+// Portfolio files can be large; they are spooled to disk and streamed from there
+const portfolioUpload = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: {
+    fileSize: parseInt(process.env.PORTFOLIO_MAX_FILE_SIZE) || 500 * 1024 * 1024
   }
-})();
+});
+
+// Resolve once the response can take more data, or has been closed by the client
+const drained = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Initialize the shared AI engine when the module loads
+initializeEngine();
 
 // @desc    Get AI model status and health
 // @route   GET /api/ai/status
 // @access  Private
 router.get('/status', protect, asyncHandler(async (req, res) => {
+  const [champion, [outcomes]] = await Promise.all([
+    ModelVersion.findOne({ version: aiEngine.modelVersion }).select('version trainedAt promotedAt'),
+    outcomePerformanceByModel({ modelVersion: aiEngine.modelVersion })
+  ]);
+
   const status = {
     modelLoaded: aiEngine.isModelLoaded,
-    version: '1.0.0',
+    version: aiEngine.modelVersion,
+    challengerVersion: aiEngine.challengerVersion,
     features: aiEngine.featureNames,
-    lastUpdated: new Date().toISOString(),
+    scorecardVersion: aiEngine.getActiveScorecard().version,
+    rateCardVersion: aiEngine.rateCard.version,
+    fraudRuleSetVersion: aiEngine.fraudRuleSet.version,
+    lastUpdated: champion ? (champion.promotedAt || champion.trainedAt).toISOString() : null,
+    // Measured on repayment outcomes of the loans this model scored; null
+    // until there are enough outcomes (see /metrics for the full breakdown)
     performance: {
-      averageProcessingTime: '250ms',
-      accuracy: '94.2%',
-      throughput: '500 applications/hour'
+      outcomeSampleCount: outcomes ? outcomes.sampleCount : 0,
+      sufficientData: outcomes ? outcomes.sufficientData : false,
+      auc: outcomes ? outcomes.auc : null,
+      gini: outcomes ? outcomes.gini : null,
+      ks: outcomes ? outcomes.ks : null
     },
     health: aiEngine.isModelLoaded ? 'healthy' : 'degraded'
   };
@@ -75,30 +123,41 @@ router.post('/analyze',
         });
       }
 
-      // Convert application data to format expected by AI engine
-      dataToAnalyze = {
-        id: application._id,
-        creditScore: application.financial.creditScore,
-        annualIncome: application.applicant.employment.annualIncome,
-        debtToIncomeRatio: application.financial.debtToIncomeRatio,
-        employmentLength: application.applicant.employment.employmentLength || 0,
-        loanAmount: application.loan.amount,
-        loanTerm: application.loan.term,
-        paymentHistoryScore: application.financial.paymentHistoryScore || 80,
-        creditUtilization: application.financial.creditUtilization || 0.3,
-        numberOfAccounts: application.financial.numberOfAccounts || 5,
-        recentInquiries: application.financial.recentInquiries || 1,
-        collateralValue: application.loan.collateral?.value || 0,
-        loanPurpose: application.loan.purpose,
-        timeAtAddress: application.applicant.address.timeAtAddress || 12,
-        age: application.applicant.dateOfBirth ? 
-          Math.floor((Date.now() - application.applicant.dateOfBirth.getTime()) / (365.25 * 24 * 60 * 60 * 1000)) : 35
-      };
+      dataToAnalyze = toApplicantData(application);
     } else {
-      // Analyze provided data directly
+      // Analyze provided data directly, once it passes the input rules
+      const errors = validateApplicantData(applicantData);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid applicant data',
+          errors
+        });
+      }
+
       dataToAnalyze = applicantData;
     }
 
+    // Refuse rather than score mostly on imputed defaults
+    try {
+      assertScorable(dataToAnalyze);
+    } catch (error) {
+      if (!error.missingFeatures) throw error;
+
+      aiLogger.warn('AI analysis refused: too many missing inputs', {
+        userId: req.user._id,
+        applicationId: applicationId,
+        missingFeatures: error.missingFeatures
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Too many missing inputs to score this application',
+        missingFeatures: error.missingFeatures,
+        maxMissingFeatures: error.maxMissingFeatures
+      });
+    }
+
     if (!aiEngine.isModelLoaded) {
       aiLogger.error('AI model not loaded for analysis request', {
         userId: req.user._id,
@@ -114,7 +173,13 @@ router.post('/analyze',
     try {
       // Run AI analysis
       const aiAssessment = await aiEngine.predictCreditScore(dataToAnalyze);
-      const fraudAssessment = await aiEngine.evaluateFraudRisk(dataToAnalyze);
+      const velocity = application
+        ? await findRelatedApplications(application, aiEngine.fraudRuleSet.velocityChecks)
+        : null;
+      const fraudAssessment = await aiEngine.evaluateFraudRisk(dataToAnalyze, { velocity });
+
+      // Stored on its own and left out of the response: only the champion decides
+      await recordShadowScore(aiEngine, dataToAnalyze, aiAssessment, { application, user: req.user });
 
       // Combine assessments
       const fullAssessment = {
@@ -131,12 +196,19 @@ router.post('/analyze',
         application.addAuditEntry('ai_analysis_completed', req.user, {
           creditScore: aiAssessment.creditScore,
           riskLevel: aiAssessment.riskLevel,
-          fraudRisk: fraudAssessment.riskLevel
+          fraudRisk: fraudAssessment.riskLevel,
+          relatedApplications: (fraudAssessment.relatedApplications || []).map(related => related.applicationId)
         }, req);
+
+        if (UNSCREENED_STATUSES.includes(application.compliance.sanctions.status)) {
+          await screenApplication(application, { trigger: 'analysis', user: req.user, req });
+        }
         
         await application.save();
       }
 
+      const sanctionsStatus = application ? application.compliance.sanctions.status : null;
+
       aiLogger.info('AI analysis completed', {
         userId: req.user._id,
         applicationId: applicationId,
@@ -152,7 +224,8 @@ router.post('/analyze',
         data: {
           assessment: fullAssessment,
           recommendations: aiAssessment.recommendations,
-          nextSteps: generateNextSteps(fullAssessment)
+          sanctionsStatus,
+          nextSteps: generateNextSteps(fullAssessment, sanctionsStatus)
         }
       });
 
@@ -173,153 +246,527 @@ router.post('/analyze',
   })
 );
 
-// @desc    Batch analyze multiple applications
-// @route   POST /api/ai/batch-analyze
-// @access  Private - requires admin or underwriter role
-router.post('/batch-analyze',
+// @desc    Reproduce a stored AI assessment from its recorded inputs
+// @route   GET /api/ai/reproduce/:applicationId
+// @access  Private - requires 'applications' read permission
+router.get('/reproduce/:applicationId',
   protect,
-  authorize('admin', 'underwriter'),
+  checkPermission('applications', 'read'),
+  asyncHandler(async (req, res) => {
+    const application = await CreditApplication.findOne({
+      applicationId: req.params.applicationId
+    }).select('applicationId aiAssessment');
+
+    if (!application || !application.aiAssessment || !application.aiAssessment.featureHash) {
+      return res.status(404).json({
+        success: false,
+        message: 'No reproducible AI assessment found for this application'
+      });
+    }
+
+    // Replay against the exact model version that produced the assessment
+    let artifact = null;
+    if (application.aiAssessment.modelVersion !== aiEngine.modelVersion) {
+      const modelVersion = await ModelVersion.findOne({ version: application.aiAssessment.modelVersion });
+      artifact = modelVersion ? modelVersion.toArtifact() : null;
+    }
+
+    const result = aiEngine.reproduceAssessment(application.aiAssessment, artifact);
+
+    aiLogger.info('AI assessment reproduction requested', {
+      userId: req.user._id,
+      applicationId: application.applicationId,
+      featureHash: application.aiAssessment.featureHash,
+      reproducible: result.reproducible
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        applicationId: application.applicationId,
+        modelVersion: application.aiAssessment.modelVersion,
+        featureHash: application.aiAssessment.featureHash,
+        ...result
+      }
+    });
+  })
+);
+
+// @desc    Find approvable alternatives (amount, term, down payment) to a requested loan
+// @route   POST /api/ai/counteroffers
+// @access  Private - requires 'applications' read permission
+router.post('/counteroffers',
+  protect,
+  checkPermission('applications', 'read'),
   asyncHandler(async (req, res) => {
-    const { applicationIds, filters } = req.body;
-
-    let applications;
-
-    if (applicationIds && applicationIds.length > 0) {
-      // Analyze specific applications
-      applications = await CreditApplication.find({
-        applicationId: { $in: applicationIds },
-        status: { $in: ['submitted', 'under_review'] }
-      }).limit(50); // Limit batch size
-    } else if (filters) {
-      // Analyze applications based on filters
-      const query = { status: 'submitted' };
-      
-      if (filters.riskLevel) query['aiAssessment.riskLevel'] = filters.riskLevel;
-      if (filters.dateFrom) query.submittedAt = { $gte: new Date(filters.dateFrom) };
-      if (filters.dateTo) {
-        query.submittedAt = query.submittedAt || {};
-        query.submittedAt.$lte = new Date(filters.dateTo);
+    const { applicationId, applicantData } = req.body;
+
+    if (!applicationId && !applicantData) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either applicationId or applicantData is required'
+      });
+    }
+
+    let dataToAnalyze;
+    const options = {};
+    if (req.body.limit) options.limit = parseInt(req.body.limit);
+
+    if (applicationId) {
+      const application = await CreditApplication.findOne({ applicationId });
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: 'Application not found'
+        });
       }
 
-      applications = await CreditApplication.find(query).limit(50);
+      dataToAnalyze = toApplicantData(application);
+      options.downPayment = application.loan.downPayment || 0;
+      if (application.applicant.employment.monthlyIncome) {
+        options.monthlyIncome = application.applicant.employment.monthlyIncome;
+      }
+      if (application.financial.existingDebts && application.financial.existingDebts.length > 0) {
+        options.existingMonthlyDebt = application.financial.existingDebts
+          .reduce((sum, debt) => sum + (debt.monthlyPayment || 0), 0);
+      }
     } else {
+      dataToAnalyze = applicantData;
+      if (req.body.downPayment !== undefined) options.downPayment = Number(req.body.downPayment);
+      if (req.body.existingMonthlyDebt !== undefined) options.existingMonthlyDebt = Number(req.body.existingMonthlyDebt);
+    }
+
+    if (!(dataToAnalyze.loanAmount > 0) || !(dataToAnalyze.loanTerm > 0)) {
       return res.status(400).json({
         success: false,
-        message: 'Either applicationIds or filters must be provided'
+        message: 'Loan amount and term are required to search for counteroffers'
       });
     }
 
-    if (applications.length === 0) {
-      return res.status(404).json({
+    if (!aiEngine.isModelLoaded) {
+      return res.status(503).json({
         success: false,
-        message: 'No applications found for batch analysis'
+        message: 'AI model is not available. Please try again later.'
       });
     }
 
-    const results = [];
-    const errors = [];
+    const result = generateCounteroffers(aiEngine, dataToAnalyze, options);
 
-    for (const application of applications) {
-      try {
-        const dataToAnalyze = {
-          id: application._id,
-          creditScore: application.financial.creditScore,
-          annualIncome: application.applicant.employment.annualIncome,
-          debtToIncomeRatio: application.financial.debtToIncomeRatio,
-          employmentLength: application.applicant.employment.employmentLength || 0,
-          loanAmount: application.loan.amount,
-          loanTerm: application.loan.term,
-          paymentHistoryScore: application.financial.paymentHistoryScore || 80,
-          creditUtilization: application.financial.creditUtilization || 0.3,
-          numberOfAccounts: application.financial.numberOfAccounts || 5,
-          recentInquiries: application.financial.recentInquiries || 1,
-          collateralValue: application.loan.collateral?.value || 0,
-          loanPurpose: application.loan.purpose
-        };
-
-        const aiAssessment = await aiEngine.predictCreditScore(dataToAnalyze);
-        const fraudAssessment = await aiEngine.evaluateFraudRisk(dataToAnalyze);
-
-        const fullAssessment = {
-          ...aiAssessment,
-          fraudAssessment,
-          applicationId: application.applicationId,
-          processedBy: req.user._id,
-          processedAt: new Date()
-        };
-
-        // Update application
-        application.aiAssessment = fullAssessment;
-        application.addAuditEntry('ai_batch_analysis', req.user, {
-          creditScore: aiAssessment.creditScore,
-          riskLevel: aiAssessment.riskLevel
-        }, req);
-        
-        await application.save();
+    aiLogger.info('Counteroffers generated', {
+      userId: req.user._id,
+      applicationId,
+      requestedQualifies: result.requested.qualifies,
+      counteroffers: result.counteroffers.length
+    });
 
-        results.push({
-          applicationId: application.applicationId,
-          assessment: fullAssessment,
-          status: 'success'
+    res.status(200).json({
+      success: true,
+      data: {
+        applicationId,
+        modelVersion: aiEngine.modelVersion,
+        scorecardVersion: aiEngine.getActiveScorecard().version,
+        rateCardVersion: aiEngine.rateCard.version,
+        ...result
+      }
+    });
+  })
+);
+
+// @desc    Rescore an application with overridden inputs, without saving anything
+// @route   POST /api/ai/simulate
+// @access  Private - requires 'applications' read permission
+router.post('/simulate',
+  protect,
+  checkPermission('applications', 'read'),
+  asyncHandler(async (req, res) => {
+    const { applicationId, overrides } = req.body;
+
+    if (!applicationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'applicationId is required'
+      });
+    }
+
+    if (!aiEngine.isModelLoaded) {
+      return res.status(503).json({
+        success: false,
+        message: 'AI model is not available. Please try again later.'
+      });
+    }
+
+    const result = await simulateApplication(aiEngine, applicationId, overrides);
+
+    aiLogger.info('What-if simulation run', {
+      userId: req.user._id,
+      applicationId,
+      inputs: result.inputs.map(input => input.input),
+      creditScoreDelta: result.deltas.creditScore
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        modelVersion: aiEngine.modelVersion,
+        scorecardVersion: aiEngine.getActiveScorecard().version,
+        rateCardVersion: aiEngine.rateCard.version,
+        ...result
+      }
+    });
+  })
+);
+
+// @desc    Score a portfolio file (CSV or JSON Lines) and stream the results back as CSV
+// @route   POST /api/ai/portfolio-score
+// @access  Private - requires admin, underwriter or analyst role
+router.post('/portfolio-score',
+  protect,
+  authorize('admin', 'underwriter', 'analyst'),
+  portfolioUpload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A portfolio file is required'
+      });
+    }
+
+    try {
+      if (!aiEngine.isModelLoaded) {
+        return res.status(503).json({
+          success: false,
+          message: 'AI model is not available. Please try again later.'
         });
+      }
 
+      let mapping;
+      if (req.body.mapping) {
+        try {
+          mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            message: 'mapping must be a JSON object of { column: input }'
+          });
+        }
+      }
+
+      const format = (req.body.format || path.extname(req.file.originalname).slice(1)).toLowerCase();
+      const summary = {};
+      const lines = scorePortfolio(aiEngine, fs.createReadStream(req.file.path, { encoding: 'utf8' }), {
+        format,
+        mapping,
+        summary
+      });
+
+      // File-level problems (format, mapping, missing columns) surface here,
+      // before anything has been sent
+      let next = await lines.next();
+
+      const filename = `portfolio-scores-${new Date().toISOString().slice(0, 10)}.csv`;
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      try {
+        while (!next.done) {
+          if (!res.write(next.value)) await drained(res);
+          if (res.destroyed) {
+            await lines.return();
+            break;
+          }
+          next = await lines.next();
+        }
+        res.end();
       } catch (error) {
-        errors.push({
-          applicationId: application.applicationId,
-          error: error.message
+        aiLogger.error('Portfolio scoring failed mid-stream', {
+          userId: req.user._id,
+          error: error.message,
+          rowsWritten: summary.total
         });
+        res.destroy(error);
+        return;
       }
+
+      aiLogger.info('Portfolio scored', {
+        userId: req.user._id,
+        file: req.file.originalname,
+        format,
+        total: summary.total,
+        scored: summary.scored,
+        failed: summary.failed,
+        completed: !res.destroyed
+      });
+    } finally {
+      fs.promises.unlink(req.file.path).catch(() => {});
     }
+  })
+);
 
-    aiLogger.info('Batch AI analysis completed', {
+// @desc    Queue a batch analysis of applications as a background job
+// @route   POST /api/ai/batch-analyze
+// @access  Private - requires admin or underwriter role
+router.post('/batch-analyze',
+  protect,
+  authorize('admin', 'underwriter'),
+  asyncHandler(async (req, res) => {
+    const job = await createBatchAnalysisJob(req.body, { user: req.user });
+
+    aiLogger.info('Batch AI analysis queued', {
       userId: req.user._id,
-      totalApplications: applications.length,
-      successful: results.length,
-      errors: errors.length
+      jobId: job.jobId,
+      applicationIds: job.params.applicationIds ? job.params.applicationIds.length : undefined,
+      filters: job.params.filters
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Batch analysis queued',
+      data: {
+        jobId: job.jobId,
+        status: job.status,
+        params: job.params,
+        statusUrl: `/api/ai/jobs/${job.jobId}`,
+        resultsUrl: `/api/ai/jobs/${job.jobId}/results`
+      }
     });
+  })
+);
+
+// Admins see every job, other users their own
+const jobScope = (req) => (req.user.role === 'admin' ? {} : { createdBy: req.user._id });
+
+// @desc    List background jobs
+// @route   GET /api/ai/jobs
+// @access  Private - requires admin or underwriter role
+router.get('/jobs',
+  protect,
+  authorize('admin', 'underwriter'),
+  asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = jobScope(req);
+    if (req.query.type) query.type = String(req.query.type);
+    if (req.query.status) query.status = String(req.query.status);
+
+    const [jobs, total] = await Promise.all([
+      Job.find(query)
+        .select('-logs')
+        .populate('createdBy', 'firstName lastName username')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Job.countDocuments(query)
+    ]);
 
     res.status(200).json({
       success: true,
-      message: `Batch analysis completed. ${results.length} successful, ${errors.length} errors.`,
       data: {
-        results,
-        errors,
-        summary: {
-          total: applications.length,
-          successful: results.length,
-          failed: errors.length
+        jobs,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
         }
       }
     });
   })
 );
 
-// @desc    Get AI model training metrics
+// @desc    Job status, progress and log
+// @route   GET /api/ai/jobs/:jobId
+// @access  Private - requires admin or underwriter role
+router.get('/jobs/:jobId',
+  protect,
+  authorize('admin', 'underwriter'),
+  asyncHandler(async (req, res) => {
+    const job = await Job.findOne({ jobId: req.params.jobId, ...jobScope(req) })
+      .populate('createdBy', 'firstName lastName username')
+      .populate('cancelledBy', 'firstName lastName username');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    // Training jobs link to the model version they produced
+    const modelVersion = job.result && job.result.modelVersion
+      ? await ModelVersion.findOne({ version: job.result.modelVersion })
+        .select('version status trainedAt trainingData.sampleCount metrics.holdout')
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: { job, modelVersion }
+    });
+  })
+);
+
+// @desc    Cancel a queued or running job
+// @route   POST /api/ai/jobs/:jobId/cancel
+// @access  Private - requires admin or underwriter role
+router.post('/jobs/:jobId/cancel',
+  protect,
+  authorize('admin', 'underwriter'),
+  asyncHandler(async (req, res) => {
+    const existing = await Job.findOne({ jobId: req.params.jobId, ...jobScope(req) }).select('_id');
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const job = await cancelJob(req.params.jobId, { user: req.user });
+
+    aiLogger.info('Job cancellation requested', {
+      userId: req.user._id,
+      jobId: job.jobId,
+      status: job.status
+    });
+
+    res.status(200).json({
+      success: true,
+      message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested; the job stops after its current items',
+      data: { job }
+    });
+  })
+);
+
+// @desc    Result summary of a batch analysis job, with its items
+// @route   GET /api/ai/jobs/:jobId/results
+// @access  Private - requires admin or underwriter role
+router.get('/jobs/:jobId/results',
+  protect,
+  authorize('admin', 'underwriter'),
+  asyncHandler(async (req, res) => {
+    const job = await Job.findOne({ jobId: req.params.jobId, ...jobScope(req) }).select('-logs');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.type !== BATCH_JOB_TYPE) {
+      return res.status(400).json({
+        success: false,
+        message: `Item results are only kept for ${BATCH_JOB_TYPE} jobs`
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const itemQuery = { job: job._id };
+    if (req.query.status) itemQuery.status = String(req.query.status);
+
+    const [summary, items, total] = await Promise.all([
+      summarizeBatchJob(job),
+      JobItem.find(itemQuery)
+        .select('key status attempts lastError result startedAt completedAt')
+        .sort({ _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      JobItem.countDocuments(itemQuery)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobId: job.jobId,
+        status: job.status,
+        summary,
+        items: items.map(item => ({
+          applicationId: item.key,
+          status: item.status,
+          attempts: item.attempts,
+          error: item.lastError,
+          result: item.result,
+          startedAt: item.startedAt,
+          completedAt: item.completedAt
+        })),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  })
+);
+
+// @desc    Get AI model performance and drift monitoring metrics
 // @route   GET /api/ai/metrics
 // @access  Private - requires admin role
 router.get('/metrics',
   protect,
   authorize('admin'),
   asyncHandler(async (req, res) => {
-    // In a real implementation, these would come from model monitoring
+    if (!aiEngine.isModelLoaded) {
+      return res.status(503).json({
+        success: false,
+        message: 'AI model is not available. Please try again later.'
+      });
+    }
+
+    const modelVersion = await ModelVersion.findOne({ version: aiEngine.modelVersion })
+      .select('version trainedAt metrics.holdout');
+
+    // Today's snapshot is computed on the first request of the day; refresh=true recomputes it
+    const snapshot = req.query.refresh === 'true'
+      ? await recordDriftSnapshot(aiEngine)
+      : await ensureDailySnapshot(aiEngine);
+
+    const [history, processedApplications, outcomePerformance] = await Promise.all([
+      getDriftHistory(aiEngine.modelVersion, parseInt(req.query.days) || driftParameters.historyDays),
+      CreditApplication.countDocuments({ 'aiAssessment.modelVersion': aiEngine.modelVersion }),
+      outcomePerformanceByModel()
+    ]);
+
+    const holdout = modelVersion?.metrics?.holdout || {};
+
     const metrics = {
-      accuracy: 0.942,
-      precision: 0.938,
-      recall: 0.945,
-      f1Score: 0.941,
-      auc: 0.973,
-      processedApplications: 15847,
-      averageProcessingTime: 245, // milliseconds
-      lastTrainingDate: '2024-01-15T10:30:00Z',
+      modelVersion: aiEngine.modelVersion,
+      // Holdout metrics from training; the built-in model has none
+      accuracy: holdout.accuracy ?? null,
+      precision: holdout.precision ?? null,
+      recall: holdout.recall ?? null,
+      f1Score: holdout.f1Score ?? null,
+      auc: holdout.auc ?? null,
+      processedApplications,
+      lastTrainingDate: modelVersion?.trainedAt || null,
       modelDrift: {
-        detected: false,
-        score: 0.02,
-        threshold: 0.1
+        detected: ['warning', 'alert'].includes(snapshot.status),
+        status: snapshot.status,
+        score: snapshot.score?.psi ?? null,
+        threshold: driftParameters.alertThreshold,
+        warningThreshold: driftParameters.warningThreshold,
+        sampleCount: snapshot.sampleCount,
+        window: snapshot.window,
+        baseline: snapshot.baseline,
+        computedAt: snapshot.computedAt,
+        alerts: snapshot.alerts
       },
-      featureImportance: aiEngine.featureNames.map((feature, index) => ({
-        feature,
-        importance: Math.random() * 0.3 + 0.05 // Mock importance scores
-      })).sort((a, b) => b.importance - a.importance)
+      featureDrift: snapshot.features.map(feature => ({
+        feature: feature.feature,
+        csi: feature.csi,
+        status: feature.status
+      })),
+      featureImportance: snapshot.features
+        .map(feature => ({ feature: feature.feature, importance: feature.importance }))
+        .sort((a, b) => b.importance - a.importance),
+      driftHistory: history,
+      // Measured on repayment outcomes of booked loans, by the model version that scored them
+      outcomePerformance: {
+        defaultDefinition: DEFAULT_STATUSES,
+        current: outcomePerformance.find(entry => entry.modelVersion === aiEngine.modelVersion) || null,
+        byModelVersion: outcomePerformance
+      }
     };
 
     res.status(200).json({
@@ -329,7 +776,7 @@ router.get('/metrics',
   })
 );
 
-// @desc    Retrain AI model (simulation)
+// @desc    Queue a model retraining job on historical decisions
 // @route   POST /api/ai/retrain
 // @access  Private - requires admin role
 router.post('/retrain',
@@ -337,53 +784,294 @@ router.post('/retrain',
   authorize('admin'),
   asyncHandler(async (req, res) => {
     const { dataSource, parameters } = req.body;
+    const job = await createTrainingJob({ dataSource, parameters }, { user: req.user });
 
-    // In a real implementation, this would trigger actual model retraining
-    aiLogger.info('AI model retraining initiated', {
+    aiLogger.info('AI model retraining queued', {
       userId: req.user._id,
+      jobId: job.jobId,
       dataSource: dataSource || 'default',
       parameters: parameters || {}
     });
 
-    // Simulate retraining process
-    setTimeout(async () => {
-      try {
-        await aiEngine.trainInitialModel();
-        aiLogger.info('AI model retraining completed', {
-          userId: req.user._id,
-          success: true
-        });
-      } catch (error) {
-        aiLogger.error('AI model retraining failed', {
-          userId: req.user._id,
-          error: error.message
-        });
+    // The new artifact is registered as a candidate and only scores live
+    // traffic once promoted
+    res.status(202).json({
+      success: true,
+      message: 'Model retraining queued',
+      data: {
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/ai/jobs/${job.jobId}`
       }
-    }, 5000);
+    });
+  })
+);
 
-    res.status(202).json({
+// @desc    Backtest a model version or scorecard on the applications submitted in a date range
+// @route   POST /api/ai/backtest
+// @access  Private - requires admin role
+router.post('/backtest',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const { dateFrom, dateTo, modelVersion, scorecardVersion } = req.body;
+
+    if (!dateFrom || !dateTo) {
+      return res.status(400).json({
+        success: false,
+        message: 'dateFrom and dateTo are required'
+      });
+    }
+
+    // Read-only replay: the stored applications and assessments are not modified
+    const report = await runBacktest(aiEngine, { dateFrom, dateTo, modelVersion, scorecardVersion });
+
+    aiLogger.info('Backtest requested', {
+      userId: req.user._id,
+      modelVersion: report.replay.modelVersion,
+      scorecardVersion: report.replay.scorecardVersion,
+      sampleCount: report.sampleCount
+    });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  })
+);
+
+// @desc    List registered model versions
+// @route   GET /api/ai/models
+// @access  Private - requires admin role
+router.get('/models',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const versions = await modelRegistry.listVersions({ status: req.query.status });
+
+    res.status(200).json({
       success: true,
-      message: 'Model retraining initiated. This process may take several minutes.',
       data: {
-        jobId: 'retrain-' + Date.now(),
-        estimatedDuration: '5-10 minutes',
-        status: 'in_progress'
+        activeVersion: aiEngine.modelVersion,
+        versions
+      }
+    });
+  })
+);
+
+// @desc    Roll back to the previous champion model, or to the baseline model
+// @route   POST /api/ai/models/rollback
+// @access  Private - requires admin role
+router.post('/models/rollback',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const { champion, previous } = await modelRegistry.rollback(aiEngine, req.user, req.body.notes, {
+      toBaseline: req.body.toBaseline === true
+    });
+    if (champion) {
+      aiEngine.loadModel(champion.toArtifact());
+      if (champion.version === aiEngine.challengerVersion) aiEngine.loadChallenger(null);
+    } else {
+      aiEngine.loadModel(BASELINE_MODEL);
+    }
+
+    aiLogger.info('Champion model rolled back', {
+      userId: req.user._id,
+      modelVersion: aiEngine.modelVersion,
+      rolledBackFrom: previous ? previous.version : null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Rolled back to model ${aiEngine.modelVersion}`,
+      data: {
+        champion: champion ? champion.version : null,
+        activeVersion: aiEngine.modelVersion,
+        previous: previous ? previous.version : null
+      }
+    });
+  })
+);
+
+// @desc    Get a registered model version
+// @route   GET /api/ai/models/:version
+// @access  Private - requires admin role
+router.get('/models/:version',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const modelVersion = await modelRegistry.getVersion(req.params.version);
+
+    if (!modelVersion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { model: modelVersion }
+    });
+  })
+);
+
+// @desc    Promote a model version to champion
+// @route   POST /api/ai/models/:version/promote
+// @access  Private - requires admin role
+router.post('/models/:version/promote',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const { champion, previous } = await modelRegistry.promote(aiEngine, req.params.version, req.user, req.body.notes);
+    aiEngine.loadModel(champion.toArtifact());
+    // A promoted challenger stops shadow scoring against itself
+    if (champion.version === aiEngine.challengerVersion) aiEngine.loadChallenger(null);
+
+    aiLogger.info('Champion model promoted', {
+      userId: req.user._id,
+      modelVersion: champion.version,
+      previousChampion: previous ? previous.version : null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Model ${champion.version} promoted to champion`,
+      data: {
+        champion: champion.version,
+        previous: previous ? previous.version : null
+      }
+    });
+  })
+);
+
+// @desc    Shadow-score live traffic with a model version as challenger
+// @route   POST /api/ai/models/:version/challenger
+// @access  Private - requires admin role
+router.post('/models/:version/challenger',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const { challenger, previous } = await modelRegistry.startChallenger(aiEngine, req.params.version, req.user);
+    aiEngine.loadChallenger(challenger.toArtifact());
+
+    res.status(200).json({
+      success: true,
+      message: `Model ${challenger.version} is now shadow scoring as challenger`,
+      data: {
+        challenger: challenger.version,
+        champion: aiEngine.modelVersion,
+        previous: previous ? previous.version : null
+      }
+    });
+  })
+);
+
+// @desc    Stop challenger shadow scoring
+// @route   POST /api/ai/challenger/stop
+// @access  Private - requires admin role
+router.post('/challenger/stop',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const challenger = await modelRegistry.stopChallenger(req.user);
+    aiEngine.loadChallenger(null);
+
+    res.status(200).json({
+      success: true,
+      message: `Challenger ${challenger.version} stopped`,
+      data: { challenger: challenger.version }
+    });
+  })
+);
+
+// @desc    Compare challenger and champion on the applications both scored
+// @route   GET /api/ai/challenger/report
+// @access  Private - requires admin role
+router.get('/challenger/report',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const { challengerVersion, championVersion, dateFrom, dateTo } = req.query;
+    const report = await compareChallenger(aiEngine, { challengerVersion, championVersion, dateFrom, dateTo });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        activeChallenger: aiEngine.challengerVersion,
+        ...report
+      }
+    });
+  })
+);
+
+// @desc    Fit probability-of-default calibration for a model version on loan outcomes
+// @route   POST /api/ai/models/:version/calibrate
+// @access  Private - requires admin role
+router.post('/models/:version/calibrate',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const method = req.body.method || 'platt';
+
+    if (!CALIBRATION_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Calibration method must be one of: ${CALIBRATION_METHODS.join(', ')}`
+      });
+    }
+
+    const modelVersion = await calibrateModelVersion(aiEngine, req.params.version, {
+      method,
+      userId: req.user._id
+    });
+
+    // Pick up the new calibration immediately if this is the live model
+    if (modelVersion.version === aiEngine.modelVersion) {
+      aiEngine.loadModel(modelVersion.toArtifact());
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `PD calibration fitted for model ${modelVersion.version}`,
+      data: {
+        version: modelVersion.version,
+        calibration: modelVersion.calibration
       }
     });
   })
 );
 
 // Helper function to generate next steps based on AI assessment
-function generateNextSteps(assessment) {
+function generateNextSteps(assessment, sanctionsStatus = null) {
   const steps = [];
+  const unscreened = UNSCREENED_STATUSES.includes(sanctionsStatus);
+  const sanctionsHold = unscreened || BLOCKING_STATUSES.includes(sanctionsStatus);
+
+  if (unscreened) {
+    steps.push({
+      action: 'sanctions_screening',
+      priority: 'urgent',
+      description: 'Applicant has not been screened - no sanctions watchlists are loaded, so approval is on hold until screening completes'
+    });
+  } else if (sanctionsHold) {
+    steps.push({
+      action: 'compliance_review',
+      priority: 'urgent',
+      description: sanctionsStatus === 'confirmed_match'
+        ? 'Applicant is a confirmed watchlist match - application cannot be approved'
+        : 'Potential watchlist match - approval is on hold until compliance resolves the review task'
+    });
+  }
 
-  if (assessment.riskLevel === 'LOW') {
+  if (assessment.riskLevel === 'LOW' && !sanctionsHold) {
     steps.push({
       action: 'auto_approve',
       priority: 'high',
       description: 'Application can be automatically approved with standard terms'
     });
-  } else if (assessment.riskLevel === 'MEDIUM') {
+  } else if (assessment.riskLevel === 'LOW' || assessment.riskLevel === 'MEDIUM') {
     steps.push({
       action: 'manual_review',
       priority: 'medium',
@@ -0,0 +1,320 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const CreditApplication = require('../models/CreditApplication');
+const WatchlistImport = require('../models/WatchlistImport');
+const SanctionsScreening = require('../models/SanctionsScreening');
+const ComplianceTask = require('../models/ComplianceTask');
+const { currentLists, screenApplication, resolveReviewTask } = require('../services/sanctionsScreening');
+const { importWatchlist, importConfiguredSources } = require('../services/watchlistImport');
+const { loadWatchlistSources, screeningThresholds } = require('../config/sanctions');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { protect, checkPermission, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const WATCHLIST_FORMATS = ['csv', 'xml'];
+const TASK_RESOLUTIONS = ['cleared', 'confirmed_match'];
+
+// Watchlist files are parsed in memory; the OFAC SDN XML is around 20MB
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_WATCHLIST_FILE_SIZE) || 50 * 1024 * 1024
+  }
+});
+
+// @desc    Loaded watchlists, configured sources and match thresholds
+// @route   GET /api/compliance/watchlists
+// @access  Private - requires 'compliance' read permission
+router.get('/watchlists',
+  protect,
+  checkPermission('compliance', 'read'),
+  asyncHandler(async (req, res) => {
+    const lists = await currentLists();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lists,
+        sources: loadWatchlistSources(),
+        thresholds: screeningThresholds
+      }
+    });
+  })
+);
+
+// @desc    Watchlist import history
+// @route   GET /api/compliance/watchlists/imports
+// @access  Private - requires 'compliance' read permission
+router.get('/watchlists/imports',
+  protect,
+  checkPermission('compliance', 'read'),
+  asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = {};
+    if (req.query.listName) query.listName = req.query.listName;
+    if (req.query.status) query.status = req.query.status;
+
+    const [imports, total] = await Promise.all([
+      WatchlistImport.find(query)
+        .populate('importedBy', 'firstName lastName username')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WatchlistImport.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        imports,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  })
+);
+
+// @desc    Import an uploaded watchlist file, or re-import the configured sources
+// @route   POST /api/compliance/watchlists/import
+// @access  Private (Admin only)
+router.post('/watchlists/import',
+  protect,
+  authorize('admin'),
+  upload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      if (loadWatchlistSources().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Upload a watchlist file or configure WATCHLIST_SOURCES_PATH'
+        });
+      }
+
+      const imports = await importConfiguredSources({ trigger: 'manual', user: req.user });
+      return res.status(200).json({
+        success: imports.every(record => record.status === 'succeeded'),
+        message: `Imported ${imports.filter(record => record.status === 'succeeded').length} of ${imports.length} configured watchlists`,
+        data: { imports }
+      });
+    }
+
+    const format = (req.body.format || path.extname(req.file.originalname).slice(1)).toLowerCase();
+    const listName = req.body.listName;
+
+    if (!listName) {
+      return res.status(400).json({
+        success: false,
+        message: 'listName is required'
+      });
+    }
+
+    if (!WATCHLIST_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Watchlist format must be one of: ${WATCHLIST_FORMATS.join(', ')}`
+      });
+    }
+
+    const record = await importWatchlist(req.file.buffer.toString('utf8'), {
+      listName,
+      format,
+      source: req.file.originalname,
+      trigger: 'manual',
+      user: req.user
+    });
+
+    if (record.status === 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: `Watchlist import failed: ${record.error}`,
+        data: { import: record }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${record.entryCount} entries into ${listName}`,
+      data: { import: record }
+    });
+  })
+);
+
+// @desc    Screen an application against the loaded watchlists
+// @route   POST /api/compliance/screenings
+// @access  Private - requires 'compliance' create permission
+router.post('/screenings',
+  protect,
+  checkPermission('compliance', 'create'),
+  asyncHandler(async (req, res) => {
+    const application = await CreditApplication.findOne({ applicationId: req.body.applicationId });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const { screening, status, reviewTask } = await screenApplication(application, {
+      trigger: 'manual',
+      user: req.user,
+      req
+    });
+    await application.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Screening completed: ${status}`,
+      data: {
+        screening,
+        status,
+        reviewTask
+      }
+    });
+  })
+);
+
+// @desc    Screening history, optionally for one application
+// @route   GET /api/compliance/screenings
+// @access  Private - requires 'compliance' read permission
+router.get('/screenings',
+  protect,
+  checkPermission('compliance', 'read'),
+  asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = {};
+    if (req.query.applicationId) query.applicationId = req.query.applicationId;
+    if (req.query.result) query.result = req.query.result;
+
+    const [screenings, total] = await Promise.all([
+      SanctionsScreening.find(query)
+        .select('-matches')
+        .populate('screenedBy', 'firstName lastName username')
+        .sort({ screenedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SanctionsScreening.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        screenings,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  })
+);
+
+// @desc    Get a screening run with its matches
+// @route   GET /api/compliance/screenings/:id
+// @access  Private - requires 'compliance' read permission
+router.get('/screenings/:id',
+  protect,
+  checkPermission('compliance', 'read'),
+  asyncHandler(async (req, res) => {
+    const screening = await SanctionsScreening.findById(req.params.id)
+      .populate('screenedBy', 'firstName lastName username')
+      .populate('matches.entry');
+
+    if (!screening) {
+      return res.status(404).json({
+        success: false,
+        message: 'Screening not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { screening }
+    });
+  })
+);
+
+// @desc    Compliance review tasks
+// @route   GET /api/compliance/tasks
+// @access  Private - requires 'compliance' read permission
+router.get('/tasks',
+  protect,
+  checkPermission('compliance', 'read'),
+  asyncHandler(async (req, res) => {
+    const query = { status: req.query.status || 'open' };
+    if (req.query.applicationId) query.applicationId = req.query.applicationId;
+
+    const tasks = await ComplianceTask.find(query)
+      .populate('screening', 'screenedAt result matches')
+      .populate('assignedTo', 'firstName lastName username')
+      .populate('resolution.resolvedBy', 'firstName lastName username')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.status(200).json({
+      success: true,
+      data: { tasks }
+    });
+  })
+);
+
+// @desc    Resolve a sanctions review task as cleared or a confirmed match
+// @route   POST /api/compliance/tasks/:id/resolve
+// @access  Private - requires 'compliance' approve permission
+router.post('/tasks/:id/resolve',
+  protect,
+  checkPermission('compliance', 'approve'),
+  asyncHandler(async (req, res) => {
+    const { resolution, notes } = req.body;
+
+    if (!TASK_RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({
+        success: false,
+        message: `Resolution must be one of: ${TASK_RESOLUTIONS.join(', ')}`
+      });
+    }
+
+    if (!notes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Resolution notes are required'
+      });
+    }
+
+    const task = await ComplianceTask.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compliance task not found'
+      });
+    }
+
+    if (task.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: `Compliance task is already ${task.status}`
+      });
+    }
+
+    await resolveReviewTask(task, { resolution, notes, user: req.user, req });
+
+    res.status(200).json({
+      success: true,
+      message: `Sanctions review resolved: ${resolution}`,
+      data: { task }
+    });
+  })
+);
+
+module.exports = router;
@@ -3,12 +3,23 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const CreditApplication = require('../models/CreditApplication');
+const { generateAdverseActionNotice } = require('../services/adverseActionNotice');
+const { REASON_CODES, DECISION_REASON_CODES, reasonStatement } = require('../services/reasonCodes');
+const { screenApplication, BLOCKING_STATUSES, UNSCREENED_STATUSES } = require('../services/sanctionsScreening');
+const { applyOutcome, parseOutcomeFile, importOutcomes } = require('../services/loanOutcomes');
+const { validateApplicationInput } = require('../services/applicantValidation');
 const { creditLogger } = require('../utils/logger');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { protect, checkPermission, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
+// The parts of an application its creator may write. Status, assessments,
+// compliance and performance records change only through their own routes.
+const EDITABLE_FIELDS = ['applicant', 'loan', 'financial'];
+
+const protectedFieldsIn = (body) => Object.keys(body || {}).filter(field => !EDITABLE_FIELDS.includes(field));
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: async function (req, file, cb) {
@@ -48,6 +59,14 @@ const upload = multer({
   }
 });
 
+// Outcome files from servicing are parsed in memory
+const outcomeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024
+  }
+});
+
 // @desc    Create new credit application
 // @route   POST /api/credit/applications
 // @access  Private - requires 'applications' create permission
@@ -57,6 +76,15 @@ router.post('/applications',
   asyncHandler(async (req, res) => {
     const applicationData = req.body;
 
+    const protectedFields = protectedFieldsIn(applicationData);
+    if (protectedFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields cannot be set on an application: ${protectedFields.join(', ')}`,
+        allowedFields: EDITABLE_FIELDS
+      });
+    }
+
     // Validate required fields
     const requiredFields = [
       'applicant.firstName',
@@ -86,6 +114,15 @@ router.post('/applications',
       });
     }
 
+    const errors = validateApplicationInput(applicationData);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application data',
+        errors
+      });
+    }
+
     // Create application
     const application = new CreditApplication(applicationData);
     
@@ -279,11 +316,35 @@ router.put('/applications/:id',
       });
     }
 
+    const protectedFields = protectedFieldsIn(req.body);
+    if (protectedFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields cannot be updated: ${protectedFields.join(', ')}`,
+        allowedFields: EDITABLE_FIELDS
+      });
+    }
+
+    const errors = validateApplicationInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application data',
+        errors
+      });
+    }
+
     // Track what fields are being updated
     const updatedFields = Object.keys(req.body);
     
     // Update application
     Object.assign(application, req.body);
+
+    // Screening covered the applicant as they were: a changed applicant is
+    // screened again before a decision, while a match stays on hold
+    if (req.body.applicant && ['clear', 'cleared'].includes(application.compliance.sanctions.status)) {
+      application.set('compliance.sanctions.status', 'not_screened');
+    }
     
     // Add audit trail entry
     application.addAuditEntry('application_updated', req.user, {
@@ -345,6 +406,16 @@ router.post('/applications/:id/submit',
       submittedAt: application.submittedAt
     }, req);
 
+    // A failed screen leaves the application unscreened; it is retried at decision time
+    try {
+      await screenApplication(application, { trigger: 'submission', user: req.user, req });
+    } catch (error) {
+      creditLogger.error('Sanctions screening failed on submission', {
+        applicationId: application.applicationId,
+        error: error.message
+      });
+    }
+
     await application.save();
 
     creditLogger.info('Application submitted for review', {
@@ -362,7 +433,8 @@ router.post('/applications/:id/submit',
           id: application._id,
           applicationId: application.applicationId,
           status: application.status,
-          submittedAt: application.submittedAt
+          submittedAt: application.submittedAt,
+          sanctionsStatus: application.compliance.sanctions.status
         }
       }
     });
@@ -559,6 +631,293 @@ router.post('/applications/:id/notes',
   })
 );
 
+// @desc    Record the underwriting decision for an application
+// @route   POST /api/credit/applications/:id/decision
+// @access  Private - requires 'applications' approve permission
+router.post('/applications/:id/decision',
+  protect,
+  checkPermission('applications', 'approve'),
+  asyncHandler(async (req, res) => {
+    const { outcome, reason, conditions } = req.body;
+    const reasonCodes = req.body.reasonCodes || [];
+
+    if (!['approved', 'denied', 'conditional'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Outcome must be one of: approved, denied, conditional'
+      });
+    }
+
+    const application = await CreditApplication.findOne({
+      $or: [
+        { _id: req.params.id },
+        { applicationId: req.params.id }
+      ]
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!['submitted', 'under_review', 'pending_documents'].includes(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot record a decision for an application with status '${application.status}'`
+      });
+    }
+
+    // Only reason codes reach the adverse action notice, so a stated reason
+    // must be one of them; the free-text reason stays an internal note
+    const unknownCodes = Array.isArray(reasonCodes)
+      ? reasonCodes.filter(code => !reasonStatement(code))
+      : [reasonCodes];
+    if (unknownCodes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown reason codes: ${unknownCodes.join(', ')}`,
+        data: {
+          allowedReasonCodes: {
+            ...Object.fromEntries(Object.values(REASON_CODES).map(code => [code.code, code.statement])),
+            ...DECISION_REASON_CODES
+          }
+        }
+      });
+    }
+
+    // Denials must cite principal reasons on the adverse action notice
+    const hasModelReasons = application.aiAssessment?.reasonCodes?.length > 0;
+    if (outcome === 'denied' && reasonCodes.length === 0 && !hasModelReasons) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason code is required to deny an application without an AI assessment'
+      });
+    }
+
+    // Approvals are held until the applicant has been screened and any watchlist hit resolved
+    if (outcome !== 'denied') {
+      if (UNSCREENED_STATUSES.includes(application.compliance.sanctions.status)) {
+        await screenApplication(application, { trigger: 'decision', user: req.user, req });
+        await application.save();
+      }
+
+      const sanctionsStatus = application.compliance.sanctions.status;
+      if (UNSCREENED_STATUSES.includes(sanctionsStatus)) {
+        return res.status(503).json({
+          success: false,
+          message: 'Sanctions screening is unavailable: no watchlists are loaded, so the applicant cannot be approved until screened',
+          data: { sanctionsStatus }
+        });
+      }
+
+      if (BLOCKING_STATUSES.includes(sanctionsStatus)) {
+        return res.status(400).json({
+          success: false,
+          message: sanctionsStatus === 'confirmed_match'
+            ? 'Applicant is a confirmed watchlist match and cannot be approved'
+            : 'Applicant has a potential watchlist match pending compliance review',
+          data: {
+            sanctionsStatus,
+            reviewTask: application.compliance.sanctions.reviewTask
+          }
+        });
+      }
+    }
+
+    application.manualReview.decision = {
+      outcome,
+      reason,
+      reasonCodes,
+      conditions: conditions || [],
+      decidedBy: req.user._id,
+      decidedAt: new Date()
+    };
+    application.status = outcome === 'denied' ? 'denied' : 'approved';
+
+    application.addAuditEntry('decision_recorded', req.user, {
+      outcome,
+      reason,
+      reasonCodes,
+      conditions: conditions || []
+    }, req);
+
+    await application.save();
+
+    creditLogger.info('Application decision recorded', {
+      applicationId: application.applicationId,
+      outcome,
+      decidedBy: req.user._id,
+      ip: req.ip
+    });
+
+    let adverseActionNotice = null;
+    let noticeError = null;
+
+    if (outcome === 'denied') {
+      try {
+        const notice = await generateAdverseActionNotice(application, req.user, req);
+        await application.save();
+        adverseActionNotice = { documents: notice.documents, reasons: notice.reasons };
+      } catch (error) {
+        noticeError = error.message;
+        creditLogger.error('Adverse action notice generation failed', {
+          applicationId: application.applicationId,
+          error: error.message
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Decision recorded successfully',
+      data: {
+        applicationId: application.applicationId,
+        status: application.status,
+        decision: application.manualReview.decision,
+        adverseActionNotice,
+        ...(noticeError && { noticeError })
+      }
+    });
+  })
+);
+
+// @desc    Generate (or regenerate) the adverse action notice for a denied application
+// @route   POST /api/credit/applications/:id/adverse-action-notice
+// @access  Private - requires 'applications' approve permission
+router.post('/applications/:id/adverse-action-notice',
+  protect,
+  checkPermission('applications', 'approve'),
+  asyncHandler(async (req, res) => {
+    const application = await CreditApplication.findOne({
+      $or: [
+        { _id: req.params.id },
+        { applicationId: req.params.id }
+      ]
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (application.status !== 'denied') {
+      return res.status(400).json({
+        success: false,
+        message: 'Adverse action notices can only be generated for denied applications'
+      });
+    }
+
+    const notice = await generateAdverseActionNotice(application, req.user, req);
+    await application.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Adverse action notice generated successfully',
+      data: {
+        applicationId: application.applicationId,
+        reasons: notice.reasons,
+        documents: notice.documents,
+        text: notice.text
+      }
+    });
+  })
+);
+
+// @desc    Record the repayment status of an approved loan
+// @route   POST /api/credit/applications/:id/outcomes
+// @access  Private - requires 'applications' update permission
+router.post('/applications/:id/outcomes',
+  protect,
+  checkPermission('applications', 'update'),
+  asyncHandler(async (req, res) => {
+    const application = await CreditApplication.findOne({
+      $or: [
+        { _id: req.params.id },
+        { applicationId: req.params.id }
+      ]
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const recorded = applyOutcome(application, {
+      status: req.body.status,
+      asOf: req.body.asOf,
+      source: 'api',
+      user: req.user,
+      req
+    });
+
+    if (recorded) {
+      await application.save();
+
+      creditLogger.info('Loan outcome recorded', {
+        applicationId: application.applicationId,
+        status: application.performance.status,
+        recordedBy: req.user._id
+      });
+    }
+
+    res.status(recorded ? 201 : 200).json({
+      success: true,
+      message: recorded ? 'Loan outcome recorded successfully' : 'Loan outcome was already recorded',
+      data: {
+        applicationId: application.applicationId,
+        performance: application.performance
+      }
+    });
+  })
+);
+
+// @desc    Bulk import loan outcomes from a CSV or JSON file (applicationId, status, asOf)
+// @route   POST /api/credit/outcomes/import
+// @access  Private - requires 'applications' update permission
+router.post('/outcomes/import',
+  protect,
+  checkPermission('applications', 'update'),
+  outcomeUpload.single('file'),
+  asyncHandler(async (req, res) => {
+    let rows;
+
+    if (req.file) {
+      const format = (req.body.format || path.extname(req.file.originalname).slice(1)).toLowerCase();
+      try {
+        rows = parseOutcomeFile(req.file.buffer.toString('utf8'), format);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Could not read outcome file: ${error.message}`
+        });
+      }
+    } else {
+      rows = req.body.outcomes;
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload an outcome file or provide an outcomes array'
+      });
+    }
+
+    const summary = await importOutcomes(rows, { user: req.user, req });
+
+    res.status(200).json({
+      success: summary.failed === 0,
+      message: `Recorded ${summary.recorded} of ${summary.total} loan outcomes`,
+      data: summary
+    });
+  })
+);
+
 // @desc    Get application statistics
 // @route   GET /api/credit/applications/stats
 // @access  Private - requires 'applications' read permission
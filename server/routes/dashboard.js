@@ -1,8 +1,13 @@
 const express = require('express');
 const CreditApplication = require('../models/CreditApplication');
 const User = require('../models/User');
+const { buildFairLendingReport, SEGMENT_DIMENSIONS } = require('../services/fairLending');
+const { activeDriftAlert } = require('../services/driftMonitoring');
+const { aiEngine } = require('../services/scoringEngine');
+const { complianceLogger } = require('../utils/logger');
+const { formatCsvRow } = require('../utils/csv');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { protect, checkPermission } = require('../middleware/auth');
+const { protect, checkPermission, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -49,6 +54,39 @@ router.get('/overview', protect, asyncHandler(async (req, res) => {
     }
   ]);
 
+  // Expected loss roll-up: booked (approved) loans vs the pending pipeline
+  const portfolioRisk = await CreditApplication.aggregate([
+    {
+      $match: {
+        'aiAssessment.riskMetrics.expectedLoss': { $exists: true },
+        status: { $in: ['approved', 'submitted', 'under_review', 'pending_documents'] }
+      }
+    },
+    {
+      $group: {
+        _id: { $cond: [{ $eq: ['$status', 'approved'] }, 'booked', 'pipeline'] },
+        count: { $sum: 1 },
+        totalExposure: { $sum: '$aiAssessment.riskMetrics.ead' },
+        totalExpectedLoss: { $sum: '$aiAssessment.riskMetrics.expectedLoss' },
+        avgPD: { $avg: '$aiAssessment.riskMetrics.pd' },
+        avgLGD: { $avg: '$aiAssessment.riskMetrics.lgd' }
+      }
+    }
+  ]);
+
+  const portfolioTotals = ['booked', 'pipeline'].reduce((totals, segment) => {
+    const group = portfolioRisk.find(entry => entry._id === segment);
+    totals[segment] = {
+      count: group ? group.count : 0,
+      totalExposure: group ? group.totalExposure : 0,
+      totalExpectedLoss: group ? Math.round(group.totalExpectedLoss * 100) / 100 : 0,
+      expectedLossRate: group && group.totalExposure > 0 ? group.totalExpectedLoss / group.totalExposure : 0,
+      avgPD: group ? group.avgPD : null,
+      avgLGD: group ? group.avgLGD : null
+    };
+    return totals;
+  }, {});
+
   // Get recent activity
   const recentApplications = await CreditApplication.find()
     .select('applicationId applicant.firstName applicant.lastName loan.amount status aiAssessment.riskLevel createdAt')
@@ -177,6 +215,7 @@ router.get('/overview', protect, asyncHandler(async (req, res) => {
       },
       statusBreakdown,
       riskDistribution,
+      portfolioRisk: portfolioTotals,
       recentApplications: recentApplications.map(app => ({
         id: app._id,
         applicationId: app.applicationId,
@@ -547,6 +586,93 @@ router.get('/team-performance',
   })
 );
 
+const FAIR_LENDING_CSV_COLUMNS = ['segment', 'reference', 'count', 'approved', 'approvalRate', 'adverseImpactRatio',
+  'approvalRatePValue', 'meanScore', 'scoreDifference', 'standardizedScoreDifference', 'marginalEffect', 'sufficientData'];
+
+// Fair lending report over decisions in a date range. GET takes the options as
+// query parameters; POST also accepts caller-provided segments as
+// { segments: { [applicationId]: label } } with segmentBy 'provided'.
+const fairLendingReport = asyncHandler(async (req, res) => {
+  const isPost = req.method === 'POST';
+  const options = isPost ? { ...req.query, ...req.body } : req.query;
+  // Segments come only from a POST body, never from the query string
+  const segments = isPost ? req.body.segments : undefined;
+  const segmentBy = options.segmentBy || 'ageBand';
+
+  if (!SEGMENT_DIMENSIONS.includes(segmentBy)) {
+    return res.status(400).json({
+      success: false,
+      message: `segmentBy must be one of: ${SEGMENT_DIMENSIONS.join(', ')}`
+    });
+  }
+
+  if (segmentBy === 'provided' && !isPost) {
+    return res.status(400).json({
+      success: false,
+      message: 'segmentBy provided is only accepted on POST, with the segments in the request body'
+    });
+  }
+
+  if (segmentBy === 'provided' && (!segments || typeof segments !== 'object' || Array.isArray(segments))) {
+    return res.status(400).json({
+      success: false,
+      message: 'segments mapping applicationId to segment is required when segmentBy is provided'
+    });
+  }
+
+  const dateTo = options.dateTo ? new Date(options.dateTo) : new Date();
+  const dateFrom = options.dateFrom
+    ? new Date(options.dateFrom)
+    : new Date(dateTo.getTime() - 90 * 24 * 60 * 60 * 1000);
+
+  if (isNaN(dateFrom.getTime()) || isNaN(dateTo.getTime()) || dateFrom > dateTo) {
+    return res.status(400).json({
+      success: false,
+      message: 'dateFrom and dateTo must be valid dates with dateFrom before dateTo'
+    });
+  }
+
+  const report = await buildFairLendingReport({
+    dimension: segmentBy,
+    dateFrom,
+    dateTo,
+    segments,
+    referenceGroup: options.referenceGroup
+  });
+
+  complianceLogger.info('Fair lending report generated', {
+    userId: req.user._id,
+    segmentBy,
+    dateFrom,
+    dateTo,
+    decisions: report.decisions,
+    violations: report.violations.length
+  });
+
+  if (options.format === 'csv') {
+    const rows = report.segments.map(segment =>
+      formatCsvRow(FAIR_LENDING_CSV_COLUMNS.map(column => segment[column])));
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="fair-lending-${segmentBy}.csv"`);
+    return res.status(200).send([FAIR_LENDING_CSV_COLUMNS.join(','), ...rows].join('\n'));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: report
+  });
+});
+
+// @desc    Fair lending disparate impact report (approval rate ratios, score differences, marginal effects)
+// @route   GET /api/dashboard/fair-lending
+// @access  Private (Admin only)
+router.get('/fair-lending', protect, authorize('admin'), fairLendingReport);
+
+// @desc    Fair lending report over caller-provided segments
+// @route   POST /api/dashboard/fair-lending
+// @access  Private (Admin only)
+router.post('/fair-lending', protect, authorize('admin'), fairLendingReport);
+
 // @desc    Get alerts and notifications
 // @route   GET /api/dashboard/alerts
 // @access  Private
@@ -602,6 +728,20 @@ router.get('/alerts', protect, asyncHandler(async (req, res) => {
     });
   }
 
+  // Check for score or feature drift in the latest monitoring snapshot
+  const drift = await activeDriftAlert(aiEngine);
+
+  if (drift) {
+    const drifted = drift.alerts.map(alert => (alert.metric === 'psi' ? 'score' : alert.feature));
+    alerts.push({
+      type: drift.status === 'alert' ? 'error' : 'warning',
+      title: 'Model Drift Detected',
+      message: `Population shift for model ${drift.modelVersion} on ${drifted.join(', ')} (score PSI ${drift.score?.psi ?? 'n/a'})`,
+      priority: drift.status === 'alert' ? 'urgent' : 'high',
+      timestamp: drift.computedAt
+    });
+  }
+
   // Check for unassigned applications
   const unassignedCount = await CreditApplication.countDocuments({
     status: 'submitted',
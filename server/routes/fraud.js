@@ -0,0 +1,329 @@
+const express = require('express');
+const CreditApplication = require('../models/CreditApplication');
+const FraudRuleSet = require('../models/FraudRuleSet');
+const { aiEngine, refreshFraudRules } = require('../services/scoringEngine');
+const { validateRuleSet, testRuleSet, DEFAULT_FRAUD_RULE_SET } = require('../services/fraudRules');
+const { toApplicantData, observedApplicantData } = require('../services/applicantFeatures');
+const { aiLogger } = require('../utils/logger');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { protect, checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_TEST_SAMPLE = 10000;
+
+const RULE_SET_FIELDS = ['rules', 'velocityChecks', 'thresholds', 'manualReviewThreshold'];
+
+// Plain copy of a rule set's rules, velocity checks and thresholds, suitable for seeding a new draft
+const cloneRuleSet = (ruleSet) => {
+  const plain = JSON.parse(JSON.stringify(ruleSet));
+  return RULE_SET_FIELDS.reduce((copy, field) => {
+    if (plain[field] !== undefined) copy[field] = plain[field];
+    return copy;
+  }, {});
+};
+
+const findRuleSet = (version) => FraudRuleSet.findOne({ version: parseInt(version) });
+
+// @desc    List fraud rule set versions
+// @route   GET /api/fraud/rule-sets
+// @access  Private - requires 'fraud_rules' read permission
+router.get('/rule-sets',
+  protect,
+  checkPermission('fraud_rules', 'read'),
+  asyncHandler(async (req, res) => {
+    const query = req.query.status ? { status: req.query.status } : {};
+    const ruleSets = await FraudRuleSet.find(query)
+      .select('-rules')
+      .populate('createdBy', 'firstName lastName username')
+      .populate('publishedBy', 'firstName lastName username')
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        activeVersion: aiEngine.fraudRuleSet.version,
+        ruleSets
+      }
+    });
+  })
+);
+
+// @desc    Get the fraud rule set currently in force
+// @route   GET /api/fraud/rule-sets/active
+// @access  Private - requires 'fraud_rules' read permission
+router.get('/rule-sets/active',
+  protect,
+  checkPermission('fraud_rules', 'read'),
+  asyncHandler(async (req, res) => {
+    res.status(200).json({
+      success: true,
+      data: { ruleSet: aiEngine.fraudRuleSet }
+    });
+  })
+);
+
+// @desc    Get a fraud rule set version
+// @route   GET /api/fraud/rule-sets/:version
+// @access  Private - requires 'fraud_rules' read permission
+router.get('/rule-sets/:version',
+  protect,
+  checkPermission('fraud_rules', 'read'),
+  asyncHandler(async (req, res) => {
+    const ruleSet = await findRuleSet(req.params.version);
+
+    if (!ruleSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fraud rule set not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ruleSet }
+    });
+  })
+);
+
+// @desc    Create a draft fraud rule set (defaults to a copy of the active one)
+// @route   POST /api/fraud/rule-sets
+// @access  Private - requires 'fraud_rules' create permission
+router.post('/rule-sets',
+  protect,
+  checkPermission('fraud_rules', 'create'),
+  asyncHandler(async (req, res) => {
+    const definition = {
+      ...cloneRuleSet(aiEngine.fraudRuleSet),
+      ...cloneRuleSet(req.body)
+    };
+
+    const errors = validateRuleSet(definition);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid fraud rule set',
+        errors
+      });
+    }
+
+    const latest = await FraudRuleSet.findOne().sort({ version: -1 }).select('version');
+    const ruleSet = await FraudRuleSet.create({
+      ...definition,
+      version: latest ? latest.version + 1 : DEFAULT_FRAUD_RULE_SET.version + 1,
+      name: req.body.name,
+      description: req.body.description,
+      createdBy: req.user._id
+    });
+
+    aiLogger.info('Fraud rule set draft created', {
+      userId: req.user._id,
+      ruleSetVersion: ruleSet.version
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Fraud rule set draft created successfully',
+      data: { ruleSet }
+    });
+  })
+);
+
+// @desc    Update a draft fraud rule set, including enabling or disabling rules
+// @route   PUT /api/fraud/rule-sets/:version
+// @access  Private - requires 'fraud_rules' update permission
+router.put('/rule-sets/:version',
+  protect,
+  checkPermission('fraud_rules', 'update'),
+  asyncHandler(async (req, res) => {
+    const ruleSet = await findRuleSet(req.params.version);
+
+    if (!ruleSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fraud rule set not found'
+      });
+    }
+
+    if (ruleSet.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft rule sets can be edited; create a new version instead'
+      });
+    }
+
+    ['name', 'description', ...RULE_SET_FIELDS].forEach((field) => {
+      if (req.body[field] !== undefined) ruleSet[field] = req.body[field];
+    });
+
+    const errors = validateRuleSet(ruleSet.toObject());
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid fraud rule set',
+        errors
+      });
+    }
+
+    await ruleSet.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Fraud rule set updated successfully',
+      data: { ruleSet }
+    });
+  })
+);
+
+// @desc    Test a rule set against historical applications before publishing
+// @route   POST /api/fraud/rule-sets/:version/test
+// @access  Private - requires 'fraud_rules' read permission
+router.post('/rule-sets/:version/test',
+  protect,
+  checkPermission('fraud_rules', 'read'),
+  asyncHandler(async (req, res) => {
+    const ruleSet = await findRuleSet(req.params.version);
+
+    if (!ruleSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fraud rule set not found'
+      });
+    }
+
+    const { dateFrom, dateTo } = req.body;
+    const sampleSize = Math.min(parseInt(req.body.sampleSize) || 1000, MAX_TEST_SAMPLE);
+
+    const query = { status: { $ne: 'draft' } };
+    if (dateFrom || dateTo) {
+      query.createdAt = {};
+      if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) query.createdAt.$lte = new Date(dateTo);
+    }
+
+    const applications = await CreditApplication.find(query)
+      .select('applicationId applicant.employment applicant.address applicant.dateOfBirth loan financial')
+      .sort({ createdAt: -1 })
+      .limit(sampleSize)
+      .lean();
+
+    const result = testRuleSet(
+      ruleSet.toObject(),
+      aiEngine.fraudRuleSet,
+      applications.map(application => ({
+        applicationId: application.applicationId,
+        data: observedApplicantData(toApplicantData(application))
+      }))
+    );
+
+    aiLogger.info('Fraud rule set tested', {
+      userId: req.user._id,
+      ruleSetVersion: ruleSet.version,
+      sampleSize: result.sampleSize,
+      flagged: result.proposed.flagged
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+// @desc    Publish a draft rule set, retiring the one it replaces
+// @route   POST /api/fraud/rule-sets/:version/publish
+// @access  Private - requires 'fraud_rules' approve permission
+router.post('/rule-sets/:version/publish',
+  protect,
+  checkPermission('fraud_rules', 'approve'),
+  asyncHandler(async (req, res) => {
+    const ruleSet = await findRuleSet(req.params.version);
+
+    if (!ruleSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fraud rule set not found'
+      });
+    }
+
+    if (ruleSet.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Fraud rule set ${ruleSet.version} is already ${ruleSet.status}`
+      });
+    }
+
+    await FraudRuleSet.updateMany(
+      { status: 'active' },
+      { status: 'retired', retiredAt: new Date() }
+    );
+
+    ruleSet.status = 'active';
+    ruleSet.publishedBy = req.user._id;
+    ruleSet.publishedAt = new Date();
+    await ruleSet.save();
+
+    await refreshFraudRules();
+
+    aiLogger.info('Fraud rule set published', {
+      userId: req.user._id,
+      ruleSetVersion: ruleSet.version
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Fraud rule set ${ruleSet.version} published`,
+      data: {
+        ruleSet,
+        activeVersion: aiEngine.fraudRuleSet.version
+      }
+    });
+  })
+);
+
+// @desc    Retire the active rule set, reverting to the default rules
+// @route   POST /api/fraud/rule-sets/:version/retire
+// @access  Private - requires 'fraud_rules' approve permission
+router.post('/rule-sets/:version/retire',
+  protect,
+  checkPermission('fraud_rules', 'approve'),
+  asyncHandler(async (req, res) => {
+    const ruleSet = await findRuleSet(req.params.version);
+
+    if (!ruleSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fraud rule set not found'
+      });
+    }
+
+    if (ruleSet.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the active rule set can be retired'
+      });
+    }
+
+    ruleSet.status = 'retired';
+    ruleSet.retiredAt = new Date();
+    await ruleSet.save();
+
+    await refreshFraudRules();
+
+    aiLogger.info('Fraud rule set retired', {
+      userId: req.user._id,
+      ruleSetVersion: ruleSet.version
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Fraud rule set ${ruleSet.version} retired`,
+      data: {
+        ruleSet,
+        activeVersion: aiEngine.fraudRuleSet.version
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,630 @@
+const express = require('express');
+const CreditApplication = require('../models/CreditApplication');
+const Scorecard = require('../models/Scorecard');
+const RateCard = require('../models/RateCard');
+const { aiEngine, refreshScorecards, refreshRateCard } = require('../services/scoringEngine');
+const { validateScorecard, previewScorecard, DEFAULT_SCORECARD } = require('../services/scorecard');
+const { validateRateCard, priceLoan, DEFAULT_RATE_CARD } = require('../services/pricing');
+const { toApplicantData } = require('../services/applicantFeatures');
+const { aiLogger } = require('../utils/logger');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { protect, authorize, checkPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_PREVIEW_SAMPLE = 5000;
+
+// Plain copy of a scorecard's attributes, suitable for seeding a new draft
+const cloneAttributes = (scorecard) =>
+  JSON.parse(JSON.stringify(scorecard.attributes));
+
+const RATE_CARD_FIELDS = [
+  'baseRate',
+  'riskSpreads',
+  'pdSpreadPerPoint',
+  'termAdjustments',
+  'purposeAdjustments',
+  'collateralAdjustments',
+  'originationFeeRate',
+  'minRate',
+  'maxRate'
+];
+
+// Plain copy of a rate card's pricing fields, suitable for seeding a new draft
+const clonePricing = (rateCard) => {
+  const plain = JSON.parse(JSON.stringify(rateCard));
+  return RATE_CARD_FIELDS.reduce((pricing, field) => {
+    if (plain[field] !== undefined) pricing[field] = plain[field];
+    return pricing;
+  }, {});
+};
+
+// @desc    List scorecard versions
+// @route   GET /api/policy/scorecards
+// @access  Private - requires admin role
+router.get('/scorecards',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const query = req.query.status ? { status: req.query.status } : {};
+    const scorecards = await Scorecard.find(query)
+      .select('-attributes')
+      .populate('createdBy', 'firstName lastName username')
+      .populate('activatedBy', 'firstName lastName username')
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        activeVersion: aiEngine.getActiveScorecard().version,
+        scorecards
+      }
+    });
+  })
+);
+
+// @desc    Get the scorecard currently used for scoring
+// @route   GET /api/policy/scorecards/active
+// @access  Private - requires admin role
+router.get('/scorecards/active',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    res.status(200).json({
+      success: true,
+      data: { scorecard: aiEngine.getActiveScorecard() }
+    });
+  })
+);
+
+// @desc    Get a scorecard version
+// @route   GET /api/policy/scorecards/:version
+// @access  Private - requires admin role
+router.get('/scorecards/:version',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const scorecard = await Scorecard.findOne({ version: parseInt(req.params.version) });
+
+    if (!scorecard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scorecard not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { scorecard }
+    });
+  })
+);
+
+// @desc    Create a draft scorecard (defaults to a copy of the active one)
+// @route   POST /api/policy/scorecards
+// @access  Private - requires admin role
+router.post('/scorecards',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const { name, description } = req.body;
+    const attributes = req.body.attributes || cloneAttributes(aiEngine.getActiveScorecard());
+
+    const errors = validateScorecard({ attributes }, aiEngine.featureNames);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scorecard',
+        errors
+      });
+    }
+
+    const latest = await Scorecard.findOne().sort({ version: -1 }).select('version');
+    const scorecard = await Scorecard.create({
+      version: latest ? latest.version + 1 : DEFAULT_SCORECARD.version + 1,
+      name,
+      description,
+      attributes,
+      createdBy: req.user._id
+    });
+
+    aiLogger.info('Scorecard draft created', {
+      userId: req.user._id,
+      scorecardVersion: scorecard.version
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Scorecard draft created successfully',
+      data: { scorecard }
+    });
+  })
+);
+
+// @desc    Update a draft scorecard
+// @route   PUT /api/policy/scorecards/:version
+// @access  Private - requires admin role
+router.put('/scorecards/:version',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const scorecard = await Scorecard.findOne({ version: parseInt(req.params.version) });
+
+    if (!scorecard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scorecard not found'
+      });
+    }
+
+    if (scorecard.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft scorecards can be edited; create a new version instead'
+      });
+    }
+
+    ['name', 'description', 'attributes'].forEach((field) => {
+      if (req.body[field] !== undefined) scorecard[field] = req.body[field];
+    });
+
+    const errors = validateScorecard(scorecard.toObject(), aiEngine.featureNames);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scorecard',
+        errors
+      });
+    }
+
+    await scorecard.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scorecard updated successfully',
+      data: { scorecard }
+    });
+  })
+);
+
+// @desc    Preview how a scorecard would shift score distributions
+// @route   POST /api/policy/scorecards/:version/preview
+// @access  Private - requires admin role
+router.post('/scorecards/:version/preview',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const scorecard = await Scorecard.findOne({ version: parseInt(req.params.version) });
+
+    if (!scorecard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scorecard not found'
+      });
+    }
+
+    const { dateFrom, dateTo } = req.body;
+    const sampleSize = Math.min(parseInt(req.body.sampleSize) || 1000, MAX_PREVIEW_SAMPLE);
+
+    const query = { 'financial.creditScore': { $exists: true, $ne: null } };
+    if (dateFrom || dateTo) {
+      query.createdAt = {};
+      if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) query.createdAt.$lte = new Date(dateTo);
+    }
+
+    const applications = await CreditApplication.find(query)
+      .select('applicationId applicant.employment applicant.address applicant.dateOfBirth loan financial')
+      .sort({ createdAt: -1 })
+      .limit(sampleSize)
+      .lean();
+
+    const preview = previewScorecard(
+      aiEngine,
+      scorecard,
+      aiEngine.getActiveScorecard(),
+      applications.map(toApplicantData)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        modelVersion: aiEngine.modelVersion,
+        ...preview
+      }
+    });
+  })
+);
+
+// @desc    Activate a scorecard from an effective date
+// @route   POST /api/policy/scorecards/:version/activate
+// @access  Private - requires admin role
+router.post('/scorecards/:version/activate',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const scorecard = await Scorecard.findOne({ version: parseInt(req.params.version) });
+
+    if (!scorecard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scorecard not found'
+      });
+    }
+
+    if (scorecard.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Scorecard ${scorecard.version} is already ${scorecard.status}`
+      });
+    }
+
+    const effectiveFrom = req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : new Date();
+    if (isNaN(effectiveFrom.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'effectiveFrom must be a valid date'
+      });
+    }
+
+    // Close the window of whichever active scorecard would otherwise overlap
+    await Scorecard.updateMany(
+      {
+        status: 'active',
+        effectiveFrom: { $lt: effectiveFrom },
+        $or: [{ effectiveTo: null }, { effectiveTo: { $gt: effectiveFrom } }]
+      },
+      { effectiveTo: effectiveFrom }
+    );
+
+    scorecard.status = 'active';
+    scorecard.effectiveFrom = effectiveFrom;
+    scorecard.activatedBy = req.user._id;
+    scorecard.activatedAt = new Date();
+    await scorecard.save();
+
+    await refreshScorecards();
+
+    aiLogger.info('Scorecard activated', {
+      userId: req.user._id,
+      scorecardVersion: scorecard.version,
+      effectiveFrom
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Scorecard ${scorecard.version} activated`,
+      data: {
+        scorecard,
+        activeVersion: aiEngine.getActiveScorecard().version
+      }
+    });
+  })
+);
+
+// @desc    Retire an active scorecard
+// @route   POST /api/policy/scorecards/:version/retire
+// @access  Private - requires admin role
+router.post('/scorecards/:version/retire',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const scorecard = await Scorecard.findOne({ version: parseInt(req.params.version) });
+
+    if (!scorecard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scorecard not found'
+      });
+    }
+
+    if (scorecard.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active scorecards can be retired'
+      });
+    }
+
+    scorecard.status = 'retired';
+    scorecard.retiredAt = new Date();
+    if (!scorecard.effectiveTo || scorecard.effectiveTo > scorecard.retiredAt) {
+      scorecard.effectiveTo = scorecard.retiredAt;
+    }
+    await scorecard.save();
+
+    await refreshScorecards();
+
+    aiLogger.info('Scorecard retired', {
+      userId: req.user._id,
+      scorecardVersion: scorecard.version
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Scorecard ${scorecard.version} retired`,
+      data: {
+        scorecard,
+        activeVersion: aiEngine.getActiveScorecard().version
+      }
+    });
+  })
+);
+
+// @desc    List rate card versions
+// @route   GET /api/policy/rate-cards
+// @access  Private - requires admin role
+router.get('/rate-cards',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const query = req.query.status ? { status: req.query.status } : {};
+    const rateCards = await RateCard.find(query)
+      .populate('createdBy', 'firstName lastName username')
+      .populate('activatedBy', 'firstName lastName username')
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        activeVersion: aiEngine.rateCard.version,
+        rateCards
+      }
+    });
+  })
+);
+
+// @desc    Get the rate card currently used for pricing
+// @route   GET /api/policy/rate-cards/active
+// @access  Private - requires 'applications' read permission
+router.get('/rate-cards/active',
+  protect,
+  checkPermission('applications', 'read'),
+  asyncHandler(async (req, res) => {
+    res.status(200).json({
+      success: true,
+      data: { rateCard: aiEngine.rateCard }
+    });
+  })
+);
+
+// @desc    Quote a loan against the active rate card
+// @route   POST /api/policy/rate-cards/quote
+// @access  Private - requires 'applications' read permission
+router.post('/rate-cards/quote',
+  protect,
+  checkPermission('applications', 'read'),
+  asyncHandler(async (req, res) => {
+    const { riskLevel, pd, loanAmount, loanTerm, loanPurpose, collateralType } = req.body;
+
+    if (!riskLevel || !loanAmount || !loanTerm) {
+      return res.status(400).json({
+        success: false,
+        message: 'riskLevel, loanAmount and loanTerm are required'
+      });
+    }
+
+    const offer = priceLoan(aiEngine.rateCard, {
+      riskLevel,
+      pd: pd !== undefined ? Number(pd) : 0,
+      loanAmount: Number(loanAmount),
+      loanTerm: parseInt(loanTerm),
+      loanPurpose,
+      collateralType
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { offer }
+    });
+  })
+);
+
+// @desc    Get a rate card version
+// @route   GET /api/policy/rate-cards/:version
+// @access  Private - requires admin role
+router.get('/rate-cards/:version',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const rateCard = await RateCard.findOne({ version: parseInt(req.params.version) });
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { rateCard }
+    });
+  })
+);
+
+// @desc    Create a draft rate card (defaults to a copy of the active one)
+// @route   POST /api/policy/rate-cards
+// @access  Private - requires admin role
+router.post('/rate-cards',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const pricing = {
+      ...clonePricing(aiEngine.rateCard),
+      ...clonePricing(req.body)
+    };
+
+    const errors = validateRateCard(pricing);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rate card',
+        errors
+      });
+    }
+
+    const latest = await RateCard.findOne().sort({ version: -1 }).select('version');
+    const rateCard = await RateCard.create({
+      ...pricing,
+      version: latest ? latest.version + 1 : DEFAULT_RATE_CARD.version + 1,
+      name: req.body.name,
+      description: req.body.description,
+      createdBy: req.user._id
+    });
+
+    aiLogger.info('Rate card draft created', {
+      userId: req.user._id,
+      rateCardVersion: rateCard.version
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate card draft created successfully',
+      data: { rateCard }
+    });
+  })
+);
+
+// @desc    Update a draft rate card
+// @route   PUT /api/policy/rate-cards/:version
+// @access  Private - requires admin role
+router.put('/rate-cards/:version',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const rateCard = await RateCard.findOne({ version: parseInt(req.params.version) });
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    if (rateCard.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft rate cards can be edited; create a new version instead'
+      });
+    }
+
+    ['name', 'description', ...RATE_CARD_FIELDS].forEach((field) => {
+      if (req.body[field] !== undefined) rateCard[field] = req.body[field];
+    });
+
+    const errors = validateRateCard(rateCard.toObject());
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rate card',
+        errors
+      });
+    }
+
+    await rateCard.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate card updated successfully',
+      data: { rateCard }
+    });
+  })
+);
+
+// @desc    Activate a rate card, retiring the one it replaces
+// @route   POST /api/policy/rate-cards/:version/activate
+// @access  Private - requires admin role
+router.post('/rate-cards/:version/activate',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const rateCard = await RateCard.findOne({ version: parseInt(req.params.version) });
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    if (rateCard.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Rate card ${rateCard.version} is already ${rateCard.status}`
+      });
+    }
+
+    await RateCard.updateMany(
+      { status: 'active' },
+      { status: 'retired', retiredAt: new Date() }
+    );
+
+    rateCard.status = 'active';
+    rateCard.activatedBy = req.user._id;
+    rateCard.activatedAt = new Date();
+    await rateCard.save();
+
+    await refreshRateCard();
+
+    aiLogger.info('Rate card activated', {
+      userId: req.user._id,
+      rateCardVersion: rateCard.version
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Rate card ${rateCard.version} activated`,
+      data: {
+        rateCard,
+        activeVersion: aiEngine.rateCard.version
+      }
+    });
+  })
+);
+
+// @desc    Retire the active rate card, reverting to the default rate card
+// @route   POST /api/policy/rate-cards/:version/retire
+// @access  Private - requires admin role
+router.post('/rate-cards/:version/retire',
+  protect,
+  authorize('admin'),
+  asyncHandler(async (req, res) => {
+    const rateCard = await RateCard.findOne({ version: parseInt(req.params.version) });
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    if (rateCard.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active rate cards can be retired'
+      });
+    }
+
+    rateCard.status = 'retired';
+    rateCard.retiredAt = new Date();
+    await rateCard.save();
+
+    await refreshRateCard();
+
+    aiLogger.info('Rate card retired', {
+      userId: req.user._id,
+      rateCardVersion: rateCard.version
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Rate card ${rateCard.version} retired`,
+      data: {
+        rateCard,
+        activeVersion: aiEngine.rateCard.version
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const { buildNoticeContent, renderText } = require('../adverseActionNotice');
+const { defaultTemplate } = require('../../config/adverseActionTemplate');
+const { reasonStatement } = require('../reasonCodes');
+
+const NOTICE_DATE = new Date('2024-06-01');
+
+const deniedApplication = (overrides = {}) => ({
+  applicationId: 'APP-100',
+  applicantFullName: 'Ana Lopez',
+  applicant: { address: { street: '1 Main St', city: 'Albany', state: 'NY', zipCode: '12207' } },
+  loan: { amount: 15000, purpose: 'debt_consolidation' },
+  financial: { creditScore: 610 },
+  aiAssessment: {
+    processedAt: NOTICE_DATE,
+    reasonCodes: [
+      { code: 'R03', statement: reasonStatement('R03') },
+      { code: 'R08', statement: reasonStatement('R08') }
+    ]
+  },
+  manualReview: { decision: { outcome: 'denied' } },
+  ...overrides
+});
+
+const build = application => buildNoticeContent(application, defaultTemplate, NOTICE_DATE);
+
+describe('principal reasons', () => {
+  it('lists the model reason codes', () => {
+    expect(build(deniedApplication()).reasons).toEqual([
+      'Excessive obligations in relation to income',
+      'Proportion of balances to credit limits is too high on revolving accounts'
+    ]);
+  });
+
+  it('puts cited reason codes first and never prints the free-text reason', () => {
+    const content = build(deniedApplication({
+      manualReview: {
+        decision: { outcome: 'denied', reason: 'applicant was rude on the phone', reasonCodes: ['D01', 'R03'] }
+      }
+    }));
+
+    expect(content.reasons).toEqual([
+      'Unable to verify income',
+      'Excessive obligations in relation to income',
+      'Proportion of balances to credit limits is too high on revolving accounts'
+    ]);
+    expect(renderText(content)).not.toMatch(/rude/);
+  });
+
+  it('caps the list at four reasons', () => {
+    const content = build(deniedApplication({
+      manualReview: { decision: { outcome: 'denied', reasonCodes: ['D01', 'D02', 'D03', 'D04', 'D05'] } }
+    }));
+    expect(content.reasons).toHaveLength(4);
+  });
+
+  it('refuses a notice with no reasons', () => {
+    expect(() => build(deniedApplication({ aiAssessment: { reasonCodes: [] } }))).toThrow(/reason codes/);
+  });
+});
+
+describe('credit score disclosure', () => {
+  it('discloses the bureau score apart from the decision reasons', () => {
+    const text = renderText(build(deniedApplication()));
+
+    expect(text).toMatch(/Your credit score from the consumer reporting agency listed below: 610/);
+    expect(text).toMatch(/not the key factors that affected this score/);
+    expect(text).not.toMatch(/Key factors that adversely affected your credit score are listed above/);
+  });
+
+  it('is left out without a bureau score', () => {
+    const text = renderText(build(deniedApplication({ financial: {} })));
+    expect(text).not.toMatch(/Your credit score/);
+  });
+});
@@ -0,0 +1,116 @@
+const {
+  IMPUTATION_DEFAULTS,
+  toApplicantData,
+  observedApplicantData,
+  assessDataQuality,
+  assertScorable
+} = require('../applicantFeatures');
+const AICreditscoringEngine = require('../aiCreditScoring');
+
+const completeApplication = {
+  _id: 'app-1',
+  applicant: {
+    ssn: '212-45-6789',
+    dateOfBirth: new Date('1980-01-01'),
+    employment: { annualIncome: 250000, employmentLength: 6 },
+    address: { timeAtAddress: 48 }
+  },
+  loan: { amount: 20000, term: 36, purpose: 'debt_consolidation' },
+  financial: {
+    creditScore: 720,
+    debtToIncomeRatio: 0.25,
+    paymentHistoryScore: 95,
+    creditUtilization: 0.2,
+    numberOfAccounts: 7,
+    recentInquiries: 0
+  }
+};
+
+const withoutFinancial = (...inputs) => ({
+  ...completeApplication,
+  financial: Object.fromEntries(Object.entries(completeApplication.financial).filter(([key]) => !inputs.includes(key)))
+});
+
+describe('toApplicantData', () => {
+  it('imputes nothing on a complete application', () => {
+    const data = toApplicantData(completeApplication);
+
+    expect(data.imputed).toEqual([]);
+    expect(data).toMatchObject({ creditScore: 720, annualIncome: 250000, loanAmount: 20000, timeAtAddress: 48 });
+  });
+
+  it('fills defaults and lists what it imputed', () => {
+    const data = toApplicantData(withoutFinancial('numberOfAccounts', 'creditScore'));
+
+    expect(data.numberOfAccounts).toBe(IMPUTATION_DEFAULTS.numberOfAccounts);
+    expect(data.creditScore).toBeUndefined();
+    expect(data.imputed).toEqual(['numberOfAccounts', 'creditScore']);
+  });
+});
+
+describe('assessDataQuality', () => {
+  it('maps imputed inputs to model features', () => {
+    const quality = assessDataQuality(toApplicantData(withoutFinancial('numberOfAccounts', 'creditScore')));
+
+    expect(quality.missingFeatures).toEqual(['credit_score', 'number_of_accounts']);
+    expect(quality.imputedInputs).toEqual(['numberOfAccounts', 'creditScore']);
+  });
+
+  it('finds missing features in data supplied directly', () => {
+    const { creditScore, ...data } = toApplicantData(completeApplication);
+    expect(assessDataQuality({ ...data, imputed: undefined }).missingFeatures).toEqual(['credit_score']);
+  });
+
+  it('does not count inputs whose absence means none', () => {
+    const data = { ...toApplicantData(completeApplication), imputed: ['collateralValue', 'authorizedUserAccounts'] };
+    expect(assessDataQuality(data)).toEqual({ missingFeatures: [], imputedInputs: [] });
+  });
+});
+
+describe('assertScorable', () => {
+  const sparse = toApplicantData(withoutFinancial('creditScore', 'paymentHistoryScore', 'creditUtilization', 'recentInquiries'));
+
+  it('returns the data quality within the limit', () => {
+    expect(assertScorable(sparse, { maxMissingFeatures: 4 }).missingFeatures).toHaveLength(4);
+  });
+
+  it('refuses data missing more features than allowed', () => {
+    expect.assertions(4);
+    try {
+      assertScorable(sparse, { maxMissingFeatures: 3 });
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+      expect(error.missingFeatures).toHaveLength(4);
+      expect(error.maxMissingFeatures).toBe(3);
+      expect(error.message).toMatch(/at most 3 may be imputed/);
+    }
+  });
+});
+
+describe('fraud evaluation on observed data', () => {
+  it('leaves imputed inputs undefined', () => {
+    const data = toApplicantData(withoutFinancial('numberOfAccounts'));
+    const observed = observedApplicantData(data);
+
+    expect(observed.numberOfAccounts).toBeUndefined();
+    expect(observed.creditScore).toBe(720);
+    expect(data.numberOfAccounts).toBe(IMPUTATION_DEFAULTS.numberOfAccounts);
+  });
+
+  it('does not fire fraud rules on imputed values', async () => {
+    const engine = new AICreditscoringEngine();
+    const observedEmployment = toApplicantData(completeApplication);
+    const unknownEmployment = toApplicantData({
+      ...completeApplication,
+      applicant: { ...completeApplication.applicant, employment: { annualIncome: 250000 } }
+    });
+
+    // F01: income above 200,000 with under a year of employment
+    const recentHire = await engine.evaluateFraudRisk({ ...observedEmployment, employmentLength: 0.5 });
+    const imputed = await engine.evaluateFraudRisk(unknownEmployment);
+
+    expect(unknownEmployment.employmentLength).toBe(0);
+    expect(recentHire.triggeredRules.map(rule => rule.code)).toContain('F01');
+    expect(imputed.triggeredRules.map(rule => rule.code)).not.toContain('F01');
+  });
+});
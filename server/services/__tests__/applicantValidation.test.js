@@ -0,0 +1,83 @@
+const { validateApplicantData, validateApplicationInput } = require('../applicantValidation');
+
+const fields = errors => errors.map(error => error.field);
+
+describe('validateApplicantData', () => {
+  const valid = {
+    creditScore: 720,
+    annualIncome: 85000,
+    debtToIncomeRatio: 0.35,
+    loanAmount: 20000,
+    loanTerm: 36,
+    loanPurpose: 'auto_loan',
+    oldestAccountOpened: '2010-05-01'
+  };
+
+  it('accepts known inputs within their rules and leaves missing ones alone', () => {
+    expect(validateApplicantData(valid)).toEqual([]);
+    expect(validateApplicantData({ creditScore: 700, employmentLength: null })).toEqual([]);
+  });
+
+  it('rejects fields that are not applicant inputs', () => {
+    expect(validateApplicantData({ ...valid, income: 85000, favouriteColour: 'blue' })).toEqual([
+      { field: 'income', message: 'income is not a recognised applicant input' },
+      { field: 'favouriteColour', message: 'favouriteColour is not a recognised applicant input' }
+    ]);
+  });
+
+  it('reports every invalid field, not just the first', () => {
+    const errors = validateApplicantData({
+      creditScore: '720',
+      debtToIncomeRatio: 40,
+      loanTerm: 36.5,
+      loanAmount: 0,
+      collateralType: 'yacht',
+      oldestAccountOpened: '2999-01-01',
+      ssn: '  '
+    });
+
+    expect(errors.map(error => error.message)).toEqual([
+      'creditScore must be a number, not a string',
+      'debtToIncomeRatio must be a ratio between 0 and 2 (e.g. 0.4 for 40%)',
+      'loanTerm must be a whole number',
+      'loanAmount must be at least 1',
+      expect.stringMatching(/^collateralType must be one of: /),
+      'oldestAccountOpened cannot be in the future',
+      'ssn must be a non-empty string'
+    ]);
+  });
+
+  it('rejects data that is not an object', () => {
+    expect(fields(validateApplicantData([valid]))).toEqual(['applicantData']);
+    expect(fields(validateApplicantData(null))).toEqual(['applicantData']);
+  });
+});
+
+describe('validateApplicationInput', () => {
+  it('checks scoring fields by their path on the application, ignoring other fields', () => {
+    const errors = validateApplicationInput({
+      applicant: { firstName: 'Ana', employment: { annualIncome: -1 } },
+      financial: { creditUtilization: 85, creditScore: 700 },
+      loan: { amount: 15000, notes: 'refinance' }
+    });
+
+    expect(errors).toEqual([
+      { field: 'applicant.employment.annualIncome', message: 'applicant.employment.annualIncome must be at least 0' },
+      { field: 'financial.creditUtilization', message: 'financial.creditUtilization must be a ratio between 0 and 1.5 (e.g. 0.4 for 40%)' }
+    ]);
+  });
+
+  it('checks only the fields of a partial update', () => {
+    expect(validateApplicationInput({ loan: { term: 60 } })).toEqual([]);
+  });
+
+  it('derives the age rule from the date of birth', () => {
+    const yearsAgo = years => new Date(Date.now() - years * 365.25 * 24 * 60 * 60 * 1000).toISOString();
+
+    expect(validateApplicationInput({ applicant: { dateOfBirth: yearsAgo(30) } })).toEqual([]);
+    expect(validateApplicationInput({ applicant: { dateOfBirth: yearsAgo(16) } })).toEqual([
+      { field: 'applicant.dateOfBirth', message: 'Applicant must be between 18 and 120 years old' }
+    ]);
+    expect(fields(validateApplicationInput({ applicant: { dateOfBirth: 'not a date' } }))).toEqual(['applicant.dateOfBirth']);
+  });
+});
@@ -0,0 +1,104 @@
+const CreditApplication = require('../../models/CreditApplication');
+const ModelVersion = require('../../models/ModelVersion');
+const { runBacktest } = require('../backtest');
+
+// Replays score 20 points above the bureau score; expected loss falls as the score rises
+const riskLevelFor = score => (score >= 700 ? 'LOW' : score >= 650 ? 'MEDIUM' : 'HIGH');
+const engine = {
+  model: { version: 'lr-live' },
+  rateCard: { version: 2 },
+  getActiveScorecard: () => ({ version: 3 }),
+  scoreApplicant: ({ creditScore }) => {
+    if (!Number.isFinite(creditScore)) throw new Error('creditScore is required');
+    return { creditScore: creditScore + 20, riskLevel: riskLevelFor(creditScore + 20), probability: 0.9 };
+  },
+  calculateRiskMetrics: ({ creditScore }) => ({ pd: 0.05, expectedLoss: 800 - (creditScore + 20) }),
+  priceOffer: () => ({ eligible: true })
+};
+
+const application = (applicationId, status, creditScore, aiAssessment) => ({
+  applicationId,
+  status,
+  submittedAt: new Date('2024-03-01'),
+  applicant: { employment: { annualIncome: 60000 } },
+  loan: { amount: 10000, term: 36 },
+  financial: { creditScore },
+  aiAssessment
+});
+
+const applications = [
+  application('APP-A', 'approved', 700, { creditScore: 700, riskLevel: 'LOW', riskMetrics: { expectedLoss: 100 }, modelVersion: 'v1' }),
+  application('APP-B', 'denied', 640, { creditScore: 640, riskLevel: 'HIGH', riskMetrics: { expectedLoss: 160 }, modelVersion: 'v1' }),
+  application('APP-C', 'approved', 600, { creditScore: 620, riskLevel: 'MEDIUM', riskMetrics: { expectedLoss: 180 }, modelVersion: 'v0' }),
+  application('APP-D', 'submitted', 700, { creditScore: 700, riskLevel: 'LOW' }),
+  application('APP-E', 'submitted', null, { creditScore: 680, riskLevel: 'MEDIUM', modelVersion: 'v1' })
+];
+
+const period = { dateFrom: '2024-01-01', dateTo: '2024-06-30' };
+
+describe('runBacktest', () => {
+  beforeEach(() => {
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      lean: () => chain,
+      cursor: () => applications
+    };
+    jest.spyOn(CreditApplication, 'find').mockReturnValue(chain);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('summarizes the replay against the recorded assessments', async () => {
+    const report = await runBacktest(engine, period);
+
+    expect(report.replay).toEqual({ modelVersion: 'lr-live', scorecardVersion: 3, rateCardVersion: 2 });
+    expect(report.sampleCount).toBe(4);
+    expect(report.skipped).toBe(1);
+    expect(report.recordedModelVersions).toEqual({ v1: 2, v0: 1, unknown: 1 });
+    expect(report.decisions).toMatchObject({
+      recordedApprovalRate: 0.75,
+      replayApprovalRate: 0.75,
+      approvalRateChange: 0,
+      approveToDecline: 1,
+      declineToApprove: 1
+    });
+  });
+
+  it('compares the replay with the actual underwriting decisions', async () => {
+    const { actualDecisions } = await runBacktest(engine, period);
+
+    expect(actualDecisions).toEqual({ decided: 3, approved: 2, approvedNowDeclined: 1, deniedNowApproved: 1, approvalRate: 0.6667 });
+  });
+
+  it('totals expected loss over applications with both figures, overall and on the approved book', async () => {
+    const { expectedLoss } = await runBacktest(engine, period);
+
+    expect(expectedLoss).toEqual({
+      sampleCount: 3,
+      recorded: { total: 440, approved: 280 },
+      replay: { total: 400, approved: 220 },
+      change: { total: -40, approved: -60 }
+    });
+  });
+
+  it('lists the applications that swap decision', async () => {
+    const { swaps } = await runBacktest(engine, period);
+
+    expect(swaps.map(swap => [swap.applicationId, swap.recorded.decision, swap.replay.decision])).toEqual([
+      ['APP-B', 'decline', 'approve'],
+      ['APP-C', 'approve', 'decline']
+    ]);
+  });
+
+  it('rejects a bad period, an unknown model version and a missing model', async () => {
+    jest.spyOn(ModelVersion, 'findOne').mockResolvedValue(null);
+
+    await expect(runBacktest(engine, { dateFrom: 'soon', dateTo: '2024-06-30' })).rejects.toThrow('dateFrom must be a valid date');
+    await expect(runBacktest(engine, { dateFrom: '2024-06-30', dateTo: '2024-01-01' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'dateFrom must be before dateTo' });
+    await expect(runBacktest(engine, { ...period, modelVersion: 'lr-missing' }))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Model version lr-missing not found' });
+    await expect(runBacktest({ ...engine, model: null }, period)).rejects.toMatchObject({ statusCode: 503 });
+  });
+});
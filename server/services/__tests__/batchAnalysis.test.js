@@ -0,0 +1,124 @@
+jest.mock('../jobQueue', () => ({
+  ...jest.requireActual('../jobQueue'),
+  registerJobHandler: jest.fn()
+}));
+
+const CreditApplication = require('../../models/CreditApplication');
+const JobItem = require('../../models/JobItem');
+const { registerJobHandler } = require('../jobQueue');
+const { JOB_TYPE, MAX_CONCURRENCY, batchParams } = require('../batchAnalysis');
+
+const [[, runBatchAnalysis]] = registerJobHandler.mock.calls;
+
+describe('batchParams', () => {
+  it('de-duplicates application ids and applies the defaults', () => {
+    expect(batchParams({ applicationIds: ['APP-1', 'APP-1', 'APP-2'], filters: { riskLevel: 'HIGH' } })).toEqual({
+      applicationIds: ['APP-1', 'APP-2'],
+      filters: undefined,
+      concurrency: 4,
+      maxAttempts: 3
+    });
+  });
+
+  it('accepts the bounds themselves', () => {
+    expect(batchParams({ filters: {}, concurrency: MAX_CONCURRENCY, maxAttempts: '1' })).toMatchObject({
+      concurrency: MAX_CONCURRENCY,
+      maxAttempts: 1
+    });
+  });
+
+  it.each([
+    [{ applicationIds: [] }, 'applicationIds must be a non-empty array'],
+    [{ applicationIds: 'APP-1' }, 'applicationIds must be a non-empty array'],
+    [{}, 'Either applicationIds or filters must be provided'],
+    [{ filters: {}, concurrency: 0 }, `concurrency must be a whole number between 1 and ${MAX_CONCURRENCY}`],
+    [{ filters: {}, concurrency: MAX_CONCURRENCY + 1 }, `concurrency must be a whole number between 1 and ${MAX_CONCURRENCY}`],
+    [{ filters: {}, maxAttempts: 2.5 }, 'maxAttempts must be a whole number between 1 and 10'],
+    [{ filters: {}, maxAttempts: 11 }, 'maxAttempts must be a whole number between 1 and 10']
+  ])('rejects %p', (body, message) => {
+    expect(() => batchParams(body)).toThrow(expect.objectContaining({ message, statusCode: 400 }));
+  });
+});
+
+describe('batch analysis job', () => {
+  let items;
+  let progress;
+  let cancelled;
+
+  const job = { _id: 'job-1', jobId: 'JOB-1', type: JOB_TYPE, stage: 'analyzing', params: { concurrency: 1, maxAttempts: 3 } };
+
+  const context = {
+    log: jest.fn(),
+    setStage: jest.fn(),
+    setProgress: jest.fn(),
+    incrementProgress: async (counts) => {
+      Object.entries(counts).forEach(([key, value]) => { progress[key] = (progress[key] || 0) + value; });
+    },
+    isCancelled: async () => cancelled()
+  };
+
+  const byKey = () => Object.fromEntries(items.map(item => [item.key, item]));
+
+  // In-memory job items; retries are claimed without waiting out their backoff
+  beforeEach(() => {
+    progress = {};
+    cancelled = () => false;
+    items = ['APP-1', 'APP-2', 'APP-3'].map((key, i) => ({ _id: i, key, status: 'pending', attempts: 0 }));
+
+    jest.spyOn(JobItem, 'findOneAndUpdate').mockImplementation(() => {
+      const item = items.find(candidate => candidate.status === 'pending');
+      if (!item) return Promise.resolve(null);
+      item.status = 'processing';
+      item.attempts++;
+      return Promise.resolve({ ...item });
+    });
+    jest.spyOn(JobItem, 'updateOne').mockImplementation(({ _id }, update) => {
+      Object.assign(items[_id], update.$set);
+      return Promise.resolve({});
+    });
+    jest.spyOn(JobItem, 'updateMany').mockImplementation((filter, update) => {
+      const statuses = filter.status.$in || [filter.status];
+      const matched = items.filter(item => statuses.includes(item.status));
+      matched.forEach(item => Object.assign(item, update.$set));
+      return Promise.resolve({ modifiedCount: matched.length });
+    });
+    jest.spyOn(JobItem, 'findOne').mockImplementation(() => ({
+      sort: () => ({ select: () => Promise.resolve(items.find(item => item.status === 'pending') || null) })
+    }));
+    jest.spyOn(JobItem, 'aggregate').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('retries a failing item up to maxAttempts but not a permanent failure', async () => {
+    jest.spyOn(CreditApplication, 'findOne').mockImplementation(({ applicationId }) => (
+      applicationId === 'APP-2' ? Promise.resolve(null) : Promise.reject(new Error('connection reset'))
+    ));
+
+    await runBatchAnalysis(job, context);
+
+    const { 'APP-1': first, 'APP-2': second } = byKey();
+    expect(first).toMatchObject({ status: 'failed', attempts: 3, lastError: 'connection reset' });
+    expect(second).toMatchObject({ status: 'failed', attempts: 1, lastError: 'Application not found' });
+    expect(progress).toEqual({ processed: 3, failed: 3, retried: 4 });
+  });
+
+  it('stops taking items once cancelled and marks the rest cancelled', async () => {
+    jest.spyOn(CreditApplication, 'findOne').mockResolvedValue(null);
+    cancelled = () => items.some(item => item.status === 'failed');
+
+    await runBatchAnalysis(job, context);
+
+    expect(items.map(item => item.status)).toEqual(['failed', 'cancelled', 'cancelled']);
+    expect(context.setStage).toHaveBeenLastCalledWith('completed');
+  });
+
+  it('puts items interrupted mid-analysis back in the queue on resume', async () => {
+    jest.spyOn(CreditApplication, 'findOne').mockResolvedValue(null);
+    items[0].status = 'processing';
+
+    await runBatchAnalysis(job, context);
+
+    expect(items.map(item => [item.status, item.attempts])).toEqual([['failed', 1], ['failed', 1], ['failed', 1]]);
+  });
+});
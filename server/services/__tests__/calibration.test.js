@@ -0,0 +1,71 @@
+const { fitPlatt, fitIsotonic, fitCalibration, calibratePD, brierScore } = require('../calibration');
+
+// Model "good" probabilities and whether each loan defaulted. The true default
+// rate is higher than the raw PD (1 - probability) suggests.
+const probabilities = [];
+const defaults = [];
+[0.95, 0.9, 0.8, 0.7, 0.6].forEach((probability, band) => {
+  for (let i = 0; i < 20; i++) {
+    probabilities.push(probability);
+    defaults.push(i < (band + 1) * 3 ? 1 : 0);
+  }
+});
+
+describe('Platt scaling', () => {
+  it('maps higher model probabilities to lower PDs', () => {
+    const { a, b } = fitPlatt(probabilities, defaults);
+    const calibration = { method: 'platt', parameters: { a, b } };
+
+    expect(a).toBeLessThan(0);
+    expect(calibratePD(calibration, 0.95)).toBeLessThan(calibratePD(calibration, 0.6));
+  });
+
+  it('reproduces the observed default rate on average', () => {
+    const calibration = { method: 'platt', parameters: fitPlatt(probabilities, defaults) };
+    const meanPD = probabilities.reduce((sum, p) => sum + calibratePD(calibration, p), 0) / probabilities.length;
+    const defaultRate = defaults.filter(Boolean).length / defaults.length;
+
+    expect(meanPD).toBeCloseTo(defaultRate, 3);
+  });
+});
+
+describe('isotonic calibration', () => {
+  it('fits a non-decreasing step function of raw PD', () => {
+    const { thresholds, values } = fitIsotonic(probabilities, defaults);
+
+    expect(thresholds).toEqual([...thresholds].sort((a, b) => a - b));
+    values.slice(1).forEach((value, i) => expect(value).toBeGreaterThanOrEqual(values[i]));
+  });
+
+  it('pools adjacent violators', () => {
+    const { values } = fitIsotonic([0.9, 0.8, 0.7], [1, 0, 1]);
+    expect(values).toEqual([0.5, 1]);
+  });
+
+  it('interpolates between block centroids and is flat beyond them', () => {
+    const calibration = { method: 'isotonic', parameters: { thresholds: [0.1, 0.3], values: [0.05, 0.25] } };
+
+    expect(calibratePD(calibration, 0.95)).toBe(0.05);
+    expect(calibratePD(calibration, 0.8)).toBeCloseTo(0.15, 10);
+    expect(calibratePD(calibration, 0.2)).toBe(0.25);
+  });
+});
+
+describe('fitCalibration', () => {
+  it.each(['platt', 'isotonic'])('%s improves on the uncalibrated Brier score', (method) => {
+    const result = fitCalibration(method, probabilities, defaults);
+    expect(result.brierScore).toBeLessThan(result.uncalibratedBrierScore);
+  });
+
+  it('rejects unknown methods', () => {
+    expect(() => fitCalibration('beta', probabilities, defaults)).toThrow('Calibration method');
+  });
+
+  it('falls back to the raw PD without a calibration', () => {
+    expect(calibratePD(null, 0.8)).toBeCloseTo(0.2, 10);
+  });
+
+  it('scores perfect predictions as zero Brier', () => {
+    expect(brierScore([0, 1], [0, 1])).toBe(0);
+  });
+});
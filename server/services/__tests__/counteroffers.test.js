@@ -0,0 +1,77 @@
+const { generateCounteroffers, MAX_COUNTEROFFERS } = require('../counteroffers');
+
+// Engine stand-in: loans above 20,000 score HIGH, payment is straight-line
+const engine = {
+  scoreApplicant: ({ loanAmount }) => ({
+    creditScore: loanAmount > 20000 ? 600 : 700,
+    riskLevel: loanAmount > 20000 ? 'HIGH' : 'MEDIUM',
+    probability: 0.8
+  }),
+  calculateRiskMetrics: () => ({ pd: 0.05 }),
+  priceOffer: ({ loanAmount, loanTerm }) => ({ eligible: true, apr: 9.9, monthlyPayment: loanAmount / loanTerm })
+};
+
+// 5,000 a month of income with 1,500 of existing debt: at most 650 more under a 0.43 DTI limit
+const applicant = { annualIncome: 60000, debtToIncomeRatio: 0.3, loanAmount: 30000, loanTerm: 36 };
+
+describe('generateCounteroffers', () => {
+  it('reports why the requested loan fails', () => {
+    const { requested } = generateCounteroffers(engine, applicant);
+
+    expect(requested.qualifies).toBe(false);
+    expect(requested.failures).toEqual(['Risk level HIGH is above the approval limit', 'Debt-to-income ratio exceeds 0.43']);
+  });
+
+  it('only offers structures within the risk and DTI limits', () => {
+    const { counteroffers } = generateCounteroffers(engine, applicant, { limit: MAX_COUNTEROFFERS });
+
+    expect(counteroffers.length).toBeGreaterThan(0);
+    counteroffers.forEach((offer) => {
+      expect(offer.qualifies).toBe(true);
+      expect(['LOW', 'MEDIUM']).toContain(offer.riskLevel);
+      expect(offer.debtToIncomeRatio).toBeLessThanOrEqual(0.43);
+      expect(offer.loanAmount).toBeLessThanOrEqual(20000);
+    });
+  });
+
+  it('ranks the closest structure first and prices the down payment alternative', () => {
+    const [closest] = generateCounteroffers(engine, applicant, { downPayment: 2000 }).counteroffers;
+
+    // The risk limit binds at 36 months; amounts step down by 1% of the request
+    expect(closest).toMatchObject({ term: 36, loanAmount: 19800, changes: ['amount'], amountReduction: 10200 });
+    expect(closest.requiredDownPayment).toBe(12200);
+  });
+
+  it('lets the DTI limit bind on short terms', () => {
+    const { counteroffers } = generateCounteroffers(engine, applicant, { limit: MAX_COUNTEROFFERS });
+    const twelveMonths = counteroffers.find(offer => offer.term === 12);
+
+    expect(twelveMonths.loanAmount).toBe(7800);
+    expect(twelveMonths.monthlyPayment).toBe(650);
+  });
+
+  it('uses the limits it is given', () => {
+    const limits = {
+      maxDebtToIncome: 0.35,
+      approvableRiskLevels: ['LOW', 'MEDIUM'],
+      minLoanAmount: 1000,
+      termOptions: [36],
+      amountStepFraction: 0.01
+    };
+    const { counteroffers, limits: reported } = generateCounteroffers(engine, applicant, { limits });
+
+    // 0.35 leaves 250 a month: 9,000 over 36 months
+    expect(counteroffers).toHaveLength(1);
+    expect(counteroffers[0].loanAmount).toBe(9000);
+    expect(reported).toEqual({ maxDebtToIncome: 0.35, approvableRiskLevels: ['LOW', 'MEDIUM'] });
+  });
+
+  it('offers nothing when no income can carry a payment', () => {
+    expect(generateCounteroffers(engine, { ...applicant, annualIncome: 0 }).counteroffers).toEqual([]);
+  });
+
+  it('caps the number of counteroffers', () => {
+    expect(generateCounteroffers(engine, applicant, { limit: 2 }).counteroffers).toHaveLength(2);
+    expect(generateCounteroffers(engine, applicant, { limit: 50 }).counteroffers.length).toBeLessThanOrEqual(MAX_COUNTEROFFERS);
+  });
+});
@@ -0,0 +1,105 @@
+const { RISK_LEVELS, decisionFor, createDecisionComparison } = require('../decisionComparison');
+
+// Pearson correlation computed directly, to check the streaming version against
+function pearson(xs, ys) {
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const mx = mean(xs);
+  const my = mean(ys);
+  const cov = xs.reduce((sum, x, i) => sum + (x - mx) * (ys[i] - my), 0);
+  const sx = Math.sqrt(xs.reduce((sum, x) => sum + (x - mx) ** 2, 0));
+  const sy = Math.sqrt(ys.reduce((sum, y) => sum + (y - my) ** 2, 0));
+  return cov / (sx * sy);
+}
+
+const assessment = (creditScore, riskLevel) => ({ creditScore, riskLevel, decision: decisionFor(riskLevel) });
+
+describe('decisionFor', () => {
+  it('approves approvable risk levels unless the offer is ineligible', () => {
+    expect(decisionFor('LOW')).toBe('approve');
+    expect(decisionFor('MEDIUM', { eligible: true })).toBe('approve');
+    expect(decisionFor('MEDIUM', { eligible: false })).toBe('decline');
+    expect(decisionFor('HIGH', { eligible: true })).toBe('decline');
+  });
+});
+
+describe('createDecisionComparison', () => {
+  const pairs = [
+    [assessment(720, 'LOW'), assessment(735, 'LOW')],
+    [assessment(680, 'MEDIUM'), assessment(650, 'HIGH')],
+    [assessment(610, 'HIGH'), assessment(690, 'MEDIUM')],
+    [assessment(590, 'HIGH'), assessment(580, 'HIGH')],
+    [assessment(760, 'LOW'), assessment(700, 'MEDIUM')]
+  ];
+
+  const compare = (labels) => {
+    const comparison = createDecisionComparison(labels);
+    pairs.forEach(([before, after]) => comparison.add(before, after));
+    return comparison.summarize();
+  };
+
+  it('matches the direct Pearson correlation and mean differences', () => {
+    const { sampleCount, scores } = compare({ from: 'champion', to: 'challenger' });
+    const before = pairs.map(([x]) => x.creditScore);
+    const after = pairs.map(([, y]) => y.creditScore);
+
+    expect(sampleCount).toBe(5);
+    expect(scores.correlation).toBeCloseTo(pearson(before, after), 4);
+    expect(scores).toMatchObject({
+      championMean: 672,
+      challengerMean: 671,
+      meanDifference: -1,
+      meanAbsoluteDifference: 39
+    });
+  });
+
+  it('tallies risk tier migration and its direction', () => {
+    const { riskTiers } = compare();
+
+    expect(riskTiers.migration.LOW).toMatchObject({ LOW: 1, MEDIUM: 1, HIGH: 0 });
+    expect(riskTiers.migration.MEDIUM).toMatchObject({ HIGH: 1 });
+    expect(riskTiers.migration.HIGH).toMatchObject({ MEDIUM: 1, HIGH: 1 });
+    expect(Object.keys(riskTiers.migration)).toEqual(RISK_LEVELS);
+    expect(riskTiers.unchanged).toEqual({ count: 2, rate: 0.4 });
+    expect(riskTiers.towardLowerRisk).toEqual({ count: 1, rate: 0.2 });
+    expect(riskTiers.towardHigherRisk).toEqual({ count: 2, rate: 0.4 });
+  });
+
+  it('reports approval rates and the applications that swap decision', () => {
+    expect(compare().decisions).toEqual({
+      baselineApprovalRate: 0.6,
+      replayApprovalRate: 0.6,
+      approvalRateChange: 0,
+      disagreements: 2,
+      disagreementRate: 0.4,
+      approveToDecline: 1,
+      declineToApprove: 1
+    });
+  });
+
+  it('has no correlation without spread and nothing to report when empty', () => {
+    const flat = createDecisionComparison();
+    flat.add(assessment(700, 'LOW'), assessment(650, 'MEDIUM'));
+    flat.add(assessment(700, 'LOW'), assessment(710, 'LOW'));
+    expect(flat.summarize().scores.correlation).toBeNull();
+
+    const empty = createDecisionComparison().summarize();
+    expect(empty.sampleCount).toBe(0);
+    expect(empty.scores.correlation).toBeNull();
+    expect(empty.decisions.baselineApprovalRate).toBeNull();
+  });
+
+  it('stays accurate over many scores on a large offset', () => {
+    const comparison = createDecisionComparison();
+    const before = [];
+    const after = [];
+    for (let i = 0; i < 5000; i++) {
+      const x = 1e6 + (i % 97);
+      const y = 1e6 + (i % 97) * 0.5 + (i % 7);
+      before.push(x);
+      after.push(y);
+      comparison.add({ creditScore: x, riskLevel: 'LOW' }, { creditScore: y, riskLevel: 'LOW' });
+    }
+
+    expect(comparison.summarize().scores.correlation).toBeCloseTo(pearson(before, after), 4);
+  });
+});
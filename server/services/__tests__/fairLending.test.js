@@ -0,0 +1,105 @@
+const { analyzeDisparateImpact, segmentFor } = require('../fairLending');
+const { fairLendingParameters } = require('../../config/riskParameters');
+
+// `count` decisions of which the first `approved` are approvals; scores
+// alternate around `meanScore` by +/-10
+function segment(name, count, approved, meanScore) {
+  return Array.from({ length: count }, (_, i) => ({
+    segment: name,
+    approved: i < approved ? 1 : 0,
+    score: meanScore + (i % 2 === 0 ? -10 : 10),
+    creditScore: 640 + (i % 10) * 10,
+    debtToIncomeRatio: 0.2 + (i % 5) * 0.05,
+    annualIncome: 40000 + (i % 8) * 5000,
+    loanAmount: 10000 + (i % 4) * 5000
+  }));
+}
+
+const bySegment = analysis => Object.fromEntries(analysis.segments.map(result => [result.segment, result]));
+
+describe('analyzeDisparateImpact', () => {
+  const records = [
+    ...segment('A', 40, 30, 710),
+    ...segment('B', 40, 20, 700),
+    ...segment('C', 40, 28, 710),
+    ...segment('D', 10, 1, 650)
+  ];
+  const analysis = analyzeDisparateImpact(records);
+  const results = bySegment(analysis);
+
+  it('compares against the most favoured segment by default', () => {
+    expect(analysis.referenceGroup).toBe('A');
+    expect(results.A.reference).toBe(true);
+    expect(results.A.flags).toEqual([]);
+  });
+
+  it('applies the four-fifths rule to approval rate ratios', () => {
+    expect(results.B.adverseImpactRatio).toBeCloseTo(0.5 / 0.75, 4);
+    expect(results.B.flags).toContain('four_fifths_rule');
+    expect(results.C.adverseImpactRatio).toBeCloseTo(0.7 / 0.75, 4);
+    expect(results.C.flags).not.toContain('four_fifths_rule');
+  });
+
+  it("reports the score gap as Cohen's d on the pooled standard deviation", () => {
+    const pooledSd = Math.sqrt(40 * 100 / 39);
+
+    expect(results.B.scoreDifference).toBe(-10);
+    expect(results.B.standardizedScoreDifference).toBeCloseTo(-10 / pooledSd, 4);
+    expect(results.B.flags).toContain('score_difference');
+    expect(results.C.standardizedScoreDifference).toBe(0);
+  });
+
+  it('estimates a negative marginal effect for the disfavoured segment', () => {
+    expect(results.B.marginalEffect).toBeLessThan(0);
+    expect(results.A.marginalEffect).toBeNull();
+  });
+
+  it('never flags a segment below the minimum group size', () => {
+    expect(results.D.sufficientData).toBe(false);
+    expect(results.D.adverseImpactRatio).toBeLessThan(fairLendingParameters.adverseImpactRatio);
+    expect(results.D.flags).toEqual([]);
+    expect(analysis.violations.map(violation => violation.segment)).toEqual(['B']);
+  });
+
+  it('marks a large approval gap as statistically significant', () => {
+    const [violation] = analysis.violations;
+
+    expect(results.B.approvalRatePValue).toBeLessThan(0.05);
+    expect(violation.statisticallySignificant).toBe(true);
+  });
+
+  it('uses a named reference segment', () => {
+    const againstC = bySegment(analyzeDisparateImpact(records, { referenceGroup: 'C' }));
+
+    expect(againstC.C.reference).toBe(true);
+    expect(againstC.A.adverseImpactRatio).toBeCloseTo(0.75 / 0.7, 4);
+  });
+
+  it('explains when no segment is large enough to compare', () => {
+    const result = analyzeDisparateImpact(segment('D', 10, 5, 700));
+
+    expect(result.referenceGroup).toBeNull();
+    expect(result.violations).toEqual([]);
+    expect(result.message).toMatch(/30 decisions/);
+  });
+});
+
+describe('segmentFor', () => {
+  const application = {
+    applicationId: 'APP-1',
+    completedAt: new Date('2024-06-01'),
+    applicant: { dateOfBirth: new Date('1964-01-15'), address: { state: 'ny', zipCode: '12207' } }
+  };
+
+  it('places an application by age band, state or ZIP3', () => {
+    expect(segmentFor(application, 'ageBand')).toBe('55-61');
+    expect(segmentFor(application, 'state')).toBe('NY');
+    expect(segmentFor(application, 'zip3')).toBe('122');
+  });
+
+  it('uses caller-provided segments and leaves unknown applications out', () => {
+    expect(segmentFor(application, 'provided', { segments: { 'APP-1': 'group-x' } })).toBe('group-x');
+    expect(segmentFor(application, 'provided', { segments: {} })).toBeNull();
+    expect(segmentFor({ applicant: {} }, 'state')).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+const { DEFAULT_FRAUD_RULE_SET, evaluateRuleSet, validateRuleSet } = require('../fraudRules');
+
+const ruleSet = (rules, overrides = {}) => ({
+  version: 1,
+  thresholds: { medium: 10, high: 30 },
+  manualReviewThreshold: 30,
+  rules,
+  velocityChecks: [],
+  ...overrides
+});
+
+const rule = (code, conditions, extra = {}) => ({ code, name: code, weight: 10, enabled: true, match: 'all', conditions, ...extra });
+
+const firedCodes = (set, data, velocity) => evaluateRuleSet(set, data, velocity).triggeredRules.map(fired => fired.code);
+
+describe('rule evaluation', () => {
+  it.each([
+    ['gt', 5, 6, true],
+    ['gt', 5, 5, false],
+    ['gte', 5, 5, true],
+    ['lt', 5, 4, true],
+    ['lte', 5, 6, false],
+    ['eq', 'x', 'x', true],
+    ['ne', 'x', 'y', true],
+    ['in', ['a', 'b'], 'b', true],
+    ['not_in', ['a', 'b'], 'c', true],
+    ['not_in', ['a', 'b'], undefined, false]
+  ])('%s %p against %p fires: %p', (operator, value, actual, fires) => {
+    const set = ruleSet([rule('R1', [{ field: 'field', operator, value }])]);
+    expect(firedCodes(set, { field: actual })).toEqual(fires ? ['R1'] : []);
+  });
+
+  it('never fires a comparison on missing data', () => {
+    const set = ruleSet([rule('R1', [{ field: 'income', operator: 'lt', value: 1000 }])]);
+    expect(firedCodes(set, {})).toEqual([]);
+  });
+
+  it('checks presence with exists and missing', () => {
+    const set = ruleSet([
+      rule('EXISTS', [{ field: 'phone', operator: 'exists' }]),
+      rule('MISSING', [{ field: 'phone', operator: 'missing' }])
+    ]);
+
+    expect(firedCodes(set, { phone: '555' })).toEqual(['EXISTS']);
+    expect(firedCodes(set, { phone: '' })).toEqual(['MISSING']);
+  });
+
+  it('reads dotted paths', () => {
+    const set = ruleSet([rule('R1', [{ field: 'address.state', operator: 'eq', value: 'NY' }])]);
+    expect(firedCodes(set, { address: { state: 'NY' } })).toEqual(['R1']);
+  });
+
+  it('needs every condition for match all and one for match any', () => {
+    const conditions = [
+      { field: 'a', operator: 'gt', value: 1 },
+      { field: 'b', operator: 'gt', value: 1 }
+    ];
+    const set = ruleSet([rule('ALL', conditions), rule('ANY', conditions, { match: 'any' })]);
+
+    expect(firedCodes(set, { a: 2, b: 0 })).toEqual(['ANY']);
+    expect(firedCodes(set, { a: 2, b: 2 })).toEqual(['ALL', 'ANY']);
+  });
+
+  it('skips disabled rules and rules without conditions', () => {
+    const set = ruleSet([
+      rule('OFF', [{ field: 'a', operator: 'exists' }], { enabled: false }),
+      rule('EMPTY', [])
+    ]);
+    expect(firedCodes(set, { a: 1 })).toEqual([]);
+  });
+});
+
+describe('scoring', () => {
+  const set = ruleSet([
+    rule('R1', [{ field: 'a', operator: 'exists' }], { weight: 15 }),
+    rule('R2', [{ field: 'b', operator: 'exists' }], { weight: 20 })
+  ]);
+
+  it('sums the weights of fired rules into the risk level', () => {
+    expect(evaluateRuleSet(set, {})).toMatchObject({ fraudScore: 0, riskLevel: 'LOW', recommendation: 'AUTOMATED_PROCESSING' });
+    expect(evaluateRuleSet(set, { a: 1 })).toMatchObject({ fraudScore: 15, riskLevel: 'MEDIUM' });
+    expect(evaluateRuleSet(set, { a: 1, b: 1 })).toMatchObject({ fraudScore: 35, riskLevel: 'HIGH', recommendation: 'MANUAL_REVIEW' });
+  });
+
+  it('adds velocity checks that reach their threshold', () => {
+    const withVelocity = ruleSet([], {
+      velocityChecks: [
+        { code: 'V1', identifier: 'phone', windowDays: 30, threshold: 2, weight: 15, enabled: true },
+        { code: 'V2', identifier: 'ssn', windowDays: 90, threshold: 1, weight: 40, enabled: true }
+      ]
+    });
+    const velocity = {
+      matches: [{ code: 'V1', count: 1 }, { code: 'V2', count: 1 }],
+      relatedApplications: []
+    };
+
+    const assessment = evaluateRuleSet(withVelocity, {}, velocity);
+    expect(assessment.triggeredRules.map(fired => fired.code)).toEqual(['V2']);
+    expect(assessment.riskFactors).toEqual(['SSN shared with 1 other application in the last 90 days']);
+  });
+});
+
+describe('validateRuleSet', () => {
+  it('accepts the built-in rule set', () => {
+    expect(validateRuleSet(DEFAULT_FRAUD_RULE_SET)).toEqual([]);
+  });
+
+  it('reports unknown operators', () => {
+    const errors = validateRuleSet(ruleSet([rule('R1', [{ field: 'a', operator: 'like', value: 1 }])]));
+    expect(errors.join(' ')).toMatch(/operator/);
+  });
+});
@@ -0,0 +1,109 @@
+const CreditApplication = require('../../models/CreditApplication');
+const { identifierQuery, findRelatedApplications } = require('../fraudVelocity');
+const { identityKeysFor } = require('../identityKeys');
+
+const AT = new Date('2024-06-01T12:00:00Z');
+const daysAgo = days => new Date(AT.getTime() - days * 24 * 60 * 60 * 1000);
+
+const parameters = { intakeAuditActions: ['application_created'], ignoredIpAddresses: ['10.0.0.1'], maxRelatedApplications: 50 };
+
+const stored = (applicationId, createdAt, applicant) => ({
+  _id: applicationId,
+  applicationId,
+  status: 'submitted',
+  createdAt,
+  applicant,
+  identityKeys: identityKeysFor(applicant)
+});
+
+const subject = {
+  _id: 'APP-0',
+  applicant: { ssn: '212456789', email: 'Ana@Example.com', phone: '(555) 010-2000', address: { street: '1 Main St', zipCode: '10001' } },
+  auditTrail: [
+    { action: 'application_created', ipAddress: '203.0.113.9', userAgent: 'Mozilla/5.0' },
+    { action: 'application_created', ipAddress: '10.0.0.1', userAgent: 'Mozilla/5.0' },
+    { action: 'status_changed', ipAddress: '198.51.100.7' }
+  ]
+};
+
+const store = [
+  stored('APP-0', daysAgo(0), subject.applicant),
+  stored('APP-1', daysAgo(3), { phone: '555.010.2000' }),
+  stored('APP-2', daysAgo(20), { phone: '+1 555 010 2000', address: { street: '1 MAIN ST.', zipCode: '10001-2222' } }),
+  stored('APP-3', daysAgo(45), { phone: '5550102000' }),
+  stored('APP-4', new Date(AT.getTime() + 60 * 1000), { phone: '5550102000' })
+];
+
+// Evaluates the equality and date-range queries findRelatedApplications builds
+function runQuery(query) {
+  const matches = application => Object.entries(query).every(([path, condition]) => {
+    const value = path.split('.').reduce((node, key) => node?.[key], application);
+    if (path === '_id') return value !== condition.$ne;
+    if (path === 'createdAt') return value >= condition.$gte && value <= condition.$lte;
+    return value === condition;
+  });
+  const results = store.filter(matches).sort((a, b) => b.createdAt - a.createdAt);
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: () => Promise.resolve(results)
+  };
+  return chain;
+}
+
+describe('identifierQuery', () => {
+  it('matches an SSN typed with or without dashes', () => {
+    expect(identifierQuery('ssn', subject, parameters)).toEqual({ 'applicant.ssn': { $in: ['212456789', '212-45-6789'] } });
+  });
+
+  it('matches email case-insensitively and phone and address on their keys', () => {
+    expect(identifierQuery('email', subject, parameters)).toEqual({ 'applicant.email': 'ana@example.com' });
+    expect(identifierQuery('phone', subject, parameters)).toEqual({ 'identityKeys.phone': '5550102000' });
+    expect(identifierQuery('address', subject, parameters)).toEqual({ 'identityKeys.address': '1 main st|10001' });
+  });
+
+  it('uses intake IP addresses only, without ignored ones', () => {
+    const query = identifierQuery('ipAddress', subject, parameters);
+    expect(query.auditTrail.$elemMatch.ipAddress).toEqual({ $in: ['203.0.113.9'] });
+  });
+
+  it('has no query for an identifier the application lacks', () => {
+    expect(identifierQuery('bankAccount', subject, parameters)).toBeNull();
+    expect(identifierQuery('ssn', { applicant: { ssn: '1234' } }, parameters)).toBeNull();
+  });
+});
+
+describe('findRelatedApplications windows', () => {
+  beforeEach(() => {
+    jest.spyOn(CreditApplication, 'find').mockImplementation(runQuery);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const checks = [
+    { code: 'V03', identifier: 'phone', windowDays: 7, threshold: 1, enabled: true },
+    { code: 'V08', identifier: 'phone', windowDays: 30, threshold: 1, enabled: true },
+    { code: 'V04', identifier: 'address', windowDays: 30, threshold: 1, enabled: true },
+    { code: 'V09', identifier: 'phone', windowDays: 90, threshold: 1, enabled: false }
+  ];
+
+  it('counts only applications inside each window, excluding itself and later ones', async () => {
+    const { matches } = await findRelatedApplications(subject, checks, { at: AT, parameters });
+
+    expect(matches.map(({ code, count, applicationIds }) => ({ code, count, applicationIds }))).toEqual([
+      { code: 'V03', count: 1, applicationIds: ['APP-1'] },
+      { code: 'V08', count: 2, applicationIds: ['APP-1', 'APP-2'] },
+      { code: 'V04', count: 1, applicationIds: ['APP-2'] }
+    ]);
+  });
+
+  it('lists related applications by how many identifiers they share', async () => {
+    const { relatedApplications } = await findRelatedApplications(subject, checks.slice(1), { at: AT, parameters });
+
+    expect(relatedApplications.map(related => [related.applicationId, related.sharedIdentifiers])).toEqual([
+      ['APP-2', ['phone', 'address']],
+      ['APP-1', ['phone']]
+    ]);
+  });
+});
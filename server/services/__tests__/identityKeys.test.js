@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { bankAccountKey, keySecretId, phoneKey, addressKey, identityKeysFor } = require('../identityKeys');
+
+describe('bankAccountKey', () => {
+  const account = { routingNumber: '021000021', accountNumber: '12345678' };
+
+  it('is an HMAC under the server secret, not a plain hash', () => {
+    const key = bankAccountKey(account, 'secret-a');
+    const plainHash = crypto.createHash('sha256').update('021000021:12345678').digest('hex');
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(key).not.toBe(plainHash);
+    expect(key).toBe(crypto.createHmac('sha256', 'secret-a').update('021000021:12345678').digest('hex'));
+  });
+
+  it('ignores formatting and changes with the secret', () => {
+    const formatted = { routingNumber: '0210-0002-1', accountNumber: '1234 5678' };
+
+    expect(bankAccountKey(formatted, 'secret-a')).toBe(bankAccountKey(account, 'secret-a'));
+    expect(bankAccountKey(account, 'secret-b')).not.toBe(bankAccountKey(account, 'secret-a'));
+  });
+
+  it('derives no key without a secret or a complete account', () => {
+    expect(bankAccountKey(account, '')).toBeNull();
+    expect(bankAccountKey({ routingNumber: '02100002', accountNumber: '12345678' }, 'secret-a')).toBeNull();
+    expect(bankAccountKey({ routingNumber: '021000021', accountNumber: '123' }, 'secret-a')).toBeNull();
+  });
+});
+
+describe('keySecretId', () => {
+  it('fingerprints the secret without revealing it', () => {
+    expect(keySecretId('secret-a')).toHaveLength(16);
+    expect(keySecretId('secret-a')).not.toBe(keySecretId('secret-b'));
+    expect(keySecretId('')).toBe('none');
+  });
+});
+
+describe('normalized keys', () => {
+  it.each([
+    ['+1 (555) 010-2000'],
+    ['555.010.2000'],
+    ['5550102000']
+  ])('keys phone %s on its last ten digits', (phone) => {
+    expect(phoneKey(phone)).toBe('5550102000');
+  });
+
+  it('has no phone key for a short number', () => {
+    expect(phoneKey('010-2000')).toBeNull();
+  });
+
+  it('keys an address on its street and 5-digit ZIP', () => {
+    const key = addressKey({ street: '12  Oak St., Apt #4', zipCode: '12207-1234' });
+
+    expect(key).toBe('12 oak st apt 4|12207');
+    expect(addressKey({ street: '12 OAK ST APT 4', zipCode: '12207' })).toBe(key);
+    expect(addressKey({ street: '12 Oak St' })).toBeNull();
+  });
+
+  it('derives every key for an applicant', () => {
+    expect(identityKeysFor({ phone: '555-010-2000', address: { street: '1 Main St', zipCode: '10001' } })).toEqual({
+      phone: '5550102000',
+      address: '1 main st|10001',
+      bankAccount: null,
+      secretId: 'none'
+    });
+  });
+});
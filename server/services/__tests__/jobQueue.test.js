@@ -0,0 +1,94 @@
+const Job = require('../../models/Job');
+const { registerJobHandler, enqueueJob, cancelJob, startJobWorker } = require('../jobQueue');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('cancelJob', () => {
+  const user = { _id: 'user-1' };
+
+  it('cancels a queued job outright', async () => {
+    const queued = { jobId: 'JOB-1', status: 'cancelled' };
+    const findOneAndUpdate = jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValueOnce(queued);
+
+    await expect(cancelJob('JOB-1', { user })).resolves.toBe(queued);
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual({ jobId: 'JOB-1', status: 'queued' });
+    expect(findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ status: 'cancelled', cancelRequested: true, cancelledBy: 'user-1' });
+  });
+
+  it('only asks a running job to stop', async () => {
+    const running = { jobId: 'JOB-1', status: 'running', cancelRequested: true };
+    const findOneAndUpdate = jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValueOnce(null).mockResolvedValueOnce(running);
+
+    await expect(cancelJob('JOB-1', { user })).resolves.toBe(running);
+    expect(findOneAndUpdate.mock.calls[1][0]).toEqual({ jobId: 'JOB-1', status: 'running' });
+    expect(findOneAndUpdate.mock.calls[1][1].$set).toEqual({ cancelRequested: true, cancelledBy: 'user-1' });
+  });
+
+  it('refuses a finished or unknown job', async () => {
+    jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Job, 'findOne').mockResolvedValueOnce({ status: 'succeeded' }).mockResolvedValueOnce(null);
+
+    await expect(cancelJob('JOB-1')).rejects.toMatchObject({ statusCode: 400, message: 'Job has already succeeded' });
+    await expect(cancelJob('JOB-2')).rejects.toMatchObject({ statusCode: 404, message: 'Job not found' });
+  });
+});
+
+describe('enqueueJob', () => {
+  it('refuses a job type without a handler', async () => {
+    await expect(enqueueJob('unknown_type')).rejects.toMatchObject({ statusCode: 500 });
+  });
+});
+
+describe('job worker', () => {
+  let timer;
+
+  // Runs `job` through the worker and resolves with the update that ended it
+  function runClaimed(job) {
+    return new Promise((resolve) => {
+      const claims = [job];
+      jest.spyOn(Job, 'findOneAndUpdate').mockImplementation((filter) => {
+        if (filter.$or) return Promise.resolve(claims.shift() || null);
+        // Lease renewal, which also reads the cancellation flag
+        return { select: () => Promise.resolve({ cancelRequested: job.cancelRequested }) };
+      });
+      jest.spyOn(Job, 'updateOne').mockImplementation((filter, update) => {
+        if (update.$set && update.$set.completedAt) resolve(update.$set);
+        return Promise.resolve({});
+      });
+      timer = startJobWorker({ concurrency: 1, intervalMs: 60 * 60 * 1000 });
+    });
+  }
+
+  afterEach(() => clearInterval(timer));
+
+  const job = fields => ({ _id: 'job-1', jobId: 'JOB-1', type: 'batch_analysis', attempts: 1, cancelRequested: false, ...fields });
+
+  it('records the handler result', async () => {
+    registerJobHandler('batch_analysis', async () => ({ total: 2 }));
+
+    await expect(runClaimed(job())).resolves.toMatchObject({ status: 'succeeded', result: { total: 2 } });
+  });
+
+  it('ends as cancelled when the handler saw the cancellation request', async () => {
+    registerJobHandler('batch_analysis', async (_job, context) => ({ stopped: await context.isCancelled() }));
+
+    await expect(runClaimed(job({ cancelRequested: true }))).resolves.toMatchObject({ status: 'cancelled', result: { stopped: true } });
+  });
+
+  it('fails a job whose handler throws', async () => {
+    registerJobHandler('batch_analysis', async () => { throw new Error('model not loaded'); });
+
+    await expect(runClaimed(job())).resolves.toMatchObject({ status: 'failed', error: 'model not loaded' });
+  });
+
+  it('gives up on a job whose worker keeps stopping instead of retrying it again', async () => {
+    const handler = jest.fn();
+    registerJobHandler('batch_analysis', handler);
+
+    await expect(runClaimed(job({ attempts: 4 }))).resolves.toMatchObject({
+      status: 'failed',
+      error: 'Worker stopped 3 times while running the job'
+    });
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,42 @@
+const { calculateKS, evaluateOutcomes, MIN_OUTCOMES } = require('../modelPerformance');
+
+describe('calculateKS', () => {
+  it('is 1 when the PDs separate defaults from good loans completely', () => {
+    expect(calculateKS([0.9, 0.8, 0.1, 0.05], [1, 1, 0, 0])).toBe(1);
+  });
+
+  it('is the largest gap between the cumulative distributions', () => {
+    // Ranked by PD: bad, good, bad, good -> gaps 0.5, 0, 0.5, 0
+    expect(calculateKS([0.4, 0.3, 0.2, 0.1], [1, 0, 1, 0])).toBe(0.5);
+  });
+
+  it('only compares at the end of a run of tied PDs', () => {
+    expect(calculateKS([0.5, 0.5, 0.5, 0.5], [1, 0, 1, 0])).toBe(0);
+  });
+
+  it('is undefined with a single class', () => {
+    expect(calculateKS([0.2, 0.3], [0, 0])).toBeNull();
+  });
+});
+
+describe('evaluateOutcomes', () => {
+  it('withholds discrimination metrics below the minimum sample', () => {
+    const result = evaluateOutcomes([0.9, 0.1], [1, 0]);
+
+    expect(result.sufficientData).toBe(false);
+    expect(result.auc).toBeNull();
+    expect(result.ks).toBeNull();
+  });
+
+  it('reports AUC, Gini and KS on enough outcomes', () => {
+    const pds = Array.from({ length: MIN_OUTCOMES }, (_, i) => i / MIN_OUTCOMES);
+    const defaults = pds.map(pd => (pd >= 0.5 ? 1 : 0));
+    const result = evaluateOutcomes(pds, defaults);
+
+    expect(result.sufficientData).toBe(true);
+    expect(result.auc).toBe(1);
+    expect(result.gini).toBe(1);
+    expect(result.ks).toBe(1);
+    expect(result.calibrationCurve.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,102 @@
+jest.mock('../../models/ModelVersion', () => {
+  const versions = [];
+  const matches = query => version => Object.entries(query).every(([key, value]) => version[key] === value);
+
+  class FakeModelVersion {
+    constructor(fields) {
+      Object.assign(this, { status: 'candidate' }, fields);
+    }
+
+    async save() {
+      if (!versions.includes(this)) versions.push(this);
+      return this;
+    }
+
+    toArtifact() {
+      return { version: this.version };
+    }
+
+    static async findOne(query) {
+      return versions.find(matches(query)) || null;
+    }
+
+    static async findOneAndUpdate(query, update) {
+      const version = versions.find(matches(query));
+      if (!version) return null;
+      const before = new FakeModelVersion({ ...version });
+      Object.assign(version, update);
+      return before;
+    }
+
+    static reset() {
+      versions.length = 0;
+    }
+  }
+
+  return FakeModelVersion;
+});
+
+const ModelVersion = require('../../models/ModelVersion');
+const { promote, rollback } = require('../modelRegistry');
+
+const engine = { buildModel: jest.fn() };
+const admin = { _id: 'admin-1' };
+
+const championVersion = async () => (await ModelVersion.findOne({ status: 'champion' }))?.version || null;
+
+describe('model registry rollback', () => {
+  beforeEach(async () => {
+    ModelVersion.reset();
+    engine.buildModel.mockReset();
+    for (const version of ['v1', 'v2', 'v3']) {
+      await new ModelVersion({ version }).save();
+    }
+  });
+
+  it('records the champion each promotion replaced', async () => {
+    await promote(engine, 'v1', admin);
+    await promote(engine, 'v2', admin);
+
+    expect((await ModelVersion.findOne({ version: 'v1' })).previousChampion).toBeNull();
+    expect((await ModelVersion.findOne({ version: 'v2' })).previousChampion).toBe('v1');
+  });
+
+  it('keeps going back on repeated rollbacks, ending at the baseline', async () => {
+    await promote(engine, 'v1', admin);
+    await promote(engine, 'v2', admin);
+    await promote(engine, 'v3', admin);
+
+    await rollback(engine, admin);
+    expect(await championVersion()).toBe('v2');
+
+    await rollback(engine, admin);
+    expect(await championVersion()).toBe('v1');
+
+    const toBaseline = await rollback(engine, admin);
+    expect(toBaseline.champion).toBeNull();
+    expect(toBaseline.previous.version).toBe('v1');
+    expect(await championVersion()).toBeNull();
+
+    await expect(rollback(engine, admin)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('goes straight to the baseline when asked', async () => {
+    await promote(engine, 'v1', admin);
+    await promote(engine, 'v2', admin);
+
+    const result = await rollback(engine, admin, 'incident', { toBaseline: true });
+
+    expect(result.champion).toBeNull();
+    expect(await championVersion()).toBeNull();
+    expect((await ModelVersion.findOne({ version: 'v2' })).status).toBe('retired');
+  });
+
+  it('leaves the champion in place when the previous version cannot be loaded', async () => {
+    await promote(engine, 'v1', admin);
+    await promote(engine, 'v2', admin);
+    engine.buildModel.mockImplementation(() => { throw new Error('weights do not match features'); });
+
+    await expect(rollback(engine, admin)).rejects.toThrow(/v1 cannot be loaded/);
+    expect(await championVersion()).toBe('v2');
+  });
+});
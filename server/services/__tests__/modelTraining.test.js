@@ -0,0 +1,60 @@
+const { calculateAUC, resolveHyperparameters, splitHoldout, DEFAULT_HYPERPARAMETERS } = require('../modelTraining');
+
+describe('calculateAUC', () => {
+  it('is 1 when every positive outranks every negative', () => {
+    expect(calculateAUC([0.9, 0.8, 0.2, 0.1], [1, 1, 0, 0])).toBe(1);
+  });
+
+  it('is 0 when the ranking is inverted', () => {
+    expect(calculateAUC([0.1, 0.2, 0.8, 0.9], [1, 1, 0, 0])).toBe(0);
+  });
+
+  it('counts ties as half', () => {
+    expect(calculateAUC([0.5, 0.5], [1, 0])).toBe(0.5);
+  });
+
+  it('matches the pairwise definition', () => {
+    const scores = [0.9, 0.7, 0.6, 0.4, 0.3, 0.2];
+    const labels = [1, 0, 1, 1, 0, 0];
+    // Positives 0.9, 0.6, 0.4 against negatives 0.7, 0.3, 0.2: 7 of 9 pairs ordered
+    expect(calculateAUC(scores, labels)).toBeCloseTo(7 / 9, 10);
+  });
+
+  it('is undefined with a single class', () => {
+    expect(calculateAUC([0.1, 0.9], [1, 1])).toBeNull();
+  });
+});
+
+describe('resolveHyperparameters', () => {
+  it('fills in the defaults', () => {
+    expect(resolveHyperparameters({ iterations: 500 })).toEqual({ ...DEFAULT_HYPERPARAMETERS, iterations: 500 });
+  });
+
+  it.each([
+    [{ holdoutFraction: 1 }, 'holdoutFraction'],
+    [{ iterations: '100' }, 'iterations'],
+    [{ iterations: 1e9 }, 'iterations'],
+    [{ iterations: 10.5 }, 'iterations'],
+    [{ minSamples: 0 }, 'minSamples'],
+    [{ learningRate: -1 }, 'learningRate'],
+    [{ momentum: 0.9 }, 'Unknown hyperparameters']
+  ])('rejects %p with a 400', (parameters, message) => {
+    expect(() => resolveHyperparameters(parameters)).toThrow(message);
+    try {
+      resolveHyperparameters(parameters);
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+    }
+  });
+});
+
+describe('splitHoldout', () => {
+  it('is reproducible for a seed and keeps every row', () => {
+    const rows = Array.from({ length: 50 }, (_, i) => i);
+    const first = splitHoldout(rows, 0.2, 7);
+
+    expect(splitHoldout(rows, 0.2, 7)).toEqual(first);
+    expect(first.holdout).toHaveLength(10);
+    expect([...first.training, ...first.holdout].sort((a, b) => a - b)).toEqual(rows);
+  });
+});
@@ -0,0 +1,57 @@
+const { quantileEdges, binProportions, stabilityIndex, stabilityStatus } = require('../populationStability');
+
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+
+describe('quantileEdges', () => {
+  it('splits a uniform sample into equal-frequency bins', () => {
+    const values = range(0, 100);
+    const edges = quantileEdges(values, 4);
+
+    expect(edges).toEqual([25, 50, 75]);
+    expect(binProportions(values, edges)).toEqual([0.26, 0.25, 0.25, 0.24]);
+  });
+
+  it('collapses bins on repeated values', () => {
+    expect(quantileEdges([1, 1, 1, 1, 2, 2, 2, 2], 4)).toEqual([1]);
+  });
+});
+
+describe('stabilityIndex (PSI)', () => {
+  it('is zero for an unchanged distribution', () => {
+    expect(stabilityIndex([0.25, 0.25, 0.25, 0.25], [0.25, 0.25, 0.25, 0.25])).toBe(0);
+  });
+
+  it('matches the textbook sum of (actual - expected) * ln(actual / expected)', () => {
+    const expected = [0.5, 0.5];
+    const actual = [0.7, 0.3];
+    const psi = 0.2 * Math.log(0.7 / 0.5) + (-0.2) * Math.log(0.3 / 0.5);
+
+    expect(stabilityIndex(expected, actual)).toBeCloseTo(psi, 10);
+  });
+
+  it('stays finite when a bin empties', () => {
+    expect(Number.isFinite(stabilityIndex([0.5, 0.5], [1, 0]))).toBe(true);
+  });
+
+  it('grows as the sample moves away from the baseline', () => {
+    const baseline = range(0, 1000);
+    const edges = quantileEdges(baseline, 10);
+    const expected = binProportions(baseline, edges);
+
+    const psi = shift => stabilityIndex(expected, binProportions(baseline.map(value => value + shift), edges));
+    expect(psi(50)).toBeLessThan(psi(200));
+  });
+});
+
+describe('stabilityStatus', () => {
+  const parameters = { warningThreshold: 0.1, alertThreshold: 0.25 };
+
+  it.each([
+    [0.05, 'stable'],
+    [0.1, 'warning'],
+    [0.24, 'warning'],
+    [0.25, 'alert']
+  ])('classifies %p as %s', (index, status) => {
+    expect(stabilityStatus(index, parameters)).toBe(status);
+  });
+});
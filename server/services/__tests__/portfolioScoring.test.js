@@ -0,0 +1,115 @@
+const { Readable } = require('stream');
+const { createColumnResolver, toPortfolioApplicant, scorePortfolio } = require('../portfolioScoring');
+
+const engine = {
+  scoreApplicant: ({ creditScore }) => ({ creditScore, riskLevel: 'LOW', probability: 0.9, features: {} }),
+  calculateRiskMetrics: () => ({ pd: 0.02, expectedLoss: 150 }),
+  priceOffer: () => ({ eligible: true, apr: 7.5, monthlyPayment: 310 }),
+  explainScore: () => [],
+  evaluateFraudRisk: async () => ({
+    fraudScore: 5,
+    riskLevel: 'LOW',
+    recommendation: 'approve',
+    triggeredRules: [],
+    identityRisk: { identityRiskScore: 0, riskLevel: 'LOW' }
+  })
+};
+
+async function collect(lines) {
+  const output = [];
+  for await (const line of lines) output.push(line);
+  return output;
+}
+
+describe('createColumnResolver', () => {
+  const resolve = createColumnResolver({ 'Borrower Income': 'annual_income', Ref: 'customer_id' });
+
+  it('recognises input names, feature names and aliases regardless of case and punctuation', () => {
+    expect(resolve('creditScore')).toBe('creditScore');
+    expect(resolve('Credit Score')).toBe('creditScore');
+    expect(resolve('FICO')).toBe('creditScore');
+    expect(resolve('loan_amount')).toBe('loanAmount');
+    expect(resolve('Account-ID')).toBe('id');
+    expect(resolve('favourite_colour')).toBeNull();
+  });
+
+  it('applies an explicit mapping to inputs or the id', () => {
+    expect(resolve('borrower_income')).toBe('annualIncome');
+    expect(resolve('ref')).toBe('id');
+  });
+
+  it('rejects a mapping that is not an object or names an unknown input', () => {
+    expect(() => createColumnResolver(['x'])).toThrow(/mapping must be an object/);
+    expect(() => createColumnResolver({ salary: 'wages' })).toThrow("mapping for 'salary' names an unknown input 'wages'");
+  });
+});
+
+describe('toPortfolioApplicant', () => {
+  const resolve = createColumnResolver();
+
+  it('parses formatted numbers and imputes missing optional inputs', () => {
+    const { id, data, imputed, errors } = toPortfolioApplicant({
+      id: ' C-1 ', fico: '720', income: '$85,000', dti: '0.3', amount: '20,000', term: '36', purpose: 'auto_loan'
+    }, resolve);
+
+    expect(errors).toEqual([]);
+    expect(id).toBe('C-1');
+    expect(data).toMatchObject({ creditScore: 720, annualIncome: 85000, loanAmount: 20000, loanPurpose: 'auto_loan' });
+    expect(imputed).toEqual(expect.arrayContaining(['employmentLength', 'creditUtilization']));
+    expect(imputed).not.toContain('loanPurpose');
+  });
+
+  it('collects every error in the row', () => {
+    const { errors } = toPortfolioApplicant({ fico: '900', income: 'lots', dti: '0.3', term: '36', purpose: 'yacht' }, resolve);
+
+    expect(errors).toEqual([
+      'creditScore must be between 300 and 850',
+      'annualIncome must be a number',
+      expect.stringMatching(/^loanPurpose must be one of: /),
+      'loanAmount is required'
+    ]);
+  });
+});
+
+describe('scorePortfolio', () => {
+  const header = 'id,fico,income,dti,amount,term\n';
+
+  it('scores good rows and reports errors per row without stopping', async () => {
+    const summary = {};
+    const stream = Readable.from([header, 'A,720,85000,0.3,20000,36\nB,720,,0.3,20000,36\n', 'C,680,50000,0.4,9000,24\n']);
+    const [outputHeader, ...rows] = await collect(scorePortfolio(engine, stream, { format: 'csv', summary }));
+
+    expect(outputHeader.startsWith('row,id,status,errors,')).toBe(true);
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toMatch(/^1,A,scored,,720,LOW,/);
+    expect(rows[1]).toMatch(/^2,B,error,annualIncome is required,/);
+    expect(rows[2]).toMatch(/^3,C,scored,/);
+    expect(summary).toEqual({ total: 3, scored: 2, failed: 1 });
+  });
+
+  it('reports malformed JSON lines as row errors', async () => {
+    const summary = {};
+    const stream = Readable.from([
+      '{"id":"A","creditScore":720,"annualIncome":85000,"debtToIncomeRatio":0.3,"loanAmount":20000,"loanTerm":36}\n',
+      '{"id":\n',
+      '[1,2]\n'
+    ]);
+    const rows = (await collect(scorePortfolio(engine, stream, { format: 'jsonl', summary }))).slice(1);
+
+    expect(rows[1]).toMatch(/^2,,error,Invalid JSON: /);
+    expect(rows[2]).toMatch(/^3,,error,Line is not a JSON object,/);
+    expect(summary).toEqual({ total: 3, scored: 1, failed: 2 });
+  });
+
+  it('rejects a CSV header without a required input before producing output', async () => {
+    const stream = Readable.from(['id,fico,income,dti,term\n', 'A,720,85000,0.3,36\n']);
+
+    await expect(collect(scorePortfolio(engine, stream, { format: 'csv' })))
+      .rejects.toThrow('File has no column for required inputs: loanAmount');
+  });
+
+  it('rejects an unknown format and a file without records', async () => {
+    await expect(collect(scorePortfolio(engine, Readable.from([header]), { format: 'xlsx' }))).rejects.toThrow(/format must be one of/);
+    await expect(collect(scorePortfolio(engine, Readable.from([header]), { format: 'csv' }))).rejects.toThrow('Portfolio file has no records');
+  });
+});
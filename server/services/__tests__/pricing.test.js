@@ -0,0 +1,51 @@
+const { DEFAULT_RATE_CARD, monthlyPayment, priceLoan } = require('../pricing');
+
+const loan = { riskLevel: 'LOW', pd: 0, loanAmount: 10000, loanTerm: 36, loanPurpose: 'home_improvement', collateralType: 'none' };
+
+describe('monthlyPayment', () => {
+  it('amortizes at the annual rate', () => {
+    expect(monthlyPayment(10000, 10, 36)).toBeCloseTo(322.67, 2);
+  });
+
+  it('divides the principal evenly at a zero rate', () => {
+    expect(monthlyPayment(1200, 0, 12)).toBe(100);
+  });
+});
+
+describe('priceLoan APR', () => {
+  const rateCard = { ...DEFAULT_RATE_CARD, originationFeeRate: 5 };
+
+  it('equals the interest rate when there is no origination fee', () => {
+    const offer = priceLoan(DEFAULT_RATE_CARD, loan);
+    expect(offer.eligible).toBe(true);
+    expect(offer.apr).toBe(offer.interestRate);
+  });
+
+  it('solves for the rate at which the payments repay the amount received', () => {
+    const offer = priceLoan(rateCard, loan);
+    const amountReceived = loan.loanAmount - offer.originationFee;
+
+    expect(offer.originationFee).toBe(500);
+    expect(offer.apr).toBeGreaterThan(offer.interestRate);
+    // Bisection converges to the rate's rounding, i.e. the payment to the cent
+    expect(monthlyPayment(amountReceived, offer.apr, loan.loanTerm)).toBeCloseTo(offer.monthlyPayment, 1);
+  });
+
+  it('spreads the same fee over a longer term into a smaller APR premium', () => {
+    const short = priceLoan(rateCard, { ...loan, loanTerm: 12 });
+    const long = priceLoan(rateCard, { ...loan, loanTerm: 36 });
+
+    expect(short.apr - short.interestRate).toBeGreaterThan(long.apr - long.interestRate);
+  });
+});
+
+describe('priceLoan eligibility', () => {
+  it('offers no price for a risk tier without a spread', () => {
+    expect(priceLoan(DEFAULT_RATE_CARD, { ...loan, riskLevel: 'VERY_HIGH' })).toMatchObject({ eligible: false });
+  });
+
+  it('clamps the rate to the card ceiling', () => {
+    const offer = priceLoan(DEFAULT_RATE_CARD, { ...loan, riskLevel: 'HIGH', pd: 5 });
+    expect(offer.interestRate).toBe(DEFAULT_RATE_CARD.maxRate);
+  });
+});
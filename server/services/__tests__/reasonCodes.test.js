@@ -0,0 +1,65 @@
+const {
+  REASON_CODES,
+  MAX_PRINCIPAL_REASONS,
+  rankReasonCodes,
+  principalReasons,
+  describeContribution
+} = require('../reasonCodes');
+
+const contributions = [
+  { feature: 'credit_score', points: 12, value: 760 },
+  { feature: 'debt_to_income_ratio', points: -18.4, value: 0.48 },
+  { feature: 'credit_utilization', points: -3.2, value: 0.7 },
+  { feature: 'recent_inquiries', points: -0.3, value: 2 },
+  { feature: 'annual_income', points: -9.1, value: 38000 },
+  { feature: 'number_of_accounts', points: -1, value: 2 },
+  { feature: 'loan_amount', points: -6, value: 40000 }
+];
+
+describe('rankReasonCodes', () => {
+  it('ranks the features that lowered the score, most damaging first', () => {
+    const ranked = rankReasonCodes(contributions);
+
+    expect(ranked.map(reason => reason.feature)).toEqual([
+      'debt_to_income_ratio', 'annual_income', 'loan_amount', 'credit_utilization', 'number_of_accounts'
+    ]);
+    expect(ranked.map(reason => reason.rank)).toEqual([1, 2, 3, 4, 5]);
+    expect(ranked[0]).toEqual({
+      rank: 1,
+      code: 'R03',
+      feature: 'debt_to_income_ratio',
+      statement: REASON_CODES.debt_to_income_ratio.statement,
+      contribution: -18.4
+    });
+  });
+
+  it('leaves out positive and neutral contributions', () => {
+    const features = rankReasonCodes(contributions).map(reason => reason.feature);
+
+    expect(features).not.toContain('credit_score');
+    expect(features).not.toContain('recent_inquiries');
+    expect(rankReasonCodes([{ feature: 'loan_term', points: 4 }])).toEqual([]);
+  });
+});
+
+describe('principalReasons', () => {
+  it('caps the ranked reasons at four', () => {
+    const principal = principalReasons(rankReasonCodes(contributions));
+
+    expect(MAX_PRINCIPAL_REASONS).toBe(4);
+    expect(principal.map(reason => reason.code)).toEqual(['R03', 'R02', 'R05', 'R08']);
+  });
+
+  it('returns fewer when fewer features hurt the score', () => {
+    expect(principalReasons(rankReasonCodes(contributions.slice(0, 3)))).toHaveLength(2);
+    expect(principalReasons(undefined)).toEqual([]);
+  });
+});
+
+describe('describeContribution', () => {
+  it('labels the direction and size of each contribution', () => {
+    expect(describeContribution(contributions[0])).toMatchObject({ impact: 'POSITIVE', description: 'Credit Score added 12.0 points' });
+    expect(describeContribution(contributions[1])).toMatchObject({ impact: 'NEGATIVE', description: 'Debt-to-Income subtracted 18.4 points' });
+    expect(describeContribution(contributions[3])).toMatchObject({ impact: 'NEUTRAL' });
+  });
+});
@@ -0,0 +1,67 @@
+const { jaroWinkler, nameSimilarity, normalizeName, scoreCandidate } = require('../sanctionsScreening');
+
+const thresholds = {
+  nameThreshold: 0.88,
+  matchThreshold: 0.85,
+  weights: { name: 0.7, dateOfBirth: 0.2, address: 0.1 }
+};
+
+describe('jaroWinkler', () => {
+  it.each([
+    ['martha', 'marhta', 0.9611],
+    ['dwayne', 'duane', 0.84],
+    ['dixon', 'dicksonx', 0.8133]
+  ])('scores %s / %s as %p', (a, b, expected) => {
+    expect(jaroWinkler(a, b)).toBeCloseTo(expected, 4);
+  });
+
+  it('is 1 for identical and 0 for disjoint or empty strings', () => {
+    expect(jaroWinkler('smith', 'smith')).toBe(1);
+    expect(jaroWinkler('abc', 'xyz')).toBe(0);
+    expect(jaroWinkler('', 'smith')).toBe(0);
+  });
+});
+
+describe('nameSimilarity', () => {
+  it('ignores case, accents and punctuation', () => {
+    expect(normalizeName('José  O\'Neil-Müller')).toBe('jose o neil muller');
+    expect(nameSimilarity('JOSÉ MÜLLER', 'jose muller')).toBe(1);
+  });
+
+  it('matches across word order and a missing middle name', () => {
+    expect(nameSimilarity('Smith, John', 'John Smith')).toBe(1);
+    expect(nameSimilarity('John Smith', 'John Albert Smith')).toBeGreaterThanOrEqual(thresholds.nameThreshold);
+  });
+
+  it('keeps unrelated names below the name threshold', () => {
+    expect(nameSimilarity('John Smith', 'Maria Gonzalez')).toBeLessThan(thresholds.nameThreshold);
+  });
+});
+
+describe('scoreCandidate thresholds', () => {
+  const subject = { name: 'Ivan Petrov', dateOfBirth: new Date('1970-03-15'), address: { country: 'US' } };
+
+  it('flags a close name with an agreeing date of birth', () => {
+    const result = scoreCandidate(subject, { name: 'Ivan Petrof', datesOfBirth: [{ year: 1970, month: 3, day: 15 }] }, thresholds);
+    expect(result.potentialMatch).toBe(true);
+  });
+
+  it('clears a close name when the date of birth disagrees', () => {
+    const result = scoreCandidate(subject, { name: 'Ivan Petrof', datesOfBirth: [{ year: 1955 }] }, thresholds);
+
+    expect(result.nameScore).toBeGreaterThanOrEqual(thresholds.nameThreshold);
+    expect(result.potentialMatch).toBe(false);
+  });
+
+  it('never flags a name below the name threshold', () => {
+    const result = scoreCandidate(subject, { name: 'Olga Smirnova', datesOfBirth: [{ year: 1970, month: 3, day: 15 }] }, thresholds);
+    expect(result.potentialMatch).toBe(false);
+  });
+
+  it('matches on an alias', () => {
+    const result = scoreCandidate(subject, { name: 'Unrelated Name', aliases: ['Ivan Petrov'] }, thresholds);
+
+    expect(result.matchedName).toBe('Ivan Petrov');
+    expect(result.potentialMatch).toBe(true);
+  });
+});
@@ -0,0 +1,108 @@
+const { assessSyntheticIdentity, validateSSN } = require('../syntheticIdentity');
+
+const AT = new Date('2024-06-01');
+const yearsBefore = years => new Date(AT.getTime() - years * 365.25 * 24 * 60 * 60 * 1000);
+const codes = result => result.signals.map(signal => signal.code);
+
+const seasonedApplicant = {
+  ssn: '212-45-6789',
+  age: 40,
+  creditScore: 700,
+  numberOfAccounts: 8,
+  authorizedUserAccounts: 0,
+  oldestAccountOpened: yearsBefore(15),
+  oldestPrimaryAccountOpened: yearsBefore(15)
+};
+
+describe('validateSSN', () => {
+  it.each([
+    ['000-12-3456', /Area number 000/],
+    ['666-12-3456', /Area number 666/],
+    ['912-12-3456', /Area number 912/],
+    ['212-00-3456', /Group number/],
+    ['212-45-0000', /Serial number/],
+    ['078-05-1120', /published/]
+  ])('rejects %s', (ssn, reason) => {
+    const result = validateSSN(ssn);
+    expect(result.valid).toBe(false);
+    expect(result.reason).toMatch(reason);
+  });
+
+  it('does not check a missing or partial SSN', () => {
+    expect(validateSSN(undefined)).toMatchObject({ valid: null, checked: false });
+    expect(validateSSN('6789')).toMatchObject({ valid: null, checked: false });
+  });
+
+  it('accepts an issuable number', () => {
+    expect(validateSSN('212-45-6789')).toEqual({ valid: true });
+  });
+});
+
+describe('assessSyntheticIdentity', () => {
+  it('raises nothing on a seasoned file that fits the applicant', () => {
+    const result = assessSyntheticIdentity(seasonedApplicant, AT);
+
+    expect(result.signals).toEqual([]);
+    expect(result.riskLevel).toBe('LOW');
+  });
+
+  it('flags history that starts before the applicant turned 18', () => {
+    const result = assessSyntheticIdentity({ ...seasonedApplicant, age: 25, oldestAccountOpened: yearsBefore(10) }, AT);
+    expect(codes(result)).toContain('HISTORY_PREDATES_ADULTHOOD');
+  });
+
+  it('flags a thin file for an older applicant and a deep file for a young one', () => {
+    expect(codes(assessSyntheticIdentity({ ...seasonedApplicant, numberOfAccounts: 1 }, AT))).toContain('THIN_FILE_FOR_AGE');
+    expect(codes(assessSyntheticIdentity({
+      ...seasonedApplicant, age: 20, numberOfAccounts: 12, oldestAccountOpened: yearsBefore(1), oldestPrimaryAccountOpened: yearsBefore(1)
+    }, AT))).toContain('DEEP_FILE_FOR_AGE');
+  });
+
+  it('does not treat an unknown account count as a thin or deep file', () => {
+    const { numberOfAccounts, ...unknownCount } = seasonedApplicant;
+
+    expect(assessSyntheticIdentity(unknownCount, AT).signals).toEqual([]);
+    expect(assessSyntheticIdentity({ ...unknownCount, age: 20, oldestAccountOpened: undefined }, AT).signals).toEqual([]);
+    expect(codes(assessSyntheticIdentity({ ...unknownCount, authorizedUserAccounts: 1, creditScore: 780 }, AT)))
+      .not.toContain('HIGH_SCORE_THIN_PRIMARY_FILE');
+  });
+
+  it('scores authorized-user piggybacking', () => {
+    const result = assessSyntheticIdentity({
+      ...seasonedApplicant,
+      creditScore: 760,
+      numberOfAccounts: 4,
+      authorizedUserAccounts: 3,
+      oldestPrimaryAccountOpened: yearsBefore(2)
+    }, AT);
+
+    expect(codes(result)).toEqual(['AUTHORIZED_USER_CONCENTRATION', 'SEASONING_FROM_AUTHORIZED_USER', 'HIGH_SCORE_THIN_PRIMARY_FILE']);
+    expect(result.identityRiskScore).toBe(60);
+    expect(result.riskLevel).toBe('HIGH');
+  });
+
+  it('needs both account dates for the seasoning signal', () => {
+    const result = assessSyntheticIdentity({
+      ...seasonedApplicant, authorizedUserAccounts: 1, oldestPrimaryAccountOpened: undefined
+    }, AT);
+    expect(codes(result)).not.toContain('SEASONING_FROM_AUTHORIZED_USER');
+  });
+
+  it('reports a missing SSN as not checked instead of scoring it', () => {
+    const { ssn, ...withoutSSN } = seasonedApplicant;
+    const result = assessSyntheticIdentity(withoutSSN, AT);
+
+    expect(result.signals).toEqual([]);
+    expect(result.ssnChecked).toBe(false);
+    expect(result.ssnValid).toBeNull();
+    expect(result.ssnIssue).toMatch(/not checked/);
+  });
+
+  it('scores a never-issued SSN', () => {
+    const result = assessSyntheticIdentity({ ...seasonedApplicant, ssn: '666-12-3456' }, AT);
+
+    expect(codes(result)).toEqual(['SSN_INVALID']);
+    expect(result.ssnValid).toBe(false);
+    expect(result.riskLevel).toBe('HIGH');
+  });
+});
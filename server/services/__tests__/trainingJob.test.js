@@ -0,0 +1,88 @@
+jest.mock('../jobQueue', () => {
+  const actual = jest.requireActual('../jobQueue');
+  return { ...actual, registerJobHandler: jest.fn(actual.registerJobHandler) };
+});
+
+const Job = require('../../models/Job');
+const CreditApplication = require('../../models/CreditApplication');
+const ModelVersion = require('../../models/ModelVersion');
+const { registerJobHandler } = require('../jobQueue');
+const { JOB_TYPE, createTrainingJob } = require('../trainingJob');
+
+const [[, runModelTraining]] = registerJobHandler.mock.calls;
+
+const user = { _id: 'user-1' };
+const activeJob = active => jest.spyOn(Job, 'findOne').mockReturnValue({ select: () => Promise.resolve(active) });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('createTrainingJob', () => {
+  it('refuses bad hyperparameters before looking for a running job', async () => {
+    const findOne = activeJob(null);
+
+    await expect(createTrainingJob({ parameters: { iterations: 1e9 } }, { user }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'iterations must be a whole number between 1 and 10000' });
+    await expect(createTrainingJob({ parameters: { momentum: 0.9 } }, { user }))
+      .rejects.toThrow(/Unknown hyperparameters: momentum/);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it('runs one training job at a time', async () => {
+    activeJob({ jobId: 'JOB-1', status: 'running' });
+    const create = jest.spyOn(Job, 'create');
+
+    await expect(createTrainingJob({}, { user }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Model training job JOB-1 is already running' });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('queues a job with the requested data source and parameters', async () => {
+    activeJob(null);
+    const create = jest.spyOn(Job, 'create').mockImplementation(async fields => ({ jobId: 'JOB-2', ...fields }));
+
+    const job = await createTrainingJob({ dataSource: { dateFrom: '2024-01-01' }, parameters: { iterations: 200 } }, { user });
+
+    expect(job).toMatchObject({
+      type: JOB_TYPE,
+      params: { dataSource: { dateFrom: '2024-01-01' }, parameters: { iterations: 200 } },
+      createdBy: 'user-1'
+    });
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('training job handler', () => {
+  const job = { jobId: 'JOB-1', createdBy: 'user-1', params: { dataSource: {}, parameters: { minSamples: 10 } } };
+
+  const loadApplications = (count) => {
+    const applications = Array.from({ length: count }, (_, i) => ({ applicationId: `APP-${i}`, status: 'approved' }));
+    jest.spyOn(CreditApplication, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ lean: () => Promise.resolve(applications) }) })
+    });
+  };
+
+  const context = (cancelled) => ({
+    log: jest.fn(),
+    setStage: jest.fn(),
+    isCancelled: jest.fn(async () => cancelled)
+  });
+
+  it('stops at the first stage boundary once cancelled, without registering a version', async () => {
+    loadApplications(12);
+    const create = jest.spyOn(ModelVersion, 'create');
+    const jobContext = context(true);
+
+    await expect(runModelTraining(job, jobContext)).resolves.toEqual({ modelVersion: null });
+    expect(jobContext.setStage.mock.calls).toEqual([['loading_data']]);
+    expect(jobContext.log).toHaveBeenCalledWith('Loaded 12 decided applications');
+    expect(jobContext.isCancelled).toHaveBeenCalledWith({ fresh: true });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('fails when there are too few decided applications to train on', async () => {
+    loadApplications(5);
+
+    await expect(runModelTraining(job, context(false)))
+      .rejects.toThrow('Not enough decided applications to train: found 5, need at least 10');
+  });
+});
@@ -0,0 +1,64 @@
+const { validateOverrides, deriveInputs } = require('../whatIfSimulation');
+
+describe('validateOverrides', () => {
+  it('accepts known inputs and coerces numbers', () => {
+    expect(validateOverrides({ creditScore: '720', loanPurpose: 'auto_loan', revolvingPaydown: 1500 })).toEqual({
+      creditScore: 720,
+      loanPurpose: 'auto_loan',
+      revolvingPaydown: 1500
+    });
+  });
+
+  it.each([
+    [null, /must be an object/],
+    [[1], /must be an object/],
+    [{}, /At least one input/],
+    [{ ssn: '123' }, /Unknown inputs: ssn/],
+    [{ creditScore: 900 }, /creditScore must be between 300 and 850/],
+    [{ loanAmount: 0 }, /loanAmount must be at least 1/],
+    [{ annualIncome: '' }, /annualIncome must be a number/],
+    [{ debtToIncomeRatio: null }, /debtToIncomeRatio must be a number/],
+    [{ revolvingPaydown: -5 }, /revolvingPaydown must be at least 0/],
+    [{ collateralType: 'yacht' }, /collateralType must be one of/]
+  ])('rejects %p', (overrides, message) => {
+    expect(() => validateOverrides(overrides)).toThrow(message);
+  });
+});
+
+describe('deriveInputs', () => {
+  const application = {
+    financial: {
+      existingDebts: [
+        { type: 'credit_card', balance: 6000, monthlyPayment: 180 },
+        { type: 'credit_card', balance: 4000, monthlyPayment: 120 },
+        { type: 'auto_loan', balance: 12000, monthlyPayment: 400 }
+      ]
+    }
+  };
+  // 60,000 a year with 0.3 DTI: 1,500 a month of debt payments
+  const baseData = { annualIncome: 60000, debtToIncomeRatio: 0.3, creditUtilization: 0.5 };
+
+  it('lowers utilization and DTI in proportion to a card paydown', () => {
+    // Paying off half the card balances removes half of the 300 card payments
+    expect(deriveInputs(application, baseData, { revolvingPaydown: 5000 })).toEqual({
+      creditUtilization: 0.25,
+      debtToIncomeRatio: 0.27
+    });
+  });
+
+  it('recomputes DTI on a new income', () => {
+    expect(deriveInputs(application, baseData, { annualIncome: 90000 })).toEqual({ debtToIncomeRatio: 0.2 });
+    expect(deriveInputs(application, baseData, { annualIncome: 60000 })).toEqual({});
+  });
+
+  it('lets explicit overrides win over derived values', () => {
+    expect(deriveInputs(application, baseData, { revolvingPaydown: 5000, debtToIncomeRatio: 0.4 })).toEqual({
+      creditUtilization: 0.25
+    });
+  });
+
+  it('refuses a paydown without or beyond the card balances', () => {
+    expect(() => deriveInputs({ financial: {} }, baseData, { revolvingPaydown: 100 })).toThrow(/requires credit card balances/);
+    expect(() => deriveInputs(application, baseData, { revolvingPaydown: 10001 })).toThrow(/cannot exceed the credit card balance of 10000/);
+  });
+});
@@ -0,0 +1,194 @@
+const path = require('path');
+const fs = require('fs').promises;
+const PDFDocument = require('pdfkit');
+const { loadAdverseActionTemplate } = require('../config/adverseActionTemplate');
+const { MAX_PRINCIPAL_REASONS, reasonStatement } = require('./reasonCodes');
+const { creditLogger } = require('../utils/logger');
+
+const UPLOAD_ROOT = path.join(__dirname, '../../uploads');
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(amount || 0);
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+const fillPlaceholders = (text, values) =>
+  text.replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+
+// Principal reasons: the reason codes the underwriter cited first, then the
+// ranked model reason codes, capped at the four Regulation B expects. The
+// underwriter's free-text reason is an internal note and is never printed.
+function collectReasons(application) {
+  const reasons = [];
+  const addReason = (statement) => {
+    if (statement && !reasons.includes(statement)) reasons.push(statement);
+  };
+
+  (application.manualReview?.decision?.reasonCodes || []).forEach(code => addReason(reasonStatement(code)));
+  (application.aiAssessment?.reasonCodes || []).forEach(reason => addReason(reason.statement));
+
+  return reasons.slice(0, MAX_PRINCIPAL_REASONS);
+}
+
+// Assemble the notice as ordered sections so text and PDF renderings match
+function buildNoticeContent(application, template = loadAdverseActionTemplate(), noticeDate = new Date()) {
+  const reasons = collectReasons(application);
+
+  if (reasons.length === 0) {
+    const error = new Error('Cannot generate adverse action notice without decision reason codes or an AI assessment');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const { applicant, loan, financial } = application;
+  const address = applicant.address || {};
+  const values = {
+    applicantName: application.applicantFullName,
+    applicationId: application.applicationId,
+    loanAmount: formatCurrency(loan.amount),
+    loanPurpose: loan.purpose.replace(/_/g, ' '),
+    creditScore: financial.creditScore,
+    creditScoreDate: formatDate(application.aiAssessment?.processedAt || noticeDate),
+    creditorName: template.creditor.name,
+    creditorPhone: template.creditor.phone,
+    federalAgencyName: template.federalAgency.name,
+    federalAgencyAddress: template.federalAgency.address
+  };
+
+  const sections = [
+    { type: 'header', lines: [template.creditor.name, template.creditor.address, template.creditor.phone] },
+    { type: 'paragraph', text: formatDate(noticeDate) },
+    {
+      type: 'address',
+      lines: [
+        values.applicantName,
+        address.street,
+        [address.city, address.state, address.zipCode].filter(Boolean).join(', ')
+      ].filter(Boolean)
+    },
+    { type: 'heading', text: template.subject },
+    { type: 'paragraph', text: fillPlaceholders(template.greeting, values) },
+    { type: 'paragraph', text: fillPlaceholders(template.opening, values) },
+    { type: 'heading', text: template.reasonsHeading },
+    { type: 'list', items: reasons }
+  ];
+
+  if (financial.creditScore) {
+    sections.push({ type: 'paragraph', text: fillPlaceholders(template.creditScoreDisclosure, values) });
+  }
+
+  const agency = template.consumerReportingAgency;
+  sections.push(
+    { type: 'paragraph', text: fillPlaceholders(template.bureauDisclosure, values) },
+    { type: 'address', lines: [agency.name, agency.address, agency.phone, agency.website].filter(Boolean) },
+    { type: 'paragraph', text: fillPlaceholders(template.ecoaNotice, values) },
+    { type: 'paragraph', text: fillPlaceholders(template.closing, values) },
+    { type: 'paragraph', text: fillPlaceholders(template.signature, values) }
+  );
+
+  return { reasons, sections };
+}
+
+function renderText(content) {
+  return content.sections.map((section) => {
+    switch (section.type) {
+      case 'header':
+      case 'address':
+        return section.lines.join('\n');
+      case 'heading':
+        return section.text.toUpperCase();
+      case 'list':
+        return section.items.map((item, index) => `  ${index + 1}. ${item}`).join('\n');
+      default:
+        return section.text;
+    }
+  }).join('\n\n') + '\n';
+}
+
+function renderPdf(content) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 72 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    content.sections.forEach((section) => {
+      switch (section.type) {
+        case 'header':
+          doc.font('Helvetica-Bold').fontSize(12).text(section.lines[0]);
+          doc.font('Helvetica').fontSize(10).text(section.lines.slice(1).join('\n'));
+          break;
+        case 'address':
+          doc.font('Helvetica').fontSize(10).text(section.lines.join('\n'));
+          break;
+        case 'heading':
+          doc.font('Helvetica-Bold').fontSize(11).text(section.text);
+          break;
+        case 'list':
+          doc.font('Helvetica').fontSize(10).list(section.items, { bulletRadius: 2, textIndent: 12 });
+          break;
+        default:
+          doc.font('Helvetica').fontSize(10).text(section.text, { align: 'left' });
+      }
+      doc.moveDown();
+    });
+
+    doc.end();
+  });
+}
+
+// Render the notice, store both renderings as application documents and
+// record the generation in the audit trail. Caller is responsible for saving.
+async function generateAdverseActionNotice(application, user, req) {
+  const content = buildNoticeContent(application);
+  const text = renderText(content);
+  const pdf = await renderPdf(content);
+
+  const relativeDir = path.join('notices', application.applicationId);
+  await fs.mkdir(path.join(UPLOAD_ROOT, relativeDir), { recursive: true });
+
+  const baseName = `adverse-action-${Date.now()}`;
+  const files = [
+    { extension: 'pdf', mimeType: 'application/pdf', data: pdf },
+    { extension: 'txt', mimeType: 'text/plain', data: Buffer.from(text, 'utf8') }
+  ];
+
+  const documents = [];
+  for (const file of files) {
+    const filename = path.join(relativeDir, `${baseName}.${file.extension}`);
+    await fs.writeFile(path.join(UPLOAD_ROOT, filename), file.data);
+
+    documents.push({
+      type: 'adverse_action_notice',
+      filename,
+      originalName: `${application.applicationId}-adverse-action.${file.extension}`,
+      mimeType: file.mimeType,
+      size: file.data.length,
+      uploadDate: new Date()
+    });
+  }
+
+  application.documents.push(...documents);
+  application.addAuditEntry('adverse_action_notice_generated', user, {
+    reasons: content.reasons,
+    documents: documents.map(doc => doc.filename)
+  }, req);
+
+  creditLogger.info('Adverse action notice generated', {
+    applicationId: application.applicationId,
+    reasonCount: content.reasons.length,
+    generatedBy: user ? user._id : null
+  });
+
+  return { documents, text, reasons: content.reasons };
+}
+
+module.exports = {
+  buildNoticeContent,
+  renderText,
+  renderPdf,
+  generateAdverseActionNotice
+};
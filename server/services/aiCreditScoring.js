@@ -1,12 +1,49 @@
-// const tf = require('@tensorflow/tfjs-node');
-const { Matrix } = require('ml-matrix');
+const crypto = require('crypto');
 const { aiLogger } = require('../utils/logger');
+const { rankReasonCodes, describeContribution } = require('./reasonCodes');
+const { applyScorecard, selectEffectiveScorecard } = require('./scorecard');
+const { calibratePD } = require('./calibration');
+const { calculateExpectedLoss } = require('./expectedLoss');
+const { priceLoan, DEFAULT_RATE_CARD } = require('./pricing');
+const { evaluateRuleSet, DEFAULT_FRAUD_RULE_SET } = require('./fraudRules');
+const { assessSyntheticIdentity } = require('./syntheticIdentity');
+const { assessDataQuality, observedApplicantData } = require('./applicantFeatures');
+
+// Hand-tuned weights used until a model has been trained on historical
+// decisions. Kept under the original version so older assessments replay.
+const BASELINE_MODEL = {
+  version: '1.0.0-demo',
+  weights: [0.60, 0.40, -0.40, 0.20, -0.10, 0.10, 0.30, -0.30, 0.10, -0.20, 0.20, 0.30],
+  intercept: 0
+};
+
+// Typical applicant that score contributions are measured against when a
+// model artifact does not carry its own training means
+const REFERENCE_APPLICANT = {
+  creditScore: 680,
+  annualIncome: 65000,
+  debtToIncomeRatio: 0.35,
+  employmentLength: 5,
+  loanAmount: 30000,
+  loanTerm: 36,
+  paymentHistoryScore: 90,
+  creditUtilization: 0.3,
+  numberOfAccounts: 8,
+  recentInquiries: 1,
+  collateralValue: 0,
+  loanPurpose: 'other'
+};
 
 class AICreditscoringEngine {
   constructor() {
     this.model = null;
     this.scaler = null;
     this.isModelLoaded = false;
+    this.modelVersion = null;
+    this.challenger = null;
+    this.scorecards = [];
+    this.rateCard = DEFAULT_RATE_CARD;
+    this.fraudRuleSet = DEFAULT_FRAUD_RULE_SET;
     this.featureNames = [
       'credit_score',
       'annual_income',
@@ -23,75 +60,151 @@ class AICreditscoringEngine {
     ];
   }
 
-  async initializeModel() {
+  async initializeModel(artifact = null) {
     try {
-      // Simulate model initialization for demo purposes
-      this.isModelLoaded = true;
-      aiLogger.info('AI Credit Scoring Engine initialized successfully (Demo Mode)');
-      
+      if (artifact) {
+        this.loadModel(artifact);
+        aiLogger.info('AI Credit Scoring Engine initialized with trained model', {
+          modelVersion: this.modelVersion
+        });
+      } else {
+        // No trained artifact yet - fall back to the built-in baseline weights
+        this.loadModel(BASELINE_MODEL);
+        aiLogger.info('AI Credit Scoring Engine initialized with baseline model', {
+          modelVersion: this.modelVersion
+        });
+      }
     } catch (error) {
       aiLogger.error('Failed to initialize AI model:', error);
       throw error;
     }
   }
 
-  async trainInitialModel() {
-    // Simulate training for demo purposes
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    aiLogger.info('Model training simulation completed');
-  }
-
-  preprocessFeatures(applicantData) {
-    const features = [];
-    
-    // Map applicant data to feature vector
-    features.push((applicantData.creditScore || 600) / 800);
-    features.push((applicantData.annualIncome || 50000) / 200000);
-    features.push((applicantData.debtToIncomeRatio || 0.3));
-    features.push((applicantData.employmentLength || 2) / 20);
-    features.push((applicantData.loanAmount || 50000) / 500000);
-    features.push((applicantData.loanTerm || 15) / 30);
-    features.push((applicantData.paymentHistoryScore || 80) / 100);
-    features.push((applicantData.creditUtilization || 0.3));
-    features.push((applicantData.numberOfAccounts || 5) / 20);
-    features.push((applicantData.recentInquiries || 2) / 10);
-    features.push((applicantData.collateralValue || 0) / 1000000);
-    features.push(this.getLoanPurposeScore(applicantData.loanPurpose) / 10);
-
-    return features;
-  }
-
-  getLoanPurposeScore(purpose) {
-    const purposeScores = {
-      'home_purchase': 9,
-      'home_improvement': 8,
-      'debt_consolidation': 6,
-      'auto_loan': 7,
-      'business': 5,
-      'education': 8,
-      'medical': 7,
-      'vacation': 3,
-      'other': 5
+  // Validated scorer built from a model artifact
+  buildModel(artifact) {
+    if (!artifact || !Array.isArray(artifact.weights) || artifact.weights.length !== this.featureNames.length) {
+      throw new Error(`Model artifact must provide ${this.featureNames.length} feature weights`);
+    }
+
+    if (artifact.featureNames && artifact.featureNames.join(',') !== this.featureNames.join(',')) {
+      throw new Error(`Model ${artifact.version} was trained on a different feature set`);
+    }
+
+    return {
+      version: artifact.version,
+      weights: artifact.weights.slice(),
+      intercept: artifact.intercept || 0,
+      referenceFeatures: artifact.referenceFeatures && artifact.referenceFeatures.length
+        ? artifact.referenceFeatures.slice()
+        : null,
+      calibration: artifact.calibration && artifact.calibration.method ? artifact.calibration : null
+    };
+  }
+
+  loadModel(artifact) {
+    this.model = this.buildModel(artifact);
+    this.modelVersion = artifact.version;
+    this.isModelLoaded = true;
+  }
+
+  // Challenger model that shadow-scores live traffic next to the champion;
+  // its results are recorded for comparison and never drive a decision
+  loadChallenger(artifact) {
+    this.challenger = artifact ? this.buildModel(artifact) : null;
+  }
+
+  get challengerVersion() {
+    return this.challenger ? this.challenger.version : null;
+  }
+
+  // Activated scorecards; the one effective at scoring time is applied
+  setScorecards(scorecards) {
+    this.scorecards = scorecards || [];
+  }
+
+  getActiveScorecard(at = new Date()) {
+    return selectEffectiveScorecard(this.scorecards, at);
+  }
+
+  // Active pricing policy; the built-in rate card until one is activated
+  setRateCard(rateCard) {
+    this.rateCard = rateCard || DEFAULT_RATE_CARD;
+  }
+
+  // Published fraud rules; the built-in rule set until one is published
+  setFraudRuleSet(ruleSet) {
+    this.fraudRuleSet = ruleSet || DEFAULT_FRAUD_RULE_SET;
+  }
+
+  preprocessFeatures(applicantData, scorecard = this.getActiveScorecard()) {
+    return applyScorecard(scorecard, applicantData, this.featureNames);
+  }
+
+  // Lightweight scoring without explanations or logging, for previews and simulations
+  scoreApplicant(applicantData, { scorecard = this.getActiveScorecard(), model = this.model } = {}) {
+    const features = this.preprocessFeatures(applicantData, scorecard);
+    const probability = this.calculateProbability(features, model);
+    const creditScore = Math.round(probability * 550 + 300);
+
+    return {
+      creditScore,
+      riskLevel: this.calculateRiskLevel(creditScore),
+      probability,
+      features
     };
-    return purposeScores[purpose] || 5;
   }
 
-  calculateCreditScoreDemo(features) {
-    // Simulate neural network with weighted calculation
-    const weights = [0.30, 0.20, -0.20, 0.10, -0.05, 0.05, 0.15, -0.15, 0.05, -0.10, 0.10, 0.15];
-    
-    let score = 0;
+  // Logistic model: probability that the applicant is creditworthy
+  calculateProbability(features, model = this.model) {
+    let logit = model.intercept;
     for (let i = 0; i < features.length; i++) {
-      score += features[i] * weights[i];
+      logit += features[i] * model.weights[i];
     }
-    
-    // Apply sigmoid activation function simulation
-    score = 1 / (1 + Math.exp(-score * 2));
-    
-    // Add some randomness to simulate real ML uncertainty
-    score += (Math.random() - 0.5) * 0.1;
-    
-    return Math.max(0, Math.min(1, score));
+
+    return 1 / (1 + Math.exp(-logit));
+  }
+
+  // Probability of default (calibrated on loan outcomes when available) and
+  // the resulting expected loss for the requested exposure
+  calculateRiskMetrics(applicantData, probability, model = this.model) {
+    const calibration = model.calibration;
+    const pd = calibratePD(calibration, probability);
+
+    return {
+      ...calculateExpectedLoss({
+        pd,
+        loanAmount: applicantData.loanAmount,
+        collateralType: applicantData.collateralType,
+        collateralValue: applicantData.collateralValue
+      }),
+      pdCalibrated: !!calibration,
+      calibrationMethod: calibration ? calibration.method : null,
+      calibrationFittedAt: calibration ? calibration.fittedAt : null
+    };
+  }
+
+  // Rate and term offer for the requested loan, priced on risk tier and PD
+  priceOffer(applicantData, riskLevel, pd, rateCard = this.rateCard) {
+    return priceLoan(rateCard, {
+      riskLevel,
+      pd,
+      loanAmount: applicantData.loanAmount,
+      loanTerm: applicantData.loanTerm,
+      loanPurpose: applicantData.loanPurpose,
+      collateralType: applicantData.collateralType
+    });
+  }
+
+  // Fingerprint of the exact inputs and model that produced a score, so a
+  // stored decision can be replayed and verified later
+  hashFeatures(features, modelVersion = this.modelVersion) {
+    const payload = JSON.stringify({
+      modelVersion,
+      featureNames: this.featureNames,
+      features
+    });
+
+    return crypto.createHash('sha256').update(payload).digest('hex');
   }
 
   async predictCreditScore(applicantData) {
@@ -100,29 +213,45 @@ class AICreditscoringEngine {
     }
 
     try {
-      const features = this.preprocessFeatures(applicantData);
+      const scorecard = this.getActiveScorecard();
+      const features = this.preprocessFeatures(applicantData, scorecard);
       
-      // Simulate ML prediction with mathematical model for demo
-      const score = this.calculateCreditScoreDemo(features);
+      const score = this.calculateProbability(features);
 
       const creditScore = Math.round(score * 550 + 300); // Scale to 300-850
       const riskLevel = this.calculateRiskLevel(creditScore);
       const recommendations = this.generateRecommendations(applicantData, creditScore);
 
+      const contributions = this.explainScore(features);
+      const riskMetrics = this.calculateRiskMetrics(applicantData, score);
+      const offer = this.priceOffer(applicantData, riskLevel, riskMetrics.pd);
+      const { missingFeatures, imputedInputs } = assessDataQuality(applicantData);
+
       const result = {
         creditScore,
         riskLevel,
         probability: score,
         recommendations,
-        factors: this.analyzeFactors(applicantData, features),
+        factors: this.analyzeFactors(contributions),
+        reasonCodes: rankReasonCodes(contributions),
+        referenceScore: this.referenceScore(),
+        riskMetrics,
+        offer,
+        featureVector: features,
+        featureHash: this.hashFeatures(features),
+        missingFeatures,
+        imputedInputs,
         timestamp: new Date().toISOString(),
-        modelVersion: '1.0.0-demo'
+        modelVersion: this.modelVersion,
+        scorecardVersion: scorecard.version
       };
 
-      aiLogger.info('Credit score prediction generated (Demo Mode)', {
+      aiLogger.info('Credit score prediction generated', {
         applicantId: applicantData.id,
         creditScore,
-        riskLevel
+        riskLevel,
+        featureHash: result.featureHash,
+        missingFeatures
       });
 
       return result;
@@ -133,6 +262,33 @@ class AICreditscoringEngine {
     }
   }
 
+  // Re-score a stored assessment from its recorded feature vector and confirm
+  // the result matches what was originally decided. Pass the artifact of the
+  // assessment's model version when it is not the currently loaded model.
+  reproduceAssessment(assessment, artifact = null) {
+    const features = assessment.featureVector || [];
+    const hashMatches = this.hashFeatures(features, assessment.modelVersion) === assessment.featureHash;
+    const model = artifact || (assessment.modelVersion === this.modelVersion ? this.model : null);
+
+    if (!model) {
+      return {
+        reproducible: false,
+        hashMatches,
+        reason: `Model ${assessment.modelVersion} is not available for replay`
+      };
+    }
+
+    const probability = this.calculateProbability(features, model);
+    const creditScore = Math.round(probability * 550 + 300);
+
+    return {
+      reproducible: hashMatches && creditScore === assessment.creditScore,
+      hashMatches,
+      original: { creditScore: assessment.creditScore, riskLevel: assessment.riskLevel },
+      reproduced: { creditScore, riskLevel: this.calculateRiskLevel(creditScore), probability }
+    };
+  }
+
   calculateRiskLevel(creditScore) {
     if (creditScore >= 750) return 'LOW';
     if (creditScore >= 650) return 'MEDIUM';
@@ -140,16 +296,40 @@ class AICreditscoringEngine {
     return 'VERY_HIGH';
   }
 
-  analyzeFactors(applicantData, features) {
-    const factors = [];
-    
-    if (features[0] < 0.6) factors.push({ factor: 'Credit Score', impact: 'NEGATIVE', description: 'Credit score below optimal range' });
-    if (features[1] > 0.8) factors.push({ factor: 'Income', impact: 'POSITIVE', description: 'High annual income' });
-    if (features[2] > 0.4) factors.push({ factor: 'Debt-to-Income', impact: 'NEGATIVE', description: 'High debt-to-income ratio' });
-    if (features[6] > 0.9) factors.push({ factor: 'Payment History', impact: 'POSITIVE', description: 'Excellent payment history' });
-    if (features[7] > 0.7) factors.push({ factor: 'Credit Utilization', impact: 'NEGATIVE', description: 'High credit utilization' });
+  // Signed contribution of every feature to the final score, in score points.
+  // Each feature's logit contribution is measured against the reference
+  // applicant and scaled so that the contributions sum exactly to the
+  // difference between this score and the reference score.
+  explainScore(features, model = this.model) {
+    const reference = model.referenceFeatures || this.preprocessFeatures(REFERENCE_APPLICANT);
+    const logitContributions = features.map((value, i) => model.weights[i] * (value - reference[i]));
+    const logitDelta = logitContributions.reduce((sum, contribution) => sum + contribution, 0);
+
+    const probability = this.calculateProbability(features, model);
+    const referenceProbability = this.calculateProbability(reference, model);
+    const scoreDelta = (probability - referenceProbability) * 550;
 
-    return factors;
+    // Fall back to the local slope when the two logits (almost) coincide
+    const pointsPerLogit = Math.abs(logitDelta) > 1e-9
+      ? scoreDelta / logitDelta
+      : 550 * probability * (1 - probability);
+
+    return this.featureNames.map((feature, i) => ({
+      feature,
+      value: features[i],
+      points: Math.round(logitContributions[i] * pointsPerLogit * 100) / 100
+    }));
+  }
+
+  referenceScore(model = this.model) {
+    const reference = model.referenceFeatures || this.preprocessFeatures(REFERENCE_APPLICANT);
+    return Math.round(this.calculateProbability(reference, model) * 550 + 300);
+  }
+
+  analyzeFactors(contributions) {
+    return contributions
+      .map(describeContribution)
+      .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
   }
 
   generateRecommendations(applicantData, creditScore) {
@@ -185,49 +365,35 @@ class AICreditscoringEngine {
     return recommendations;
   }
 
-  async evaluateFraudRisk(applicantData) {
-    const riskFactors = [];
-    let fraudScore = 0;
-
-    // Income verification red flags
-    if (applicantData.annualIncome > 200000 && applicantData.employmentLength < 1) {
-      riskFactors.push('High income with short employment history');
-      fraudScore += 30;
-    }
-
-    // Address verification
-    if (applicantData.timeAtAddress < 6) {
-      riskFactors.push('Recently moved to current address');
-      fraudScore += 10;
-    }
-
-    // Identity verification
-    if (applicantData.age < 21 && applicantData.creditScore > 750) {
-      riskFactors.push('High credit score at young age');
-      fraudScore += 20;
-    }
+  // Pass the cross-application velocity results (fraudVelocity) when the
+  // applicant is on file so the rule set's velocity checks can fire. Inputs
+  // listed in `imputed` are not evaluated: rules only see observed values.
+  async evaluateFraudRisk(applicantData, { ruleSet = this.fraudRuleSet, velocity = null } = {}) {
+    const observed = observedApplicantData(applicantData);
+    const assessment = evaluateRuleSet(ruleSet, observed, velocity);
+    const identityRisk = assessSyntheticIdentity(observed);
 
-    // Velocity checks
-    if (applicantData.recentInquiries > 5) {
-      riskFactors.push('Multiple recent credit inquiries');
-      fraudScore += 15;
+    // Identity risk is scored separately but a likely synthetic identity
+    // always goes to a person
+    if (identityRisk.riskLevel === 'HIGH') {
+      assessment.recommendation = 'MANUAL_REVIEW';
     }
 
     return {
-      fraudScore,
-      riskLevel: fraudScore > 50 ? 'HIGH' : fraudScore > 25 ? 'MEDIUM' : 'LOW',
-      riskFactors,
-      recommendation: fraudScore > 50 ? 'MANUAL_REVIEW' : 'AUTOMATED_PROCESSING'
+      ...assessment,
+      identityRisk
     };
   }
 
   async dispose() {
     if (this.model) {
-      // In real implementation: this.model.dispose();
+      this.model = null;
       this.isModelLoaded = false;
-      aiLogger.info('AI model disposed (Demo Mode)');
+      aiLogger.info('AI model disposed');
     }
   }
 }
 
-module.exports = AICreditscoringEngine;
\ No newline at end of file
+module.exports = AICreditscoringEngine;
+module.exports.BASELINE_MODEL = BASELINE_MODEL;
+module.exports.REFERENCE_APPLICANT = REFERENCE_APPLICANT;
\ No newline at end of file
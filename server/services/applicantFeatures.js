@@ -0,0 +1,128 @@
+// The one mapping from a stored CreditApplication to the applicant data that
+// the scoring engine, fraud rules and identity checks take. Values the
+// application does not provide are imputed here (or, for inputs without a
+// default below, by the scorecard) and listed in `imputed`, so every
+// assessment can record which of its model features were not observed.
+// Imputed values only feed the scorecard: fraud rules and identity checks
+// take observedApplicantData, where unobserved inputs are left undefined.
+// Applicant data missing more model inputs than
+// dataQualityParameters.maxMissingFeatures is refused rather than scored.
+
+const { FEATURE_SOURCES } = require('./scorecard');
+const { dataQualityParameters } = require('../config/riskParameters');
+
+// Values used when an application does not provide an input. Model inputs
+// without an entry (credit score, DTI) fall back to the scorecard default.
+const IMPUTATION_DEFAULTS = {
+  employmentLength: 0,
+  paymentHistoryScore: 80,
+  creditUtilization: 0.3,
+  numberOfAccounts: 5,
+  recentInquiries: 1,
+  timeAtAddress: 12, // months
+  age: 35
+};
+
+// Inputs whose absence means "none" rather than "unknown"
+const ABSENT_MEANS_NONE = ['collateralValue', 'authorizedUserAccounts'];
+
+const isMissing = value => value === undefined || value === null || Number.isNaN(value);
+
+const ageFrom = dateOfBirth => (dateOfBirth
+  ? Math.floor((Date.now() - new Date(dateOfBirth).getTime()) / (365.25 * 24 * 60 * 60 * 1000))
+  : undefined);
+
+// Works on Mongoose documents and lean objects alike
+function toApplicantData(application) {
+  const { applicant, loan, financial = {} } = application;
+  const employment = applicant.employment || {};
+
+  const observed = {
+    creditScore: financial.creditScore,
+    annualIncome: employment.annualIncome,
+    debtToIncomeRatio: financial.debtToIncomeRatio,
+    employmentLength: employment.employmentLength,
+    loanAmount: loan.amount,
+    loanTerm: loan.term,
+    paymentHistoryScore: financial.paymentHistoryScore,
+    creditUtilization: financial.creditUtilization,
+    numberOfAccounts: financial.numberOfAccounts,
+    recentInquiries: financial.recentInquiries,
+    collateralValue: loan.collateral?.value ?? 0,
+    collateralType: loan.collateral?.type || 'none',
+    loanPurpose: loan.purpose,
+    timeAtAddress: applicant.address?.timeAtAddress,
+    age: ageFrom(applicant.dateOfBirth)
+  };
+
+  const imputed = [];
+  Object.entries(IMPUTATION_DEFAULTS).forEach(([input, value]) => {
+    if (isMissing(observed[input])) {
+      observed[input] = value;
+      imputed.push(input);
+    }
+  });
+  // Left for the scorecard to impute, but still not observed
+  Object.values(FEATURE_SOURCES).forEach((input) => {
+    if (isMissing(observed[input])) imputed.push(input);
+  });
+
+  return {
+    id: application._id,
+    ...observed,
+    ssn: applicant.ssn,
+    oldestAccountOpened: financial.oldestAccountOpened,
+    oldestPrimaryAccountOpened: financial.oldestPrimaryAccountOpened,
+    authorizedUserAccounts: financial.authorizedUserAccounts ?? 0,
+    imputed
+  };
+}
+
+// Applicant data without its imputed values, for fraud rules and identity
+// checks, which must only fire on what the applicant actually provided
+function observedApplicantData(applicantData, imputed = applicantData.imputed) {
+  const observed = { ...applicantData };
+  (imputed || []).forEach((input) => { observed[input] = undefined; });
+  return observed;
+}
+
+// Model features scored on an imputed value and every imputed input, for
+// applicant data from toApplicantData or supplied directly
+function assessDataQuality(applicantData) {
+  const imputed = new Set(Array.isArray(applicantData.imputed) ? applicantData.imputed : []);
+  Object.values(FEATURE_SOURCES).forEach((input) => {
+    if (isMissing(applicantData[input])) imputed.add(input);
+  });
+  ABSENT_MEANS_NONE.forEach(input => imputed.delete(input));
+
+  return {
+    missingFeatures: Object.keys(FEATURE_SOURCES).filter(feature => imputed.has(FEATURE_SOURCES[feature])),
+    imputedInputs: Array.from(imputed)
+  };
+}
+
+// Data quality of applicant data that may be scored; throws (400) when too
+// many model inputs are missing to score it meaningfully
+function assertScorable(applicantData, { maxMissingFeatures = dataQualityParameters.maxMissingFeatures } = {}) {
+  const quality = assessDataQuality(applicantData);
+
+  if (quality.missingFeatures.length > maxMissingFeatures) {
+    const error = new Error(
+      `Too many missing inputs to score: ${quality.missingFeatures.join(', ')} (at most ${maxMissingFeatures} may be imputed)`
+    );
+    error.statusCode = 400;
+    error.missingFeatures = quality.missingFeatures;
+    error.maxMissingFeatures = maxMissingFeatures;
+    throw error;
+  }
+
+  return quality;
+}
+
+module.exports = {
+  IMPUTATION_DEFAULTS,
+  toApplicantData,
+  observedApplicantData,
+  assessDataQuality,
+  assertScorable
+};
@@ -0,0 +1,149 @@
+// Type, unit and range checks on applicant inputs before they are scored or
+// stored. The same rules cover applicant data sent to /api/ai/analyze and the
+// matching fields of an application on create and update, so nothing is
+// scored on a value the engine would misread: a string where a number
+// belongs, a negative amount, or a ratio sent as a percentage (a DTI of 40
+// rather than 0.40). Every invalid field is reported, not just the first.
+
+const CreditApplication = require('../models/CreditApplication');
+
+// Applicant data inputs and where each lives on an application (`path`).
+// `unit: 'ratio'` marks a fraction of one; the maximum leaves room for
+// over-limit utilization and heavily indebted applicants, and anything above
+// it is almost certainly a percentage.
+const APPLICANT_INPUT_RULES = {
+  creditScore: { path: 'financial.creditScore', type: 'number', integer: true, min: 300, max: 850 },
+  annualIncome: { path: 'applicant.employment.annualIncome', type: 'number', min: 0 },
+  debtToIncomeRatio: { path: 'financial.debtToIncomeRatio', type: 'number', unit: 'ratio', min: 0, max: 2 },
+  employmentLength: { path: 'applicant.employment.employmentLength', type: 'number', min: 0, max: 80 }, // years
+  loanAmount: { path: 'loan.amount', type: 'number', min: 1 },
+  loanTerm: { path: 'loan.term', type: 'number', integer: true, min: 1, max: 480 }, // months
+  paymentHistoryScore: { path: 'financial.paymentHistoryScore', type: 'number', min: 0, max: 100 },
+  creditUtilization: { path: 'financial.creditUtilization', type: 'number', unit: 'ratio', min: 0, max: 1.5 },
+  numberOfAccounts: { path: 'financial.numberOfAccounts', type: 'number', integer: true, min: 0 },
+  recentInquiries: { path: 'financial.recentInquiries', type: 'number', integer: true, min: 0 },
+  collateralValue: { path: 'loan.collateral.value', type: 'number', min: 0 },
+  collateralType: { path: 'loan.collateral.type', type: 'string', values: CreditApplication.schema.path('loan.collateral.type').enumValues },
+  loanPurpose: { path: 'loan.purpose', type: 'string', values: CreditApplication.schema.path('loan.purpose').enumValues },
+  // Fraud and identity inputs
+  id: { type: 'string' },
+  ssn: { path: 'applicant.ssn', type: 'string' },
+  age: { type: 'number', integer: true, min: 18, max: 120 }, // from applicant.dateOfBirth on an application
+  timeAtAddress: { path: 'applicant.address.timeAtAddress', type: 'number', min: 0 }, // months
+  oldestAccountOpened: { path: 'financial.oldestAccountOpened', type: 'date' },
+  oldestPrimaryAccountOpened: { path: 'financial.oldestPrimaryAccountOpened', type: 'date' },
+  authorizedUserAccounts: { path: 'financial.authorizedUserAccounts', type: 'number', integer: true, min: 0 }
+};
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+const valueAt = (data, path) =>
+  path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+
+const isPresent = value => value !== undefined && value !== null;
+
+const rangeText = rule => (rule.max !== undefined ? `between ${rule.min} and ${rule.max}` : `at least ${rule.min}`);
+
+// Problem with one value, or null when it satisfies the rule
+function checkValue(field, value, rule) {
+  if (rule.type === 'string') {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return `${field} must be a non-empty string`;
+    }
+    if (rule.values && !rule.values.includes(value)) {
+      return `${field} must be one of: ${rule.values.join(', ')}`;
+    }
+    return null;
+  }
+
+  if (rule.type === 'date') {
+    const date = value instanceof Date || typeof value === 'string' ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      return `${field} must be a valid date`;
+    }
+    if (date.getTime() > Date.now()) {
+      return `${field} cannot be in the future`;
+    }
+    return null;
+  }
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `${field} must be a number${typeof value === 'string' ? ', not a string' : ''}`;
+  }
+  if (rule.integer && !Number.isInteger(value)) {
+    return `${field} must be a whole number`;
+  }
+  if (value < rule.min || (rule.max !== undefined && value > rule.max)) {
+    if (rule.unit === 'ratio') {
+      return `${field} must be a ratio ${rangeText(rule)} (e.g. 0.4 for 40%)`;
+    }
+    return `${field} must be ${rangeText(rule)}`;
+  }
+  return null;
+}
+
+// Errors ({ field, message }) in applicant data supplied for scoring. Every
+// field must be a known input; inputs left out are imputed as usual.
+function validateApplicantData(applicantData) {
+  if (!applicantData || typeof applicantData !== 'object' || Array.isArray(applicantData)) {
+    return [{ field: 'applicantData', message: 'applicantData must be an object of applicant inputs' }];
+  }
+
+  const errors = [];
+  Object.entries(applicantData).forEach(([field, value]) => {
+    const rule = APPLICANT_INPUT_RULES[field];
+    if (!rule) {
+      errors.push({ field, message: `${field} is not a recognised applicant input` });
+      return;
+    }
+    if (!isPresent(value)) return;
+
+    const message = checkValue(field, value, rule);
+    if (message) errors.push({ field, message });
+  });
+
+  return errors;
+}
+
+// Errors ({ field, message }) in the scoring inputs of an application body,
+// with fields named by their path. Only the fields present are checked, so
+// this serves partial updates too; required fields are checked separately.
+function validateApplicationInput(applicationData) {
+  if (!applicationData || typeof applicationData !== 'object' || Array.isArray(applicationData)) {
+    return [{ field: 'application', message: 'Application data must be an object' }];
+  }
+
+  const errors = [];
+  Object.values(APPLICANT_INPUT_RULES).forEach((rule) => {
+    if (!rule.path) return;
+
+    const value = valueAt(applicationData, rule.path);
+    if (!isPresent(value)) return;
+
+    const message = checkValue(rule.path, value, rule);
+    if (message) errors.push({ field: rule.path, message });
+  });
+
+  // The applicant's age is derived from the date of birth
+  const dateOfBirth = valueAt(applicationData, 'applicant.dateOfBirth');
+  if (isPresent(dateOfBirth)) {
+    const message = checkValue('applicant.dateOfBirth', dateOfBirth, { type: 'date' });
+    if (message) {
+      errors.push({ field: 'applicant.dateOfBirth', message });
+    } else {
+      const { min, max } = APPLICANT_INPUT_RULES.age;
+      const age = Math.floor((Date.now() - new Date(dateOfBirth).getTime()) / YEAR_MS);
+      if (age < min || age > max) {
+        errors.push({ field: 'applicant.dateOfBirth', message: `Applicant must be between ${min} and ${max} years old` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  APPLICANT_INPUT_RULES,
+  validateApplicantData,
+  validateApplicationInput
+};
@@ -0,0 +1,191 @@
+// Backtesting: replay the applications submitted in a date range through a
+// chosen model version and/or scorecard and compare the result with the AI
+// assessment recorded on each application at the time. Replayed offers are
+// priced on the active rate card. Applications are only read; nothing on the
+// original records changes.
+//
+// The report shows the approval rate change, risk tier migration, the
+// applications that swap between approve and decline (also against the
+// actual underwriting decision where one was made) and the change in
+// expected loss, over all applications and over the approved book.
+
+const CreditApplication = require('../models/CreditApplication');
+const ModelVersion = require('../models/ModelVersion');
+const Scorecard = require('../models/Scorecard');
+const { toApplicantData } = require('./applicantFeatures');
+const { decisionFor, createDecisionComparison } = require('./decisionComparison');
+const { aiLogger } = require('../utils/logger');
+
+// Swapped applications listed in the report; the counts cover all of them
+const MAX_SWAP_EXAMPLES = 100;
+
+const backtestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const money = value => Math.round(value * 100) / 100;
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw backtestError(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+// Model and scorecard to replay with; either defaults to what is live now
+async function resolvePolicy(engine, { modelVersion, scorecardVersion }) {
+  let model = engine.model;
+  if (modelVersion) {
+    const version = await ModelVersion.findOne({ version: modelVersion });
+    if (!version) throw backtestError(`Model version ${modelVersion} not found`, 404);
+    model = engine.buildModel(version.toArtifact());
+  }
+  if (!model) throw backtestError('AI model is not available', 503);
+
+  let scorecard = engine.getActiveScorecard();
+  if (scorecardVersion !== undefined && scorecardVersion !== null && scorecardVersion !== '') {
+    scorecard = await Scorecard.findOne({ version: parseInt(scorecardVersion) });
+    if (!scorecard) throw backtestError(`Scorecard version ${scorecardVersion} not found`, 404);
+  }
+
+  return { model, scorecard };
+}
+
+function replayApplication(engine, application, { model, scorecard }) {
+  const applicantData = toApplicantData(application);
+  const { creditScore, riskLevel, probability } = engine.scoreApplicant(applicantData, { model, scorecard });
+  const riskMetrics = engine.calculateRiskMetrics(applicantData, probability, model);
+  const offer = engine.priceOffer(applicantData, riskLevel, riskMetrics.pd);
+
+  return {
+    creditScore,
+    riskLevel,
+    decision: decisionFor(riskLevel, offer),
+    expectedLoss: riskMetrics.expectedLoss
+  };
+}
+
+function recordedResult(assessment) {
+  return {
+    creditScore: assessment.creditScore,
+    riskLevel: assessment.riskLevel,
+    decision: decisionFor(assessment.riskLevel, assessment.offer),
+    expectedLoss: assessment.riskMetrics ? assessment.riskMetrics.expectedLoss : undefined
+  };
+}
+
+async function runBacktest(engine, { dateFrom, dateTo, modelVersion, scorecardVersion } = {}) {
+  const from = parseDate(dateFrom, 'dateFrom');
+  const to = parseDate(dateTo, 'dateTo');
+  if (from > to) throw backtestError('dateFrom must be before dateTo');
+
+  const policy = await resolvePolicy(engine, { modelVersion, scorecardVersion });
+
+  const comparison = createDecisionComparison({ from: 'recorded', to: 'replay' });
+  const recordedModelVersions = {};
+  const expectedLoss = { sampleCount: 0, recorded: 0, replay: 0, recordedApproved: 0, replayApproved: 0 };
+  const actual = { decided: 0, approved: 0, approvedNowDeclined: 0, deniedNowApproved: 0 };
+  const swaps = [];
+  let skipped = 0;
+
+  const cursor = CreditApplication.find({
+    submittedAt: { $gte: from, $lte: to },
+    'aiAssessment.creditScore': { $exists: true }
+  })
+    .select('applicationId status submittedAt applicant.employment applicant.address applicant.dateOfBirth loan financial aiAssessment')
+    .sort({ submittedAt: 1 })
+    .lean()
+    .cursor();
+
+  for await (const application of cursor) {
+    let replay;
+    try {
+      replay = replayApplication(engine, application, policy);
+    } catch (error) {
+      skipped++;
+      aiLogger.warn('Backtest could not replay application', {
+        applicationId: application.applicationId,
+        error: error.message
+      });
+      continue;
+    }
+
+    const recorded = recordedResult(application.aiAssessment);
+    comparison.add(recorded, replay);
+
+    const recordedVersion = application.aiAssessment.modelVersion || 'unknown';
+    recordedModelVersions[recordedVersion] = (recordedModelVersions[recordedVersion] || 0) + 1;
+
+    if (Number.isFinite(recorded.expectedLoss) && Number.isFinite(replay.expectedLoss)) {
+      expectedLoss.sampleCount++;
+      expectedLoss.recorded += recorded.expectedLoss;
+      expectedLoss.replay += replay.expectedLoss;
+      if (recorded.decision === 'approve') expectedLoss.recordedApproved += recorded.expectedLoss;
+      if (replay.decision === 'approve') expectedLoss.replayApproved += replay.expectedLoss;
+    }
+
+    if (['approved', 'denied'].includes(application.status)) {
+      actual.decided++;
+      if (application.status === 'approved') {
+        actual.approved++;
+        if (replay.decision === 'decline') actual.approvedNowDeclined++;
+      } else if (replay.decision === 'approve') {
+        actual.deniedNowApproved++;
+      }
+    }
+
+    if (recorded.decision !== replay.decision && swaps.length < MAX_SWAP_EXAMPLES) {
+      swaps.push({
+        applicationId: application.applicationId,
+        status: application.status,
+        submittedAt: application.submittedAt,
+        recorded: { creditScore: recorded.creditScore, riskLevel: recorded.riskLevel, decision: recorded.decision },
+        replay: { creditScore: replay.creditScore, riskLevel: replay.riskLevel, decision: replay.decision }
+      });
+    }
+  }
+
+  const summary = comparison.summarize();
+
+  aiLogger.info('Backtest completed', {
+    dateFrom: from,
+    dateTo: to,
+    modelVersion: policy.model.version,
+    scorecardVersion: policy.scorecard.version,
+    sampleCount: summary.sampleCount,
+    approvalRateChange: summary.decisions.approvalRateChange
+  });
+
+  return {
+    period: { from, to },
+    replay: {
+      modelVersion: policy.model.version,
+      scorecardVersion: policy.scorecard.version,
+      rateCardVersion: engine.rateCard.version
+    },
+    recordedModelVersions,
+    skipped,
+    ...summary,
+    actualDecisions: {
+      ...actual,
+      approvalRate: actual.decided ? Math.round((actual.approved / actual.decided) * 10000) / 10000 : null
+    },
+    expectedLoss: {
+      sampleCount: expectedLoss.sampleCount,
+      recorded: { total: money(expectedLoss.recorded), approved: money(expectedLoss.recordedApproved) },
+      replay: { total: money(expectedLoss.replay), approved: money(expectedLoss.replayApproved) },
+      change: {
+        total: money(expectedLoss.replay - expectedLoss.recorded),
+        approved: money(expectedLoss.replayApproved - expectedLoss.recordedApproved)
+      }
+    },
+    swaps
+  };
+}
+
+module.exports = {
+  runBacktest
+};
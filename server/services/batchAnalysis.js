@@ -0,0 +1,287 @@
+// Batch AI analysis as a background job. The applications to analyze are
+// resolved when the job starts and stored as job items, then analyzed by a
+// fixed number of concurrent workers. A failed item is retried with a short
+// backoff up to `maxAttempts` times before it is reported as failed.
+
+const CreditApplication = require('../models/CreditApplication');
+const JobItem = require('../models/JobItem');
+const { aiEngine } = require('./scoringEngine');
+const { toApplicantData, assertScorable } = require('./applicantFeatures');
+const { findRelatedApplications } = require('./fraudVelocity');
+const { screenApplication, UNSCREENED_STATUSES } = require('./sanctionsScreening');
+const { recordShadowScore } = require('./championChallenger');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+
+const JOB_TYPE = 'batch_analysis';
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = parseInt(process.env.BATCH_MAX_CONCURRENCY) || 10;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_ATTEMPTS_LIMIT = 10;
+const RETRY_BACKOFF_MS = 2000;
+const ITEM_INSERT_BATCH = 1000;
+
+const batchError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Errors that another attempt cannot fix
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const boundedInteger = (value, fallback, min, max, name) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw batchError(`${name} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+// Job parameters from a batch-analyze request
+function batchParams({ applicationIds, filters, concurrency, maxAttempts }) {
+  if (applicationIds !== undefined && (!Array.isArray(applicationIds) || applicationIds.length === 0)) {
+    throw batchError('applicationIds must be a non-empty array');
+  }
+  if (!applicationIds && !filters) {
+    throw batchError('Either applicationIds or filters must be provided');
+  }
+
+  return {
+    applicationIds: applicationIds ? Array.from(new Set(applicationIds.map(String))) : undefined,
+    filters: applicationIds ? undefined : filters,
+    concurrency: boundedInteger(concurrency, DEFAULT_CONCURRENCY, 1, MAX_CONCURRENCY, 'concurrency'),
+    maxAttempts: boundedInteger(maxAttempts, DEFAULT_MAX_ATTEMPTS, 1, MAX_ATTEMPTS_LIMIT, 'maxAttempts')
+  };
+}
+
+// Applications a batch covers: the listed ones that are awaiting a decision,
+// or submitted applications matching the filters
+function targetQuery({ applicationIds, filters = {} }) {
+  if (applicationIds) {
+    return {
+      applicationId: { $in: applicationIds },
+      status: { $in: ['submitted', 'under_review'] }
+    };
+  }
+
+  const query = { status: 'submitted' };
+  if (filters.riskLevel) query['aiAssessment.riskLevel'] = String(filters.riskLevel);
+  if (filters.dateFrom) query.submittedAt = { $gte: new Date(filters.dateFrom) };
+  if (filters.dateTo) {
+    query.submittedAt = query.submittedAt || {};
+    query.submittedAt.$lte = new Date(filters.dateTo);
+  }
+  return query;
+}
+
+async function createBatchAnalysisJob(body, { user }) {
+  return enqueueJob(JOB_TYPE, batchParams(body), { user });
+}
+
+// Store one item per target application. Items left over from an
+// interrupted attempt are replaced.
+async function createItems(job, context) {
+  await JobItem.deleteMany({ job: job._id });
+
+  const cursor = CreditApplication.find(targetQuery(job.params))
+    .select('applicationId')
+    .sort({ _id: 1 })
+    .lean()
+    .cursor();
+
+  let total = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await JobItem.insertMany(batch.map(key => ({ job: job._id, key })), { ordered: false });
+    total += batch.length;
+    batch = [];
+  };
+
+  for await (const application of cursor) {
+    batch.push(application.applicationId);
+    if (batch.length >= ITEM_INSERT_BATCH) await flush();
+  }
+  await flush();
+
+  await context.setProgress({ total, processed: 0, succeeded: 0, failed: 0, retried: 0 });
+  await context.log(`Found ${total} application${total === 1 ? '' : 's'} to analyze`);
+  return total;
+}
+
+async function analyzeApplication(applicationId, job) {
+  const application = await CreditApplication.findOne({ applicationId });
+  if (!application) throw permanentError('Application not found');
+  if (!aiEngine.isModelLoaded) throw new Error('AI model is not available');
+
+  const user = job.createdBy ? { _id: job.createdBy } : null;
+  const dataToAnalyze = toApplicantData(application);
+  try {
+    assertScorable(dataToAnalyze);
+  } catch (error) {
+    throw permanentError(error.message);
+  }
+
+  const aiAssessment = await aiEngine.predictCreditScore(dataToAnalyze);
+  const velocity = await findRelatedApplications(application, aiEngine.fraudRuleSet.velocityChecks);
+  const fraudAssessment = await aiEngine.evaluateFraudRisk(dataToAnalyze, { velocity });
+  await recordShadowScore(aiEngine, dataToAnalyze, aiAssessment, { application, user, source: JOB_TYPE });
+
+  application.aiAssessment = {
+    ...aiAssessment,
+    fraudAssessment,
+    applicationId,
+    processedBy: job.createdBy,
+    processedAt: new Date()
+  };
+  application.addAuditEntry('ai_batch_analysis', user, {
+    creditScore: aiAssessment.creditScore,
+    riskLevel: aiAssessment.riskLevel,
+    jobId: job.jobId
+  });
+
+  // Same as a single analysis: screen applications not yet screened
+  if (UNSCREENED_STATUSES.includes(application.compliance.sanctions.status)) {
+    await screenApplication(application, { trigger: JOB_TYPE, user });
+  }
+
+  await application.save();
+
+  return {
+    creditScore: aiAssessment.creditScore,
+    riskLevel: aiAssessment.riskLevel,
+    fraudRisk: fraudAssessment.riskLevel,
+    sanctionsStatus: application.compliance.sanctions.status,
+    modelVersion: aiAssessment.modelVersion
+  };
+}
+
+function claimItem(job) {
+  return JobItem.findOneAndUpdate(
+    {
+      job: job._id,
+      status: 'pending',
+      $or: [{ retryAt: { $exists: false } }, { retryAt: null }, { retryAt: { $lte: new Date() } }]
+    },
+    { $set: { status: 'processing', startedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { _id: 1 }, new: true }
+  );
+}
+
+async function processItem(job, item, context) {
+  try {
+    const result = await analyzeApplication(item.key, job);
+    await JobItem.updateOne({ _id: item._id }, {
+      $set: { status: 'succeeded', result, completedAt: new Date() },
+      $unset: { retryAt: 1 }
+    });
+    await context.incrementProgress({ processed: 1, succeeded: 1 });
+  } catch (error) {
+    if (!error.permanent && item.attempts < job.params.maxAttempts) {
+      await JobItem.updateOne({ _id: item._id }, {
+        $set: {
+          status: 'pending',
+          lastError: error.message,
+          retryAt: new Date(Date.now() + RETRY_BACKOFF_MS * item.attempts)
+        }
+      });
+      await context.incrementProgress({ retried: 1 });
+      return;
+    }
+
+    await JobItem.updateOne({ _id: item._id }, {
+      $set: { status: 'failed', lastError: error.message, completedAt: new Date() }
+    });
+    await context.incrementProgress({ processed: 1, failed: 1 });
+    await context.log(`${item.key}: ${error.message}`, 'warn');
+  }
+}
+
+// One of the job's concurrent workers: take pending items until none are
+// left or the job is cancelled; wait out the backoff of items due for retry
+async function itemWorker(job, context) {
+  while (!(await context.isCancelled())) {
+    const item = await claimItem(job);
+    if (item) {
+      await processItem(job, item, context);
+      continue;
+    }
+
+    const next = await JobItem.findOne({ job: job._id, status: 'pending' }).sort({ retryAt: 1 }).select('retryAt');
+    if (!next) return;
+    await sleep(Math.min(Math.max((next.retryAt || new Date()) - Date.now(), 100), RETRY_BACKOFF_MS * job.params.maxAttempts));
+  }
+}
+
+// Counts of items by status, and of analyzed applications by risk level
+async function summarizeBatchJob(job) {
+  const [byStatus, byRiskLevel, scores] = await Promise.all([
+    JobItem.aggregate([
+      { $match: { job: job._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    JobItem.aggregate([
+      { $match: { job: job._id, status: 'succeeded' } },
+      { $group: { _id: '$result.riskLevel', count: { $sum: 1 } } }
+    ]),
+    JobItem.aggregate([
+      { $match: { job: job._id, status: 'succeeded' } },
+      { $group: { _id: null, average: { $avg: '$result.creditScore' } } }
+    ])
+  ]);
+
+  const statuses = Object.fromEntries(byStatus.map(group => [group._id, group.count]));
+  const total = byStatus.reduce((sum, group) => sum + group.count, 0);
+
+  return {
+    total,
+    succeeded: statuses.succeeded || 0,
+    failed: statuses.failed || 0,
+    cancelled: statuses.cancelled || 0,
+    pending: (statuses.pending || 0) + (statuses.processing || 0),
+    riskLevels: Object.fromEntries(byRiskLevel.map(group => [group._id, group.count])),
+    averageCreditScore: scores.length > 0 ? Math.round(scores[0].average) : null
+  };
+}
+
+async function runBatchAnalysis(job, context) {
+  if (job.stage !== 'analyzing') {
+    await context.setStage('resolving_applications');
+    await createItems(job, context);
+    await context.setStage('analyzing');
+  } else {
+    // Items that were mid-analysis when the previous attempt stopped
+    await JobItem.updateMany({ job: job._id, status: 'processing' }, { $set: { status: 'pending' } });
+  }
+
+  const workers = Array.from({ length: job.params.concurrency }, () => itemWorker(job, context));
+  await Promise.all(workers);
+
+  if (await context.isCancelled()) {
+    const { modifiedCount } = await JobItem.updateMany(
+      { job: job._id, status: { $in: ['pending', 'processing'] } },
+      { $set: { status: 'cancelled' } }
+    );
+    await context.log(`${modifiedCount} application${modifiedCount === 1 ? '' : 's'} not analyzed`, 'warn');
+  }
+
+  await context.setStage('completed');
+  return summarizeBatchJob(job);
+}
+
+registerJobHandler(JOB_TYPE, runBatchAnalysis);
+
+module.exports = {
+  JOB_TYPE,
+  MAX_CONCURRENCY,
+  batchParams,
+  createBatchAnalysisJob,
+  summarizeBatchJob
+};
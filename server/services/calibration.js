@@ -0,0 +1,141 @@
+// Probability-of-default calibration. The scoring model outputs the
+// probability an applicant is creditworthy; calibration maps that output to
+// an observed default rate using loan outcomes.
+
+const CALIBRATION_METHODS = ['platt', 'isotonic'];
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+const clampProbability = (p) => Math.min(Math.max(p, 1e-6), 1 - 1e-6);
+
+// Log-odds of the model's "good" probability
+const toLogit = (probability) => {
+  const p = clampProbability(probability);
+  return Math.log(p / (1 - p));
+};
+
+// Platt scaling: PD = sigmoid(a * logit + b), fitted by Newton-Raphson on log loss
+function fitPlatt(probabilities, defaults, { iterations = 100, ridge = 1e-6 } = {}) {
+  const x = probabilities.map(toLogit);
+  let a = -1;
+  let b = 0;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let gA = 0;
+    let gB = 0;
+    let hAA = ridge;
+    let hAB = 0;
+    let hBB = ridge;
+
+    x.forEach((xi, i) => {
+      const p = sigmoid(a * xi + b);
+      const residual = p - defaults[i];
+      const weight = p * (1 - p);
+      gA += residual * xi;
+      gB += residual;
+      hAA += weight * xi * xi;
+      hAB += weight * xi;
+      hBB += weight;
+    });
+
+    const determinant = hAA * hBB - hAB * hAB;
+    if (Math.abs(determinant) < 1e-12) break;
+
+    const stepA = (hBB * gA - hAB * gB) / determinant;
+    const stepB = (hAA * gB - hAB * gA) / determinant;
+    a -= stepA;
+    b -= stepB;
+
+    if (Math.abs(stepA) < 1e-9 && Math.abs(stepB) < 1e-9) break;
+  }
+
+  return { a, b };
+}
+
+// Isotonic regression (pool adjacent violators) of default flags on raw PD
+function fitIsotonic(probabilities, defaults) {
+  const points = probabilities
+    .map((probability, i) => ({ x: 1 - probability, y: defaults[i] }))
+    .sort((p, q) => p.x - q.x);
+
+  const blocks = [];
+  points.forEach((point) => {
+    blocks.push({ sumX: point.x, sumY: point.y, count: 1 });
+
+    // Merge backwards while the default rate decreases
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const previous = blocks[blocks.length - 2];
+      if (previous.sumY / previous.count <= last.sumY / last.count) break;
+
+      previous.sumX += last.sumX;
+      previous.sumY += last.sumY;
+      previous.count += last.count;
+      blocks.pop();
+    }
+  });
+
+  return {
+    thresholds: blocks.map(block => block.sumX / block.count),
+    values: blocks.map(block => block.sumY / block.count)
+  };
+}
+
+// Calibrated PD for a model "good" probability; uncalibrated PD when no calibration is fitted
+function calibratePD(calibration, probability) {
+  if (!calibration || !calibration.method) return 1 - probability;
+
+  if (calibration.method === 'platt') {
+    const { a, b } = calibration.parameters;
+    return sigmoid(a * toLogit(probability) + b);
+  }
+
+  // Isotonic: interpolate linearly between block centroids, flat beyond the ends
+  const { thresholds, values } = calibration.parameters;
+  const rawPD = 1 - probability;
+  if (rawPD <= thresholds[0]) return values[0];
+  if (rawPD >= thresholds[thresholds.length - 1]) return values[values.length - 1];
+
+  const upper = thresholds.findIndex(threshold => threshold >= rawPD);
+  const lower = upper - 1;
+  const span = thresholds[upper] - thresholds[lower];
+  const weight = span > 0 ? (rawPD - thresholds[lower]) / span : 0;
+  return values[lower] + weight * (values[upper] - values[lower]);
+}
+
+function brierScore(predicted, defaults) {
+  if (predicted.length === 0) return null;
+  return predicted.reduce((sum, pd, i) => sum + (pd - defaults[i]) ** 2, 0) / predicted.length;
+}
+
+function fitCalibration(method, probabilities, defaults) {
+  if (!CALIBRATION_METHODS.includes(method)) {
+    throw new Error(`Calibration method must be one of: ${CALIBRATION_METHODS.join(', ')}`);
+  }
+
+  const parameters = method === 'platt'
+    ? fitPlatt(probabilities, defaults)
+    : fitIsotonic(probabilities, defaults);
+
+  const calibration = { method, parameters };
+  const calibrated = probabilities.map(probability => calibratePD(calibration, probability));
+  const defaultCount = defaults.filter(Boolean).length;
+
+  return {
+    ...calibration,
+    fittedAt: new Date(),
+    sampleCount: probabilities.length,
+    defaultRate: defaultCount / probabilities.length,
+    brierScore: brierScore(calibrated, defaults),
+    uncalibratedBrierScore: brierScore(probabilities.map(probability => 1 - probability), defaults)
+  };
+}
+
+module.exports = {
+  CALIBRATION_METHODS,
+  fitPlatt,
+  fitIsotonic,
+  fitCalibration,
+  calibratePD,
+  brierScore
+};
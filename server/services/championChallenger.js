@@ -0,0 +1,133 @@
+// Champion/challenger shadow scoring. While a challenger model is configured,
+// every analysis also scores the applicant with it and both results are
+// stored as a ShadowScore, so a new model can be judged on live traffic
+// before it is promoted. The challenger's result is never returned as, or
+// stored in place of, the assessment that drives the decision.
+//
+// The comparison report covers, for the applications both models scored:
+//   score correlation - Pearson correlation of the two credit scores
+//   risk tier shifts  - champion x challenger risk level matrix
+//   disagreement      - share of applications the models would decide
+//                       differently; a model approves when the risk level is
+//                       approvable and the loan can be priced
+
+const ShadowScore = require('../models/ShadowScore');
+const { decisionFor, createDecisionComparison } = require('./decisionComparison');
+const { aiLogger } = require('../utils/logger');
+
+const reportError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Score the applicant with the challenger exactly as the champion was scored
+// (same scorecard and rate card); null when no challenger is configured
+function scoreChallenger(engine, applicantData) {
+  const model = engine.challenger;
+  if (!model) return null;
+
+  const { creditScore, riskLevel, probability } = engine.scoreApplicant(applicantData, { model });
+  const { pd } = engine.calculateRiskMetrics(applicantData, probability, model);
+  const offer = engine.priceOffer(applicantData, riskLevel, pd);
+
+  return {
+    modelVersion: model.version,
+    creditScore,
+    riskLevel,
+    probability,
+    pd,
+    offerEligible: !!offer.eligible,
+    decision: decisionFor(riskLevel, offer)
+  };
+}
+
+// Record the challenger's result next to the champion assessment. Shadow
+// scoring must never get in the way of an analysis, so failures are logged
+// and swallowed.
+async function recordShadowScore(engine, applicantData, assessment, { application = null, user = null, source = 'analysis' } = {}) {
+  if (!engine.challenger) return null;
+
+  try {
+    const challenger = scoreChallenger(engine, applicantData);
+
+    return await ShadowScore.create({
+      application: application ? application._id : undefined,
+      applicationId: application ? application.applicationId : undefined,
+      scorecardVersion: assessment.scorecardVersion,
+      featureHash: assessment.featureHash,
+      champion: {
+        modelVersion: assessment.modelVersion,
+        creditScore: assessment.creditScore,
+        riskLevel: assessment.riskLevel,
+        probability: assessment.probability,
+        pd: assessment.riskMetrics ? assessment.riskMetrics.pd : undefined,
+        offerEligible: !!(assessment.offer && assessment.offer.eligible),
+        decision: decisionFor(assessment.riskLevel, assessment.offer)
+      },
+      challenger,
+      source,
+      scoredBy: user ? user._id : undefined
+    });
+  } catch (error) {
+    aiLogger.warn('Challenger shadow scoring failed', {
+      challengerVersion: engine.challengerVersion,
+      applicationId: application ? application.applicationId : undefined,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+// Comparison of a challenger with the champion(s) it was scored against.
+// Defaults to the configured challenger; the date range filters on scoring time.
+async function compareChallenger(engine, { challengerVersion, championVersion, dateFrom, dateTo } = {}) {
+  const version = challengerVersion || engine.challengerVersion;
+  if (!version) {
+    throw reportError('No challenger model is configured; specify challengerVersion');
+  }
+
+  const query = { 'challenger.modelVersion': version };
+  if (championVersion) query['champion.modelVersion'] = championVersion;
+  if (dateFrom || dateTo) {
+    query.scoredAt = {};
+    if (dateFrom) query.scoredAt.$gte = new Date(dateFrom);
+    if (dateTo) query.scoredAt.$lte = new Date(dateTo);
+    if (Object.values(query.scoredAt).some(date => Number.isNaN(date.getTime()))) {
+      throw reportError('dateFrom and dateTo must be valid dates');
+    }
+  }
+
+  const comparison = createDecisionComparison({ from: 'champion', to: 'challenger' });
+  const championVersions = new Set();
+  let firstScoredAt = null;
+  let lastScoredAt = null;
+
+  const cursor = ShadowScore.find(query)
+    .select('champion challenger scoredAt')
+    .sort({ scoredAt: 1 })
+    .lean()
+    .cursor();
+
+  for await (const shadow of cursor) {
+    if (!shadow.champion || !shadow.challenger) continue;
+
+    comparison.add(shadow.champion, shadow.challenger);
+    championVersions.add(shadow.champion.modelVersion);
+    firstScoredAt = firstScoredAt || shadow.scoredAt;
+    lastScoredAt = shadow.scoredAt;
+  }
+
+  return {
+    challengerVersion: version,
+    championVersions: Array.from(championVersions),
+    period: { from: firstScoredAt, to: lastScoredAt },
+    ...comparison.summarize()
+  };
+}
+
+module.exports = {
+  scoreChallenger,
+  recordShadowScore,
+  compareChallenger
+};
@@ -0,0 +1,121 @@
+// Counteroffers: alternative loan structures (smaller amount, different
+// term, larger down payment) that the applicant would qualify for when the
+// requested loan does not. An alternative qualifies when it scores into an
+// approvable risk level, can be priced, and keeps back-end DTI under the
+// policy limit.
+
+const { counterofferLimits } = require('../config/riskParameters');
+
+const MAX_COUNTEROFFERS = 10;
+
+const roundToStep = (value, step) => Math.floor(value / step) * step;
+
+// Score, price and DTI-check one loan structure
+function evaluateStructure(engine, applicantData, loanAmount, loanTerm, context) {
+  const data = { ...applicantData, loanAmount, loanTerm };
+  const { creditScore, riskLevel, probability } = engine.scoreApplicant(data);
+  const riskMetrics = engine.calculateRiskMetrics(data, probability);
+  const offer = engine.priceOffer(data, riskLevel, riskMetrics.pd);
+
+  const monthlyPayment = offer.eligible ? offer.monthlyPayment : null;
+  const debtToIncomeRatio = monthlyPayment !== null && context.monthlyIncome > 0
+    ? (context.existingMonthlyDebt + monthlyPayment) / context.monthlyIncome
+    : null;
+
+  const failures = [];
+  if (!context.limits.approvableRiskLevels.includes(riskLevel)) {
+    failures.push(`Risk level ${riskLevel} is above the approval limit`);
+  }
+  if (!offer.eligible) {
+    failures.push(offer.reason);
+  }
+  if (debtToIncomeRatio === null || debtToIncomeRatio > context.limits.maxDebtToIncome) {
+    failures.push(`Debt-to-income ratio exceeds ${context.limits.maxDebtToIncome}`);
+  }
+
+  return {
+    loanAmount,
+    term: loanTerm,
+    creditScore,
+    riskLevel,
+    probability,
+    monthlyPayment,
+    apr: offer.eligible ? offer.apr : null,
+    debtToIncomeRatio: debtToIncomeRatio !== null ? Math.round(debtToIncomeRatio * 10000) / 10000 : null,
+    qualifies: failures.length === 0,
+    failures
+  };
+}
+
+// Largest qualifying amount, at or below the requested amount, for a term
+function largestQualifyingAmount(engine, applicantData, loanTerm, context) {
+  const requested = applicantData.loanAmount;
+  const step = Math.max(100, roundToStep(requested * context.limits.amountStepFraction, 100));
+
+  for (let amount = requested; amount >= context.limits.minLoanAmount; amount = roundToStep(amount - step, step)) {
+    const evaluation = evaluateStructure(engine, applicantData, amount, loanTerm, context);
+    if (evaluation.qualifies) return evaluation;
+  }
+
+  return null;
+}
+
+// Relative distance from the requested structure, used to rank alternatives
+function distanceFromRequest(alternative, requestedAmount, requestedTerm) {
+  return (requestedAmount - alternative.loanAmount) / requestedAmount +
+    Math.abs(alternative.term - requestedTerm) / requestedTerm;
+}
+
+// Search term and amount for the closest qualifying alternatives. An amount
+// below the request can be financed as a smaller loan or, for purchases, by a
+// larger down payment on the same price; both readings are returned.
+function generateCounteroffers(engine, applicantData, {
+  monthlyIncome = (applicantData.annualIncome || 0) / 12,
+  existingMonthlyDebt = (applicantData.debtToIncomeRatio || 0) * (applicantData.annualIncome || 0) / 12,
+  downPayment = 0,
+  limits = counterofferLimits,
+  limit = 5
+} = {}) {
+  const context = { monthlyIncome, existingMonthlyDebt, limits };
+  const requestedAmount = applicantData.loanAmount;
+  const requestedTerm = applicantData.loanTerm;
+
+  const requested = evaluateStructure(engine, applicantData, requestedAmount, requestedTerm, context);
+
+  const terms = Array.from(new Set([requestedTerm, ...limits.termOptions])).sort((a, b) => a - b);
+  const alternatives = terms
+    .map(term => largestQualifyingAmount(engine, applicantData, term, context))
+    .filter(Boolean)
+    .filter(alternative => !(alternative.loanAmount === requestedAmount && alternative.term === requestedTerm))
+    .map((alternative) => {
+      const amountReduction = requestedAmount - alternative.loanAmount;
+      const changes = [];
+      if (amountReduction > 0) changes.push('amount');
+      if (alternative.term !== requestedTerm) changes.push('term');
+
+      return {
+        ...alternative,
+        changes,
+        amountReduction,
+        requiredDownPayment: downPayment + amountReduction
+      };
+    })
+    .sort((a, b) =>
+      distanceFromRequest(a, requestedAmount, requestedTerm) - distanceFromRequest(b, requestedAmount, requestedTerm)
+    )
+    .slice(0, Math.min(limit, MAX_COUNTEROFFERS));
+
+  return {
+    requested,
+    limits: {
+      maxDebtToIncome: limits.maxDebtToIncome,
+      approvableRiskLevels: limits.approvableRiskLevels
+    },
+    counteroffers: alternatives
+  };
+}
+
+module.exports = {
+  MAX_COUNTEROFFERS,
+  generateCounteroffers
+};
@@ -0,0 +1,99 @@
+// Side-by-side comparison of two ways of scoring the same applications (a
+// champion and a challenger, or recorded decisions and a backtest replay).
+// Results are tallied one application at a time so any number can be
+// compared without holding them in memory:
+//   scores    - Pearson correlation and mean difference of the credit scores
+//   riskTiers - how many applications keep, lower or raise their risk level,
+//               and the full from x to risk level matrix
+//   decisions - approval rates and the applications that swap decision
+
+const CreditApplication = require('../models/CreditApplication');
+const { APPROVABLE_RISK_LEVELS } = require('../config/riskParameters');
+
+const RISK_LEVELS = CreditApplication.schema.path('aiAssessment.riskLevel').enumValues;
+
+const round = (value) => (value === null || !Number.isFinite(value) ? null : Math.round(value * 10000) / 10000);
+
+// Automated decision implied by a risk level and a priced offer. Assessments
+// recorded before offers were priced are decided on risk level alone.
+function decisionFor(riskLevel, offer) {
+  return APPROVABLE_RISK_LEVELS.includes(riskLevel) && (!offer || offer.eligible !== false) ? 'approve' : 'decline';
+}
+
+// `labels` name the two sides in the summary, e.g. { from: 'champion', to: 'challenger' }
+function createDecisionComparison({ from = 'baseline', to = 'replay' } = {}) {
+  const migration = Object.fromEntries(RISK_LEVELS.map(level => [level, Object.fromEntries(RISK_LEVELS.map(other => [other, 0]))]));
+  // Running means and co-moments (Welford), stable over any number of scores
+  const moments = { meanX: 0, meanY: 0, varX: 0, varY: 0, cov: 0, absDiff: 0 };
+  const shifts = { unchanged: 0, towardLowerRisk: 0, towardHigherRisk: 0 };
+  const decisions = { fromApproved: 0, toApproved: 0, approveToDecline: 0, declineToApprove: 0 };
+  let count = 0;
+
+  // before/after: { creditScore, riskLevel, decision }
+  const add = (before, after) => {
+    count++;
+
+    const x = before.creditScore;
+    const y = after.creditScore;
+    const dx = x - moments.meanX;
+    const dy = y - moments.meanY;
+    moments.meanX += dx / count;
+    moments.meanY += dy / count;
+    moments.varX += dx * (x - moments.meanX);
+    moments.varY += dy * (y - moments.meanY);
+    moments.cov += dx * (y - moments.meanY);
+    moments.absDiff += Math.abs(y - x);
+
+    if (migration[before.riskLevel] && migration[before.riskLevel][after.riskLevel] !== undefined) {
+      migration[before.riskLevel][after.riskLevel]++;
+    }
+    const shift = RISK_LEVELS.indexOf(after.riskLevel) - RISK_LEVELS.indexOf(before.riskLevel);
+    if (shift === 0) shifts.unchanged++;
+    else if (shift < 0) shifts.towardLowerRisk++;
+    else shifts.towardHigherRisk++;
+
+    if (before.decision === 'approve') decisions.fromApproved++;
+    if (after.decision === 'approve') decisions.toApproved++;
+    if (before.decision === 'approve' && after.decision === 'decline') decisions.approveToDecline++;
+    if (before.decision === 'decline' && after.decision === 'approve') decisions.declineToApprove++;
+  };
+
+  const rate = value => (count ? round(value / count) : null);
+
+  const summarize = () => {
+    const spread = Math.sqrt(moments.varX * moments.varY);
+    const disagreements = decisions.approveToDecline + decisions.declineToApprove;
+
+    return {
+      sampleCount: count,
+      scores: {
+        correlation: count > 1 && spread > 0 ? round(moments.cov / spread) : null,
+        [`${from}Mean`]: count ? round(moments.meanX) : null,
+        [`${to}Mean`]: count ? round(moments.meanY) : null,
+        meanDifference: count ? round(moments.meanY - moments.meanX) : null,
+        meanAbsoluteDifference: count ? round(moments.absDiff / count) : null
+      },
+      riskTiers: {
+        ...Object.fromEntries(Object.entries(shifts).map(([key, value]) => [key, { count: value, rate: rate(value) }])),
+        migration
+      },
+      decisions: {
+        [`${from}ApprovalRate`]: rate(decisions.fromApproved),
+        [`${to}ApprovalRate`]: rate(decisions.toApproved),
+        approvalRateChange: count ? round((decisions.toApproved - decisions.fromApproved) / count) : null,
+        disagreements,
+        disagreementRate: rate(disagreements),
+        approveToDecline: decisions.approveToDecline,
+        declineToApprove: decisions.declineToApprove
+      }
+    };
+  };
+
+  return { add, summarize };
+}
+
+module.exports = {
+  RISK_LEVELS,
+  decisionFor,
+  createDecisionComparison
+};
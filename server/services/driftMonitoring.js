@@ -0,0 +1,246 @@
+// Drift monitoring for the loaded model. Once a day, recent applications are
+// scored and their score (PSI) and feature (CSI) distributions are compared
+// with the model's baseline; the result is stored as a DriftSnapshot so the
+// history can be charted and breaches raised as dashboard alerts.
+
+const CreditApplication = require('../models/CreditApplication');
+const ModelVersion = require('../models/ModelVersion');
+const DriftSnapshot = require('../models/DriftSnapshot');
+const { loadTrainingApplications } = require('./modelTraining');
+const { toApplicantData } = require('./applicantFeatures');
+const { buildBaseline, binProportions, stabilityIndex, stabilityStatus } = require('./populationStability');
+const { driftParameters } = require('../config/riskParameters');
+const { aiLogger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const STARTUP_DELAY_MS = 60 * 1000;
+
+const STATUS_SEVERITY = ['insufficient_data', 'stable', 'warning', 'alert'];
+
+const APPLICATION_FIELDS = 'applicationId applicant.employment applicant.address applicant.dateOfBirth loan financial createdAt';
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const worstStatus = (statuses) =>
+  statuses.reduce((worst, status) => (STATUS_SEVERITY.indexOf(status) > STATUS_SEVERITY.indexOf(worst) ? status : worst), 'stable');
+
+function loadScoredApplications(query, { limit, sort = { createdAt: -1 } }) {
+  return CreditApplication.find({
+    status: { $ne: 'draft' },
+    'financial.creditScore': { $exists: true, $ne: null },
+    ...query
+  })
+    .select(APPLICATION_FIELDS)
+    .sort(sort)
+    .limit(limit)
+    .lean();
+}
+
+function scoreRows(engine, applications) {
+  return applications.map((application) => {
+    const features = engine.preprocessFeatures(toApplicantData(application));
+    return {
+      score: Math.round(engine.calculateProbability(features) * 550 + 300),
+      features
+    };
+  });
+}
+
+// Baseline of the loaded model. Models trained before baselines were stored
+// rebuild it from their training date range; the built-in model has no
+// training data, so the earliest applications before the window stand in.
+async function resolveBaseline(engine, windowFrom, parameters) {
+  const modelVersion = await ModelVersion.findOne({ version: engine.modelVersion });
+  if (modelVersion?.baseline?.score?.proportions?.length) {
+    return modelVersion.baseline.toObject();
+  }
+
+  const dateRange = modelVersion?.trainingData?.dateRange;
+  const source = dateRange?.to ? 'training' : 'reference_period';
+  const applications = source === 'training'
+    ? await loadTrainingApplications({ dateFrom: dateRange.from, dateTo: dateRange.to })
+    : await loadScoredApplications({ createdAt: { $lt: windowFrom } }, {
+      limit: parameters.maxSampleSize,
+      sort: { createdAt: 1 }
+    });
+
+  if (applications.length < parameters.minSampleSize) return null;
+
+  const baseline = buildBaseline(scoreRows(engine, applications), engine.featureNames, {
+    source,
+    bins: parameters.bins
+  });
+
+  if (modelVersion && source === 'training') {
+    modelVersion.baseline = baseline;
+    await modelVersion.save();
+  }
+
+  return baseline;
+}
+
+// |weight| x standard deviation of each feature over the window, normalised to sum to 1
+function featureImportance(engine, rows) {
+  const spread = engine.featureNames.map((feature, i) => {
+    const values = rows.map(row => row.features[i]);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const sd = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+    return Math.abs(engine.model.weights[i]) * sd;
+  });
+  const total = spread.reduce((sum, value) => sum + value, 0);
+  return spread.map(value => (total > 0 ? round(value / total) : 0));
+}
+
+// Stability of recent applications against the baseline, as of `at`
+async function computeDriftSnapshot(engine, { at = new Date(), parameters = driftParameters } = {}) {
+  const windowTo = at;
+  const windowFrom = new Date(at.getTime() - parameters.windowDays * DAY_MS);
+
+  const applications = await loadScoredApplications(
+    { createdAt: { $gte: windowFrom, $lte: windowTo } },
+    { limit: parameters.maxSampleSize }
+  );
+  const baseline = await resolveBaseline(engine, windowFrom, parameters);
+
+  const snapshot = {
+    date: startOfDay(at),
+    modelVersion: engine.modelVersion,
+    scorecardVersion: engine.getActiveScorecard().version,
+    window: { from: windowFrom, to: windowTo },
+    sampleCount: applications.length,
+    baseline: baseline
+      ? { source: baseline.source, sampleCount: baseline.sampleCount, createdAt: baseline.createdAt }
+      : undefined,
+    features: [],
+    alerts: [],
+    computedAt: new Date()
+  };
+
+  if (!baseline || applications.length < parameters.minSampleSize) {
+    return { ...snapshot, status: 'insufficient_data' };
+  }
+
+  const rows = scoreRows(engine, applications);
+
+  const actualScores = binProportions(rows.map(row => row.score), baseline.score.edges);
+  const psi = stabilityIndex(baseline.score.proportions, actualScores);
+  snapshot.score = {
+    psi: round(psi),
+    status: stabilityStatus(psi, parameters),
+    edges: baseline.score.edges,
+    expected: baseline.score.proportions,
+    actual: actualScores.map(round)
+  };
+
+  const importance = featureImportance(engine, rows);
+  snapshot.features = baseline.features.map((distribution) => {
+    const i = engine.featureNames.indexOf(distribution.feature);
+    const actual = binProportions(rows.map(row => row.features[i]), distribution.edges);
+    const csi = stabilityIndex(distribution.proportions, actual);
+    return {
+      feature: distribution.feature,
+      csi: round(csi),
+      status: stabilityStatus(csi, parameters),
+      importance: importance[i]
+    };
+  });
+
+  if (snapshot.score.status !== 'stable') {
+    snapshot.alerts.push({
+      metric: 'psi',
+      value: snapshot.score.psi,
+      threshold: snapshot.score.status === 'alert' ? parameters.alertThreshold : parameters.warningThreshold,
+      severity: snapshot.score.status
+    });
+  }
+  snapshot.features.filter(feature => feature.status !== 'stable').forEach((feature) => {
+    snapshot.alerts.push({
+      metric: 'csi',
+      feature: feature.feature,
+      value: feature.csi,
+      threshold: feature.status === 'alert' ? parameters.alertThreshold : parameters.warningThreshold,
+      severity: feature.status
+    });
+  });
+
+  snapshot.status = worstStatus([snapshot.score.status, ...snapshot.features.map(feature => feature.status)]);
+  return snapshot;
+}
+
+// Compute and store the snapshot for the day of `at`, replacing an earlier one for that day
+async function recordDriftSnapshot(engine, { at = new Date(), parameters = driftParameters } = {}) {
+  const snapshot = await computeDriftSnapshot(engine, { at, parameters });
+
+  const stored = await DriftSnapshot.findOneAndReplace(
+    { modelVersion: snapshot.modelVersion, date: snapshot.date },
+    snapshot,
+    { upsert: true, new: true }
+  );
+
+  aiLogger[snapshot.alerts.length > 0 ? 'warn' : 'info']('Drift snapshot recorded', {
+    modelVersion: snapshot.modelVersion,
+    status: snapshot.status,
+    psi: snapshot.score?.psi,
+    sampleCount: snapshot.sampleCount,
+    alerts: snapshot.alerts.length
+  });
+
+  return stored;
+}
+
+// Today's snapshot for the loaded model, computed on first request of the day
+async function ensureDailySnapshot(engine) {
+  const existing = await DriftSnapshot.findOne({
+    modelVersion: engine.modelVersion,
+    date: startOfDay(new Date())
+  });
+  return existing || recordDriftSnapshot(engine);
+}
+
+async function getDriftHistory(modelVersion, days = driftParameters.historyDays) {
+  return DriftSnapshot.find({
+    modelVersion,
+    date: { $gte: startOfDay(new Date(Date.now() - days * DAY_MS)) }
+  })
+    .select('date sampleCount status score.psi score.status features.feature features.csi features.status')
+    .sort({ date: 1 });
+}
+
+// Latest snapshot of the loaded model when it breaches a threshold
+async function activeDriftAlert(engine) {
+  if (!engine.isModelLoaded) return null;
+
+  const latest = await DriftSnapshot.findOne({ modelVersion: engine.modelVersion }).sort({ date: -1 });
+  return latest && ['warning', 'alert'].includes(latest.status) ? latest : null;
+}
+
+// Check hourly that today's snapshot exists once the model has loaded
+function scheduleDriftMonitoring(engine) {
+  const run = () => {
+    if (!engine.isModelLoaded) return;
+    ensureDailySnapshot(engine).catch((error) => {
+      aiLogger.error('Drift monitoring failed', { error: error.message });
+    });
+  };
+
+  setTimeout(run, STARTUP_DELAY_MS).unref();
+  const timer = setInterval(run, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  computeDriftSnapshot,
+  recordDriftSnapshot,
+  ensureDailySnapshot,
+  getDriftHistory,
+  activeDriftAlert,
+  scheduleDriftMonitoring
+};
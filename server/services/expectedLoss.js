@@ -0,0 +1,36 @@
+const { lgdParameters } = require('../config/riskParameters');
+
+// Loss given default from collateral coverage of the exposure
+function calculateLGD(exposure, collateralType = 'none', collateralValue = 0, parameters = lgdParameters) {
+  if (!exposure || exposure <= 0) return parameters.unsecuredLGD;
+
+  const haircut = parameters.collateralHaircuts[collateralType] !== undefined
+    ? parameters.collateralHaircuts[collateralType]
+    : parameters.collateralHaircuts.none;
+  const recoverable = Math.min(exposure, (collateralValue || 0) * (1 - haircut));
+  const uncovered = exposure - recoverable;
+
+  const lgd = (uncovered * parameters.unsecuredLGD + recoverable * parameters.securedLossRate) / exposure;
+  return Math.max(parameters.lgdFloor, lgd);
+}
+
+// Expected loss = PD x LGD x EAD. Term loans are fully drawn, so the
+// exposure at default is the funded loan amount.
+function calculateExpectedLoss({ pd, loanAmount, collateralType, collateralValue }) {
+  const ead = loanAmount || 0;
+  const lgd = calculateLGD(ead, collateralType, collateralValue);
+  const expectedLoss = pd * lgd * ead;
+
+  return {
+    pd,
+    lgd,
+    ead,
+    expectedLoss: Math.round(expectedLoss * 100) / 100,
+    expectedLossRate: ead > 0 ? expectedLoss / ead : 0
+  };
+}
+
+module.exports = {
+  calculateLGD,
+  calculateExpectedLoss
+};
@@ -0,0 +1,295 @@
+// Fair lending disparate impact analysis. Decided applications are grouped
+// into demographic segments - supplied by the caller, or proxied by age band
+// or geography - and each segment is compared with a reference segment on:
+//   - approval rate ratio (the four-fifths rule) with a two-proportion z-test
+//   - standardized difference in mean model score
+//   - marginal effect of segment membership on approval probability, from a
+//     logistic regression that holds the main credit factors fixed
+// The marginal effect separates a gap explained by credit quality from one
+// that is not, which the raw approval ratio cannot do.
+
+const CreditApplication = require('../models/CreditApplication');
+const { trainLogisticRegression } = require('./modelTraining');
+const { fairLendingParameters } = require('../config/riskParameters');
+
+const SEGMENT_DIMENSIONS = ['ageBand', 'state', 'zip3', 'provided'];
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+const REGRESSION_HYPERPARAMETERS = { learningRate: 0.5, iterations: 1000, l2Penalty: 0.0001 };
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const variance = (values) => {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+};
+
+const round = (value, places = 4) =>
+  (value === null || !Number.isFinite(value) ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-sided p-value for the difference between two approval rates
+function twoProportionPValue(approvedA, totalA, approvedB, totalB) {
+  const pooled = (approvedA + approvedB) / (totalA + totalB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+  if (standardError === 0) return 1;
+  const z = (approvedA / totalA - approvedB / totalB) / standardError;
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+function ageBandFor(dateOfBirth, at, ageBands) {
+  if (!dateOfBirth) return null;
+  const age = Math.floor((new Date(at).getTime() - new Date(dateOfBirth).getTime()) / YEAR_MS);
+  const band = ageBands.find(candidate => age >= candidate.min && age <= candidate.max);
+  return band ? band.label : null;
+}
+
+// Segment label for an application, or null when it cannot be placed
+function segmentFor(application, dimension, { segments = {}, parameters = fairLendingParameters } = {}) {
+  const address = application.applicant?.address || {};
+
+  switch (dimension) {
+    case 'ageBand':
+      return ageBandFor(application.applicant?.dateOfBirth, application.completedAt || application.updatedAt, parameters.ageBands);
+    case 'state':
+      return address.state ? address.state.toUpperCase() : null;
+    case 'zip3':
+      return address.zipCode ? address.zipCode.slice(0, 3) : null;
+    case 'provided':
+      return segments[application.applicationId] || null;
+    default:
+      return null;
+  }
+}
+
+// Decided applications (approved or denied) completed within the date range
+async function loadDecisions({ dateFrom, dateTo }) {
+  return CreditApplication.find({
+    status: { $in: ['approved', 'denied'] },
+    completedAt: { $gte: dateFrom, $lte: dateTo }
+  })
+    .select('applicationId status completedAt updatedAt applicant.dateOfBirth applicant.address ' +
+      'applicant.employment.annualIncome financial.creditScore financial.debtToIncomeRatio loan.amount aiAssessment.creditScore')
+    .lean();
+}
+
+// Standardized credit controls for the marginal effect regression
+function controlFeatures(records) {
+  const raw = records.map(record => [
+    record.creditScore,
+    record.debtToIncomeRatio,
+    Math.log1p(record.annualIncome),
+    Math.log1p(record.loanAmount)
+  ]);
+
+  const columns = raw[0].map((_, k) => raw.map(row => row[k]));
+  const stats = columns.map(column => ({ mean: mean(column), sd: Math.sqrt(variance(column)) || 1 }));
+
+  return raw.map(row => row.map((value, k) => (value - stats[k].mean) / stats[k].sd));
+}
+
+// Average marginal effect of each segment relative to the reference segment:
+// the mean change in predicted approval probability when an applicant is
+// moved from the reference segment into that segment, controls unchanged.
+function marginalEffects(records, segments, referenceGroup) {
+  const comparisonGroups = segments.filter(segment => segment !== referenceGroup);
+  const usable = records.filter(record => segments.includes(record.segment) &&
+    [record.creditScore, record.debtToIncomeRatio, record.annualIncome, record.loanAmount].every(Number.isFinite));
+
+  if (comparisonGroups.length === 0 || usable.length < 2) return {};
+
+  const controls = controlFeatures(usable);
+  const features = usable.map((record, i) => [
+    ...comparisonGroups.map(segment => (record.segment === segment ? 1 : 0)),
+    ...controls[i]
+  ]);
+  const model = trainLogisticRegression(features, usable.map(record => record.approved), REGRESSION_HYPERPARAMETERS);
+
+  const predict = (row) => 1 / (1 + Math.exp(-(model.intercept + row.reduce((sum, value, k) => sum + value * model.weights[k], 0))));
+
+  return comparisonGroups.reduce((effects, segment, g) => {
+    const changes = controls.map((control) => {
+      const base = [...comparisonGroups.map(() => 0), ...control];
+      const moved = base.slice();
+      moved[g] = 1;
+      return predict(moved) - predict(base);
+    });
+    effects[segment] = mean(changes);
+    return effects;
+  }, {});
+}
+
+// Compare every segment with the reference segment and flag violations.
+// records: [{ segment, approved (0/1), score, creditScore, debtToIncomeRatio, annualIncome, loanAmount }]
+function analyzeDisparateImpact(records, { referenceGroup, parameters = fairLendingParameters } = {}) {
+  const bySegment = new Map();
+  records.forEach((record) => {
+    if (!bySegment.has(record.segment)) bySegment.set(record.segment, []);
+    bySegment.get(record.segment).push(record);
+  });
+
+  const summaries = Array.from(bySegment.entries()).map(([segment, members]) => {
+    const approved = members.filter(member => member.approved).length;
+    const scores = members.map(member => member.score).filter(Number.isFinite);
+    return {
+      segment,
+      count: members.length,
+      approved,
+      approvalRate: approved / members.length,
+      meanScore: scores.length ? mean(scores) : null,
+      scoreVariance: variance(scores),
+      scoredCount: scores.length,
+      sufficientData: members.length >= parameters.minGroupSize
+    };
+  });
+
+  const eligible = summaries.filter(summary => summary.sufficientData);
+
+  // Conventionally the most favoured segment, unless the caller names one
+  const reference = referenceGroup
+    ? summaries.find(summary => summary.segment === referenceGroup)
+    : eligible.slice().sort((a, b) => b.approvalRate - a.approvalRate)[0];
+
+  if (!reference) {
+    return {
+      referenceGroup: referenceGroup || null,
+      segments: summaries.map(summary => ({
+        segment: summary.segment,
+        count: summary.count,
+        approved: summary.approved,
+        approvalRate: round(summary.approvalRate),
+        meanScore: round(summary.meanScore, 1),
+        sufficientData: summary.sufficientData
+      })),
+      violations: [],
+      message: referenceGroup
+        ? `Reference segment '${referenceGroup}' has no decided applications`
+        : `No segment has the ${parameters.minGroupSize} decisions needed for comparison`
+    };
+  }
+
+  const regressionSegments = eligible.map(summary => summary.segment);
+  if (!regressionSegments.includes(reference.segment)) regressionSegments.push(reference.segment);
+  const effects = marginalEffects(records, regressionSegments, reference.segment);
+
+  const violations = [];
+
+  const segments = summaries.map((summary) => {
+    const isReference = summary.segment === reference.segment;
+    const adverseImpactRatio = reference.approvalRate > 0 ? summary.approvalRate / reference.approvalRate : null;
+
+    const pooledSd = Math.sqrt((summary.scoreVariance + reference.scoreVariance) / 2);
+    const scoreDifference = summary.meanScore !== null && reference.meanScore !== null
+      ? summary.meanScore - reference.meanScore
+      : null;
+    const standardizedScoreDifference = scoreDifference !== null && pooledSd > 0 ? scoreDifference / pooledSd : null;
+
+    const result = {
+      segment: summary.segment,
+      reference: isReference,
+      count: summary.count,
+      approved: summary.approved,
+      approvalRate: round(summary.approvalRate),
+      adverseImpactRatio: round(adverseImpactRatio),
+      approvalRatePValue: isReference ? null : round(twoProportionPValue(summary.approved, summary.count, reference.approved, reference.count)),
+      meanScore: round(summary.meanScore, 1),
+      scoreDifference: isReference ? null : round(scoreDifference, 1),
+      standardizedScoreDifference: isReference ? null : round(standardizedScoreDifference),
+      marginalEffect: isReference ? null : round(effects[summary.segment] ?? null),
+      sufficientData: summary.sufficientData,
+      flags: []
+    };
+
+    if (!isReference && summary.sufficientData) {
+      if (adverseImpactRatio !== null && adverseImpactRatio < parameters.adverseImpactRatio) {
+        result.flags.push('four_fifths_rule');
+      }
+      if (standardizedScoreDifference !== null && standardizedScoreDifference <= -parameters.scoreDifference) {
+        result.flags.push('score_difference');
+      }
+      if (result.marginalEffect !== null && result.marginalEffect <= -parameters.marginalEffect) {
+        result.flags.push('marginal_effect');
+      }
+    }
+
+    if (result.flags.length > 0) {
+      violations.push({
+        segment: result.segment,
+        flags: result.flags,
+        adverseImpactRatio: result.adverseImpactRatio,
+        standardizedScoreDifference: result.standardizedScoreDifference,
+        marginalEffect: result.marginalEffect,
+        statisticallySignificant: result.approvalRatePValue !== null && result.approvalRatePValue < parameters.significanceLevel
+      });
+    }
+
+    return result;
+  });
+
+  return {
+    referenceGroup: reference.segment,
+    segments: segments.sort((a, b) => b.count - a.count),
+    violations
+  };
+}
+
+// Disparate impact report over decisions completed in a date range
+async function buildFairLendingReport({ dimension, dateFrom, dateTo, segments = {}, referenceGroup, parameters = fairLendingParameters }) {
+  const applications = await loadDecisions({ dateFrom, dateTo });
+
+  const records = [];
+  let unsegmented = 0;
+
+  applications.forEach((application) => {
+    const segment = segmentFor(application, dimension, { segments, parameters });
+    if (!segment) {
+      unsegmented++;
+      return;
+    }
+
+    records.push({
+      segment,
+      approved: application.status === 'approved' ? 1 : 0,
+      score: application.aiAssessment?.creditScore,
+      creditScore: application.financial?.creditScore,
+      debtToIncomeRatio: application.financial?.debtToIncomeRatio,
+      annualIncome: application.applicant?.employment?.annualIncome,
+      loanAmount: application.loan?.amount
+    });
+  });
+
+  const analysis = analyzeDisparateImpact(records, { referenceGroup, parameters });
+
+  return {
+    dimension,
+    dateRange: { dateFrom, dateTo },
+    decisions: applications.length,
+    segmented: records.length,
+    unsegmented,
+    overallApprovalRate: records.length ? round(mean(records.map(record => record.approved))) : null,
+    thresholds: {
+      adverseImpactRatio: parameters.adverseImpactRatio,
+      scoreDifference: parameters.scoreDifference,
+      marginalEffect: parameters.marginalEffect,
+      significanceLevel: parameters.significanceLevel,
+      minGroupSize: parameters.minGroupSize
+    },
+    ...analysis
+  };
+}
+
+module.exports = {
+  SEGMENT_DIMENSIONS,
+  segmentFor,
+  analyzeDisparateImpact,
+  buildFairLendingReport
+};
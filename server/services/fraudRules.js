@@ -0,0 +1,347 @@
+// Declarative fraud rules. A rule set is a list of weighted rules, each a
+// set of conditions over applicant data fields. The fraud score is the sum
+// of the weights of the enabled rules that fire; thresholds on that score
+// give the fraud risk level and whether the application needs manual review.
+
+const RULE_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'eq', 'ne', 'in', 'not_in', 'exists', 'missing'];
+
+const RULE_MATCH_MODES = ['all', 'any'];
+
+// Identity attributes that can be checked for reuse across applications
+const VELOCITY_IDENTIFIERS = ['ssn', 'email', 'phone', 'address', 'bankAccount', 'ipAddress', 'device'];
+
+// Built-in rule set, equivalent to the original hardcoded checks. Used until
+// the fraud team publishes a rule set of their own.
+const DEFAULT_FRAUD_RULE_SET = {
+  version: 0,
+  name: 'Default fraud rules',
+  thresholds: {
+    medium: 25,
+    high: 50
+  },
+  manualReviewThreshold: 50,
+  rules: [
+    {
+      code: 'F01',
+      name: 'Income verification',
+      riskFactor: 'High income with short employment history',
+      enabled: true,
+      match: 'all',
+      conditions: [
+        { field: 'annualIncome', operator: 'gt', value: 200000 },
+        { field: 'employmentLength', operator: 'lt', value: 1 }
+      ],
+      weight: 30
+    },
+    {
+      code: 'F02',
+      name: 'Address verification',
+      riskFactor: 'Recently moved to current address',
+      enabled: true,
+      match: 'all',
+      conditions: [
+        { field: 'timeAtAddress', operator: 'lt', value: 6 }
+      ],
+      weight: 10
+    },
+    {
+      code: 'F03',
+      name: 'Identity verification',
+      riskFactor: 'High credit score at young age',
+      enabled: true,
+      match: 'all',
+      conditions: [
+        { field: 'age', operator: 'lt', value: 21 },
+        { field: 'creditScore', operator: 'gt', value: 750 }
+      ],
+      weight: 20
+    },
+    {
+      code: 'F04',
+      name: 'Velocity check',
+      riskFactor: 'Multiple recent credit inquiries',
+      enabled: true,
+      match: 'all',
+      conditions: [
+        { field: 'recentInquiries', operator: 'gt', value: 5 }
+      ],
+      weight: 15
+    }
+  ],
+  // Other applications sharing an identity attribute within a time window.
+  // A check fires once the number of matches reaches its threshold.
+  velocityChecks: [
+    { code: 'V01', identifier: 'ssn', windowDays: 90, threshold: 1, weight: 40, enabled: true },
+    { code: 'V02', identifier: 'email', windowDays: 30, threshold: 2, weight: 15, enabled: true },
+    { code: 'V03', identifier: 'phone', windowDays: 30, threshold: 2, weight: 15, enabled: true },
+    { code: 'V04', identifier: 'address', windowDays: 30, threshold: 3, weight: 10, enabled: true },
+    { code: 'V05', identifier: 'ipAddress', windowDays: 7, threshold: 3, weight: 20, enabled: true },
+    { code: 'V06', identifier: 'device', windowDays: 7, threshold: 2, weight: 25, enabled: true },
+    { code: 'V07', identifier: 'bankAccount', windowDays: 30, threshold: 1, weight: 30, enabled: true }
+  ]
+};
+
+const IDENTIFIER_LABELS = {
+  ssn: 'SSN',
+  email: 'Email address',
+  phone: 'Phone number',
+  address: 'Street address',
+  bankAccount: 'Bank account',
+  ipAddress: 'IP address',
+  device: 'Device'
+};
+
+// Dotted paths reach into nested applicant data, e.g. "address.state"
+const fieldValue = (data, field) =>
+  field.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+function conditionHolds(condition, data) {
+  const actual = fieldValue(data, condition.field);
+  const expected = condition.value;
+
+  switch (condition.operator) {
+    case 'exists':
+      return !isMissing(actual);
+    case 'missing':
+      return isMissing(actual);
+    case 'in':
+      return Array.isArray(expected) && expected.includes(actual);
+    case 'not_in':
+      return Array.isArray(expected) && !isMissing(actual) && !expected.includes(actual);
+    default:
+      break;
+  }
+
+  // Comparisons never fire on missing data
+  if (isMissing(actual)) return false;
+
+  switch (condition.operator) {
+    case 'gt': return actual > expected;
+    case 'gte': return actual >= expected;
+    case 'lt': return actual < expected;
+    case 'lte': return actual <= expected;
+    case 'eq': return actual === expected;
+    case 'ne': return actual !== expected;
+    default: return false;
+  }
+}
+
+function ruleFires(rule, data) {
+  const conditions = rule.conditions || [];
+  if (conditions.length === 0) return false;
+
+  return rule.match === 'any'
+    ? conditions.some(condition => conditionHolds(condition, data))
+    : conditions.every(condition => conditionHolds(condition, data));
+}
+
+function fraudRiskLevel(ruleSet, fraudScore) {
+  if (fraudScore > ruleSet.thresholds.high) return 'HIGH';
+  if (fraudScore > ruleSet.thresholds.medium) return 'MEDIUM';
+  return 'LOW';
+}
+
+// Velocity checks that fire on cross-application matches (see fraudVelocity)
+function velocityFindings(ruleSet, velocity) {
+  if (!velocity) return [];
+
+  return (ruleSet.velocityChecks || [])
+    .filter(check => check.enabled !== false)
+    .map((check) => {
+      const match = velocity.matches.find(candidate => candidate.code === check.code);
+      return { check, count: match ? match.count : 0 };
+    })
+    .filter(({ check, count }) => count > 0 && count >= check.threshold)
+    .map(({ check, count }) => ({
+      code: check.code,
+      name: `${IDENTIFIER_LABELS[check.identifier]} velocity`,
+      weight: check.weight,
+      riskFactor: `${IDENTIFIER_LABELS[check.identifier]} shared with ${count} other application${count === 1 ? '' : 's'} in the last ${check.windowDays} days`
+    }));
+}
+
+// Fraud assessment of one applicant under a rule set. Cross-application
+// velocity results are optional since they need the application store.
+function evaluateRuleSet(ruleSet, data, velocity = null) {
+  const firedRules = ruleSet.rules
+    .filter(rule => rule.enabled !== false && ruleFires(rule, data))
+    .concat(velocityFindings(ruleSet, velocity));
+
+  const triggeredRules = firedRules.map(rule => ({
+    code: rule.code,
+    name: rule.name,
+    weight: rule.weight
+  }));
+  const fraudScore = triggeredRules.reduce((sum, rule) => sum + rule.weight, 0);
+
+  const assessment = {
+    fraudScore,
+    riskLevel: fraudRiskLevel(ruleSet, fraudScore),
+    riskFactors: firedRules.map(rule => rule.riskFactor || rule.name),
+    recommendation: fraudScore > ruleSet.manualReviewThreshold ? 'MANUAL_REVIEW' : 'AUTOMATED_PROCESSING',
+    triggeredRules,
+    ruleSetVersion: ruleSet.version
+  };
+
+  if (velocity) {
+    assessment.velocityMatches = velocity.matches;
+    assessment.relatedApplications = velocity.relatedApplications;
+  }
+
+  return assessment;
+}
+
+// Returns a list of problems; an empty list means the rule set is usable
+function validateRuleSet(ruleSet) {
+  const errors = [];
+  const rules = ruleSet.rules || [];
+  const codes = new Set();
+  const thresholds = ruleSet.thresholds || {};
+
+  if (typeof thresholds.medium !== 'number' || typeof thresholds.high !== 'number' || thresholds.medium > thresholds.high) {
+    errors.push('thresholds.medium and thresholds.high must be numbers with medium no greater than high');
+  }
+  if (typeof ruleSet.manualReviewThreshold !== 'number') {
+    errors.push('manualReviewThreshold must be a number');
+  }
+  if (rules.length === 0) {
+    errors.push('At least one rule is required');
+  }
+
+  rules.forEach((rule, index) => {
+    const label = rule.code || `rules[${index}]`;
+
+    if (!rule.code) {
+      errors.push(`rules[${index}]: code is required`);
+    } else if (codes.has(rule.code)) {
+      errors.push(`${label}: code is used more than once`);
+    }
+    codes.add(rule.code);
+
+    if (!rule.name) {
+      errors.push(`${label}: name is required`);
+    }
+    if (typeof rule.weight !== 'number') {
+      errors.push(`${label}: weight must be a number`);
+    }
+    if (rule.match !== undefined && !RULE_MATCH_MODES.includes(rule.match)) {
+      errors.push(`${label}: match must be one of ${RULE_MATCH_MODES.join(', ')}`);
+    }
+
+    const conditions = rule.conditions || [];
+    if (conditions.length === 0) {
+      errors.push(`${label}: at least one condition is required`);
+    }
+    conditions.forEach((condition, conditionIndex) => {
+      const conditionLabel = `${label}: condition ${conditionIndex + 1}`;
+      if (!condition.field) {
+        errors.push(`${conditionLabel} needs a field`);
+      }
+      if (!RULE_OPERATORS.includes(condition.operator)) {
+        errors.push(`${conditionLabel} operator must be one of ${RULE_OPERATORS.join(', ')}`);
+      } else if (['in', 'not_in'].includes(condition.operator) && !Array.isArray(condition.value)) {
+        errors.push(`${conditionLabel} needs a list of values`);
+      } else if (!['exists', 'missing'].includes(condition.operator) && condition.value === undefined) {
+        errors.push(`${conditionLabel} needs a value`);
+      }
+    });
+  });
+
+  (ruleSet.velocityChecks || []).forEach((check, index) => {
+    const label = check.code || `velocityChecks[${index}]`;
+
+    if (!check.code) {
+      errors.push(`velocityChecks[${index}]: code is required`);
+    } else if (codes.has(check.code)) {
+      errors.push(`${label}: code is used more than once`);
+    }
+    codes.add(check.code);
+
+    if (!VELOCITY_IDENTIFIERS.includes(check.identifier)) {
+      errors.push(`${label}: identifier must be one of ${VELOCITY_IDENTIFIERS.join(', ')}`);
+    }
+    if (!(check.windowDays > 0)) {
+      errors.push(`${label}: windowDays must be greater than zero`);
+    }
+    if (!(check.threshold >= 1)) {
+      errors.push(`${label}: threshold must be at least 1`);
+    }
+    if (typeof check.weight !== 'number') {
+      errors.push(`${label}: weight must be a number`);
+    }
+  });
+
+  return errors;
+}
+
+// How a candidate rule set would have flagged historical applications,
+// compared with the rule set currently in force. Velocity checks depend on
+// what else was on file at the time, so only the field rules are replayed.
+function testRuleSet(candidate, current, applications) {
+  const ruleHits = {};
+  candidate.rules.forEach((rule) => { ruleHits[rule.code] = 0; });
+
+  const summary = (ruleSet) => ({
+    version: ruleSet.version,
+    flagged: 0,
+    riskLevels: { LOW: 0, MEDIUM: 0, HIGH: 0 }
+  });
+
+  const proposed = summary(candidate);
+  const baseline = summary(current);
+  let newlyFlagged = 0;
+  let noLongerFlagged = 0;
+  const flaggedExamples = [];
+
+  applications.forEach(({ applicationId, data }) => {
+    const candidateResult = evaluateRuleSet(candidate, data);
+    const currentResult = evaluateRuleSet(current, data);
+
+    candidateResult.triggeredRules.forEach((rule) => { ruleHits[rule.code]++; });
+    proposed.riskLevels[candidateResult.riskLevel]++;
+    baseline.riskLevels[currentResult.riskLevel]++;
+
+    const candidateFlags = candidateResult.recommendation === 'MANUAL_REVIEW';
+    const currentFlags = currentResult.recommendation === 'MANUAL_REVIEW';
+    if (candidateFlags) {
+      proposed.flagged++;
+      if (flaggedExamples.length < 20) {
+        flaggedExamples.push({
+          applicationId,
+          fraudScore: candidateResult.fraudScore,
+          triggeredRules: candidateResult.triggeredRules.map(rule => rule.code)
+        });
+      }
+    }
+    if (currentFlags) baseline.flagged++;
+    if (candidateFlags && !currentFlags) newlyFlagged++;
+    if (!candidateFlags && currentFlags) noLongerFlagged++;
+  });
+
+  const withRate = (result) => ({
+    ...result,
+    flagRate: applications.length ? result.flagged / applications.length : 0
+  });
+
+  return {
+    sampleSize: applications.length,
+    proposed: withRate(proposed),
+    current: withRate(baseline),
+    newlyFlagged,
+    noLongerFlagged,
+    ruleHits,
+    flaggedExamples
+  };
+}
+
+module.exports = {
+  RULE_OPERATORS,
+  RULE_MATCH_MODES,
+  VELOCITY_IDENTIFIERS,
+  DEFAULT_FRAUD_RULE_SET,
+  evaluateRuleSet,
+  validateRuleSet,
+  testRuleSet
+};
@@ -0,0 +1,167 @@
+// Cross-application velocity: finds other applications that reuse this
+// application's SSN, email, phone, street address, bank account, IP address
+// or device (IP address and user agent together) within each check's time
+// window. Phone, address and bank account are matched on the normalized keys
+// stored with every application (see identityKeys), by indexed equality.
+
+const CreditApplication = require('../models/CreditApplication');
+const { digitsOf, identityKeysFor, keySecretId } = require('./identityKeys');
+const { velocityParameters } = require('../config/riskParameters');
+const { aiLogger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intake IP address / user agent pairs recorded in the audit trail
+function intakeDevices(application, parameters) {
+  const seen = new Set();
+
+  return (application.auditTrail || [])
+    .filter(entry =>
+      parameters.intakeAuditActions.includes(entry.action) &&
+      entry.ipAddress &&
+      !parameters.ignoredIpAddresses.includes(entry.ipAddress)
+    )
+    .map(entry => ({ ipAddress: entry.ipAddress, userAgent: entry.userAgent }))
+    .filter((device) => {
+      const key = `${device.ipAddress}|${device.userAgent}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+const intakeEntry = (parameters, fields) => ({
+  auditTrail: {
+    $elemMatch: {
+      action: { $in: parameters.intakeAuditActions },
+      ...fields
+    }
+  }
+});
+
+// Query matching other applications on one identifier, or null when this
+// application does not carry that identifier
+function identifierQuery(identifier, application, parameters) {
+  const { applicant } = application;
+
+  switch (identifier) {
+    case 'ssn': {
+      const digits = digitsOf(applicant.ssn);
+      if (digits.length !== 9) return null;
+      const dashed = `${digits.slice(0, 3)}-${digits.slice(3, 5)}-${digits.slice(5)}`;
+      return { 'applicant.ssn': { $in: [digits, dashed] } };
+    }
+    case 'email':
+      return applicant.email ? { 'applicant.email': applicant.email.toLowerCase() } : null;
+    case 'phone':
+    case 'address':
+    case 'bankAccount': {
+      const key = identityKeysFor(applicant)[identifier];
+      return key ? { [`identityKeys.${identifier}`]: key } : null;
+    }
+    case 'ipAddress': {
+      const ips = Array.from(new Set(intakeDevices(application, parameters).map(device => device.ipAddress)));
+      if (ips.length === 0) return null;
+      return intakeEntry(parameters, { ipAddress: { $in: ips } });
+    }
+    case 'device': {
+      const devices = intakeDevices(application, parameters).filter(device => device.userAgent);
+      if (devices.length === 0) return null;
+      return { $or: devices.map(device => intakeEntry(parameters, device)) };
+    }
+    default:
+      return null;
+  }
+}
+
+// Run every enabled velocity check of a rule set against the application store
+async function findRelatedApplications(application, velocityChecks, {
+  at = new Date(),
+  parameters = velocityParameters
+} = {}) {
+  const matches = [];
+  const related = new Map();
+
+  for (const check of (velocityChecks || []).filter(candidate => candidate.enabled !== false)) {
+    const query = identifierQuery(check.identifier, application, parameters);
+    if (!query) continue;
+
+    const others = await CreditApplication.find({
+      ...query,
+      _id: { $ne: application._id },
+      createdAt: { $gte: new Date(at.getTime() - check.windowDays * DAY_MS), $lte: at }
+    })
+      .select('applicationId status createdAt')
+      .sort({ createdAt: -1 })
+      .limit(parameters.maxRelatedApplications)
+      .lean();
+
+    matches.push({
+      code: check.code,
+      identifier: check.identifier,
+      windowDays: check.windowDays,
+      count: others.length,
+      applicationIds: others.map(other => other.applicationId)
+    });
+
+    others.forEach((other) => {
+      const key = other._id.toString();
+      if (!related.has(key)) {
+        related.set(key, {
+          application: other._id,
+          applicationId: other.applicationId,
+          status: other.status,
+          createdAt: other.createdAt,
+          sharedIdentifiers: []
+        });
+      }
+      related.get(key).sharedIdentifiers.push(check.identifier);
+    });
+  }
+
+  return {
+    matches,
+    relatedApplications: Array.from(related.values())
+      .sort((a, b) => b.sharedIdentifiers.length - a.sharedIdentifiers.length || b.createdAt - a.createdAt)
+      .slice(0, parameters.maxRelatedApplications)
+  };
+}
+
+// Store identity keys on applications saved before they were derived on
+// save, or derived under another secret, so velocity checks can find them
+async function backfillIdentityKeys() {
+  const secretId = keySecretId();
+  if (!velocityParameters.identityKeySecret) {
+    aiLogger.warn('IDENTITY_KEY_SECRET is not set; bank account velocity checks are disabled');
+  }
+
+  const cursor = CreditApplication.find({
+    $or: [
+      { identityKeys: { $exists: false } },
+      { 'identityKeys.secretId': { $ne: secretId } }
+    ]
+  })
+    .select('applicant.phone applicant.address applicant.bankAccount')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  for await (const application of cursor) {
+    await CreditApplication.updateOne(
+      { _id: application._id },
+      { $set: { identityKeys: identityKeysFor(application.applicant) } }
+    );
+    updated++;
+  }
+
+  if (updated > 0) {
+    aiLogger.info('Identity keys backfilled for velocity checks', { updated });
+  }
+  return updated;
+}
+
+module.exports = {
+  identifierQuery,
+  findRelatedApplications,
+  backfillIdentityKeys
+};
@@ -0,0 +1,60 @@
+// Normalized identifiers that velocity checks match applications on. They are
+// stored on each application (identityKeys) and indexed, so a check is an
+// equality lookup whatever punctuation or casing the applicant typed.
+
+const crypto = require('crypto');
+const { velocityParameters } = require('../config/riskParameters');
+
+// Recorded with keys derived without a secret
+const NO_SECRET_ID = 'none';
+
+const digitsOf = (value) => String(value || '').replace(/\D/g, '');
+
+// Last ten digits, so "+1 (555) 010-2000" and "555.010.2000" share a key
+function phoneKey(phone) {
+  const digits = digitsOf(phone).slice(-10);
+  return digits.length === 10 ? digits : null;
+}
+
+// Street (case, punctuation and spacing ignored) and 5-digit ZIP
+function addressKey(address = {}) {
+  const street = String(address.street || '').toLowerCase().replace(/[.,#]/g, ' ').replace(/\s+/g, ' ').trim();
+  const zip = String(address.zipCode || '').trim().toLowerCase();
+  if (!street || !zip) return null;
+  return `${street}|${/^\d{5}/.test(zip) ? zip.slice(0, 5) : zip}`;
+}
+
+// Routing and account number under an HMAC with a server-side secret: the
+// account number space is small enough that a plain hash in a database dump
+// could be brute-forced back to account numbers. No key without a secret.
+function bankAccountKey(bankAccount = {}, secret = velocityParameters.identityKeySecret) {
+  const routing = digitsOf(bankAccount.routingNumber);
+  const account = digitsOf(bankAccount.accountNumber);
+  if (!secret || routing.length !== 9 || account.length < 4) return null;
+  return crypto.createHmac('sha256', secret).update(`${routing}:${account}`).digest('hex');
+}
+
+// Fingerprint of the secret keys were derived with, stored next to them so
+// keys from an earlier secret (or none) can be found and derived again
+function keySecretId(secret = velocityParameters.identityKeySecret) {
+  if (!secret) return NO_SECRET_ID;
+  return crypto.createHmac('sha256', secret).update('identity-key-id').digest('hex').slice(0, 16);
+}
+
+function identityKeysFor(applicant = {}) {
+  return {
+    phone: phoneKey(applicant.phone),
+    address: addressKey(applicant.address || {}),
+    bankAccount: bankAccountKey(applicant.bankAccount || {}),
+    secretId: keySecretId()
+  };
+}
+
+module.exports = {
+  digitsOf,
+  phoneKey,
+  addressKey,
+  bankAccountKey,
+  keySecretId,
+  identityKeysFor
+};
@@ -0,0 +1,229 @@
+// Background jobs backed by MongoDB, so no separate broker is needed. A job
+// is queued as a Job document; workers poll for queued jobs and claim one
+// atomically together with a lease that they keep renewing while the job
+// runs. If a server stops mid-job its lease runs out and another worker (or
+// the same server after a restart) resumes it. Each job type has a handler
+// registered with registerJobHandler.
+
+const os = require('os');
+const Job = require('../models/Job');
+const { aiLogger } = require('../utils/logger');
+
+const MAX_LOG_ENTRIES = 200;
+// A job whose worker keeps disappearing is failed rather than retried forever
+const MAX_JOB_ATTEMPTS = 3;
+// Cancellation is read from the database at most this often
+const CANCEL_CHECK_MS = 1000;
+
+const pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+const leaseMs = parseInt(process.env.JOB_LEASE_MS) || 5 * 60 * 1000;
+const workerConcurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 1;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+let wakeWorker = null;
+
+const jobError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// handler(job, context) does the work and returns the job's result
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+function appendJobLog(job, message, level = 'info') {
+  return Job.updateOne({ _id: job._id }, {
+    $push: { logs: { $each: [{ at: new Date(), level, message }], $slice: -MAX_LOG_ENTRIES } }
+  });
+}
+
+async function enqueueJob(type, params = {}, { user = null } = {}) {
+  if (!handlers.has(type)) {
+    throw jobError(`No handler is registered for job type '${type}'`, 500);
+  }
+
+  const job = await Job.create({
+    type,
+    params,
+    createdBy: user ? user._id : undefined,
+    logs: [{ message: 'Job queued' }]
+  });
+
+  aiLogger.info('Job queued', { jobId: job.jobId, type, userId: user ? user._id : undefined });
+
+  // Start it straight away when this process runs a worker with spare capacity
+  if (wakeWorker) setImmediate(wakeWorker);
+
+  return job;
+}
+
+// A queued job is cancelled immediately; a running one is asked to stop and
+// its handler winds down at its next cancellation point
+async function cancelJob(jobId, { user = null } = {}) {
+  const cancelledBy = user ? user._id : undefined;
+
+  const queued = await Job.findOneAndUpdate(
+    { jobId, status: 'queued' },
+    {
+      $set: { status: 'cancelled', cancelRequested: true, cancelledBy, completedAt: new Date() },
+      $push: { logs: { at: new Date(), level: 'warn', message: 'Cancelled before it started' } }
+    },
+    { new: true }
+  );
+  if (queued) return queued;
+
+  const running = await Job.findOneAndUpdate(
+    { jobId, status: 'running' },
+    {
+      $set: { cancelRequested: true, cancelledBy },
+      $push: { logs: { at: new Date(), level: 'warn', message: 'Cancellation requested' } }
+    },
+    { new: true }
+  );
+  if (running) return running;
+
+  const job = await Job.findOne({ jobId });
+  if (!job) throw jobError('Job not found', 404);
+  throw jobError(`Job has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}`);
+}
+
+// Next queued job, or a running job whose worker has lost its lease
+function claimJob() {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Array.from(handlers.keys()) },
+      $or: [
+        { status: 'queued' },
+        { status: 'running', leaseExpiresAt: { $lt: now } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedBy: WORKER_ID, leaseExpiresAt: new Date(now.getTime() + leaseMs) },
+      $min: { startedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+function finishJob(job, update, logMessage, level = 'info') {
+  return Job.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID },
+    {
+      $set: { ...update, completedAt: new Date(), lockedBy: null, leaseExpiresAt: null },
+      $push: { logs: { $each: [{ at: new Date(), level, message: logMessage }], $slice: -MAX_LOG_ENTRIES } }
+    }
+  );
+}
+
+async function runJob(job) {
+  if (job.attempts > MAX_JOB_ATTEMPTS) {
+    await finishJob(job, { status: 'failed', error: `Worker stopped ${job.attempts - 1} times while running the job` },
+      'Giving up after repeated interruptions', 'error');
+    return;
+  }
+
+  let cancelRequested = job.cancelRequested;
+  let cancelCheckedAt = Date.now();
+  // The job ends as cancelled only if its handler saw the request; a handler
+  // that has passed its last cancellation point finishes normally
+  let cancelObserved = false;
+
+  // Renew the lease while the handler runs, and pick up cancellation requests
+  const renew = async () => {
+    const current = await Job.findOneAndUpdate(
+      { _id: job._id, lockedBy: WORKER_ID },
+      { $set: { leaseExpiresAt: new Date(Date.now() + leaseMs) } },
+      { new: true }
+    ).select('cancelRequested');
+    if (current) cancelRequested = current.cancelRequested;
+    cancelCheckedAt = Date.now();
+  };
+  const leaseTimer = setInterval(() => {
+    renew().catch(error => aiLogger.warn('Job lease renewal failed', { jobId: job.jobId, error: error.message }));
+  }, Math.max(leaseMs / 3, 1000));
+  leaseTimer.unref();
+
+  const context = {
+    log: (message, level = 'info') => appendJobLog(job, message, level),
+    setStage: stage => Job.updateOne({ _id: job._id }, { $set: { stage } }),
+    setProgress: progress => Job.updateOne({ _id: job._id }, {
+      $set: Object.fromEntries(Object.entries(progress).map(([key, value]) => [`progress.${key}`, value]))
+    }),
+    incrementProgress: progress => Job.updateOne({ _id: job._id }, {
+      $inc: Object.fromEntries(Object.entries(progress).map(([key, value]) => [`progress.${key}`, value]))
+    }),
+    // `fresh` skips the throttle, for handlers that only check now and then
+    isCancelled: async ({ fresh = false } = {}) => {
+      if (!cancelRequested && (fresh || Date.now() - cancelCheckedAt >= CANCEL_CHECK_MS)) await renew();
+      if (cancelRequested) cancelObserved = true;
+      return cancelRequested;
+    }
+  };
+
+  aiLogger.info('Job started', { jobId: job.jobId, type: job.type, attempt: job.attempts, workerId: WORKER_ID });
+  await appendJobLog(job, job.attempts > 1 ? `Resumed (attempt ${job.attempts})` : 'Started');
+
+  try {
+    const result = await handlers.get(job.type)(job, context);
+
+    if (cancelObserved) {
+      await finishJob(job, { status: 'cancelled', result }, 'Cancelled', 'warn');
+    } else {
+      await finishJob(job, { status: 'succeeded', result }, 'Succeeded');
+    }
+    aiLogger.info('Job finished', { jobId: job.jobId, type: job.type, cancelled: cancelObserved });
+  } catch (error) {
+    await finishJob(job, { status: 'failed', error: error.message }, `Failed: ${error.message}`, 'error');
+    aiLogger.error('Job failed', { jobId: job.jobId, type: job.type, error: error.message, stack: error.stack });
+  } finally {
+    clearInterval(leaseTimer);
+  }
+}
+
+// Poll for jobs and run up to `concurrency` of them at a time in this process
+function startJobWorker({ concurrency = workerConcurrency, intervalMs = pollIntervalMs } = {}) {
+  let active = 0;
+  let polling = false;
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      while (active < concurrency) {
+        const job = await claimJob();
+        if (!job) break;
+        active++;
+        runJob(job).finally(() => {
+          active--;
+          setImmediate(poll);
+        });
+      }
+    } catch (error) {
+      aiLogger.error('Job polling failed', { error: error.message });
+    } finally {
+      polling = false;
+    }
+  };
+
+  wakeWorker = poll;
+  const timer = setInterval(poll, intervalMs);
+  timer.unref();
+  setImmediate(poll);
+
+  aiLogger.info('Job worker started', { workerId: WORKER_ID, concurrency, types: Array.from(handlers.keys()) });
+  return timer;
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  cancelJob,
+  appendJobLog,
+  startJobWorker
+};
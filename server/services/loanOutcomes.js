@@ -0,0 +1,192 @@
+// Loan outcomes. Servicing reports the repayment status of booked loans over
+// time, one status per reporting date, through the API or as a bulk file.
+// The latest report is the loan's current status; the worst status ever
+// reported decides whether the loan counts as a default when measuring the
+// model, so a loan that cured after going 90 days past due is still bad.
+
+const CreditApplication = require('../models/CreditApplication');
+const { parseCsvRecords } = require('../utils/csv');
+const { DEFAULT_STATUSES } = require('../config/riskParameters');
+const { creditLogger } = require('../utils/logger');
+
+// Severity order; a paid-off loan ranks with a current one
+const STATUS_SEVERITY = {
+  current: 0,
+  paid_off: 0,
+  dpd30: 1,
+  dpd60: 2,
+  dpd90: 3,
+  default: 4
+};
+
+const OUTCOME_STATUSES = Object.keys(STATUS_SEVERITY);
+
+// Spellings seen in servicing extracts
+const STATUS_ALIASES = {
+  '30': 'dpd30',
+  '60': 'dpd60',
+  '90': 'dpd90',
+  '30_dpd': 'dpd30',
+  '60_dpd': 'dpd60',
+  '90_dpd': 'dpd90',
+  '30_days_past_due': 'dpd30',
+  '60_days_past_due': 'dpd60',
+  '90_days_past_due': 'dpd90',
+  charged_off: 'default',
+  chargeoff: 'default',
+  defaulted: 'default',
+  paid: 'paid_off',
+  paidoff: 'paid_off',
+  closed: 'paid_off'
+};
+
+const outcomeError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+function normalizeStatus(value) {
+  const key = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (OUTCOME_STATUSES.includes(key)) return key;
+  return STATUS_ALIASES[key] || null;
+}
+
+// Whether a loan's performance counts as a default event
+const isDefault = (performance) =>
+  !!performance && DEFAULT_STATUSES.includes(performance.worstStatus || performance.status);
+
+// Add a status report to an approved application and recompute its current
+// and worst status. Returns false for a report already on file. The caller
+// saves the application.
+function applyOutcome(application, { status, asOf, source = 'api', user = null, req = null }) {
+  if (application.status !== 'approved') {
+    throw outcomeError(`Outcomes can only be recorded for approved applications (status is '${application.status}')`);
+  }
+
+  const normalized = normalizeStatus(status);
+  if (!normalized) {
+    throw outcomeError(`Status must be one of: ${OUTCOME_STATUSES.join(', ')}`);
+  }
+
+  const reportedAt = asOf ? new Date(asOf) : new Date();
+  if (isNaN(reportedAt.getTime())) {
+    throw outcomeError('asOf must be a valid date');
+  }
+  if (reportedAt > new Date()) {
+    throw outcomeError('asOf cannot be in the future');
+  }
+  if (application.completedAt && reportedAt < application.completedAt) {
+    throw outcomeError('asOf cannot be before the application was approved');
+  }
+
+  const performance = application.performance;
+
+  // Status recorded before outcome history was kept
+  if (performance.status && performance.history.length === 0) {
+    performance.history.push({ status: performance.status, asOf: performance.asOf || application.completedAt });
+  }
+
+  const duplicate = performance.history.some(event =>
+    event.status === normalized && event.asOf.getTime() === reportedAt.getTime());
+  if (duplicate) return false;
+
+  performance.history.push({
+    status: normalized,
+    asOf: reportedAt,
+    source,
+    recordedBy: user ? user._id : undefined
+  });
+
+  const latest = performance.history.reduce((a, b) => (b.asOf >= a.asOf ? b : a));
+  const worst = performance.history.reduce((a, b) => (STATUS_SEVERITY[b.status] > STATUS_SEVERITY[a.status] ? b : a));
+  performance.status = latest.status;
+  performance.asOf = latest.asOf;
+  performance.worstStatus = worst.status;
+
+  application.addAuditEntry('loan_outcome_recorded', user, {
+    status: normalized,
+    asOf: reportedAt,
+    source
+  }, req);
+
+  return true;
+}
+
+// Outcome rows from a CSV (applicationId, status, asOf columns) or a JSON
+// array / JSON Lines file of the same fields
+function parseOutcomeFile(content, format) {
+  if (format === 'csv') return parseCsvRecords(content);
+
+  if (format === 'json' || format === 'jsonl') {
+    const trimmed = content.trim();
+    if (trimmed.startsWith('[')) return JSON.parse(trimmed);
+    return trimmed.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  throw outcomeError('Outcome file format must be csv, json or jsonl');
+}
+
+// Record a batch of outcome rows. Rows that fail are reported individually;
+// the rest are saved. Row numbers are 1-based data rows.
+async function importOutcomes(rows, { user = null, req = null } = {}) {
+  const summary = { total: rows.length, recorded: 0, duplicates: 0, failed: 0, errors: [] };
+
+  const fail = (row, applicationId, message) => {
+    summary.failed++;
+    summary.errors.push({ row, applicationId, message });
+  };
+
+  const applicationIds = Array.from(new Set(rows.map(row => row && row.applicationId).filter(Boolean)));
+  const applications = await CreditApplication.find({ applicationId: { $in: applicationIds } });
+  const byId = new Map(applications.map(application => [application.applicationId, application]));
+  const changed = new Set();
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1;
+    if (!row || !row.applicationId) return fail(rowNumber, null, 'applicationId is required');
+
+    const application = byId.get(row.applicationId);
+    if (!application) return fail(rowNumber, row.applicationId, 'Application not found');
+
+    try {
+      const recorded = applyOutcome(application, {
+        status: row.status,
+        asOf: row.asOf,
+        source: 'import',
+        user,
+        req
+      });
+      if (recorded) {
+        summary.recorded++;
+        changed.add(application);
+      } else {
+        summary.duplicates++;
+      }
+    } catch (error) {
+      fail(rowNumber, row.applicationId, error.message);
+    }
+  });
+
+  for (const application of changed) {
+    await application.save();
+  }
+
+  creditLogger.info('Loan outcomes imported', {
+    importedBy: user ? user._id : undefined,
+    total: summary.total,
+    recorded: summary.recorded,
+    failed: summary.failed
+  });
+
+  return summary;
+}
+
+module.exports = {
+  OUTCOME_STATUSES,
+  normalizeStatus,
+  isDefault,
+  applyOutcome,
+  parseOutcomeFile,
+  importOutcomes
+};
@@ -0,0 +1,127 @@
+// Model performance on observed loan outcomes. Each booked loan is attributed
+// to the model version that scored it; its predicted probability of default
+// at scoring time is compared with whether it went on to default.
+//   AUC  - probability a defaulted loan was given a higher PD than a good one
+//   Gini - 2 x AUC - 1
+//   KS   - largest gap between the cumulative PD distributions of bad and good loans
+// The calibration curve compares mean predicted PD with the observed default
+// rate in equal-count bins of predicted PD.
+
+const CreditApplication = require('../models/CreditApplication');
+const { calculateAUC } = require('./modelTraining');
+const { brierScore } = require('./calibration');
+const { isDefault, OUTCOME_STATUSES } = require('./loanOutcomes');
+
+const MIN_OUTCOMES = 30;
+const CALIBRATION_BINS = 10;
+
+const round = (value) => (value === null || !Number.isFinite(value) ? null : Math.round(value * 10000) / 10000);
+
+// Kolmogorov-Smirnov statistic between the PDs of defaulted and good loans
+function calculateKS(pds, defaults) {
+  const badTotal = defaults.filter(Boolean).length;
+  const goodTotal = defaults.length - badTotal;
+  if (badTotal === 0 || goodTotal === 0) return null;
+
+  const ranked = pds.map((pd, i) => ({ pd, bad: defaults[i] })).sort((a, b) => b.pd - a.pd);
+
+  let bad = 0;
+  let good = 0;
+  let ks = 0;
+  ranked.forEach((loan, i) => {
+    if (loan.bad) bad++;
+    else good++;
+    // Only compare at the end of a run of tied PDs
+    if (i === ranked.length - 1 || ranked[i + 1].pd !== loan.pd) {
+      ks = Math.max(ks, Math.abs(bad / badTotal - good / goodTotal));
+    }
+  });
+
+  return ks;
+}
+
+function calibrationCurve(pds, defaults, bins = CALIBRATION_BINS) {
+  const ranked = pds.map((pd, i) => ({ pd, bad: defaults[i] })).sort((a, b) => a.pd - b.pd);
+  const binCount = Math.min(bins, ranked.length);
+  const curve = [];
+
+  for (let b = 0; b < binCount; b++) {
+    const members = ranked.slice(Math.floor((b * ranked.length) / binCount), Math.floor(((b + 1) * ranked.length) / binCount));
+    if (members.length === 0) continue;
+    curve.push({
+      bin: b + 1,
+      count: members.length,
+      minPD: round(members[0].pd),
+      maxPD: round(members[members.length - 1].pd),
+      meanPredictedPD: round(members.reduce((sum, loan) => sum + loan.pd, 0) / members.length),
+      observedDefaultRate: round(members.filter(loan => loan.bad).length / members.length)
+    });
+  }
+
+  return curve;
+}
+
+function evaluateOutcomes(pds, defaults) {
+  const defaultCount = defaults.filter(Boolean).length;
+  const sufficientData = pds.length >= MIN_OUTCOMES && defaultCount > 0 && defaultCount < pds.length;
+  const auc = sufficientData ? calculateAUC(pds, defaults) : null;
+
+  return {
+    sampleCount: pds.length,
+    defaultCount,
+    defaultRate: round(pds.length ? defaultCount / pds.length : null),
+    meanPredictedPD: round(pds.length ? pds.reduce((sum, pd) => sum + pd, 0) / pds.length : null),
+    sufficientData,
+    auc: round(auc),
+    gini: round(auc === null ? null : 2 * auc - 1),
+    ks: round(sufficientData ? calculateKS(pds, defaults) : null),
+    brierScore: round(sufficientData ? brierScore(pds, defaults) : null),
+    calibrationCurve: sufficientData ? calibrationCurve(pds, defaults) : []
+  };
+}
+
+// PD recorded at scoring time; older assessments only carry the good probability
+const predictedPD = (assessment) =>
+  (Number.isFinite(assessment.riskMetrics?.pd) ? assessment.riskMetrics.pd : 1 - assessment.probability);
+
+// Outcome metrics for every model version (or just `modelVersion`) with
+// booked loans that have outcomes
+async function outcomePerformanceByModel({ modelVersion } = {}) {
+  const applications = await CreditApplication.find({
+    status: 'approved',
+    'performance.status': { $exists: true, $ne: null },
+    'aiAssessment.modelVersion': modelVersion || { $exists: true }
+  })
+    .select('aiAssessment.modelVersion aiAssessment.probability aiAssessment.riskMetrics.pd performance.status performance.worstStatus')
+    .lean();
+
+  const byVersion = new Map();
+  applications.forEach((application) => {
+    const pd = predictedPD(application.aiAssessment);
+    if (!Number.isFinite(pd)) return;
+
+    const version = application.aiAssessment.modelVersion;
+    if (!byVersion.has(version)) byVersion.set(version, { pds: [], defaults: [], statuses: {} });
+    const group = byVersion.get(version);
+    group.pds.push(pd);
+    group.defaults.push(isDefault(application.performance) ? 1 : 0);
+    group.statuses[application.performance.status] = (group.statuses[application.performance.status] || 0) + 1;
+  });
+
+  return Array.from(byVersion.entries()).map(([modelVersion, group]) => ({
+    modelVersion,
+    outcomes: OUTCOME_STATUSES.reduce((counts, status) => {
+      counts[status] = group.statuses[status] || 0;
+      return counts;
+    }, {}),
+    ...evaluateOutcomes(group.pds, group.defaults)
+  })).sort((a, b) => b.sampleCount - a.sampleCount);
+}
+
+module.exports = {
+  MIN_OUTCOMES,
+  calculateKS,
+  calibrationCurve,
+  evaluateOutcomes,
+  outcomePerformanceByModel
+};
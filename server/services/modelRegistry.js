@@ -0,0 +1,208 @@
+const ModelVersion = require('../models/ModelVersion');
+const { aiLogger } = require('../utils/logger');
+
+class ModelRegistryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ModelRegistryError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Artifact of the current champion, or null when none has been promoted yet
+async function loadChampionModel() {
+  const champion = await ModelVersion.findOne({ status: 'champion' });
+  return champion ? champion.toArtifact() : null;
+}
+
+// Artifact of the current challenger, or null when none is shadow scoring
+async function loadChallengerModel() {
+  const challenger = await ModelVersion.findOne({ status: 'challenger' });
+  return challenger ? challenger.toArtifact() : null;
+}
+
+async function listVersions({ status } = {}) {
+  const query = status ? { status } : {};
+
+  return ModelVersion.find(query)
+    .select('-parameters')
+    .populate('trainedBy', 'firstName lastName username')
+    .populate('approvedBy', 'firstName lastName username')
+    .sort({ trainedAt: -1 });
+}
+
+async function getVersion(version) {
+  return ModelVersion.findOne({ version })
+    .populate('trainedBy', 'firstName lastName username')
+    .populate('approvedBy', 'firstName lastName username');
+}
+
+// The version's artifact checked the way the engine will load it, so the
+// registry never records a version as live that the engine cannot score with
+function assertLoadable(engine, modelVersion) {
+  try {
+    engine.buildModel(modelVersion.toArtifact());
+  } catch (error) {
+    throw new ModelRegistryError(`Model version ${modelVersion.version} cannot be loaded: ${error.message}`);
+  }
+}
+
+// Retire the current champion (if any) and make `candidate` champion
+async function installChampion(candidate, user, notes) {
+  const now = new Date();
+  const previous = await ModelVersion.findOneAndUpdate(
+    { status: 'champion' },
+    { status: 'retired', demotedAt: now }
+  );
+
+  candidate.status = 'champion';
+  candidate.challengerSince = undefined;
+  candidate.promotedAt = now;
+  candidate.demotedAt = undefined;
+  candidate.approvedBy = user._id;
+  candidate.approvedAt = now;
+  candidate.approvalNotes = notes;
+
+  return previous;
+}
+
+// Make the given version champion, retiring the current one and recording it
+// as the version a rollback returns to
+async function promote(engine, version, user, notes) {
+  const candidate = await ModelVersion.findOne({ version });
+
+  if (!candidate) {
+    throw new ModelRegistryError(`Model version ${version} not found`, 404);
+  }
+
+  if (candidate.status === 'champion') {
+    throw new ModelRegistryError(`Model version ${version} is already the champion`);
+  }
+
+  assertLoadable(engine, candidate);
+
+  const previous = await installChampion(candidate, user, notes);
+  candidate.previousChampion = previous ? previous.version : null;
+  await candidate.save();
+
+  aiLogger.info('Model version promoted to champion', {
+    modelVersion: candidate.version,
+    previousChampion: previous ? previous.version : null,
+    approvedBy: user._id
+  });
+
+  return { champion: candidate, previous };
+}
+
+// Shadow-score live traffic with the given version, replacing the current
+// challenger (which goes back to being a candidate)
+async function startChallenger(engine, version, user) {
+  const challenger = await ModelVersion.findOne({ version });
+
+  if (!challenger) {
+    throw new ModelRegistryError(`Model version ${version} not found`, 404);
+  }
+
+  if (challenger.status === 'champion') {
+    throw new ModelRegistryError(`Model version ${version} is the champion`);
+  }
+
+  if (challenger.status === 'challenger') {
+    throw new ModelRegistryError(`Model version ${version} is already the challenger`);
+  }
+
+  assertLoadable(engine, challenger);
+
+  const previous = await ModelVersion.findOneAndUpdate(
+    { status: 'challenger' },
+    { status: 'candidate', $unset: { challengerSince: 1 } }
+  );
+
+  challenger.status = 'challenger';
+  challenger.challengerSince = new Date();
+  await challenger.save();
+
+  aiLogger.info('Model version set as challenger', {
+    modelVersion: challenger.version,
+    previousChallenger: previous ? previous.version : null,
+    userId: user._id
+  });
+
+  return { challenger, previous };
+}
+
+// Stop shadow scoring; the challenger goes back to being a candidate
+async function stopChallenger(user) {
+  const challenger = await ModelVersion.findOneAndUpdate(
+    { status: 'challenger' },
+    { status: 'candidate', $unset: { challengerSince: 1 } }
+  );
+
+  if (!challenger) {
+    throw new ModelRegistryError('No challenger model is configured');
+  }
+
+  aiLogger.info('Challenger model stopped', {
+    modelVersion: challenger.version,
+    userId: user._id
+  });
+
+  return challenger;
+}
+
+// Restore the champion the current one replaced, following the chain its
+// promotions recorded, so repeated rollbacks keep going back. At the start of
+// the chain (or with `toBaseline`) the champion is retired and the engine's
+// built-in baseline model takes over; `champion` is then null.
+async function rollback(engine, user, notes, { toBaseline = false } = {}) {
+  const current = await ModelVersion.findOne({ status: 'champion' });
+
+  if (!current) {
+    throw new ModelRegistryError('The baseline model is already active; there is no champion to roll back');
+  }
+
+  const targetVersion = toBaseline ? null : current.previousChampion;
+  if (targetVersion) {
+    const target = await ModelVersion.findOne({ version: targetVersion });
+    if (!target) {
+      throw new ModelRegistryError(`Previous champion ${targetVersion} is no longer registered`, 409);
+    }
+    assertLoadable(engine, target);
+
+    // The restored version keeps its own previousChampion: the next rollback goes further back
+    const previous = await installChampion(target, user, notes || `Rollback from ${current.version}`);
+    await target.save();
+
+    aiLogger.info('Champion model rolled back', {
+      modelVersion: target.version,
+      previousChampion: current.version,
+      userId: user._id
+    });
+
+    return { champion: target, previous };
+  }
+
+  current.status = 'retired';
+  current.demotedAt = new Date();
+  await current.save();
+
+  aiLogger.info('Champion model rolled back to baseline', {
+    previousChampion: current.version,
+    userId: user._id,
+    notes
+  });
+
+  return { champion: null, previous: current };
+}
+
+module.exports = {
+  ModelRegistryError,
+  loadChampionModel,
+  loadChallengerModel,
+  listVersions,
+  getVersion,
+  promote,
+  startChallenger,
+  stopChallenger,
+  rollback
+};
@@ -0,0 +1,401 @@
+const crypto = require('crypto');
+const { Matrix } = require('ml-matrix');
+const CreditApplication = require('../models/CreditApplication');
+const ModelVersion = require('../models/ModelVersion');
+const { fitCalibration } = require('./calibration');
+const { buildBaseline } = require('./populationStability');
+const { isDefault } = require('./loanOutcomes');
+const { toApplicantData } = require('./applicantFeatures');
+const { aiLogger } = require('../utils/logger');
+
+const DEFAULT_HYPERPARAMETERS = {
+  learningRate: 0.5,
+  iterations: 2000,
+  l2Penalty: 0.001,
+  holdoutFraction: 0.2,
+  decisionThreshold: 0.5,
+  seed: 42,
+  minSamples: 50
+};
+
+// Allowed range of each hyperparameter. The iteration cap keeps a training
+// run from blocking the server for long; the holdout and sample floors keep
+// enough applications on both sides of the split to train and evaluate.
+const HYPERPARAMETER_LIMITS = {
+  learningRate: { min: 0.0001, max: 10 },
+  iterations: { integer: true, min: 1, max: 10000 },
+  l2Penalty: { min: 0, max: 10 },
+  holdoutFraction: { min: 0, max: 0.5 },
+  decisionThreshold: { min: 0.01, max: 0.99 },
+  seed: { integer: true, min: 0, max: 4294967295 },
+  minSamples: { integer: true, min: 10, max: 1000000 }
+};
+
+const MIN_CALIBRATION_SAMPLES = 30;
+
+const parameterError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Hyperparameters for a training run: the defaults overridden by the
+// requested values, each of which must be a number within its limits
+function resolveHyperparameters(parameters = {}) {
+  if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+    throw parameterError('parameters must be an object of hyperparameters');
+  }
+
+  const unknown = Object.keys(parameters).filter(name => !HYPERPARAMETER_LIMITS[name]);
+  if (unknown.length > 0) {
+    throw parameterError(`Unknown hyperparameters: ${unknown.join(', ')}. Allowed: ${Object.keys(HYPERPARAMETER_LIMITS).join(', ')}`);
+  }
+
+  const hyperparameters = { ...DEFAULT_HYPERPARAMETERS };
+  Object.entries(parameters).forEach(([name, value]) => {
+    if (value === undefined || value === null) return;
+
+    const { integer, min, max } = HYPERPARAMETER_LIMITS[name];
+    if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+      throw parameterError(`${name} must be ${integer ? 'a whole number' : 'a number'} between ${min} and ${max}`);
+    }
+    hyperparameters[name] = value;
+  });
+
+  return hyperparameters;
+}
+
+// Decided applications carry the label we learn from: approved = 1 (good), denied = 0
+const TRAINING_STATUSES = ['approved', 'denied'];
+
+function labelFor(application) {
+  return application.status === 'approved' ? 1 : 0;
+}
+
+// Small seeded PRNG (mulberry32) so holdout splits are reproducible
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function splitHoldout(rows, holdoutFraction, seed) {
+  const random = createRandom(seed);
+  const shuffled = rows.slice();
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  const holdoutSize = Math.round(shuffled.length * holdoutFraction);
+  return {
+    holdout: shuffled.slice(0, holdoutSize),
+    training: shuffled.slice(holdoutSize)
+  };
+}
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+// Batch gradient descent on L2-regularised log loss. The intercept is not penalised.
+function trainLogisticRegression(features, labels, hyperparameters = {}) {
+  const { learningRate, iterations, l2Penalty } = { ...DEFAULT_HYPERPARAMETERS, ...hyperparameters };
+  const n = features.length;
+
+  // Prepend a bias column
+  const X = new Matrix(features.map(row => [1, ...row]));
+  const y = Matrix.columnVector(labels);
+  const Xt = X.transpose();
+  const theta = Matrix.zeros(X.columns, 1);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const predictions = X.mmul(theta);
+    for (let i = 0; i < predictions.rows; i++) {
+      predictions.set(i, 0, sigmoid(predictions.get(i, 0)));
+    }
+
+    const gradient = Xt.mmul(predictions.sub(y)).div(n);
+    for (let k = 1; k < theta.rows; k++) {
+      gradient.set(k, 0, gradient.get(k, 0) + l2Penalty * theta.get(k, 0));
+    }
+
+    theta.sub(gradient.mul(learningRate));
+  }
+
+  const coefficients = theta.getColumn(0);
+  return {
+    intercept: coefficients[0],
+    weights: coefficients.slice(1)
+  };
+}
+
+// Area under the ROC curve via the rank-sum (Mann-Whitney) statistic
+function calculateAUC(probabilities, labels) {
+  const ranked = probabilities
+    .map((probability, index) => ({ probability, label: labels[index] }))
+    .sort((a, b) => a.probability - b.probability);
+
+  let positives = 0;
+  let negatives = 0;
+  let rankSum = 0;
+  let i = 0;
+
+  while (i < ranked.length) {
+    // Average ranks across ties
+    let j = i;
+    while (j + 1 < ranked.length && ranked[j + 1].probability === ranked[i].probability) j++;
+    const averageRank = (i + j + 2) / 2;
+
+    for (let k = i; k <= j; k++) {
+      if (ranked[k].label === 1) {
+        positives++;
+        rankSum += averageRank;
+      } else {
+        negatives++;
+      }
+    }
+    i = j + 1;
+  }
+
+  if (positives === 0 || negatives === 0) return null;
+  return (rankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+function evaluateModel(model, features, labels, threshold = DEFAULT_HYPERPARAMETERS.decisionThreshold) {
+  if (features.length === 0) return { sampleCount: 0 };
+
+  const probabilities = features.map(row =>
+    sigmoid(row.reduce((sum, value, i) => sum + value * model.weights[i], model.intercept))
+  );
+
+  let tp = 0;
+  let fp = 0;
+  let tn = 0;
+  let fn = 0;
+  let logLoss = 0;
+  const epsilon = 1e-15;
+
+  probabilities.forEach((probability, i) => {
+    const predicted = probability >= threshold ? 1 : 0;
+    const actual = labels[i];
+
+    if (predicted === 1 && actual === 1) tp++;
+    else if (predicted === 1 && actual === 0) fp++;
+    else if (predicted === 0 && actual === 0) tn++;
+    else fn++;
+
+    const p = Math.min(Math.max(probability, epsilon), 1 - epsilon);
+    logLoss -= actual * Math.log(p) + (1 - actual) * Math.log(1 - p);
+  });
+
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+
+  return {
+    sampleCount: features.length,
+    accuracy: (tp + tn) / features.length,
+    precision,
+    recall,
+    f1Score: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+    auc: calculateAUC(probabilities, labels),
+    logLoss: logLoss / features.length
+  };
+}
+
+// Load the decided applications used as training data
+async function loadTrainingApplications({ dateFrom, dateTo } = {}) {
+  const query = {
+    status: { $in: TRAINING_STATUSES },
+    'financial.creditScore': { $exists: true, $ne: null }
+  };
+
+  if (dateFrom || dateTo) {
+    query.completedAt = {};
+    if (dateFrom) query.completedAt.$gte = new Date(dateFrom);
+    if (dateTo) query.completedAt.$lte = new Date(dateTo);
+  }
+
+  return CreditApplication.find(query)
+    .select('applicationId status applicant.employment loan financial completedAt')
+    .sort({ applicationId: 1 })
+    .lean();
+}
+
+function buildTrainingSet(applications, engine) {
+  return applications.map(application => ({
+    applicationId: application.applicationId,
+    completedAt: application.completedAt,
+    features: engine.preprocessFeatures(toApplicantData(application)),
+    label: labelFor(application)
+  }));
+}
+
+const noop = async () => {};
+
+// Train a new model version on historical decisions and persist the artifact.
+// A training job passes `hooks` to follow the stages and to stop between
+// them; training returns null when stopped, before anything is registered.
+async function trainCreditModel(engine, { dataSource = {}, parameters = {}, userId, jobId, hooks = {} } = {}) {
+  const { log = noop, setStage = noop, isCancelled = async () => false } = hooks;
+  const hyperparameters = resolveHyperparameters(parameters);
+
+  await setStage('loading_data');
+  const applications = await loadTrainingApplications(dataSource);
+
+  if (applications.length < hyperparameters.minSamples) {
+    throw new Error(
+      `Not enough decided applications to train: found ${applications.length}, need at least ${hyperparameters.minSamples}`
+    );
+  }
+  await log(`Loaded ${applications.length} decided applications`);
+  if (await isCancelled()) return null;
+
+  await setStage('training');
+  const rows = buildTrainingSet(applications, engine);
+  const { training, holdout } = splitHoldout(rows, hyperparameters.holdoutFraction, hyperparameters.seed);
+
+  const model = trainLogisticRegression(
+    training.map(row => row.features),
+    training.map(row => row.label),
+    hyperparameters
+  );
+  model.referenceFeatures = engine.featureNames.map((feature, i) =>
+    training.reduce((sum, row) => sum + row.features[i], 0) / training.length
+  );
+
+  await log(`Trained on ${training.length} applications (${hyperparameters.iterations} iterations)`);
+  if (await isCancelled()) return null;
+
+  await setStage('evaluating');
+  const metrics = {
+    training: evaluateModel(model, training.map(row => row.features), training.map(row => row.label), hyperparameters.decisionThreshold),
+    holdout: evaluateModel(model, holdout.map(row => row.features), holdout.map(row => row.label), hyperparameters.decisionThreshold)
+  };
+
+  // Score and feature distributions that drift monitoring compares later applications against
+  const baseline = buildBaseline(
+    training.map(row => ({
+      score: Math.round(engine.calculateProbability(row.features, model) * 550 + 300),
+      features: row.features
+    })),
+    engine.featureNames
+  );
+
+  const holdoutAuc = Number.isFinite(metrics.holdout.auc) ? metrics.holdout.auc.toFixed(4) : 'n/a';
+  await log(`Evaluated on a holdout of ${holdout.length}: AUC ${holdoutAuc}`);
+  if (await isCancelled()) return null;
+
+  // No cancellation past this point: the version is registered
+  await setStage('registering');
+  const completedDates = rows.map(row => row.completedAt).filter(Boolean).map(date => new Date(date).getTime());
+  const positiveCount = rows.filter(row => row.label === 1).length;
+  const version = `lr-${new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}`;
+
+  const modelVersion = await ModelVersion.create({
+    version,
+    algorithm: 'logistic_regression',
+    featureNames: engine.featureNames,
+    parameters: model,
+    hyperparameters,
+    trainingData: {
+      source: 'application_decisions',
+      scorecardVersion: engine.getActiveScorecard().version,
+      sampleCount: rows.length,
+      positiveCount,
+      negativeCount: rows.length - positiveCount,
+      trainingCount: training.length,
+      holdoutCount: holdout.length,
+      dateRange: {
+        from: completedDates.length ? new Date(Math.min(...completedDates)) : undefined,
+        to: completedDates.length ? new Date(Math.max(...completedDates)) : undefined
+      },
+      datasetHash: crypto.createHash('sha256')
+        .update(JSON.stringify(rows.map(row => [row.applicationId, row.label])))
+        .digest('hex')
+    },
+    metrics,
+    baseline,
+    trainedBy: userId,
+    trainingJob: jobId
+  });
+  await log(`Registered model version ${version} as a candidate`);
+
+  aiLogger.info('Credit model trained', {
+    modelVersion: version,
+    sampleCount: rows.length,
+    holdoutAuc: metrics.holdout.auc,
+    holdoutAccuracy: metrics.holdout.accuracy
+  });
+
+  return modelVersion;
+}
+
+// Fit a probability-of-default calibration for a model version on booked
+// loans with recorded repayment performance
+async function calibrateModelVersion(engine, version, { method = 'platt', userId } = {}) {
+  const modelVersion = await ModelVersion.findOne({ version });
+  if (!modelVersion) {
+    const error = new Error(`Model version ${version} not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const applications = await CreditApplication.find({
+    status: 'approved',
+    'performance.status': { $exists: true, $ne: null }
+  })
+    .select('applicationId applicant.employment loan financial performance.status performance.worstStatus')
+    .lean();
+
+  const defaults = applications.map(application => (isDefault(application.performance) ? 1 : 0));
+  const defaultCount = defaults.filter(Boolean).length;
+
+  if (applications.length < MIN_CALIBRATION_SAMPLES || defaultCount === 0 || defaultCount === applications.length) {
+    const error = new Error(
+      `Calibration needs at least ${MIN_CALIBRATION_SAMPLES} loan outcomes including both defaults and non-defaults ` +
+      `(found ${applications.length} outcomes, ${defaultCount} defaults)`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const artifact = modelVersion.toArtifact();
+  const probabilities = applications.map(application =>
+    engine.calculateProbability(engine.preprocessFeatures(toApplicantData(application)), artifact)
+  );
+
+  modelVersion.calibration = {
+    ...fitCalibration(method, probabilities, defaults),
+    fittedBy: userId
+  };
+  await modelVersion.save();
+
+  aiLogger.info('PD calibration fitted', {
+    modelVersion: version,
+    method,
+    sampleCount: applications.length,
+    defaultRate: modelVersion.calibration.defaultRate,
+    brierScore: modelVersion.calibration.brierScore
+  });
+
+  return modelVersion;
+}
+
+module.exports = {
+  DEFAULT_HYPERPARAMETERS,
+  HYPERPARAMETER_LIMITS,
+  resolveHyperparameters,
+  loadTrainingApplications,
+  buildTrainingSet,
+  splitHoldout,
+  trainLogisticRegression,
+  evaluateModel,
+  calculateAUC,
+  trainCreditModel,
+  calibrateModelVersion
+};
@@ -0,0 +1,84 @@
+// Population stability statistics. A baseline stores the quantile bins of
+// the score and of every model feature over the training data; the
+// population stability index (PSI, on the score) and characteristic
+// stability index (CSI, on a feature) measure how far a later sample's
+// distribution over the same bins has moved:
+//   index = sum((actual - expected) * ln(actual / expected))
+
+const { driftParameters } = require('../config/riskParameters');
+
+// Empty bins would make the index infinite
+const MIN_PROPORTION = 0.0001;
+
+// Upper bounds of equal-frequency bins. Repeated values collapse bins, so
+// discrete features end up with one bin per distinct value.
+function quantileEdges(values, bins = driftParameters.bins) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+
+  const edges = [];
+  for (let k = 1; k < bins; k++) {
+    const edge = sorted[Math.min(Math.floor((k * sorted.length) / bins), sorted.length - 1)];
+    if (edge < sorted[sorted.length - 1] && (edges.length === 0 || edge > edges[edges.length - 1])) {
+      edges.push(edge);
+    }
+  }
+  return edges;
+}
+
+// Share of values in each bin: (-inf, e0], (e0, e1], ..., (e_last, inf)
+function binProportions(values, edges) {
+  const counts = new Array(edges.length + 1).fill(0);
+  let total = 0;
+
+  values.forEach((value) => {
+    if (!Number.isFinite(value)) return;
+    let bin = edges.findIndex(edge => value <= edge);
+    if (bin === -1) bin = edges.length;
+    counts[bin]++;
+    total++;
+  });
+
+  return counts.map(count => (total > 0 ? count / total : 0));
+}
+
+function stabilityIndex(expected, actual) {
+  return expected.reduce((sum, e, i) => {
+    const expectedShare = Math.max(e, MIN_PROPORTION);
+    const actualShare = Math.max(actual[i], MIN_PROPORTION);
+    return sum + (actualShare - expectedShare) * Math.log(actualShare / expectedShare);
+  }, 0);
+}
+
+function stabilityStatus(index, parameters = driftParameters) {
+  if (index >= parameters.alertThreshold) return 'alert';
+  if (index >= parameters.warningThreshold) return 'warning';
+  return 'stable';
+}
+
+const distributionOf = (values, bins) => {
+  const edges = quantileEdges(values, bins);
+  return { edges, proportions: binProportions(values, edges) };
+};
+
+// Baseline from scored rows: [{ score, features }]
+function buildBaseline(rows, featureNames, { source = 'training', bins = driftParameters.bins } = {}) {
+  return {
+    source,
+    sampleCount: rows.length,
+    createdAt: new Date(),
+    score: distributionOf(rows.map(row => row.score), bins),
+    features: featureNames.map((feature, i) => ({
+      feature,
+      ...distributionOf(rows.map(row => row.features[i]), bins)
+    }))
+  };
+}
+
+module.exports = {
+  quantileEdges,
+  binProportions,
+  stabilityIndex,
+  stabilityStatus,
+  buildBaseline
+};
@@ -0,0 +1,286 @@
+// Portfolio scoring: score applicant records that are not CreditApplications
+// (existing portfolios, prospect lists) from a CSV or JSON Lines file. Records
+// are read and scored one at a time and the results are produced as CSV lines,
+// so files of any length are handled in constant memory. Rows that fail
+// validation are reported in the output with their errors instead of a score.
+
+const readline = require('readline');
+const CreditApplication = require('../models/CreditApplication');
+const { readCsvRows, formatCsvRow } = require('../utils/csv');
+const { rankReasonCodes } = require('./reasonCodes');
+const { IMPUTATION_DEFAULTS } = require('./applicantFeatures');
+
+const PORTFOLIO_FORMATS = ['csv', 'jsonl'];
+
+// Engine inputs, the column names they are recognised under (besides their
+// own name and the engine feature name) and their validation rules
+const PORTFOLIO_INPUTS = {
+  creditScore: { feature: 'credit_score', aliases: ['fico', 'fico_score', 'bureau_score'], type: 'number', required: true, min: 300, max: 850 },
+  annualIncome: { feature: 'annual_income', aliases: ['income'], type: 'number', required: true, min: 0 },
+  debtToIncomeRatio: { feature: 'debt_to_income_ratio', aliases: ['dti'], type: 'number', required: true, min: 0 },
+  employmentLength: { feature: 'employment_length', aliases: ['years_employed'], type: 'number', min: 0, default: IMPUTATION_DEFAULTS.employmentLength },
+  loanAmount: { feature: 'loan_amount', aliases: ['amount'], type: 'number', required: true, min: 1 },
+  loanTerm: { feature: 'loan_term', aliases: ['term'], type: 'number', required: true, min: 1 },
+  paymentHistoryScore: { feature: 'payment_history_score', type: 'number', min: 0, max: 100, default: IMPUTATION_DEFAULTS.paymentHistoryScore },
+  creditUtilization: { feature: 'credit_utilization', aliases: ['utilization'], type: 'number', min: 0, default: IMPUTATION_DEFAULTS.creditUtilization },
+  numberOfAccounts: { feature: 'number_of_accounts', aliases: ['accounts'], type: 'number', min: 0, default: IMPUTATION_DEFAULTS.numberOfAccounts },
+  recentInquiries: { feature: 'recent_inquiries', aliases: ['inquiries'], type: 'number', min: 0, default: IMPUTATION_DEFAULTS.recentInquiries },
+  collateralValue: { feature: 'collateral_value', type: 'number', min: 0, default: 0 },
+  collateralType: { type: 'string', values: CreditApplication.schema.path('loan.collateral.type').enumValues, default: 'none' },
+  loanPurpose: { aliases: ['purpose'], type: 'string', values: CreditApplication.schema.path('loan.purpose').enumValues, default: 'other' },
+  // Fraud and identity inputs
+  ssn: { type: 'string' },
+  age: { type: 'number', min: 18, max: 120 },
+  timeAtAddress: { aliases: ['months_at_address'], type: 'number', min: 0 },
+  oldestAccountOpened: { type: 'date' },
+  oldestPrimaryAccountOpened: { type: 'date' },
+  authorizedUserAccounts: { type: 'number', min: 0, default: 0 }
+};
+
+const ID_COLUMNS = ['id', 'record_id', 'recordid', 'customer_id', 'customerid', 'account_id', 'accountid', 'reference'];
+
+const OUTPUT_COLUMNS = [
+  'row', 'id', 'status', 'errors',
+  'credit_score', 'risk_level', 'probability', 'pd', 'expected_loss',
+  'offer_eligible', 'apr', 'monthly_payment', 'reason_codes',
+  'fraud_score', 'fraud_risk_level', 'fraud_recommendation', 'fraud_rules',
+  'identity_risk_score', 'identity_risk_level', 'imputed'
+];
+
+const portfolioError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Header names compare case-, space- and punctuation-insensitively
+const normalizeColumn = (name) => String(name).trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const ALIAS_INDEX = Object.entries(PORTFOLIO_INPUTS).reduce((index, [input, spec]) => {
+  [input, spec.feature, ...(spec.aliases || [])].filter(Boolean).forEach((alias) => {
+    index.set(normalizeColumn(alias), input);
+  });
+  return index;
+}, new Map());
+
+const ID_INDEX = new Set(ID_COLUMNS.map(normalizeColumn));
+
+// Column -> input resolver. `mapping` maps file columns to input or feature
+// names and takes precedence over the built-in aliases.
+function createColumnResolver(mapping = {}) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw portfolioError('mapping must be an object of { column: input }');
+  }
+
+  const explicit = new Map();
+  Object.entries(mapping).forEach(([column, target]) => {
+    const input = ALIAS_INDEX.get(normalizeColumn(target));
+    if (!input && !ID_INDEX.has(normalizeColumn(target))) {
+      throw portfolioError(`mapping for '${column}' names an unknown input '${target}'`);
+    }
+    explicit.set(normalizeColumn(column), input || 'id');
+  });
+
+  const cache = new Map();
+  return (column) => {
+    const key = normalizeColumn(column);
+    if (!cache.has(key)) {
+      let target = explicit.get(key) || ALIAS_INDEX.get(key) || null;
+      if (!target && ID_INDEX.has(key)) target = 'id';
+      cache.set(key, target);
+    }
+    return cache.get(key);
+  };
+}
+
+function parseValue(input, raw, errors) {
+  const spec = PORTFOLIO_INPUTS[input];
+
+  if (spec.type === 'string') {
+    const value = String(raw).trim();
+    if (spec.values && !spec.values.includes(value)) {
+      errors.push(`${input} must be one of: ${spec.values.join(', ')}`);
+      return undefined;
+    }
+    return value;
+  }
+
+  if (spec.type === 'date') {
+    const date = new Date(raw);
+    if (isNaN(date.getTime())) {
+      errors.push(`${input} must be a date`);
+      return undefined;
+    }
+    return date;
+  }
+
+  const value = typeof raw === 'number' ? raw : Number(String(raw).replace(/[$,%\s]/g, ''));
+  if (!Number.isFinite(value)) {
+    errors.push(`${input} must be a number`);
+    return undefined;
+  }
+  if (value < spec.min || (spec.max !== undefined && value > spec.max)) {
+    errors.push(`${input} must be ${spec.max !== undefined ? `between ${spec.min} and ${spec.max}` : `at least ${spec.min}`}`);
+    return undefined;
+  }
+  return value;
+}
+
+// Applicant data from one record, with defaults for missing optional inputs
+function toPortfolioApplicant(record, resolveColumn) {
+  const errors = [];
+  const data = {};
+  let id = null;
+
+  Object.entries(record).forEach(([column, raw]) => {
+    const input = resolveColumn(column);
+    if (!input || raw === null || raw === undefined || String(raw).trim() === '') return;
+    if (input === 'id') {
+      id = String(raw).trim();
+      return;
+    }
+    const value = parseValue(input, raw, errors);
+    if (value !== undefined) data[input] = value;
+  });
+
+  const imputed = [];
+  Object.entries(PORTFOLIO_INPUTS).forEach(([input, spec]) => {
+    if (data[input] !== undefined || errors.some(error => error.startsWith(`${input} `))) return;
+    if (spec.required) {
+      errors.push(`${input} is required`);
+    } else if (spec.default !== undefined) {
+      data[input] = spec.default;
+      imputed.push(input);
+    }
+  });
+
+  return { id, data, imputed, errors };
+}
+
+const round = (value, places = 4) =>
+  (Number.isFinite(value) ? Math.round(value * 10 ** places) / 10 ** places : '');
+
+async function scoreRecord(engine, data, imputed) {
+  const { creditScore, riskLevel, probability, features } = engine.scoreApplicant(data);
+  const riskMetrics = engine.calculateRiskMetrics(data, probability);
+  const offer = engine.priceOffer(data, riskLevel, riskMetrics.pd);
+  const reasonCodes = rankReasonCodes(engine.explainScore(features));
+  const fraud = await engine.evaluateFraudRisk({ ...data, imputed });
+
+  return {
+    credit_score: creditScore,
+    risk_level: riskLevel,
+    probability: round(probability),
+    pd: round(riskMetrics.pd),
+    expected_loss: round(riskMetrics.expectedLoss, 2),
+    offer_eligible: offer.eligible,
+    apr: offer.eligible ? offer.apr : '',
+    monthly_payment: offer.eligible ? offer.monthlyPayment : '',
+    reason_codes: reasonCodes.map(reason => reason.code).join(';'),
+    fraud_score: fraud.fraudScore,
+    fraud_risk_level: fraud.riskLevel,
+    fraud_recommendation: fraud.recommendation,
+    fraud_rules: fraud.triggeredRules.map(rule => rule.code).join(';'),
+    identity_risk_score: fraud.identityRisk.identityRiskScore,
+    identity_risk_level: fraud.identityRisk.riskLevel
+  };
+}
+
+// Records of a CSV (keyed by the header row) or JSON Lines stream
+async function* readPortfolioRecords(stream, format) {
+  if (format === 'csv') {
+    let columns = null;
+    for await (const values of readCsvRows(stream)) {
+      if (!columns) {
+        columns = values.map(column => column.replace(/^\uFEFF/, '').trim());
+        continue;
+      }
+      yield columns.reduce((record, column, i) => {
+        record[column] = values[i];
+        return record;
+      }, {});
+    }
+    return;
+  }
+
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line.replace(/^\uFEFF/, ''));
+      yield record && typeof record === 'object' && !Array.isArray(record)
+        ? record
+        : { __error: 'Line is not a JSON object' };
+    } catch (error) {
+      yield { __error: `Invalid JSON: ${error.message}` };
+    }
+  }
+}
+
+// CSV output lines (header first) for the records of a portfolio file, with
+// running totals in `summary`. A CSV file whose header lacks a required input
+// is rejected before any line is produced.
+async function* scorePortfolio(engine, stream, { format, mapping, summary = {} } = {}) {
+  if (!PORTFOLIO_FORMATS.includes(format)) {
+    throw portfolioError(`Portfolio file format must be one of: ${PORTFOLIO_FORMATS.join(', ')}`);
+  }
+
+  const resolveColumn = createColumnResolver(mapping);
+  Object.assign(summary, { total: 0, scored: 0, failed: 0 });
+
+  let headerChecked = format !== 'csv';
+  let headerWritten = false;
+
+  for await (const record of readPortfolioRecords(stream, format)) {
+    if (!headerChecked) {
+      const mapped = new Set(Object.keys(record).map(resolveColumn));
+      const missing = Object.keys(PORTFOLIO_INPUTS)
+        .filter(input => PORTFOLIO_INPUTS[input].required && !mapped.has(input));
+      if (missing.length > 0) {
+        throw portfolioError(`File has no column for required inputs: ${missing.join(', ')}`);
+      }
+      headerChecked = true;
+    }
+    if (!headerWritten) {
+      yield `${formatCsvRow(OUTPUT_COLUMNS)}\n`;
+      headerWritten = true;
+    }
+
+    summary.total++;
+    const output = { row: summary.total };
+
+    const { id, data, imputed, errors } = record.__error
+      ? { id: null, data: {}, imputed: [], errors: [record.__error] }
+      : toPortfolioApplicant(record, resolveColumn);
+    output.id = id || '';
+
+    if (errors.length === 0) {
+      try {
+        Object.assign(output, await scoreRecord(engine, data, imputed), { status: 'scored', imputed: imputed.join(';') });
+        summary.scored++;
+      } catch (error) {
+        errors.push(`Scoring failed: ${error.message}`);
+      }
+    }
+    if (errors.length > 0) {
+      output.status = 'error';
+      output.errors = errors.join('; ');
+      summary.failed++;
+    }
+
+    yield `${formatCsvRow(OUTPUT_COLUMNS.map(column => output[column]))}\n`;
+  }
+
+  if (!headerWritten) {
+    throw portfolioError('Portfolio file has no records');
+  }
+}
+
+module.exports = {
+  PORTFOLIO_FORMATS,
+  PORTFOLIO_INPUTS,
+  OUTPUT_COLUMNS,
+  createColumnResolver,
+  toPortfolioApplicant,
+  scorePortfolio
+};
@@ -0,0 +1,199 @@
+// Risk-based pricing. The offered rate is built up from a rate card:
+//
+//   rate = base rate + risk tier spread + PD spread + term adjustment
+//          + purpose adjustment + collateral adjustment
+//
+// clamped to the card's floor and ceiling. Rates and adjustments are annual
+// percentages (7.5 means 7.5%). The APR additionally folds in the
+// origination fee, as the finance charge spread over the loan's payments.
+
+const RISK_TIERS = ['LOW', 'MEDIUM', 'HIGH', 'VERY_HIGH'];
+
+// Built-in rate card, used until an admin activates one of their own
+const DEFAULT_RATE_CARD = {
+  version: 0,
+  name: 'Default rate card',
+  baseRate: 6.5,
+  riskSpreads: {
+    LOW: 0,
+    MEDIUM: 2,
+    HIGH: 5
+  },
+  // Rate points added per percentage point of probability of default
+  pdSpreadPerPoint: 0.1,
+  termAdjustments: [
+    { minTerm: 1, maxTerm: 37, adjustment: 0 },
+    { minTerm: 37, maxTerm: 121, adjustment: 0.5 },
+    { minTerm: 121, adjustment: 0.75 }
+  ],
+  purposeAdjustments: {
+    home_purchase: -0.5,
+    home_improvement: 0,
+    debt_consolidation: 0.5,
+    auto_loan: -0.25,
+    business: 1,
+    education: 0,
+    medical: 0,
+    vacation: 1.5,
+    other: 1
+  },
+  collateralAdjustments: {
+    real_estate: -1,
+    vehicle: -0.5,
+    investment: -0.75,
+    none: 0
+  },
+  originationFeeRate: 0,
+  minRate: 3,
+  maxRate: 35.99
+};
+
+// Adjustment tables may arrive as plain objects or Mongoose Maps
+const tableValue = (table, key) => {
+  if (!table || key === undefined || key === null) return undefined;
+  return typeof table.get === 'function' ? table.get(key) : table[key];
+};
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const roundRate = (value) => Math.round(value * 1000) / 1000;
+
+// Level monthly payment for an annual percentage rate
+function monthlyPayment(principal, annualRate, termMonths) {
+  const monthlyRate = annualRate / 100 / 12;
+  if (monthlyRate === 0) return principal / termMonths;
+  return principal * monthlyRate / (1 - Math.pow(1 + monthlyRate, -termMonths));
+}
+
+// Annual rate at which the payments repay the amount actually received
+// (principal less prepaid fees), found by bisection
+function solveAPR(amountReceived, payment, termMonths) {
+  let low = 0;
+  let high = 100;
+
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (monthlyPayment(amountReceived, mid, termMonths) > payment) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+function termAdjustment(rateCard, termMonths) {
+  const band = (rateCard.termAdjustments || []).find(candidate =>
+    (candidate.minTerm === undefined || candidate.minTerm === null || termMonths >= candidate.minTerm) &&
+    (candidate.maxTerm === undefined || candidate.maxTerm === null || termMonths < candidate.maxTerm)
+  );
+  return band ? band.adjustment : 0;
+}
+
+// Rate, payment and cost of credit for a loan under the given rate card.
+// Risk tiers without a spread on the card are not eligible for an offer.
+function priceLoan(rateCard, { riskLevel, pd = 0, loanAmount, loanTerm, loanPurpose, collateralType }) {
+  const riskSpread = tableValue(rateCard.riskSpreads, riskLevel);
+
+  if (riskSpread === undefined || riskSpread === null) {
+    return {
+      eligible: false,
+      reason: `No pricing is offered for ${riskLevel} risk`,
+      rateCardVersion: rateCard.version
+    };
+  }
+
+  if (!(loanAmount > 0) || !(loanTerm > 0)) {
+    return {
+      eligible: false,
+      reason: 'Loan amount and term are required for pricing',
+      rateCardVersion: rateCard.version
+    };
+  }
+
+  const components = {
+    baseRate: rateCard.baseRate,
+    riskSpread,
+    pdSpread: roundRate((pd || 0) * 100 * (rateCard.pdSpreadPerPoint || 0)),
+    termAdjustment: termAdjustment(rateCard, loanTerm),
+    purposeAdjustment: tableValue(rateCard.purposeAdjustments, loanPurpose) || 0,
+    collateralAdjustment: tableValue(rateCard.collateralAdjustments, collateralType || 'none') || 0
+  };
+
+  const unclampedRate = Object.values(components).reduce((sum, value) => sum + value, 0);
+  const interestRate = roundRate(Math.min(Math.max(unclampedRate, rateCard.minRate), rateCard.maxRate));
+
+  const payment = monthlyPayment(loanAmount, interestRate, loanTerm);
+  const originationFee = roundCurrency(loanAmount * (rateCard.originationFeeRate || 0) / 100);
+  const totalOfPayments = roundCurrency(payment * loanTerm);
+  const totalInterest = roundCurrency(totalOfPayments - loanAmount);
+
+  return {
+    eligible: true,
+    interestRate,
+    apr: originationFee > 0
+      ? roundRate(solveAPR(loanAmount - originationFee, payment, loanTerm))
+      : interestRate,
+    monthlyPayment: roundCurrency(payment),
+    term: loanTerm,
+    amountFinanced: loanAmount,
+    originationFee,
+    totalOfPayments,
+    totalInterest,
+    totalCostOfCredit: roundCurrency(totalInterest + originationFee),
+    components,
+    rateCardVersion: rateCard.version
+  };
+}
+
+// Returns a list of problems; an empty list means the rate card is usable
+function validateRateCard(rateCard) {
+  const errors = [];
+  const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+  if (!isNumber(rateCard.baseRate)) {
+    errors.push('baseRate must be a number');
+  }
+  if (!isNumber(rateCard.minRate) || !isNumber(rateCard.maxRate) || rateCard.minRate > rateCard.maxRate) {
+    errors.push('minRate and maxRate must be numbers with minRate no greater than maxRate');
+  }
+  if (rateCard.originationFeeRate !== undefined && !(rateCard.originationFeeRate >= 0 && rateCard.originationFeeRate < 100)) {
+    errors.push('originationFeeRate must be between 0 and 100');
+  }
+
+  const riskSpreads = rateCard.riskSpreads || {};
+  const spreadEntries = riskSpreads instanceof Map
+    ? Array.from(riskSpreads.entries())
+    : Object.entries(riskSpreads);
+
+  if (spreadEntries.length === 0) {
+    errors.push('riskSpreads must price at least one risk tier');
+  }
+  spreadEntries.forEach(([tier, spread]) => {
+    if (!RISK_TIERS.includes(tier)) {
+      errors.push(`riskSpreads.${tier}: unknown risk tier`);
+    } else if (spread !== null && !isNumber(spread)) {
+      errors.push(`riskSpreads.${tier}: spread must be a number`);
+    }
+  });
+
+  (rateCard.termAdjustments || []).forEach((band, index) => {
+    if (!isNumber(band.adjustment)) {
+      errors.push(`termAdjustments[${index}]: adjustment must be a number`);
+    }
+    if (isNumber(band.minTerm) && isNumber(band.maxTerm) && band.minTerm >= band.maxTerm) {
+      errors.push(`termAdjustments[${index}]: minTerm must be below maxTerm`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  RISK_TIERS,
+  DEFAULT_RATE_CARD,
+  monthlyPayment,
+  priceLoan,
+  validateRateCard
+};
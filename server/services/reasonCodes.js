@@ -0,0 +1,142 @@
+// Adverse-action reason codes, one per engine feature. Statements follow the
+// wording of the Regulation B sample notice and bureau score reason codes.
+const REASON_CODES = {
+  credit_score: {
+    code: 'R01',
+    label: 'Credit Score',
+    statement: 'Credit bureau score does not meet our lending standards'
+  },
+  annual_income: {
+    code: 'R02',
+    label: 'Annual Income',
+    statement: 'Income insufficient for amount of credit requested'
+  },
+  debt_to_income_ratio: {
+    code: 'R03',
+    label: 'Debt-to-Income',
+    statement: 'Excessive obligations in relation to income'
+  },
+  employment_length: {
+    code: 'R04',
+    label: 'Employment Length',
+    statement: 'Length of employment'
+  },
+  loan_amount: {
+    code: 'R05',
+    label: 'Loan Amount',
+    statement: 'Amount of credit requested is too high for your credit profile'
+  },
+  loan_term: {
+    code: 'R06',
+    label: 'Loan Term',
+    statement: 'Requested repayment term does not meet our lending standards'
+  },
+  payment_history_score: {
+    code: 'R07',
+    label: 'Payment History',
+    statement: 'Delinquent past or present credit obligations with others'
+  },
+  credit_utilization: {
+    code: 'R08',
+    label: 'Credit Utilization',
+    statement: 'Proportion of balances to credit limits is too high on revolving accounts'
+  },
+  number_of_accounts: {
+    code: 'R09',
+    label: 'Number of Accounts',
+    statement: 'Limited credit experience'
+  },
+  recent_inquiries: {
+    code: 'R10',
+    label: 'Recent Inquiries',
+    statement: 'Number of recent inquiries on credit bureau report'
+  },
+  collateral_value: {
+    code: 'R11',
+    label: 'Collateral Value',
+    statement: 'Value or type of collateral not sufficient'
+  },
+  loan_purpose_score: {
+    code: 'R12',
+    label: 'Loan Purpose',
+    statement: 'Purpose of credit does not meet our lending standards'
+  }
+};
+
+// Reasons an underwriter can cite on a manual denial that no model feature
+// covers, worded as in the Regulation B sample notice
+const DECISION_REASON_CODES = {
+  D01: 'Unable to verify income',
+  D02: 'Unable to verify employment',
+  D03: 'Unable to verify residence',
+  D04: 'Incomplete credit application',
+  D05: 'Unable to verify credit references',
+  D06: 'Insufficient number of credit references provided'
+};
+
+// Regulation B: a notice need not list more than four principal reasons
+const MAX_PRINCIPAL_REASONS = 4;
+
+// Contributions smaller than this (in score points) are reported as neutral
+const NEUTRAL_THRESHOLD = 0.5;
+
+// Rank features that pulled the score down, most damaging first
+function rankReasonCodes(contributions) {
+  return contributions
+    .filter(contribution => contribution.points <= -NEUTRAL_THRESHOLD)
+    .sort((a, b) => a.points - b.points)
+    .map((contribution, index) => {
+      const reason = REASON_CODES[contribution.feature];
+      return {
+        rank: index + 1,
+        code: reason.code,
+        feature: contribution.feature,
+        statement: reason.statement,
+        contribution: contribution.points
+      };
+    });
+}
+
+function principalReasons(reasonCodes, limit = MAX_PRINCIPAL_REASONS) {
+  return (reasonCodes || []).slice(0, limit);
+}
+
+// Notice statement for a model (R..) or underwriter (D..) reason code;
+// undefined when the code is unknown
+function reasonStatement(code) {
+  if (DECISION_REASON_CODES[code]) return DECISION_REASON_CODES[code];
+  const reason = Object.values(REASON_CODES).find(candidate => candidate.code === code);
+  return reason ? reason.statement : undefined;
+}
+
+function describeContribution(contribution) {
+  const reason = REASON_CODES[contribution.feature];
+  let impact = 'NEUTRAL';
+  if (contribution.points >= NEUTRAL_THRESHOLD) impact = 'POSITIVE';
+  if (contribution.points <= -NEUTRAL_THRESHOLD) impact = 'NEGATIVE';
+
+  const magnitude = Math.abs(contribution.points).toFixed(1);
+  const description = impact === 'NEUTRAL'
+    ? `${reason.label} had no material effect on the score`
+    : `${reason.label} ${impact === 'POSITIVE' ? 'added' : 'subtracted'} ${magnitude} points`;
+
+  return {
+    factor: reason.label,
+    feature: contribution.feature,
+    impact,
+    contribution: contribution.points,
+    value: contribution.value,
+    description
+  };
+}
+
+module.exports = {
+  REASON_CODES,
+  DECISION_REASON_CODES,
+  MAX_PRINCIPAL_REASONS,
+  NEUTRAL_THRESHOLD,
+  rankReasonCodes,
+  principalReasons,
+  reasonStatement,
+  describeContribution
+};
@@ -0,0 +1,406 @@
+// Sanctions and watchlist screening. Applicants are fuzzy-matched against the
+// locally imported watchlists on name (Jaro-Winkler, tolerant of word order
+// and missing middle names), date of birth and address. Every run is stored
+// as a SanctionsScreening audit record; potential matches open a compliance
+// review task and hold the application's approval until it is resolved.
+
+const CreditApplication = require('../models/CreditApplication');
+const WatchlistEntry = require('../models/WatchlistEntry');
+const WatchlistImport = require('../models/WatchlistImport');
+const SanctionsScreening = require('../models/SanctionsScreening');
+const ComplianceTask = require('../models/ComplianceTask');
+const { screeningThresholds } = require('../config/sanctions');
+const { complianceLogger } = require('../utils/logger');
+
+const MAX_CANDIDATES = 20000;
+
+// Sanctions statuses that must be resolved before an application is approved
+const BLOCKING_STATUSES = ['potential_match', 'confirmed_match'];
+
+// Sanctions statuses where the applicant has not actually been screened: never
+// run, or run with no watchlists loaded. Approval is held on these as well.
+const UNSCREENED_STATUSES = ['not_screened', 'unavailable'];
+
+const COUNTRY_ALIASES = {
+  us: 'us',
+  usa: 'us',
+  'united states': 'us',
+  'united states of america': 'us',
+  uk: 'gb',
+  gb: 'gb',
+  'united kingdom': 'gb'
+};
+
+function normalizeName(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const nameTokens = (name) => normalizeName(name).split(' ').filter(Boolean);
+
+// Lookup keys stored on watchlist entries and derived from applicant names
+function nameKeys(names) {
+  const tokens = new Set();
+  names.forEach(name => nameTokens(name).forEach(token => tokens.add(token)));
+
+  return {
+    nameTokens: Array.from(tokens),
+    namePrefixes: Array.from(new Set(Array.from(tokens).map(token => token.slice(0, 3))))
+  };
+}
+
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const matchWindow = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchWindow);
+    const end = Math.min(i + matchWindow + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Best of whole-name and word-by-word similarity. Word-by-word compares each
+// word of the shorter name with its closest word in the longer one, so a
+// missing middle name or reversed word order does not hide a match.
+function nameSimilarity(a, b) {
+  const aTokens = nameTokens(a);
+  const bTokens = nameTokens(b);
+  if (aTokens.length === 0 || bTokens.length === 0) return 0;
+
+  const whole = Math.max(
+    jaroWinkler(aTokens.join(' '), bTokens.join(' ')),
+    jaroWinkler(aTokens.slice().sort().join(' '), bTokens.slice().sort().join(' '))
+  );
+
+  const [shorter, longer] = aTokens.length <= bTokens.length ? [aTokens, bTokens] : [bTokens, aTokens];
+  if (shorter.length < 2) return whole;
+
+  const byWord = shorter.reduce((sum, token) =>
+    sum + Math.max(...longer.map(other => jaroWinkler(token, other))), 0) / shorter.length;
+
+  return Math.max(whole, byWord);
+}
+
+// Listed dates of birth are often partial (year only, or year and month)
+function dateOfBirthSimilarity(dateOfBirth, listedDates) {
+  if (!dateOfBirth || !listedDates || listedDates.length === 0) return null;
+
+  const dob = new Date(dateOfBirth);
+  const year = dob.getUTCFullYear();
+  const month = dob.getUTCMonth() + 1;
+  const day = dob.getUTCDate();
+
+  return Math.max(...listedDates.map((listed) => {
+    if (listed.year === year) {
+      if (!listed.month) return 0.9;
+      if (listed.month !== month) return 0.5;
+      if (!listed.day || listed.day === day) return 1;
+      return 0.5;
+    }
+    return Math.abs(listed.year - year) === 1 ? 0.3 : 0;
+  }));
+}
+
+const normalizeCountry = (country) => {
+  const normalized = normalizeName(country);
+  return COUNTRY_ALIASES[normalized] || normalized;
+};
+
+// Share of the listed address fields that agree with the applicant's address
+function addressSimilarity(address, listedAddresses) {
+  if (!address || !listedAddresses || listedAddresses.length === 0) return null;
+
+  const scores = listedAddresses.map((listed) => {
+    const fields = [
+      { weight: 0.4, listed: listed.country, compare: () => normalizeCountry(listed.country) === normalizeCountry(address.country || 'US') },
+      { weight: 0.3, listed: listed.city, compare: () => jaroWinkler(normalizeName(listed.city), normalizeName(address.city)) >= 0.9 },
+      { weight: 0.3, listed: listed.postalCode, compare: () => normalizeName(listed.postalCode) === normalizeName(address.zipCode) }
+    ].filter(field => field.listed);
+
+    const available = fields.reduce((sum, field) => sum + field.weight, 0);
+    if (available === 0) return null;
+    return fields.reduce((sum, field) => sum + (field.compare() ? field.weight : 0), 0) / available;
+  }).filter(score => score !== null);
+
+  return scores.length ? Math.max(...scores) : null;
+}
+
+// Weighted score over the components the list actually carries
+function scoreCandidate(subject, entry, thresholds = screeningThresholds) {
+  const names = [entry.name, ...(entry.aliases || [])];
+  let nameScore = 0;
+  let matchedName = entry.name;
+
+  names.forEach((name) => {
+    const score = nameSimilarity(subject.name, name);
+    if (score > nameScore) {
+      nameScore = score;
+      matchedName = name;
+    }
+  });
+
+  const dateOfBirthScore = dateOfBirthSimilarity(subject.dateOfBirth, entry.datesOfBirth);
+  const addressScore = addressSimilarity(subject.address, entry.addresses);
+
+  const components = [
+    { score: nameScore, weight: thresholds.weights.name },
+    { score: dateOfBirthScore, weight: thresholds.weights.dateOfBirth },
+    { score: addressScore, weight: thresholds.weights.address }
+  ].filter(component => component.score !== null);
+
+  const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+  const score = components.reduce((sum, component) => sum + component.score * component.weight, 0) / totalWeight;
+
+  return {
+    matchedName,
+    score: Math.round(score * 1000) / 1000,
+    nameScore: Math.round(nameScore * 1000) / 1000,
+    dateOfBirthScore,
+    addressScore,
+    potentialMatch: nameScore >= thresholds.nameThreshold && score >= thresholds.matchThreshold
+  };
+}
+
+// Latest successful import of every list; entries of older imports are superseded
+async function currentLists() {
+  return WatchlistImport.aggregate([
+    { $match: { status: 'succeeded' } },
+    { $sort: { completedAt: -1 } },
+    {
+      $group: {
+        _id: '$listName',
+        import: { $first: '$_id' },
+        importedAt: { $first: '$completedAt' },
+        entryCount: { $first: '$entryCount' }
+      }
+    },
+    { $project: { _id: 0, listName: '$_id', import: 1, importedAt: 1, entryCount: 1 } }
+  ]);
+}
+
+const subjectOf = (application) => {
+  const { applicant } = application;
+  return {
+    name: [applicant.firstName, applicant.middleName, applicant.lastName].filter(Boolean).join(' '),
+    dateOfBirth: applicant.dateOfBirth,
+    address: applicant.address || {}
+  };
+};
+
+// Entries behind the matches of earlier reviews that compliance cleared
+async function clearedEntryIds(application) {
+  const tasks = await ComplianceTask.find({
+    application: application._id,
+    type: 'sanctions_review',
+    status: 'cleared'
+  }).populate('screening', 'matches.entry');
+
+  const ids = new Set();
+  tasks.forEach((task) => {
+    (task.screening?.matches || []).forEach(match => ids.add(match.entry.toString()));
+  });
+  return ids;
+}
+
+// Screen an application and record the run. Updates the application's
+// compliance status and audit trail; the caller saves the application.
+async function screenApplication(application, { trigger, user = null, req = null, thresholds = screeningThresholds } = {}) {
+  const subject = subjectOf(application);
+  const lists = await currentLists();
+
+  let candidates = [];
+  if (lists.length > 0) {
+    candidates = await WatchlistEntry.find({
+      import: { $in: lists.map(list => list.import) },
+      namePrefixes: { $in: nameKeys([subject.name]).namePrefixes }
+    })
+      .limit(MAX_CANDIDATES)
+      .lean();
+  }
+
+  const matches = candidates
+    .map(entry => ({ entry, ...scoreCandidate(subject, entry, thresholds) }))
+    .filter(candidate => candidate.potentialMatch)
+    .sort((a, b) => b.score - a.score)
+    .map(({ entry, matchedName, score, nameScore, dateOfBirthScore, addressScore }) => ({
+      entry: entry._id,
+      listName: entry.listName,
+      sourceUid: entry.sourceUid,
+      entryType: entry.entryType,
+      matchedName,
+      programs: entry.programs,
+      score,
+      nameScore,
+      dateOfBirthScore,
+      addressScore
+    }));
+
+  const result = matches.length > 0 ? 'potential_match' : 'clear';
+
+  const screening = new SanctionsScreening({
+    application: application._id,
+    applicationId: application.applicationId,
+    trigger,
+    screenedBy: user ? user._id : undefined,
+    subject: {
+      name: subject.name,
+      dateOfBirth: subject.dateOfBirth,
+      country: subject.address.country
+    },
+    thresholds: {
+      nameThreshold: thresholds.nameThreshold,
+      matchThreshold: thresholds.matchThreshold
+    },
+    lists,
+    candidatesEvaluated: candidates.length,
+    result,
+    matches
+  });
+
+  let status = lists.length === 0 ? 'unavailable' : result;
+  let reviewTask = null;
+
+  if (result === 'potential_match') {
+    const cleared = await clearedEntryIds(application);
+    const previouslyCleared = matches.every(match => cleared.has(match.entry.toString()));
+
+    if (previouslyCleared) {
+      status = 'cleared';
+    } else {
+      reviewTask = await ComplianceTask.findOne({
+        application: application._id,
+        type: 'sanctions_review',
+        status: 'open'
+      });
+
+      if (!reviewTask) {
+        reviewTask = await ComplianceTask.create({
+          type: 'sanctions_review',
+          application: application._id,
+          applicationId: application.applicationId,
+          screening: screening._id,
+          priority: matches[0].score >= 0.95 ? 'urgent' : 'high',
+          summary: `${matches.length} potential watchlist match${matches.length === 1 ? '' : 'es'} ` +
+            `for ${subject.name} (best: ${matches[0].matchedName}, ${matches[0].listName}, score ${matches[0].score})`
+        });
+      } else {
+        reviewTask.screening = screening._id;
+        await reviewTask.save();
+      }
+      screening.reviewTask = reviewTask._id;
+    }
+  }
+
+  await screening.save();
+
+  application.set('compliance.sanctions', {
+    status,
+    lastScreening: screening._id,
+    lastScreenedAt: screening.screenedAt,
+    reviewTask: reviewTask ? reviewTask._id : undefined
+  });
+  application.addAuditEntry('sanctions_screened', user, {
+    screeningId: screening._id,
+    trigger,
+    result,
+    status,
+    matchCount: matches.length,
+    lists: lists.map(list => list.listName)
+  }, req);
+
+  if (status === 'unavailable') {
+    complianceLogger.warn('Sanctions screening ran with no watchlists loaded', {
+      applicationId: application.applicationId
+    });
+  } else {
+    complianceLogger.info('Sanctions screening completed', {
+      applicationId: application.applicationId,
+      trigger,
+      result,
+      status,
+      matchCount: matches.length
+    });
+  }
+
+  return { screening, status, reviewTask };
+}
+
+// Apply a compliance officer's resolution of a sanctions review task
+async function resolveReviewTask(task, { resolution, notes, user, req = null }) {
+  task.status = resolution;
+  task.resolution = {
+    notes,
+    resolvedBy: user._id,
+    resolvedAt: new Date()
+  };
+  await task.save();
+
+  const application = await CreditApplication.findById(task.application);
+  if (application) {
+    application.set('compliance.sanctions.status', resolution);
+    application.addAuditEntry('sanctions_review_resolved', user, {
+      taskId: task._id,
+      resolution,
+      notes
+    }, req);
+    await application.save();
+  }
+
+  complianceLogger.info('Sanctions review resolved', {
+    taskId: task._id,
+    applicationId: task.applicationId,
+    resolution,
+    resolvedBy: user._id
+  });
+
+  return application;
+}
+
+module.exports = {
+  BLOCKING_STATUSES,
+  UNSCREENED_STATUSES,
+  normalizeName,
+  nameKeys,
+  jaroWinkler,
+  nameSimilarity,
+  scoreCandidate,
+  currentLists,
+  screenApplication,
+  resolveReviewTask
+};
@@ -0,0 +1,231 @@
+// Points-based scorecard: turns raw applicant attributes into the engine's
+// feature vector. Each attribute maps its raw value to points, either by
+// scaling the value, by looking it up in ordered bins, or (for categorical
+// attributes such as loan purpose) in a lookup table. The feature value the
+// model sees is points / divisor.
+
+// Applicant data field behind each engine feature
+const FEATURE_SOURCES = {
+  credit_score: 'creditScore',
+  annual_income: 'annualIncome',
+  debt_to_income_ratio: 'debtToIncomeRatio',
+  employment_length: 'employmentLength',
+  loan_amount: 'loanAmount',
+  loan_term: 'loanTerm',
+  payment_history_score: 'paymentHistoryScore',
+  credit_utilization: 'creditUtilization',
+  number_of_accounts: 'numberOfAccounts',
+  recent_inquiries: 'recentInquiries',
+  collateral_value: 'collateralValue',
+  loan_purpose_score: 'loanPurpose'
+};
+
+const SCORECARD_METHODS = ['scale', 'bins', 'lookup'];
+
+// Built-in scorecard, equivalent to the original hardcoded normalizations.
+// Used until an admin activates a scorecard of their own.
+const DEFAULT_SCORECARD = {
+  version: 0,
+  name: 'Default scorecard',
+  attributes: [
+    { feature: 'credit_score', method: 'scale', divisor: 800, defaultValue: 600 },
+    { feature: 'annual_income', method: 'scale', divisor: 200000, defaultValue: 50000 },
+    { feature: 'debt_to_income_ratio', method: 'scale', divisor: 1, defaultValue: 0.3 },
+    { feature: 'employment_length', method: 'scale', divisor: 20, defaultValue: 2 },
+    { feature: 'loan_amount', method: 'scale', divisor: 500000, defaultValue: 50000 },
+    { feature: 'loan_term', method: 'scale', divisor: 30, defaultValue: 15 },
+    { feature: 'payment_history_score', method: 'scale', divisor: 100, defaultValue: 80 },
+    { feature: 'credit_utilization', method: 'scale', divisor: 1, defaultValue: 0.3 },
+    { feature: 'number_of_accounts', method: 'scale', divisor: 20, defaultValue: 5 },
+    { feature: 'recent_inquiries', method: 'scale', divisor: 10, defaultValue: 2 },
+    { feature: 'collateral_value', method: 'scale', divisor: 1000000, defaultValue: 0 },
+    {
+      feature: 'loan_purpose_score',
+      method: 'lookup',
+      divisor: 10,
+      defaultValue: 'other',
+      lookup: {
+        home_purchase: 9,
+        home_improvement: 8,
+        debt_consolidation: 6,
+        auto_loan: 7,
+        business: 5,
+        education: 8,
+        medical: 7,
+        vacation: 3,
+        other: 5
+      },
+      defaultPoints: 5
+    }
+  ]
+};
+
+// Lookup tables may arrive as plain objects or Mongoose Maps
+const lookupValue = (lookup, key) => {
+  if (!lookup) return undefined;
+  return typeof lookup.get === 'function' ? lookup.get(key) : lookup[key];
+};
+
+function attributePoints(attribute, rawValue) {
+  const value = rawValue === undefined || rawValue === null ? attribute.defaultValue : rawValue;
+
+  switch (attribute.method) {
+    case 'bins': {
+      const bins = attribute.bins;
+      const bin = bins.find(candidate =>
+        (candidate.min === undefined || candidate.min === null || value >= candidate.min) &&
+        (candidate.max === undefined || candidate.max === null || value < candidate.max)
+      );
+      if (bin) return bin.points;
+      // Clamp values outside the configured range to the nearest bin
+      return value < bins[0].min ? bins[0].points : bins[bins.length - 1].points;
+    }
+    case 'lookup': {
+      const points = lookupValue(attribute.lookup, value);
+      return points !== undefined ? points : attribute.defaultPoints || 0;
+    }
+    default:
+      return value;
+  }
+}
+
+// Feature vector for an applicant under the given scorecard, in engine feature order
+function applyScorecard(scorecard, applicantData, featureNames) {
+  const attributes = new Map(scorecard.attributes.map(attribute => [attribute.feature, attribute]));
+
+  return featureNames.map((feature) => {
+    const attribute = attributes.get(feature);
+    const points = attributePoints(attribute, applicantData[FEATURE_SOURCES[feature]]);
+    return points / (attribute.divisor || 1);
+  });
+}
+
+// Returns a list of problems; an empty list means the scorecard is usable
+function validateScorecard(scorecard, featureNames) {
+  const errors = [];
+  const attributes = scorecard.attributes || [];
+  const seen = new Set();
+
+  attributes.forEach((attribute, index) => {
+    const label = attribute.feature || `attributes[${index}]`;
+
+    if (!FEATURE_SOURCES[attribute.feature]) {
+      errors.push(`${label}: unknown feature`);
+      return;
+    }
+    if (seen.has(attribute.feature)) {
+      errors.push(`${label}: defined more than once`);
+    }
+    seen.add(attribute.feature);
+
+    if (!SCORECARD_METHODS.includes(attribute.method)) {
+      errors.push(`${label}: method must be one of ${SCORECARD_METHODS.join(', ')}`);
+    }
+    if (attribute.divisor !== undefined && !(attribute.divisor > 0)) {
+      errors.push(`${label}: divisor must be greater than zero`);
+    }
+
+    if (attribute.method === 'bins') {
+      const bins = attribute.bins || [];
+      if (bins.length === 0) {
+        errors.push(`${label}: at least one bin is required`);
+      }
+      bins.forEach((bin, binIndex) => {
+        if (typeof bin.points !== 'number') {
+          errors.push(`${label}: bin ${binIndex + 1} must have numeric points`);
+        }
+        if (bin.min !== undefined && bin.min !== null && bin.max !== undefined && bin.max !== null && bin.min >= bin.max) {
+          errors.push(`${label}: bin ${binIndex + 1} min must be below max`);
+        }
+        const next = bins[binIndex + 1];
+        if (next && bin.max !== next.min) {
+          errors.push(`${label}: bins ${binIndex + 1} and ${binIndex + 2} must be contiguous`);
+        }
+      });
+    }
+
+    if (attribute.method === 'lookup' && !attribute.lookup) {
+      errors.push(`${label}: lookup table is required`);
+    }
+  });
+
+  featureNames
+    .filter(feature => !seen.has(feature))
+    .forEach(feature => errors.push(`${feature}: attribute is missing`));
+
+  return errors;
+}
+
+// Active scorecard at a point in time: the latest effective one whose window covers it
+function selectEffectiveScorecard(scorecards, at = new Date()) {
+  const effective = (scorecards || [])
+    .filter(scorecard =>
+      scorecard.effectiveFrom <= at &&
+      (!scorecard.effectiveTo || scorecard.effectiveTo > at)
+    )
+    .sort((a, b) => b.effectiveFrom - a.effectiveFrom);
+
+  return effective[0] || DEFAULT_SCORECARD;
+}
+
+const SCORE_BUCKETS = [300, 400, 500, 600, 650, 700, 750, 800, 851];
+
+function summarizeScores(results) {
+  const scores = results.map(result => result.creditScore).sort((a, b) => a - b);
+  const riskLevels = { LOW: 0, MEDIUM: 0, HIGH: 0, VERY_HIGH: 0 };
+  results.forEach((result) => { riskLevels[result.riskLevel]++; });
+
+  const distribution = SCORE_BUCKETS.slice(0, -1).map((min, i) => ({
+    range: `${min}-${SCORE_BUCKETS[i + 1] - 1}`,
+    count: scores.filter(score => score >= min && score < SCORE_BUCKETS[i + 1]).length
+  }));
+
+  return {
+    count: scores.length,
+    mean: scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+    median: scores.length ? scores[Math.floor(scores.length / 2)] : null,
+    distribution,
+    riskLevels
+  };
+}
+
+// Compare how a candidate scorecard would score a sample of applicants against the current one
+function previewScorecard(engine, candidate, current, applicantDataList) {
+  const baseline = applicantDataList.map(data => engine.scoreApplicant(data, { scorecard: current }));
+  const proposed = applicantDataList.map(data => engine.scoreApplicant(data, { scorecard: candidate }));
+
+  const tierChanges = {};
+  let changedTier = 0;
+  let totalShift = 0;
+
+  baseline.forEach((result, i) => {
+    totalShift += proposed[i].creditScore - result.creditScore;
+    if (proposed[i].riskLevel !== result.riskLevel) {
+      changedTier++;
+      const key = `${result.riskLevel}->${proposed[i].riskLevel}`;
+      tierChanges[key] = (tierChanges[key] || 0) + 1;
+    }
+  });
+
+  return {
+    sampleSize: applicantDataList.length,
+    current: { version: current.version, ...summarizeScores(baseline) },
+    proposed: { version: candidate.version, ...summarizeScores(proposed) },
+    meanScoreShift: applicantDataList.length ? totalShift / applicantDataList.length : 0,
+    riskTierChanges: {
+      total: changedTier,
+      transitions: tierChanges
+    }
+  };
+}
+
+module.exports = {
+  FEATURE_SOURCES,
+  SCORECARD_METHODS,
+  DEFAULT_SCORECARD,
+  applyScorecard,
+  validateScorecard,
+  selectEffectiveScorecard,
+  summarizeScores,
+  previewScorecard
+};
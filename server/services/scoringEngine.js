@@ -0,0 +1,102 @@
+const AICreditscoringEngine = require('./aiCreditScoring');
+const Scorecard = require('../models/Scorecard');
+const RateCard = require('../models/RateCard');
+const FraudRuleSet = require('../models/FraudRuleSet');
+const modelRegistry = require('./modelRegistry');
+const { aiLogger } = require('../utils/logger');
+
+// Shared engine instance so every route scores with the same model and scorecard
+const aiEngine = new AICreditscoringEngine();
+
+const refreshScorecards = async () => {
+  const scorecards = await Scorecard.find({ status: 'active' });
+  aiEngine.setScorecards(scorecards);
+  return scorecards;
+};
+
+const refreshRateCard = async () => {
+  const rateCard = await RateCard.findOne({ status: 'active' }).sort({ activatedAt: -1 });
+  aiEngine.setRateCard(rateCard);
+  return rateCard;
+};
+
+const refreshFraudRules = async () => {
+  const ruleSet = await FraudRuleSet.findOne({ status: 'active' }).sort({ publishedAt: -1 });
+  aiEngine.setFraudRuleSet(ruleSet);
+  return ruleSet;
+};
+
+// The challenger (if any) shadow-scores next to the champion
+const refreshChallenger = async () => {
+  const artifact = await modelRegistry.loadChallengerModel();
+  aiEngine.loadChallenger(artifact);
+  return artifact;
+};
+
+// Load the registry champion (or the baseline model), the challenger, the
+// activated scorecards, the active rate card and the published fraud rules
+const initializeEngine = async () => {
+  let artifact = null;
+
+  try {
+    artifact = await modelRegistry.loadChampionModel();
+  } catch (error) {
+    aiLogger.warn('Could not load trained model artifact, using baseline model', {
+      error: error.message
+    });
+  }
+
+  try {
+    await refreshChallenger();
+  } catch (error) {
+    aiLogger.warn('Could not load challenger model, shadow scoring is off', {
+      error: error.message
+    });
+  }
+
+  try {
+    await refreshScorecards();
+  } catch (error) {
+    aiLogger.warn('Could not load scorecards, using default scorecard', {
+      error: error.message
+    });
+  }
+
+  try {
+    await refreshRateCard();
+  } catch (error) {
+    aiLogger.warn('Could not load rate card, using default rate card', {
+      error: error.message
+    });
+  }
+
+  try {
+    await refreshFraudRules();
+  } catch (error) {
+    aiLogger.warn('Could not load fraud rules, using default fraud rules', {
+      error: error.message
+    });
+  }
+
+  try {
+    await aiEngine.initializeModel(artifact);
+    aiLogger.info('AI Credit Scoring Engine initialized successfully', {
+      modelVersion: aiEngine.modelVersion,
+      challengerVersion: aiEngine.challengerVersion,
+      scorecardVersion: aiEngine.getActiveScorecard().version,
+      rateCardVersion: aiEngine.rateCard.version,
+      fraudRuleSetVersion: aiEngine.fraudRuleSet.version
+    });
+  } catch (error) {
+    aiLogger.error('Failed to initialize AI engine:', error);
+  }
+};
+
+module.exports = {
+  aiEngine,
+  initializeEngine,
+  refreshChallenger,
+  refreshScorecards,
+  refreshRateCard,
+  refreshFraudRules
+};
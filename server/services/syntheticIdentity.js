@@ -0,0 +1,147 @@
+// Synthetic identity checks. Synthetic identities combine a real or made-up
+// SSN with invented personal details, then build a credit file quickly,
+// often by being added as an authorized user on someone else's seasoned
+// accounts ("piggybacking"). These checks look for the traces that leaves:
+// an SSN that was never issuable, a credit file that does not fit the
+// applicant's age, and a file whose depth comes from other people's accounts.
+// The result is an identity-risk score, kept separate from the fraud score.
+
+const MONTH_MS = 30.4375 * 24 * 60 * 60 * 1000;
+
+// Numbers that were published or used in advertising and never belong to an applicant
+const KNOWN_INVALID_SSNS = ['078051120', '219099999', '123456789', '111111111', '333333333'];
+
+const IDENTITY_SIGNALS = {
+  SSN_INVALID: { weight: 60, description: 'SSN structure is invalid or in a range that has never been issued' },
+  HISTORY_PREDATES_ADULTHOOD: { weight: 25, description: 'Credit history starts before the applicant turned 18' },
+  THIN_FILE_FOR_AGE: { weight: 20, description: 'Very thin or recent credit file for the applicant\'s age' },
+  DEEP_FILE_FOR_AGE: { weight: 20, description: 'More credit accounts than expected for the applicant\'s age' },
+  AUTHORIZED_USER_CONCENTRATION: { weight: 25, description: 'Most accounts on file are authorized-user tradelines' },
+  SEASONING_FROM_AUTHORIZED_USER: { weight: 20, description: 'Credit file age comes from authorized-user accounts, not the applicant\'s own' },
+  HIGH_SCORE_THIN_PRIMARY_FILE: { weight: 15, description: 'High credit score with few accounts in the applicant\'s own name' }
+};
+
+const IDENTITY_RISK_THRESHOLDS = {
+  medium: 25,
+  high: 50
+};
+
+const monthsSince = (date, at) => (at.getTime() - new Date(date).getTime()) / MONTH_MS;
+
+// Structural SSN validation against the SSA's never-issued ranges. A missing
+// or partial SSN (an application still being filled in, a portfolio file
+// without the column) cannot be checked, which is not the same as invalid.
+function validateSSN(ssn) {
+  const digits = (ssn || '').replace(/\D/g, '');
+  if (digits.length !== 9) {
+    return { valid: null, checked: false, reason: 'SSN not provided in full; not checked' };
+  }
+
+  const area = digits.slice(0, 3);
+  const group = digits.slice(3, 5);
+  const serial = digits.slice(5);
+
+  if (area === '000' || area === '666' || area >= '900') {
+    return { valid: false, reason: `Area number ${area} is never issued` };
+  }
+  if (group === '00') {
+    return { valid: false, reason: 'Group number 00 is never issued' };
+  }
+  if (serial === '0000') {
+    return { valid: false, reason: 'Serial number 0000 is never issued' };
+  }
+  if (KNOWN_INVALID_SSNS.includes(digits)) {
+    return { valid: false, reason: 'SSN is a known published or advertising number' };
+  }
+
+  return { valid: true };
+}
+
+// Credit file depth against age. A file that predates adulthood usually means
+// authorized-user history; an older applicant with almost no file, or a young
+// one with a very deep file, does not fit a genuine credit life cycle.
+// An unknown account count is not evidence of a thin or deep file.
+function creditDepthSignals(applicantData, at) {
+  const signals = [];
+  const { age, numberOfAccounts, oldestAccountOpened } = applicantData;
+  if (typeof age !== 'number') return signals;
+
+  const historyMonths = oldestAccountOpened ? monthsSince(oldestAccountOpened, at) : null;
+  const accountsKnown = typeof numberOfAccounts === 'number';
+
+  if (historyMonths !== null && historyMonths > (age - 18) * 12 + 6) {
+    signals.push('HISTORY_PREDATES_ADULTHOOD');
+  }
+  if (age >= 30 && ((accountsKnown && numberOfAccounts <= 1) || (historyMonths !== null && historyMonths < 12))) {
+    signals.push('THIN_FILE_FOR_AGE');
+  }
+  // Allow a few accounts in the first adult years, then about two a year
+  if (age < 30 && accountsKnown && numberOfAccounts > Math.max(age - 18, 0) * 2 + 3) {
+    signals.push('DEEP_FILE_FOR_AGE');
+  }
+
+  return signals;
+}
+
+function piggybackingSignals(applicantData, at) {
+  const signals = [];
+  const authorizedUserAccounts = applicantData.authorizedUserAccounts || 0;
+  const numberOfAccounts = applicantData.numberOfAccounts || 0;
+  const primaryAccounts = Math.max(numberOfAccounts - authorizedUserAccounts, 0);
+
+  if (authorizedUserAccounts >= 2 && numberOfAccounts > 0 && authorizedUserAccounts / numberOfAccounts >= 0.5) {
+    signals.push('AUTHORIZED_USER_CONCENTRATION');
+  }
+
+  const { oldestAccountOpened, oldestPrimaryAccountOpened } = applicantData;
+  // Only when both dates are on file: a missing primary date is unknown, not new
+  if (authorizedUserAccounts > 0 && oldestAccountOpened && oldestPrimaryAccountOpened) {
+    const fileMonths = monthsSince(oldestAccountOpened, at);
+    const primaryMonths = monthsSince(oldestPrimaryAccountOpened, at);
+    if (fileMonths - primaryMonths >= 60) {
+      signals.push('SEASONING_FROM_AUTHORIZED_USER');
+    }
+  }
+
+  if (authorizedUserAccounts > 0 && typeof applicantData.numberOfAccounts === 'number' &&
+      applicantData.creditScore >= 720 && primaryAccounts <= 2) {
+    signals.push('HIGH_SCORE_THIN_PRIMARY_FILE');
+  }
+
+  return signals;
+}
+
+function identityRiskLevel(score) {
+  if (score >= IDENTITY_RISK_THRESHOLDS.high) return 'HIGH';
+  if (score >= IDENTITY_RISK_THRESHOLDS.medium) return 'MEDIUM';
+  return 'LOW';
+}
+
+function assessSyntheticIdentity(applicantData, at = new Date()) {
+  const ssnCheck = validateSSN(applicantData.ssn);
+  const codes = [];
+
+  if (ssnCheck.valid === false) {
+    codes.push('SSN_INVALID');
+  }
+  codes.push(...creditDepthSignals(applicantData, at), ...piggybackingSignals(applicantData, at));
+
+  const signals = codes.map(code => ({ code, ...IDENTITY_SIGNALS[code] }));
+  const score = Math.min(signals.reduce((sum, signal) => sum + signal.weight, 0), 100);
+
+  return {
+    identityRiskScore: score,
+    riskLevel: identityRiskLevel(score),
+    ssnChecked: ssnCheck.checked !== false,
+    ssnValid: ssnCheck.valid,
+    ssnIssue: ssnCheck.reason,
+    signals
+  };
+}
+
+module.exports = {
+  IDENTITY_SIGNALS,
+  IDENTITY_RISK_THRESHOLDS,
+  validateSSN,
+  assessSyntheticIdentity
+};
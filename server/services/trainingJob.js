@@ -0,0 +1,58 @@
+// Model retraining as a background job, so every run is recorded with its
+// state, timing, log and the model version it produced. Training stops at
+// the next stage boundary when cancelled; nothing is registered then.
+
+const Job = require('../models/Job');
+const { aiEngine } = require('./scoringEngine');
+const { trainCreditModel, resolveHyperparameters } = require('./modelTraining');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+
+const JOB_TYPE = 'model_training';
+
+async function createTrainingJob({ dataSource, parameters } = {}, { user }) {
+  // Reject bad hyperparameters now rather than in a failed job
+  resolveHyperparameters(parameters || {});
+
+  // One training run at a time: concurrent runs would train on the same data
+  const active = await Job.findOne({ type: JOB_TYPE, status: { $in: ['queued', 'running'] } }).select('jobId status');
+  if (active) {
+    const error = new Error(`Model training job ${active.jobId} is already ${active.status}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return enqueueJob(JOB_TYPE, {
+    dataSource: dataSource || {},
+    parameters: parameters || {}
+  }, { user });
+}
+
+async function runModelTraining(job, context) {
+  const modelVersion = await trainCreditModel(aiEngine, {
+    dataSource: job.params.dataSource,
+    parameters: job.params.parameters,
+    userId: job.createdBy,
+    jobId: job.jobId,
+    hooks: {
+      log: context.log,
+      setStage: context.setStage,
+      isCancelled: () => context.isCancelled({ fresh: true })
+    }
+  });
+
+  if (!modelVersion) return { modelVersion: null };
+
+  await context.setStage('completed');
+  return {
+    modelVersion: modelVersion.version,
+    sampleCount: modelVersion.trainingData.sampleCount,
+    holdoutMetrics: modelVersion.metrics.holdout
+  };
+}
+
+registerJobHandler(JOB_TYPE, runModelTraining);
+
+module.exports = {
+  JOB_TYPE,
+  createTrainingJob
+};
@@ -0,0 +1,304 @@
+// Watchlist imports. Lists are published as CSV or XML files (the OFAC SDN
+// list in both formats); each import replaces the list's previous entries
+// once the new ones are stored, so screening never sees a half-loaded list.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const WatchlistEntry = require('../models/WatchlistEntry');
+const WatchlistImport = require('../models/WatchlistImport');
+const { nameKeys } = require('./sanctionsScreening');
+const { parseCsvRows } = require('../utils/csv');
+const { loadWatchlistSources, importIntervalHours } = require('../config/sanctions');
+const { complianceLogger } = require('../utils/logger');
+
+const INSERT_BATCH_SIZE = 1000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const ENTRY_TYPES = {
+  individual: 'individual',
+  entity: 'entity',
+  vessel: 'vessel',
+  aircraft: 'aircraft'
+};
+
+// Column order of OFAC's headerless sdn.csv
+const SDN_CSV_COLUMNS = ['uid', 'name', 'type', 'programs', 'title', 'callSign', 'vesselType',
+  'tonnage', 'grossTonnage', 'vesselFlag', 'vesselOwner', 'remarks'];
+
+// OFAC writes "-0-" for empty fields
+const cleanValue = (value) => {
+  const trimmed = (value || '').trim();
+  return trimmed === '-0-' ? '' : trimmed;
+};
+
+const splitList = (value) => cleanValue(value).split(/\s*;\s*/).filter(Boolean);
+
+// "12 Jan 1960", "Jan 1960", "1960", "1960-01-12" or "01/12/1960"
+function parseListedDate(text) {
+  const value = (text || '').trim().toLowerCase();
+  let match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) return { year: +match[1], month: +match[2], day: +match[3] };
+
+  match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) return { year: +match[3], month: +match[1], day: +match[2] };
+
+  match = value.match(/^(?:(\d{1,2})\s+)?([a-z]{3})[a-z]*\.?\s+(\d{4})$/);
+  if (match && MONTHS.includes(match[2])) {
+    return { year: +match[3], month: MONTHS.indexOf(match[2]) + 1, day: match[1] ? +match[1] : undefined };
+  }
+
+  match = value.match(/^(?:circa\s+)?(\d{4})$/);
+  if (match) return { year: +match[1] };
+
+  return null;
+}
+
+// Dates of birth and aliases that OFAC's CSV keeps in the remarks column
+function parseRemarks(remarks) {
+  const datesOfBirth = [];
+  const aliases = [];
+
+  (remarks || '').split(';').forEach((part) => {
+    const dob = part.match(/DOB\s+(.+)/i);
+    if (dob) {
+      dob[1].split(/\s*(?:,|\bto\b)\s*/).forEach((text) => {
+        const parsed = parseListedDate(text);
+        if (parsed) datesOfBirth.push(parsed);
+      });
+    }
+    const aka = part.match(/a\.k\.a\.\s+'([^']+)'/i);
+    if (aka) aliases.push(aka[1]);
+  });
+
+  return { datesOfBirth, aliases };
+}
+
+// OFAC lists individuals as "LAST, First"
+const displayName = (name) => {
+  const [last, first] = name.split(/,\s*/);
+  return first ? `${first} ${last}` : name;
+};
+
+// CSV with a header row (uid, name, type, aliases, dateOfBirth, street, city,
+// state, postalCode, country, programs, remarks) or OFAC's headerless sdn.csv
+function parseWatchlistCsv(content) {
+  const rows = parseCsvRows(content);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(column => column.trim().toLowerCase());
+  const hasHeader = header.includes('name');
+  const columns = hasHeader ? rows[0].map(column => column.trim()) : SDN_CSV_COLUMNS;
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  return dataRows.map((values) => {
+    const record = {};
+    columns.forEach((column, i) => { record[column] = cleanValue(values[i]); });
+
+    const fromRemarks = parseRemarks(record.remarks);
+    const datesOfBirth = splitList(record.dateOfBirth).map(parseListedDate).filter(Boolean);
+    const address = {
+      street: record.street || record.address,
+      city: record.city,
+      state: record.state,
+      postalCode: record.postalCode,
+      country: record.country
+    };
+
+    return {
+      sourceUid: record.uid,
+      entryType: ENTRY_TYPES[(record.type || '').toLowerCase()] || (hasHeader ? 'other' : 'entity'),
+      name: displayName(record.name || ''),
+      aliases: [...splitList(record.aliases), ...fromRemarks.aliases],
+      datesOfBirth: datesOfBirth.length ? datesOfBirth : fromRemarks.datesOfBirth,
+      addresses: Object.values(address).some(Boolean) ? [address] : [],
+      programs: splitList(record.programs).map(program => program.replace(/^\[|\]$/g, '')),
+      remarks: record.remarks
+    };
+  });
+}
+
+const decodeXml = (text) => (text || '')
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+  .replace(/&amp;/g, '&')
+  .trim();
+
+// Inner XML of every <tag> element (namespace prefixes ignored)
+const xmlElements = (xml, tag) => {
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+  return Array.from(xml.matchAll(pattern), match => match[1]);
+};
+
+const xmlText = (xml, tag) => decodeXml(xmlElements(xml, tag)[0]);
+
+const personName = (xml) =>
+  [xmlText(xml, 'firstName'), xmlText(xml, 'lastName')].filter(Boolean).join(' ');
+
+// OFAC SDN XML (sdnEntry elements)
+function parseWatchlistXml(content) {
+  return xmlElements(content, 'sdnEntry').map((entryXml) => {
+    const type = xmlText(entryXml, 'sdnType').toLowerCase();
+
+    return {
+      sourceUid: xmlText(entryXml, 'uid'),
+      entryType: ENTRY_TYPES[type] || 'other',
+      name: personName(entryXml.replace(/<(?:\w+:)?akaList[\s\S]*<\/(?:\w+:)?akaList>/, '')),
+      aliases: xmlElements(entryXml, 'aka').map(personName).filter(Boolean),
+      datesOfBirth: xmlElements(entryXml, 'dateOfBirthItem')
+        .map(item => parseListedDate(xmlText(item, 'dateOfBirth')))
+        .filter(Boolean),
+      addresses: xmlElements(entryXml, 'address').map(addressXml => ({
+        street: [xmlText(addressXml, 'address1'), xmlText(addressXml, 'address2')].filter(Boolean).join(', '),
+        city: xmlText(addressXml, 'city'),
+        state: xmlText(addressXml, 'stateOrProvince'),
+        postalCode: xmlText(addressXml, 'postalCode'),
+        country: xmlText(addressXml, 'country')
+      })),
+      programs: xmlElements(entryXml, 'program').map(decodeXml),
+      remarks: xmlText(entryXml, 'remarks')
+    };
+  });
+}
+
+function parseWatchlist(content, format) {
+  if (format === 'csv') return parseWatchlistCsv(content);
+  if (format === 'xml') return parseWatchlistXml(content);
+
+  const error = new Error('Watchlist format must be csv or xml');
+  error.statusCode = 400;
+  throw error;
+}
+
+// Parse and store a list file, replacing the list's previous entries
+async function importWatchlist(content, { listName, format, source, trigger = 'manual', user = null }) {
+  const record = await WatchlistImport.create({
+    listName,
+    format,
+    source,
+    trigger,
+    importedBy: user ? user._id : undefined,
+    sourceHash: crypto.createHash('sha256').update(content).digest('hex')
+  });
+
+  try {
+    const parsed = parseWatchlist(content, format);
+    const entries = parsed.filter(entry => entry.name);
+
+    if (entries.length === 0) {
+      throw new Error('No watchlist entries found in file');
+    }
+
+    for (let i = 0; i < entries.length; i += INSERT_BATCH_SIZE) {
+      await WatchlistEntry.insertMany(entries.slice(i, i + INSERT_BATCH_SIZE).map(entry => ({
+        ...entry,
+        ...nameKeys([entry.name, ...entry.aliases]),
+        listName,
+        import: record._id
+      })), { ordered: false });
+    }
+
+    record.status = 'succeeded';
+    record.entryCount = entries.length;
+    record.skippedCount = parsed.length - entries.length;
+    record.completedAt = new Date();
+    await record.save();
+
+    await WatchlistEntry.deleteMany({ listName, import: { $ne: record._id } });
+
+    complianceLogger.info('Watchlist imported', {
+      listName,
+      importId: record._id,
+      entryCount: record.entryCount,
+      trigger
+    });
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    record.completedAt = new Date();
+    await record.save();
+    await WatchlistEntry.deleteMany({ import: record._id });
+
+    complianceLogger.error('Watchlist import failed', {
+      listName,
+      importId: record._id,
+      error: error.message
+    });
+  }
+
+  return record;
+}
+
+async function readSource(location) {
+  if (/^https?:\/\//i.test(location)) {
+    const response = await axios.get(location, { responseType: 'text', timeout: 120000 });
+    return response.data;
+  }
+  return fs.readFile(path.resolve(location), 'utf8');
+}
+
+// Import every configured source
+async function importConfiguredSources({ trigger = 'scheduled', user = null } = {}) {
+  const results = [];
+
+  for (const source of loadWatchlistSources()) {
+    try {
+      const content = await readSource(source.location);
+      results.push(await importWatchlist(content, {
+        listName: source.name,
+        format: source.format,
+        source: source.location,
+        trigger,
+        user
+      }));
+    } catch (error) {
+      complianceLogger.error('Could not read watchlist source', {
+        listName: source.name,
+        location: source.location,
+        error: error.message
+      });
+      results.push(await WatchlistImport.create({
+        listName: source.name,
+        format: source.format,
+        source: source.location,
+        trigger,
+        status: 'failed',
+        error: error.message,
+        completedAt: new Date(),
+        importedBy: user ? user._id : undefined
+      }));
+    }
+  }
+
+  return results;
+}
+
+// Re-import the configured sources every importIntervalHours
+function scheduleWatchlistImports() {
+  if (loadWatchlistSources().length === 0) return null;
+
+  const run = () => importConfiguredSources().catch((error) => {
+    complianceLogger.error('Scheduled watchlist import failed', { error: error.message });
+  });
+
+  const timer = setInterval(run, importIntervalHours * 60 * 60 * 1000);
+  timer.unref();
+  run();
+
+  complianceLogger.info('Watchlist imports scheduled', { intervalHours: importIntervalHours });
+  return timer;
+}
+
+module.exports = {
+  parseWatchlistCsv,
+  parseWatchlistXml,
+  importWatchlist,
+  importConfiguredSources,
+  scheduleWatchlistImports
+};
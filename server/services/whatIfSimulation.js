@@ -0,0 +1,221 @@
+// What-if simulation: rescore an application with some of its inputs
+// overridden and compare the result with the application as it stands. Both
+// sides are scored with the loaded model, scorecard and rate card, so the
+// differences come only from the overrides. Nothing is persisted.
+
+const CreditApplication = require('../models/CreditApplication');
+const { toApplicantData } = require('./applicantFeatures');
+const { rankReasonCodes } = require('./reasonCodes');
+
+// Applicant inputs that can be overridden, with their allowed ranges
+const SIMULATION_INPUTS = {
+  creditScore: { min: 300, max: 850 },
+  annualIncome: { min: 0 },
+  debtToIncomeRatio: { min: 0 },
+  employmentLength: { min: 0 },
+  loanAmount: { min: 1 },
+  loanTerm: { min: 1 },
+  paymentHistoryScore: { min: 0, max: 100 },
+  creditUtilization: { min: 0 },
+  numberOfAccounts: { min: 0 },
+  recentInquiries: { min: 0 },
+  collateralValue: { min: 0 },
+  collateralType: { values: CreditApplication.schema.path('loan.collateral.type').enumValues },
+  loanPurpose: { values: CreditApplication.schema.path('loan.purpose').enumValues }
+};
+
+// Adjustments that are translated into input changes
+const SIMULATION_ADJUSTMENTS = ['revolvingPaydown'];
+
+const simulationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const round = (value, places = 4) =>
+  (Number.isFinite(value) ? Math.round(value * 10 ** places) / 10 ** places : null);
+
+function validateOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw simulationError('overrides must be an object of input values');
+  }
+
+  const known = [...Object.keys(SIMULATION_INPUTS), ...SIMULATION_ADJUSTMENTS];
+  const unknown = Object.keys(overrides).filter(key => !known.includes(key));
+  if (unknown.length > 0) {
+    throw simulationError(`Unknown inputs: ${unknown.join(', ')}. Allowed: ${known.join(', ')}`);
+  }
+  if (Object.keys(overrides).length === 0) {
+    throw simulationError('At least one input must be overridden');
+  }
+
+  const values = {};
+  Object.entries(overrides).forEach(([input, raw]) => {
+    const rule = SIMULATION_INPUTS[input] || { min: 0 };
+
+    if (rule.values) {
+      if (!rule.values.includes(raw)) {
+        throw simulationError(`${input} must be one of: ${rule.values.join(', ')}`);
+      }
+      values[input] = raw;
+      return;
+    }
+
+    const value = Number(raw);
+    if (raw === null || raw === '' || !Number.isFinite(value)) {
+      throw simulationError(`${input} must be a number`);
+    }
+    if (value < rule.min || (rule.max !== undefined && value > rule.max)) {
+      throw simulationError(`${input} must be ${rule.max !== undefined ? `between ${rule.min} and ${rule.max}` : `at least ${rule.min}`}`);
+    }
+    values[input] = value;
+  });
+
+  return values;
+}
+
+// Input changes implied by paying down card balances and by a different
+// income: utilization falls with the card balances against unchanged limits,
+// card minimum payments fall in proportion, and DTI is recomputed on the
+// remaining monthly debt and the (possibly new) income. Explicit overrides of
+// utilization or DTI take precedence.
+function deriveInputs(application, baseData, values) {
+  const derived = {};
+  const paydown = values.revolvingPaydown || 0;
+  let paymentReduction = 0;
+
+  if (paydown > 0) {
+    const cards = (application.financial.existingDebts || []).filter(debt => debt.type === 'credit_card');
+    const cardBalance = cards.reduce((sum, debt) => sum + (debt.balance || 0), 0);
+    const cardPayments = cards.reduce((sum, debt) => sum + (debt.monthlyPayment || 0), 0);
+
+    if (cardBalance <= 0) {
+      throw simulationError('revolvingPaydown requires credit card balances on the application');
+    }
+    if (paydown > cardBalance) {
+      throw simulationError(`revolvingPaydown cannot exceed the credit card balance of ${cardBalance}`);
+    }
+
+    const remaining = 1 - paydown / cardBalance;
+    derived.creditUtilization = baseData.creditUtilization * remaining;
+    paymentReduction = cardPayments * (paydown / cardBalance);
+  }
+
+  const incomeChanged = values.annualIncome !== undefined && values.annualIncome !== baseData.annualIncome;
+  if ((paymentReduction > 0 || incomeChanged) && baseData.annualIncome > 0 && Number.isFinite(baseData.debtToIncomeRatio)) {
+    const monthlyDebt = Math.max(0, baseData.debtToIncomeRatio * baseData.annualIncome / 12 - paymentReduction);
+    const annualIncome = incomeChanged ? values.annualIncome : baseData.annualIncome;
+    if (annualIncome > 0) {
+      derived.debtToIncomeRatio = monthlyDebt / (annualIncome / 12);
+    }
+  }
+
+  Object.keys(derived).forEach((input) => {
+    if (values[input] !== undefined) delete derived[input];
+    else derived[input] = round(derived[input]);
+  });
+
+  return derived;
+}
+
+function scoreScenario(engine, data) {
+  const { creditScore, riskLevel, probability, features } = engine.scoreApplicant(data);
+  const contributions = engine.explainScore(features);
+  const riskMetrics = engine.calculateRiskMetrics(data, probability);
+  const offer = engine.priceOffer(data, riskLevel, riskMetrics.pd);
+
+  return {
+    creditScore,
+    riskLevel,
+    probability,
+    riskMetrics: {
+      pd: riskMetrics.pd,
+      expectedLoss: riskMetrics.expectedLoss,
+      expectedLossRate: riskMetrics.expectedLossRate
+    },
+    offer: offer.eligible
+      ? { eligible: true, apr: offer.apr, interestRate: offer.interestRate, monthlyPayment: offer.monthlyPayment }
+      : { eligible: false, reason: offer.reason },
+    factors: engine.analyzeFactors(contributions),
+    reasonCodes: rankReasonCodes(contributions)
+  };
+}
+
+const difference = (simulated, original) =>
+  (Number.isFinite(simulated) && Number.isFinite(original) ? round(simulated - original) : null);
+
+// Rescore an application with overridden inputs, side by side with the original
+async function simulateApplication(engine, applicationId, overrides) {
+  const values = validateOverrides(overrides);
+
+  const application = await CreditApplication.findOne({ applicationId })
+    .select('applicationId applicant loan financial')
+    .lean();
+
+  if (!application) {
+    const error = new Error('Application not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const originalData = toApplicantData(application);
+  const { revolvingPaydown, ...inputOverrides } = values;
+  const simulatedData = {
+    ...originalData,
+    ...deriveInputs(application, originalData, values),
+    ...inputOverrides
+  };
+
+  const original = scoreScenario(engine, originalData);
+  const simulated = scoreScenario(engine, simulatedData);
+
+  const inputs = Object.keys(SIMULATION_INPUTS)
+    .filter(input => simulatedData[input] !== originalData[input])
+    .map(input => ({
+      input,
+      original: originalData[input],
+      simulated: simulatedData[input],
+      source: input in inputOverrides ? 'override' : 'derived'
+    }));
+
+  const simulatedFactors = new Map(simulated.factors.map(factor => [factor.feature, factor]));
+  const factorDeltas = original.factors
+    .map((factor) => {
+      const after = simulatedFactors.get(factor.feature);
+      return {
+        feature: factor.feature,
+        factor: factor.factor,
+        original: factor.contribution,
+        simulated: after.contribution,
+        delta: round(after.contribution - factor.contribution, 2)
+      };
+    })
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  return {
+    applicationId: application.applicationId,
+    adjustments: revolvingPaydown !== undefined ? { revolvingPaydown } : {},
+    inputs,
+    original,
+    simulated,
+    deltas: {
+      creditScore: simulated.creditScore - original.creditScore,
+      riskLevelChanged: simulated.riskLevel !== original.riskLevel,
+      probability: difference(simulated.probability, original.probability),
+      pd: difference(simulated.riskMetrics.pd, original.riskMetrics.pd),
+      expectedLoss: difference(simulated.riskMetrics.expectedLoss, original.riskMetrics.expectedLoss),
+      apr: difference(simulated.offer.apr, original.offer.apr),
+      monthlyPayment: difference(simulated.offer.monthlyPayment, original.offer.monthlyPayment)
+    },
+    factorDeltas
+  };
+}
+
+module.exports = {
+  SIMULATION_INPUTS,
+  SIMULATION_ADJUSTMENTS,
+  validateOverrides,
+  deriveInputs,
+  simulateApplication
+};
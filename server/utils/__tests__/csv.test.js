@@ -0,0 +1,45 @@
+const { Readable } = require('stream');
+const { createCsvParser, parseCsvRows, readCsvRows, formatCsvRow } = require('../csv');
+
+// Rows from `content` fed to the parser in the given chunks
+function parseInChunks(chunks) {
+  const parser = createCsvParser();
+  return [...chunks.flatMap(chunk => parser.write(chunk)), ...parser.end()];
+}
+
+const document = 'id,note\r\n1,"say ""hi"", then\r\nleave"\r\n\r\n2,plain\n3,"x"';
+
+describe('CSV parser', () => {
+  it('parses quoted commas, escaped quotes and line breaks, skipping blank lines', () => {
+    expect(parseCsvRows(document)).toEqual([
+      ['id', 'note'],
+      ['1', 'say "hi", then\r\nleave'],
+      ['2', 'plain'],
+      ['3', 'x']
+    ]);
+  });
+
+  it('gives the same rows wherever the chunks split', () => {
+    const expected = parseCsvRows(document);
+    for (let at = 1; at < document.length; at++) {
+      expect(parseInChunks([document.slice(0, at), document.slice(at)])).toEqual(expected);
+    }
+  });
+
+  it('handles an escaped quote and a CRLF split across chunks', () => {
+    expect(parseInChunks(['a,"b"', '"c"\r', '\nd,e'])).toEqual([['a', 'b"c'], ['d', 'e']]);
+    expect(parseInChunks(['a,"b"', ',c\r', 'd'])).toEqual([['a', 'b', 'c'], ['d']]);
+  });
+
+  it('reads rows from a stream one character at a time', async () => {
+    const rows = [];
+    for await (const row of readCsvRows(Readable.from(document.split('')))) rows.push(row);
+
+    expect(rows).toEqual(parseCsvRows(document));
+  });
+
+  it('quotes only values that need it', () => {
+    expect(formatCsvRow(['a', 'b,c', 'say "hi"', null, 3])).toBe('a,"b,c","say ""hi""",,3');
+    expect(parseCsvRows(formatCsvRow(['x\ny', '"']))).toEqual([['x\ny', '"']]);
+  });
+});
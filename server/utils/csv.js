@@ -0,0 +1,121 @@
+// Minimal RFC 4180 CSV helpers for imports and report downloads
+
+// Incremental parser for content that arrives in chunks. write() returns the
+// rows completed by a chunk and end() the last row. Quoted fields may contain
+// commas, quotes ("") and line breaks; blank lines are skipped.
+function createCsvParser() {
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let pendingQuote = false; // a quote ended a chunk inside a quoted field
+  let pendingReturn = false; // a \r ended a chunk
+
+  const finishRow = (rows) => {
+    row.push(field);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  const write = (chunk) => {
+    const rows = [];
+    let i = 0;
+
+    if (pendingReturn) {
+      pendingReturn = false;
+      if (chunk[0] === '\n') i = 1;
+    }
+    if (pendingQuote) {
+      pendingQuote = false;
+      if (chunk[0] === '"') {
+        field += '"';
+        i = 1;
+      } else {
+        inQuotes = false;
+      }
+    }
+
+    for (; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (inQuotes) {
+        if (char === '"' && i === chunk.length - 1) {
+          pendingQuote = true;
+        } else if (char === '"' && chunk[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r') {
+          if (i === chunk.length - 1) pendingReturn = true;
+          else if (chunk[i + 1] === '\n') i++;
+        }
+        finishRow(rows);
+      } else {
+        field += char;
+      }
+    }
+
+    return rows;
+  };
+
+  const end = () => {
+    const rows = [];
+    finishRow(rows);
+    return rows;
+  };
+
+  return { write, end };
+}
+
+// Rows of fields from a complete CSV document
+function parseCsvRows(content) {
+  const parser = createCsvParser();
+  return [...parser.write(content), ...parser.end()];
+}
+
+// Rows of fields from a readable stream of text, e.g. a large upload on disk
+async function* readCsvRows(stream) {
+  const parser = createCsvParser();
+  for await (const chunk of stream) {
+    yield* parser.write(chunk);
+  }
+  yield* parser.end();
+}
+
+// Objects keyed by the header row's (trimmed) column names
+function parseCsvRecords(content) {
+  const [header, ...rows] = parseCsvRows(content);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return rows.map(values => columns.reduce((record, column, i) => {
+    record[column] = (values[i] || '').trim();
+    return record;
+  }, {}));
+}
+
+const formatCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCsvRow = (values) => values.map(formatCsvValue).join(',');
+
+module.exports = {
+  createCsvParser,
+  parseCsvRows,
+  readCsvRows,
+  parseCsvRecords,
+  formatCsvValue,
+  formatCsvRow
+};
@@ -84,5 +84,6 @@ module.exports = {
   authLogger: createComponentLogger('auth'),
   creditLogger: createComponentLogger('credit'),
   aiLogger: createComponentLogger('ai'),
+  complianceLogger: createComponentLogger('compliance'),
   securityLogger: createComponentLogger('security')
 };
\ No newline at end of file